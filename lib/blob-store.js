@@ -0,0 +1,85 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+/**
+ * Content-addressed file store for photos and other media.
+ *
+ * Each blob is stored once under its SHA-256 hash (`blobs/ab/abcd...`), so the
+ * same photo uploaded twice takes the space of one. Spaces only keep metadata
+ * ({ hash, contentType, size }) pointing here.
+ */
+class BlobStore {
+    constructor(dir) {
+        this.dir = dir;
+    }
+
+    static hash(buffer) {
+        return crypto.createHash('sha256').update(buffer).digest('hex');
+    }
+
+    static isValidHash(hash) {
+        return typeof hash === 'string' && /^[0-9a-f]{64}$/.test(hash);
+    }
+
+    pathFor(hash) {
+        if (!BlobStore.isValidHash(hash)) throw new Error(`Invalid blob hash "${hash}"`);
+        return path.join(this.dir, hash.slice(0, 2), hash);
+    }
+
+    has(hash) {
+        return BlobStore.isValidHash(hash) && fs.existsSync(this.pathFor(hash));
+    }
+
+    /**
+     * Store a buffer. Resolves with { hash, size }.
+     * Written to a temp file and renamed into place so a half-written blob is
+     * never visible under its hash.
+     */
+    async put(buffer) {
+        const hash = BlobStore.hash(buffer);
+        const file = this.pathFor(hash);
+
+        if (!fs.existsSync(file)) {
+            await fs.promises.mkdir(path.dirname(file), { recursive: true });
+            const tmpFile = `${file}.${process.pid}.${Date.now()}.tmp`;
+            const handle = await fs.promises.open(tmpFile, 'w');
+            try {
+                await handle.writeFile(buffer);
+                await handle.sync();
+            } finally {
+                await handle.close();
+            }
+            await fs.promises.rename(tmpFile, file);
+        }
+
+        return { hash, size: buffer.length };
+    }
+
+    read(hash) {
+        return fs.promises.readFile(this.pathFor(hash));
+    }
+
+    // Only for blobs nothing references any more - the same file may back photos in several spaces
+    async delete(hash) {
+        await fs.promises.rm(this.pathFor(hash), { force: true });
+    }
+}
+
+/**
+ * Split a `data:` URL into its content type and bytes.
+ * Returns null for anything that isn't a data URL.
+ */
+function parseDataUrl(value) {
+    if (typeof value !== 'string') return null;
+    const match = /^data:([^;,]*)((?:;[^;,]*)*?)(;base64)?,(.*)$/s.exec(value);
+    if (!match) return null;
+
+    const contentType = match[1] || 'application/octet-stream';
+    const buffer = match[3]
+        ? Buffer.from(match[4], 'base64')
+        : Buffer.from(decodeURIComponent(match[4]), 'utf8');
+    return { contentType, buffer };
+}
+
+module.exports = { BlobStore, parseDataUrl };
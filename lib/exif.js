@@ -0,0 +1,151 @@
+// --- EXIF ---
+// Just enough of EXIF to find out when a photo was taken. Cameras and phones
+// put a TIFF structure in the file - a JPEG APP1 "Exif" segment, a PNG eXIf
+// chunk or a WebP EXIF chunk - whose Exif IFD holds DateTimeOriginal as
+// "YYYY:MM:DD HH:MM:SS" and, on newer devices, OffsetTimeOriginal ("+02:00").
+// Every read is bounds-checked: uploads are untrusted and a broken header just
+// means "no date".
+
+const EXIF_HEADER = Buffer.from('Exif\0\0', 'latin1');
+
+const TAG_DATE_TIME = 0x0132; // IFD0: when the file was last changed
+const TAG_EXIF_IFD = 0x8769; // IFD0: pointer to the Exif IFD
+const TAG_DATE_TIME_ORIGINAL = 0x9003;
+const TAG_DATE_TIME_DIGITIZED = 0x9004;
+const TAG_OFFSET_TIME = 0x9010;
+const TAG_OFFSET_TIME_ORIGINAL = 0x9011;
+const TAG_OFFSET_TIME_DIGITIZED = 0x9012;
+
+const TYPE_ASCII = 2;
+const TYPE_LONG = 4;
+const MAX_IFD_ENTRIES = 1000;
+
+// The raw TIFF bytes of the image's EXIF block, or null when it has none
+function findExif(buffer, contentType) {
+    if (contentType === 'image/jpeg') {
+        // Walk the marker segments up to the image data; APP1 is usually right after SOI
+        let offset = 2;
+        while (offset + 4 <= buffer.length && buffer[offset] === 0xFF) {
+            const marker = buffer[offset + 1];
+            if (marker === 0xDA || marker === 0xD9) break; // Start of scan / end of image
+            const length = buffer.readUInt16BE(offset + 2);
+            if (length < 2) break;
+            const start = offset + 4;
+            if (marker === 0xE1 && buffer.subarray(start, start + EXIF_HEADER.length).equals(EXIF_HEADER)) {
+                return buffer.subarray(start + EXIF_HEADER.length, offset + 2 + length);
+            }
+            offset += 2 + length;
+        }
+        return null;
+    }
+    if (contentType === 'image/png') {
+        // Chunks: length, type, data, CRC - eXIf holds the TIFF bytes as they are
+        let offset = 8;
+        while (offset + 8 <= buffer.length) {
+            const length = buffer.readUInt32BE(offset);
+            const type = buffer.toString('latin1', offset + 4, offset + 8);
+            if (type === 'eXIf') return buffer.subarray(offset + 8, offset + 8 + length);
+            if (type === 'IDAT' || type === 'IEND') return null; // eXIf has to come before the image data
+            offset += 12 + length;
+        }
+        return null;
+    }
+    if (contentType === 'image/webp') {
+        // RIFF chunks after the 12-byte header, padded to even sizes
+        let offset = 12;
+        while (offset + 8 <= buffer.length) {
+            const type = buffer.toString('latin1', offset, offset + 4);
+            const length = buffer.readUInt32LE(offset + 4);
+            if (type === 'EXIF') {
+                const data = buffer.subarray(offset + 8, offset + 8 + length);
+                // Some encoders keep the JPEG-style header, the spec says not to
+                return data.subarray(0, EXIF_HEADER.length).equals(EXIF_HEADER) ? data.subarray(EXIF_HEADER.length) : data;
+            }
+            offset += 8 + length + (length % 2);
+        }
+        return null;
+    }
+    return null;
+}
+
+// Read one IFD of a TIFF block as Map(tag -> value), keeping only ASCII strings and LONGs
+function readIfd(tiff, offset, littleEndian) {
+    const u16 = at => (littleEndian ? tiff.readUInt16LE(at) : tiff.readUInt16BE(at));
+    const u32 = at => (littleEndian ? tiff.readUInt32LE(at) : tiff.readUInt32BE(at));
+    const entries = new Map();
+    if (offset + 2 > tiff.length) return entries;
+
+    const count = Math.min(u16(offset), MAX_IFD_ENTRIES);
+    for (let i = 0; i < count; i++) {
+        const entry = offset + 2 + i * 12;
+        if (entry + 12 > tiff.length) break;
+        const tag = u16(entry);
+        const type = u16(entry + 2);
+        const length = u32(entry + 4);
+
+        if (type === TYPE_LONG && length === 1) {
+            entries.set(tag, u32(entry + 8));
+        } else if (type === TYPE_ASCII) {
+            // Up to four bytes fit in the entry itself, longer strings are stored elsewhere
+            const start = length <= 4 ? entry + 8 : u32(entry + 8);
+            if (start + length > tiff.length) continue;
+            entries.set(tag, tiff.toString('latin1', start, start + length).replace(/\0.*$/s, '').trim());
+        }
+    }
+    return entries;
+}
+
+// "+02:00" -> 120 (minutes east of UTC), or null
+function parseOffset(text) {
+    const match = typeof text === 'string' && text.match(/^([+-])(\d{2}):(\d{2})$/);
+    if (!match) return null;
+    return (match[1] === '-' ? -1 : 1) * (Number(match[2]) * 60 + Number(match[3]));
+}
+
+// "2024:06:01 18:30:00" at `offset` minutes east of UTC -> epoch ms, or null
+function parseDateTime(text, offset) {
+    const match = typeof text === 'string' && text.match(/^(\d{4}):(\d{2}):(\d{2})[ T](\d{2}):(\d{2}):(\d{2})/);
+    if (!match) return null;
+    const [year, month, day, hour, minute, second] = match.slice(1).map(Number);
+    // Unset clocks write zeros ("0000:00:00 00:00:00"), broken ones write anything
+    if (year < 1900 || month < 1 || month > 12 || day < 1 || day > 31 || hour > 23 || minute > 59 || second > 60) return null;
+    return Date.UTC(year, month - 1, day, hour, minute, second) - offset * 60 * 1000;
+}
+
+/**
+ * When the photo was taken according to its EXIF data, as epoch ms - or null
+ * when it doesn't say (no EXIF, no date, a date in the future...).
+ *
+ * EXIF times are the camera's wall clock. Without an OffsetTime tag we can't
+ * know its time zone, so `defaultOffset` (minutes east of UTC - the uploader's
+ * own zone is the best guess) is assumed.
+ */
+function readCaptureDate(buffer, contentType, defaultOffset = 0) {
+    try {
+        const tiff = findExif(buffer, contentType);
+        if (!tiff || tiff.length < 8) return null;
+
+        const order = tiff.toString('latin1', 0, 2);
+        if (order !== 'II' && order !== 'MM') return null;
+        const littleEndian = order === 'II';
+        const ifd0Offset = littleEndian ? tiff.readUInt32LE(4) : tiff.readUInt32BE(4);
+        const ifd0 = readIfd(tiff, ifd0Offset, littleEndian);
+        const exif = ifd0.has(TAG_EXIF_IFD) ? readIfd(tiff, ifd0.get(TAG_EXIF_IFD), littleEndian) : new Map();
+
+        // Best first: when the shutter fired, when it was scanned, when the file was last saved
+        const candidates = [
+            [exif.get(TAG_DATE_TIME_ORIGINAL), exif.get(TAG_OFFSET_TIME_ORIGINAL)],
+            [exif.get(TAG_DATE_TIME_DIGITIZED), exif.get(TAG_OFFSET_TIME_DIGITIZED)],
+            [ifd0.get(TAG_DATE_TIME), exif.get(TAG_OFFSET_TIME)]
+        ];
+        for (const [text, offsetText] of candidates) {
+            const takenAt = parseDateTime(text, parseOffset(offsetText) ?? defaultOffset);
+            if (takenAt !== null && takenAt <= Date.now() + 24 * 60 * 60 * 1000) return takenAt;
+        }
+        return null;
+    } catch (err) {
+        return null; // A truncated or lying header - treat it as no date
+    }
+}
+
+module.exports = { readCaptureDate };
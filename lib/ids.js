@@ -0,0 +1,16 @@
+// Helper to generate unique IDs
+function generateId(length = 6) {
+    const chars = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ0123456789';
+    let result = '';
+    for (let i = 0; i < length; i++) {
+        result += chars.charAt(Math.floor(Math.random() * chars.length));
+    }
+    return result;
+}
+
+// IDs for notes, dates, photos etc. inside a space - longer, since they are never typed by hand
+function generateItemId() {
+    return generateId(12);
+}
+
+module.exports = { generateId, generateItemId };
@@ -0,0 +1,14 @@
+// The worker thread behind createRenditions() and toJpeg() in lib/images.js:
+// runs one job at a time and posts back its result, or the error it hit.
+const { parentPort } = require('worker_threads');
+const { JOBS } = require('./images');
+
+parentPort.on('message', ({ id, kind, params }) => {
+    try {
+        // Buffers arrive as plain Uint8Arrays
+        const buffer = Buffer.from(params.buffer.buffer, params.buffer.byteOffset, params.buffer.byteLength);
+        parentPort.postMessage({ id, result: JOBS[kind]({ ...params, buffer }) });
+    } catch (err) {
+        parentPort.postMessage({ id, error: { message: err.message, status: err.status || 400 } });
+    }
+});
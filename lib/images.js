@@ -0,0 +1,300 @@
+const path = require('path');
+const { Worker } = require('worker_threads');
+const jpeg = require('jpeg-js');
+const { PNG } = require('pngjs');
+const { parseDataUrl } = require('./blob-store');
+
+// Everything detectImageType() knows, and so the only types an image is ever served as
+const IMAGE_TYPES = ['image/jpeg', 'image/png', 'image/gif', 'image/webp'];
+
+// Rendition sizes (longest side, px)
+const THUMB_SIZE = 320;
+const DISPLAY_SIZE = 1280;
+const JPEG_QUALITY = 80;
+
+// A small file can claim enormous dimensions and inflate to gigabytes of pixels
+// (a decompression bomb), so the header is checked before anything is decoded.
+// 40 MP covers every phone camera's normal mode.
+const MAX_PIXELS = 40 * 1000 * 1000;
+// jpeg-js needs up to ~21 bytes a pixel (no chroma subsampling, RGBA out), so this
+// is just enough for MAX_PIXELS - a backstop should the header check be fooled
+const JPEG_MAX_MEMORY_MB = Math.ceil(MAX_PIXELS * 22 / (1000 * 1000));
+
+// Thrown for images we won't process; `status` is the HTTP status to answer with
+class ImageError extends Error {
+    constructor(message, status = 400) {
+        super(message);
+        this.name = 'ImageError';
+        this.status = status;
+    }
+}
+
+/**
+ * Work out the real image type from the file's magic bytes - never trust the
+ * file name or the browser's Content-Type. Returns a MIME type or null.
+ */
+function detectImageType(buffer) {
+    if (buffer.length >= 3 && buffer[0] === 0xFF && buffer[1] === 0xD8 && buffer[2] === 0xFF) {
+        return 'image/jpeg';
+    }
+    if (buffer.length >= 8 && buffer.subarray(0, 8).equals(Buffer.from([0x89, 0x50, 0x4E, 0x47, 0x0D, 0x0A, 0x1A, 0x0A]))) {
+        return 'image/png';
+    }
+    if (buffer.length >= 6 && ['GIF87a', 'GIF89a'].includes(buffer.toString('latin1', 0, 6))) {
+        return 'image/gif';
+    }
+    if (buffer.length >= 12 && buffer.toString('latin1', 0, 4) === 'RIFF' && buffer.toString('latin1', 8, 12) === 'WEBP') {
+        return 'image/webp';
+    }
+    return null;
+}
+
+/**
+ * { width, height } as the file's header states them, without decoding
+ * anything, or null when the header can't be read. JPEG: the SOF segment; PNG:
+ * IHDR; GIF: the logical screen; WebP: the VP8X canvas or the VP8 / VP8L frame.
+ */
+function readDimensions(buffer, contentType) {
+    try {
+        if (contentType === 'image/jpeg') {
+            let offset = 2;
+            while (offset + 9 <= buffer.length) {
+                if (buffer[offset] !== 0xFF) return null;
+                const marker = buffer[offset + 1];
+                if (marker === 0xFF) { offset++; continue; } // Fill byte
+                if (marker === 0x01 || (marker >= 0xD0 && marker <= 0xD7)) { offset += 2; continue; } // No length
+                if (marker === 0xD9 || marker === 0xDA) return null; // Image data before any frame header
+                // SOF0-SOF15, except DHT (C4), JPG (C8) and DAC (CC)
+                if (marker >= 0xC0 && marker <= 0xCF && ![0xC4, 0xC8, 0xCC].includes(marker)) {
+                    return { height: buffer.readUInt16BE(offset + 5), width: buffer.readUInt16BE(offset + 7) };
+                }
+                offset += 2 + buffer.readUInt16BE(offset + 2);
+            }
+            return null;
+        }
+        if (contentType === 'image/png') {
+            if (buffer.toString('latin1', 12, 16) !== 'IHDR') return null;
+            return { width: buffer.readUInt32BE(16), height: buffer.readUInt32BE(20) };
+        }
+        if (contentType === 'image/gif') {
+            return { width: buffer.readUInt16LE(6), height: buffer.readUInt16LE(8) };
+        }
+        if (contentType === 'image/webp') {
+            const chunk = buffer.toString('latin1', 12, 16);
+            if (chunk === 'VP8X') return { width: buffer.readUIntLE(24, 3) + 1, height: buffer.readUIntLE(27, 3) + 1 };
+            if (chunk === 'VP8 ') return { width: buffer.readUInt16LE(26) & 0x3FFF, height: buffer.readUInt16LE(28) & 0x3FFF };
+            if (chunk === 'VP8L') {
+                const bits = buffer.readUInt32LE(21);
+                return { width: (bits & 0x3FFF) + 1, height: ((bits >>> 14) & 0x3FFF) + 1 };
+            }
+        }
+        return null;
+    } catch (err) {
+        return null; // Header cut short
+    }
+}
+
+/**
+ * The image's dimensions, once we know it's safe to decode: throws an
+ * ImageError (413) when it has more than MAX_PIXELS, (400) when the header
+ * can't be read.
+ */
+function checkDimensions(buffer, contentType) {
+    const dimensions = readDimensions(buffer, contentType);
+    if (!dimensions || !dimensions.width || !dimensions.height) throw new ImageError("Could not read this image");
+    if (dimensions.width * dimensions.height > MAX_PIXELS) {
+        throw new ImageError(`Image is too large (max ${MAX_PIXELS / 1000 / 1000} megapixels)`, 413);
+    }
+    return dimensions;
+}
+
+// Decode to RGBA pixels. Only JPEG and PNG can be decoded in pure JS here; returns null otherwise.
+function decodeImage(buffer, contentType) {
+    if (contentType !== 'image/jpeg' && contentType !== 'image/png') return null;
+    checkDimensions(buffer, contentType);
+    if (contentType === 'image/jpeg') {
+        const { width, height, data } = jpeg.decode(buffer, {
+            useTArray: true, formatAsRGBA: true, maxResolutionInMP: MAX_PIXELS / 1000 / 1000, maxMemoryUsageInMB: JPEG_MAX_MEMORY_MB
+        });
+        return { width, height, data };
+    }
+    if (contentType === 'image/png') {
+        const { width, height, data } = PNG.sync.read(buffer);
+        return { width, height, data };
+    }
+    return null;
+}
+
+/**
+ * Shrink RGBA pixels so the longest side is at most `maxSide`, averaging every
+ * source pixel that falls into each target pixel (a box filter - cheap and it
+ * doesn't alias like nearest-neighbour). Transparent areas are flattened onto
+ * white since the result is encoded as JPEG.
+ */
+function resize(image, maxSide) {
+    const scale = Math.min(1, maxSide / Math.max(image.width, image.height));
+    const width = Math.max(1, Math.round(image.width * scale));
+    const height = Math.max(1, Math.round(image.height * scale));
+    const data = Buffer.alloc(width * height * 4);
+    const stepX = image.width / width;
+    const stepY = image.height / height;
+
+    for (let y = 0; y < height; y++) {
+        const y0 = Math.floor(y * stepY);
+        const y1 = Math.max(y0 + 1, Math.floor((y + 1) * stepY));
+        for (let x = 0; x < width; x++) {
+            const x0 = Math.floor(x * stepX);
+            const x1 = Math.max(x0 + 1, Math.floor((x + 1) * stepX));
+            let r = 0, g = 0, b = 0, count = 0;
+
+            for (let sy = y0; sy < y1; sy++) {
+                let i = (sy * image.width + x0) * 4;
+                for (let sx = x0; sx < x1; sx++, i += 4) {
+                    const alpha = image.data[i + 3] / 255;
+                    r += image.data[i] * alpha + 255 * (1 - alpha);
+                    g += image.data[i + 1] * alpha + 255 * (1 - alpha);
+                    b += image.data[i + 2] * alpha + 255 * (1 - alpha);
+                    count++;
+                }
+            }
+
+            const o = (y * width + x) * 4;
+            data[o] = r / count;
+            data[o + 1] = g / count;
+            data[o + 2] = b / count;
+            data[o + 3] = 255;
+        }
+    }
+    return { width, height, data };
+}
+
+// --- Off the event loop ---
+// Decoding and resizing a big photo takes seconds of pure CPU, which would stall
+// every other request. That work runs in one worker thread (lib/image-worker.js),
+// one job at a time so only one photo's pixels are ever in memory.
+
+// What the worker does for each kind of job. Pixels come back as plain byte arrays.
+const JOBS = {
+    // { width, height, display, thumb } for a JPEG or PNG: each rendition is
+    // { data, width, height } of JPEG bytes, or null when the original is small enough to be it
+    renditions({ buffer, contentType }) {
+        const decoded = decodeImage(buffer, contentType);
+
+        const renditionOf = (source, maxSide) => {
+            if (Math.max(decoded.width, decoded.height) <= maxSide) return null;
+            const pixels = resize(source, maxSide);
+            return { data: jpeg.encode(pixels, JPEG_QUALITY).data, width: pixels.width, height: pixels.height, pixels };
+        };
+        const display = renditionOf(decoded, DISPLAY_SIZE);
+        // The thumbnail comes out of the display rendition - far fewer pixels to average
+        const thumb = renditionOf(display?.pixels || decoded, THUMB_SIZE);
+        for (const rendition of [display, thumb]) delete rendition?.pixels;
+        return { width: decoded.width, height: decoded.height, display, thumb };
+    },
+
+    // JPEG bytes no larger than maxSide (transparency flattened onto white), or null if we can't decode it
+    jpeg({ buffer, contentType, maxSide }) {
+        const decoded = decodeImage(buffer, contentType);
+        return decoded && jpeg.encode(resize(decoded, maxSide), JPEG_QUALITY).data;
+    }
+};
+
+let worker = null;
+let nextJobId = 0;
+const pendingJobs = new Map(); // job id -> { resolve, reject }
+
+function imageWorker() {
+    if (worker) return worker;
+    worker = new Worker(path.join(__dirname, 'image-worker.js'));
+    worker.on('message', ({ id, result, error }) => {
+        const job = pendingJobs.get(id);
+        pendingJobs.delete(id);
+        if (pendingJobs.size === 0) worker.unref(); // Don't keep a finished script alive
+        if (error) job.reject(new ImageError(error.status === 413 ? error.message : "Could not read this image", error.status));
+        else job.resolve(result);
+    });
+    // A crash (out of memory, say) fails what was queued; the next job starts a fresh worker
+    worker.on('error', err => console.error("Image worker failed:", err));
+    worker.on('exit', () => {
+        worker = null;
+        for (const job of pendingJobs.values()) job.reject(new ImageError("Could not read this image"));
+        pendingJobs.clear();
+    });
+    return worker;
+}
+
+function runJob(kind, params) {
+    return new Promise((resolve, reject) => {
+        const id = nextJobId++;
+        pendingJobs.set(id, { resolve, reject });
+        const thread = imageWorker();
+        thread.ref();
+        thread.postMessage({ id, kind, params });
+    });
+}
+
+const asBuffer = bytes => Buffer.from(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+
+/**
+ * Build the thumbnail and display-size renditions for an uploaded image.
+ * Resolves with { width, height, thumb, display }, where each rendition is
+ * { hash, contentType, width, height }. Renditions are null for formats we
+ * can't decode (the original is used instead); if the original is already
+ * small enough it doubles as the rendition. Rejects with an ImageError for
+ * images over MAX_PIXELS (413) or that can't be read (400).
+ */
+async function createRenditions(blobs, buffer, contentType, originalHash) {
+    if (contentType !== 'image/jpeg' && contentType !== 'image/png') return { width: null, height: null, thumb: null, display: null };
+    checkDimensions(buffer, contentType);
+    const result = await runJob('renditions', { buffer, contentType });
+
+    const original = { hash: originalHash, contentType, width: result.width, height: result.height };
+    const store = async rendition => {
+        if (!rendition) return original;
+        const { hash } = await blobs.put(asBuffer(rendition.data));
+        return { hash, contentType: 'image/jpeg', width: rendition.width, height: rendition.height };
+    };
+    return { width: result.width, height: result.height, display: await store(result.display), thumb: await store(result.thumb) };
+}
+
+/**
+ * Turn a gallery entry into blob-backed metadata.
+ *
+ * Older clients (and older databases) store photos as base64 `data:` URLs right
+ * inside the space. Those are moved into the blob store; entries that are
+ * already metadata pass through untouched. Anything else that is a plain
+ * string is kept as an external `url`. The type in a data URL is whatever the
+ * client claimed, so the bytes decide it: a data URL that isn't an image is a
+ * broken entry and resolves with null (nothing is stored).
+ */
+async function storeImage(blobs, image) {
+    if (typeof image !== 'string') return image;
+
+    const parsed = parseDataUrl(image);
+    if (!parsed) return { url: image, addedAt: Date.now() };
+
+    const contentType = detectImageType(parsed.buffer);
+    if (!contentType) return null;
+    const { hash, size } = await blobs.put(parsed.buffer);
+    return { hash, contentType, size, addedAt: Date.now() };
+}
+
+// Re-encode an image as JPEG no larger than maxSide (transparency flattened onto
+// white) for consumers that only take JPEG, like the PDF writer. Resolves with null
+// if we can't decode it; rejects with an ImageError like createRenditions.
+async function toJpeg(buffer, contentType, maxSide = DISPLAY_SIZE) {
+    if (contentType !== 'image/jpeg' && contentType !== 'image/png') return null;
+    checkDimensions(buffer, contentType);
+    const data = await runJob('jpeg', { buffer, contentType, maxSide });
+    return data && asBuffer(data);
+}
+
+// Every blob hash an image entry points at (original and renditions)
+function imageHashes(image) {
+    return [image.hash, image.thumb?.hash, image.display?.hash].filter(Boolean);
+}
+
+module.exports = {
+    MAX_PIXELS, IMAGE_TYPES, ImageError, JOBS,
+    detectImageType, readDimensions, checkDimensions, createRenditions, storeImage, imageHashes, toJpeg
+};
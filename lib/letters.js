@@ -0,0 +1,59 @@
+// --- TIME-CAPSULE LETTERS ---
+// A letter is written now and stays sealed until `unlockAt`: either a day picked
+// outright or the next time one of the space's special dates comes round (our
+// anniversary, a birthday...). Until then the server never hands out its body -
+// everything that sends space data to a browser goes through spaceView /
+// itemView / changeView below. The search index leaves letters out for the same
+// reason, and export archives carry sealed ones without their body.
+const { generateItemId } = require('./ids');
+
+/**
+ * A letter: { id, title, body, authorId, createdAt, unlockAt, unlockEvent }.
+ * Times are epoch ms. `unlockEvent` is { dateId, label } when the letter waits
+ * for a special date, null when it waits for a day picked outright; either way
+ * `unlockAt` is fixed when the letter is sealed.
+ */
+function createLetter({ title, body, authorId, unlockAt, unlockEvent = null }) {
+    return { id: generateItemId(), title, body, authorId, createdAt: Date.now(), unlockAt, unlockEvent };
+}
+
+// Start of the next day (UTC, like the YYYY-MM-DD strings in `dates`) that falls
+// on `date`: the date itself if it's still ahead, otherwise its next anniversary
+function nextOccurrence(date, now = Date.now()) {
+    const [year, month, day] = date.split('-').map(Number);
+    let at = Date.UTC(year, month - 1, day);
+    for (let next = Math.max(year, new Date(now).getUTCFullYear()); at <= now; next++) {
+        at = Date.UTC(next, month - 1, day);
+    }
+    return at;
+}
+
+const isSealed = (letter, now = Date.now()) => letter.unlockAt > now;
+
+// What a browser may see of a letter: everything but the body while it's sealed
+function letterView(letter, now = Date.now()) {
+    return isSealed(letter, now) ? { ...letter, body: null, sealed: true } : { ...letter, sealed: false };
+}
+
+// An item of any collection as a browser may see it
+const itemView = (collection, item, now) => (collection === 'letters' ? letterView(item, now) : item);
+
+// A space as a browser may see it (sealed letters in the trash stay sealed too)
+function spaceView(space, now = Date.now()) {
+    return {
+        ...space,
+        letters: space.letters.map(letter => letterView(letter, now)),
+        trash: space.trash.map(entry => (entry.collection === 'letters' ? { ...entry, item: letterView(entry.item, now) } : entry))
+    };
+}
+
+// A space:changed payload (see saveSpace in server.js) as a browser may see it
+function changeView(change, now = Date.now()) {
+    if (!change) return change;
+    const view = { ...change };
+    if (view.item) view.item = itemView(change.collection, change.item, now);
+    if (view.trashed) view.trashed = { ...view.trashed, item: itemView(view.trashed.collection, view.trashed.item, now) };
+    return view;
+}
+
+module.exports = { createLetter, nextOccurrence, isSealed, letterView, itemView, spaceView, changeView };
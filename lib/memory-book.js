@@ -0,0 +1,403 @@
+const { PdfDocument, canShow, widthOf, wrapText, wrapRuns, A4 } = require('./pdf');
+const { IMAGE_TYPES, toJpeg } = require('./images');
+const { markdownToHtml } = require('../public/rich-text');
+
+/**
+ * The printable memory book: a space's special dates, notes, photos and
+ * pet/sunflower milestones laid out as pages, either as one self-contained
+ * HTML file (photos inlined as data: URLs, print styles included) or as a PDF.
+ *
+ * Both are built from the GET /api/data/:userId payload, so the book shows
+ * exactly what the dashboard does, notes formatted with the same Markdown
+ * subset (public/rich-text.js). The PDF can only show Latin text (see
+ * lib/pdf.js); a book with anything else has to be the HTML one, printed from
+ * the browser.
+ */
+
+// Thrown when the book can't be made in the format asked for; `status` is the HTTP status to answer with
+class BookError extends Error {
+    constructor(message, status = 422) {
+        super(message);
+        this.name = 'BookError';
+        this.status = status;
+    }
+}
+
+// Print palettes for the dashboard's data-theme themes (see public/style.css)
+const THEMES = {
+    strawberry: { background: '#fff1f2', paper: '#ffffff', accent: '#fb7185', text: '#4c0519', muted: '#881337', border: '#fecdd3' },
+    nordic: { background: '#f1f5f9', paper: '#ffffff', accent: '#38bdf8', text: '#0f172a', muted: '#334155', border: '#bae6fd' },
+    golden: { background: '#fffbeb', paper: '#ffffff', accent: '#f59e0b', text: '#451a03', muted: '#78350f', border: '#fde68a' },
+    midnight: { background: '#0f172a', paper: '#1e1b4b', accent: '#818cf8', text: '#f8fafc', muted: '#cbd5e1', border: '#312e81' }
+};
+const DEFAULT_THEME = 'strawberry';
+
+// Growth stages, matching the level thresholds used by pet.js and sunflower.js
+const PET_STAGES = [
+    { level: 1, text: name => `${name} arrived as a little egg` },
+    { level: 3, text: name => `${name} hatched into a puppy` },
+    { level: 6, text: name => `${name} grew into a big dog` }
+];
+const SUNFLOWER_STAGES = [
+    { level: 1, text: name => `${name} was planted as a seed` },
+    { level: 3, text: name => `${name} sprouted` },
+    { level: 6, text: name => `${name} started growing tall` },
+    { level: 10, text: name => `${name} bloomed` }
+];
+
+// Day-only dates are stored as YYYY-MM-DD; the server doesn't know the couple's time zone, so format in UTC
+function formatDate(value) {
+    const date = new Date(value);
+    if (isNaN(date)) return '';
+    return date.toLocaleDateString('en-US', { month: 'long', day: 'numeric', year: 'numeric', timeZone: 'UTC' });
+}
+
+function milestones(pet, sunflower) {
+    const list = [];
+    if (pet) {
+        PET_STAGES.filter(stage => pet.level >= stage.level).forEach(stage => list.push(stage.text(pet.name)));
+        list.push(`${pet.name} is level ${pet.level} and feeling ${pet.mood || 'happy'}`);
+    }
+    if (sunflower) {
+        SUNFLOWER_STAGES.filter(stage => sunflower.level >= stage.level).forEach(stage => list.push(stage.text(sunflower.name)));
+        list.push(`${sunflower.name} is level ${sunflower.level}`);
+    }
+    return list;
+}
+
+/**
+ * Gather everything the book shows. Photos are loaded from the blob store
+ * (display-size rendition where there is one) - external `url` photos are
+ * left out since the book has to stand on its own, and so is any file not
+ * stored as one of IMAGE_TYPES. They go in the order they were taken, oldest
+ * first.
+ */
+async function collectBook(dashboard, blobs) {
+    const space = dashboard.data;
+    const takenAt = image => image.takenAt || image.addedAt || 0;
+    const photos = [];
+    for (const image of [...space.images].sort((a, b) => takenAt(a) - takenAt(b))) {
+        const file = image.display || image;
+        const contentType = file.contentType || image.contentType;
+        if (!file.hash || !IMAGE_TYPES.includes(contentType) || !blobs.has(file.hash)) continue;
+        photos.push({
+            buffer: await blobs.read(file.hash),
+            contentType,
+            caption: image.caption || '',
+            date: formatDate(image.takenAt || image.addedAt)
+        });
+    }
+
+    return {
+        title: 'Our Memory Book',
+        names: [dashboard.displayName, dashboard.partnerName].filter(Boolean).join(' & '),
+        madeOn: formatDate(Date.now()),
+        dates: space.dates.map(item => ({ date: formatDate(item.date), label: item.label })),
+        notes: space.notes.map(note => ({ text: note.text, date: note.createdAt ? formatDate(note.createdAt) : '' })),
+        photos,
+        milestones: milestones(space.pet, space.sunflower)
+    };
+}
+
+// --- HTML ---
+
+function escapeHtml(text) {
+    return String(text).replace(/[&<>"']/g, char => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' })[char]);
+}
+
+function unescapeHtml(html) {
+    return html.replace(/&(amp|lt|gt|quot|#39);/g, (match, name) => ({ amp: '&', lt: '<', gt: '>', quot: '"', '#39': "'" })[name]);
+}
+
+// A note as HTML. Like sanitizeHtml() in the app, links that aren't http(s) or mailto keep their words only.
+function noteHtml(text) {
+    return markdownToHtml(text).replace(/<a href="([^"]*)">(.*?)<\/a>/g, (match, href, label) => {
+        let protocol = null;
+        try {
+            protocol = new URL(unescapeHtml(href)).protocol;
+        } catch (err) { /* Relative or broken */ }
+        return ['http:', 'https:', 'mailto:'].includes(protocol) ? `<a href="${href}" rel="noopener noreferrer nofollow">${label}</a>` : label;
+    });
+}
+
+function renderHtml(book, colors) {
+    const section = (title, body) => `<section class="page"><h2>${escapeHtml(title)}</h2>${body}</section>`;
+    const sections = [];
+
+    if (book.dates.length) {
+        sections.push(section('Our Special Dates', `<ul class="dates">${book.dates.map(item =>
+            `<li><strong>${escapeHtml(item.date)}</strong> ${escapeHtml(item.label)}</li>`).join('')}</ul>`));
+    }
+    if (book.notes.length) {
+        sections.push(section('Little Notes', book.notes.map(note =>
+            `<div class="note">${noteHtml(note.text)}${note.date ? `<small>${escapeHtml(note.date)}</small>` : ''}</div>`).join('')));
+    }
+    if (book.photos.length) {
+        sections.push(section('Our Photos', `<div class="photos">${book.photos.map(photo => `
+            <figure class="polaroid">
+                <img src="data:${escapeHtml(photo.contentType)};base64,${photo.buffer.toString('base64')}" alt="">
+                <figcaption>${escapeHtml(photo.caption)}<small>${escapeHtml(photo.date)}</small></figcaption>
+            </figure>`).join('')}</div>`));
+    }
+    if (book.milestones.length) {
+        sections.push(section('Growing Together', `<ul class="milestones">${book.milestones.map(text =>
+            `<li>${escapeHtml(text)}</li>`).join('')}</ul>`));
+    }
+
+    return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="UTF-8">
+<meta name="viewport" content="width=device-width, initial-scale=1.0">
+<title>${escapeHtml(book.title)}${book.names ? ` - ${escapeHtml(book.names)}` : ''}</title>
+<style>
+    @page { size: A4; margin: 0; }
+    * { box-sizing: border-box; margin: 0; padding: 0; }
+    body { background: ${colors.background}; color: ${colors.text}; font-family: 'Nunito', 'Segoe UI', 'Noto Sans', 'Noto Sans Myanmar', sans-serif; -webkit-print-color-adjust: exact; print-color-adjust: exact; }
+    .page { width: 210mm; min-height: 297mm; margin: 0 auto; padding: 20mm; break-after: page; }
+    .cover { display: flex; flex-direction: column; justify-content: center; align-items: center; text-align: center; border-top: 18mm solid ${colors.accent}; }
+    .cover h1 { font-family: 'Quicksand', sans-serif; font-size: 40pt; margin-bottom: 8mm; }
+    .cover .names { font-size: 20pt; color: ${colors.accent}; font-weight: 700; margin-bottom: 14mm; }
+    .cover .made { color: ${colors.muted}; }
+    h2 { font-family: 'Quicksand', sans-serif; color: ${colors.accent}; font-size: 22pt; border-bottom: 2px solid ${colors.border}; padding-bottom: 3mm; margin-bottom: 8mm; }
+    ul { list-style: none; }
+    .dates li, .milestones li { padding: 3mm 0; border-bottom: 1px dashed ${colors.border}; font-size: 13pt; break-inside: avoid; }
+    .dates strong { color: ${colors.accent}; display: inline-block; min-width: 55mm; }
+    .milestones li::before { content: '\\2665'; color: ${colors.accent}; margin-right: 4mm; }
+    .note { background: ${colors.paper}; border: 1px solid ${colors.border}; border-radius: 4mm; padding: 5mm 6mm; margin-bottom: 5mm; break-inside: avoid; font-size: 12pt; overflow-wrap: anywhere; }
+    .note p + *, .note ul + *, .note ol + * { margin-top: 3mm; }
+    .note ul { list-style: disc; padding-left: 6mm; }
+    .note ol { list-style: decimal; padding-left: 6mm; }
+    .note a { color: ${colors.accent}; }
+    .note code { font-family: monospace; background: ${colors.background}; padding: 0 1mm; border-radius: 1mm; }
+    .note small, figcaption small { display: block; color: ${colors.muted}; margin-top: 2mm; font-size: 9pt; }
+    .photos { display: grid; grid-template-columns: 1fr 1fr; gap: 10mm; }
+    .polaroid { background: #ffffff; color: #333333; padding: 4mm 4mm 6mm; box-shadow: 0 1mm 3mm rgba(0, 0, 0, 0.15); break-inside: avoid; }
+    .polaroid img { display: block; width: 100%; height: 70mm; object-fit: cover; }
+    figcaption { margin-top: 3mm; text-align: center; font-size: 11pt; }
+    @media screen { .page { box-shadow: 0 2mm 8mm rgba(0, 0, 0, 0.15); margin-bottom: 10mm; } }
+</style>
+</head>
+<body>
+<section class="page cover">
+    <h1>${escapeHtml(book.title)}</h1>
+    ${book.names ? `<p class="names">${escapeHtml(book.names)}</p>` : ''}
+    <p class="made">${book.notes.length} notes &middot; ${book.photos.length} photos &middot; ${book.dates.length} special dates</p>
+    <p class="made">Made with KeepMemories on ${escapeHtml(book.madeOn)}</p>
+</section>
+${sections.join('\n')}
+</body>
+</html>
+`;
+}
+
+// --- PDF ---
+
+const MARGIN = 56;
+const CONTENT_WIDTH = A4.width - MARGIN * 2;
+
+/**
+ * A note's Markdown as blocks for the PDF: [{ bullet, runs }], where `bullet` is
+ * "•" or "1." for list items (null for paragraphs) and `runs` go to wrapRuns().
+ * markdownToHtml() only ever makes the handful of tags handled here.
+ */
+function noteBlocks(text) {
+    const blocks = [];
+    const open = { strong: 0, em: 0, del: 0, code: 0, a: 0 };
+    let list = null;
+    for (const [, closing, tag, content] of markdownToHtml(text).matchAll(/<(\/?)(\w+)[^>]*>|([^<]+)/g)) {
+        if (content !== undefined) {
+            const font = open.code ? 'mono'
+                : open.strong && open.em ? 'boldItalic' : open.strong ? 'bold' : open.em ? 'italic' : 'regular';
+            blocks[blocks.length - 1].runs.push({ text: unescapeHtml(content), font, strike: open.del > 0, link: open.a > 0 });
+        } else if (tag === 'p' && !closing) {
+            blocks.push({ bullet: null, runs: [] });
+        } else if (tag === 'ul' || tag === 'ol') {
+            list = closing ? null : { tag, count: 0 };
+        } else if (tag === 'li' && !closing) {
+            blocks.push({ bullet: list.tag === 'ol' ? `${++list.count}.` : '\u2022', runs: [] });
+        } else if (tag === 'br') {
+            blocks[blocks.length - 1].runs.push({ text: '\n', font: 'regular' });
+        } else if (tag in open) {
+            open[tag] += closing ? -1 : 1;
+        }
+    }
+    return blocks;
+}
+
+// Lays content out top to bottom, starting a new page whenever the next block doesn't fit
+class PdfFlow {
+    constructor(doc, colors) {
+        this.doc = doc;
+        this.colors = colors;
+        this.page = null;
+        this.y = 0;
+    }
+
+    newPage() {
+        this.page = this.doc.addPage();
+        this.page.rect(0, 0, A4.width, A4.height, { fill: this.colors.background });
+        this.page.text(String(this.doc.pages.length), A4.width / 2, A4.height - 30, { size: 9, color: this.colors.muted, align: 'center' });
+        this.y = MARGIN;
+        return this.page;
+    }
+
+    // Make sure `height` points are free on the current page
+    ensure(height) {
+        if (!this.page || this.y + height > A4.height - MARGIN) this.newPage();
+        return this.page;
+    }
+
+    heading(title) {
+        this.newPage();
+        this.page.text(title, MARGIN, this.y + 24, { font: 'bold', size: 24, color: this.colors.accent });
+        this.y += 36;
+        this.page.line(MARGIN, this.y, A4.width - MARGIN, this.y, { color: this.colors.border, lineWidth: 2 });
+        this.y += 24;
+    }
+}
+
+function renderPdf(book, colors) {
+    const doc = new PdfDocument({ title: book.names ? `${book.title} - ${book.names}` : book.title });
+
+    // Cover
+    const cover = doc.addPage();
+    cover.rect(0, 0, A4.width, A4.height, { fill: colors.background });
+    cover.rect(0, 0, A4.width, 50, { fill: colors.accent });
+    cover.text(book.title, A4.width / 2, 320, { font: 'bold', size: 36, color: colors.text, align: 'center' });
+    if (book.names) cover.text(book.names, A4.width / 2, 362, { font: 'bold', size: 20, color: colors.accent, align: 'center' });
+    cover.text(`${book.notes.length} notes · ${book.photos.length} photos · ${book.dates.length} special dates`,
+        A4.width / 2, 420, { size: 12, color: colors.muted, align: 'center' });
+    cover.text(`Made with KeepMemories on ${book.madeOn}`, A4.width / 2, 440, { size: 12, color: colors.muted, align: 'center' });
+
+    const flow = new PdfFlow(doc, colors);
+
+    if (book.dates.length) {
+        flow.heading('Our Special Dates');
+        for (const item of book.dates) {
+            const lines = wrapText(item.label, CONTENT_WIDTH - 170, 'regular', 13);
+            const page = flow.ensure(lines.length * 17 + 12);
+            page.text(item.date, MARGIN, flow.y + 13, { font: 'bold', size: 13, color: colors.accent });
+            lines.forEach((line, i) => page.text(line, MARGIN + 170, flow.y + 13 + i * 17, { size: 13, color: colors.text }));
+            flow.y += lines.length * 17 + 12;
+        }
+    }
+
+    if (book.notes.length) {
+        flow.heading('Little Notes');
+        for (const note of book.notes) {
+            // { runs, indent, bullet } per line, with a blank line between paragraphs
+            const lines = [];
+            const blocks = noteBlocks(note.text);
+            blocks.forEach((block, i) => {
+                const indent = block.bullet ? 18 : 0;
+                if (i > 0 && !(block.bullet && blocks[i - 1].bullet)) lines.push({ runs: [], indent });
+                wrapRuns(block.runs, CONTENT_WIDTH - 32 - indent, 12).forEach((runs, j) => (
+                    lines.push({ runs, indent, bullet: j === 0 ? block.bullet : null })
+                ));
+            });
+            if (!lines.length) lines.push({ runs: [], indent: 0 });
+            const footer = note.date ? 16 : 0;
+            const height = lines.length * 16 + footer + 24;
+            // Keep a note on one page when it can fit on one; longer ones continue on the next
+            flow.ensure(height <= A4.height - MARGIN * 2 ? height : 120);
+
+            let start = 0;
+            while (start < lines.length) {
+                const free = A4.height - MARGIN - flow.y - 24 - footer;
+                const chunk = lines.slice(start, start + Math.max(1, Math.floor(free / 16)));
+                const last = start + chunk.length >= lines.length;
+                const boxHeight = chunk.length * 16 + (last ? footer : 0) + 24;
+                flow.page.rect(MARGIN, flow.y, CONTENT_WIDTH, boxHeight, { fill: colors.paper, stroke: colors.border });
+                chunk.forEach((line, i) => {
+                    const y = flow.y + 24 + i * 16;
+                    if (line.bullet) flow.page.text(line.bullet, MARGIN + 16, y, { size: 12, color: colors.accent });
+                    for (const run of line.runs) {
+                        const x = MARGIN + 16 + line.indent + run.x;
+                        flow.page.text(run.text, x, y, { font: run.font, size: 12, color: run.link ? colors.accent : colors.text });
+                        if (run.strike) flow.page.line(x, y - 4, x + widthOf(run.text, run.font, 12), y - 4, { color: colors.text, lineWidth: 0.8 });
+                    }
+                });
+                if (last && note.date) {
+                    flow.page.text(note.date, MARGIN + 16, flow.y + 24 + chunk.length * 16 + 4, { size: 9, color: colors.muted });
+                }
+                flow.y += boxHeight + 14;
+                start += chunk.length;
+                if (!last) flow.newPage();
+            }
+        }
+    }
+
+    if (book.photos.length) {
+        flow.heading('Our Photos');
+        // Two polaroids per row
+        const gap = 24;
+        const frameWidth = (CONTENT_WIDTH - gap) / 2;
+        const photoHeight = 190;
+        const frameHeight = photoHeight + 70;
+        let column = 0;
+        for (const photo of book.photos) {
+            const image = photo.jpeg && doc.addJpeg(photo.jpeg);
+            if (!image) continue; // GIF/WebP can't go into the PDF
+
+            if (column === 0) flow.ensure(frameHeight);
+            const x = MARGIN + column * (frameWidth + gap);
+            const page = flow.page;
+            page.rect(x, flow.y, frameWidth, frameHeight, { fill: '#ffffff', stroke: colors.border });
+
+            // Fit inside the photo box, keeping the aspect ratio
+            const boxWidth = frameWidth - 20;
+            const scale = Math.min(boxWidth / image.width, photoHeight / image.height);
+            const width = image.width * scale;
+            const height = image.height * scale;
+            page.image(image, x + 10 + (boxWidth - width) / 2, flow.y + 10 + (photoHeight - height) / 2, width, height);
+
+            const caption = wrapText(photo.caption, frameWidth - 20, 'regular', 11).slice(0, 2);
+            caption.forEach((line, i) => page.text(line, x + frameWidth / 2, flow.y + photoHeight + 28 + i * 14, { size: 11, color: '#333333', align: 'center' }));
+            page.text(photo.date, x + frameWidth / 2, flow.y + frameHeight - 10, { size: 9, color: '#888888', align: 'center' });
+
+            column = 1 - column;
+            if (column === 0) flow.y += frameHeight + gap;
+        }
+    }
+
+    if (book.milestones.length) {
+        flow.heading('Growing Together');
+        for (const text of book.milestones) {
+            const lines = wrapText(text, CONTENT_WIDTH - 20, 'regular', 13);
+            const page = flow.ensure(lines.length * 17 + 10);
+            page.rect(MARGIN, flow.y + 5, 7, 7, { fill: colors.accent });
+            lines.forEach((line, i) => page.text(line, MARGIN + 20, flow.y + 13 + i * 17, { size: 13, color: colors.text }));
+            flow.y += lines.length * 17 + 10;
+        }
+    }
+
+    return doc.toBuffer();
+}
+
+/**
+ * Build the book. `format` is 'html' or 'pdf', `theme` one of THEMES (unknown
+ * names fall back to strawberry). Resolves with a Buffer (PDF) or string (HTML).
+ */
+async function renderMemoryBook(dashboard, { blobs, format = 'html', theme = DEFAULT_THEME }) {
+    const book = await collectBook(dashboard, blobs);
+    const colors = THEMES[theme] || THEMES[DEFAULT_THEME];
+    if (format !== 'pdf') return renderHtml(book, colors);
+
+    const texts = [book.title, book.names, ...book.dates.map(item => item.label), ...book.notes.map(note => note.text),
+        ...book.photos.map(photo => photo.caption), ...book.milestones];
+    if (!texts.every(canShow)) {
+        throw new BookError("Some of your writing (like Burmese) can't go into the PDF yet - " +
+            "download the web page version and print it, or save it as a PDF from your browser");
+    }
+
+    // The PDF only takes JPEG; a photo that can't be converted is left out
+    for (const photo of book.photos) {
+        photo.jpeg = photo.contentType === 'image/jpeg'
+            ? photo.buffer
+            : await toJpeg(photo.buffer, photo.contentType).catch(() => null);
+    }
+    return renderPdf(book, colors);
+}
+
+module.exports = { renderMemoryBook, BookError, THEMES };
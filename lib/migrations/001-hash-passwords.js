@@ -0,0 +1,16 @@
+const bcrypt = require('bcryptjs');
+
+// Early accounts stored plain text passwords. Hash them and drop the plain text.
+module.exports = {
+    version: 1,
+    name: 'hash-passwords',
+    async up(db) {
+        for (const user of Object.values(db.users)) {
+            if (user.password && !user.passwordHash) {
+                console.log(`Migrating password for user: ${user.username}`);
+                user.passwordHash = await bcrypt.hash(user.password, 10);
+            }
+            delete user.password; // Remove plain text password
+        }
+    }
+};
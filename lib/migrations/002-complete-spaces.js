@@ -0,0 +1,23 @@
+const { createSpace } = require('../spaces');
+
+// Spaces predate the pet and sunflower, and /api/disconnect used to create
+// spaces without a sunflower. Give every space the full shape, and make sure
+// every user's space (and personal space) actually exists.
+module.exports = {
+    version: 2,
+    name: 'complete-spaces',
+    up(db) {
+        for (const user of Object.values(db.users)) {
+            for (const spaceId of [user.spaceId, `SPACE_${user.id}`]) {
+                if (spaceId && !db.spaces[spaceId]) db.spaces[spaceId] = createSpace();
+            }
+        }
+
+        for (const space of Object.values(db.spaces)) {
+            const defaults = createSpace();
+            for (const key of Object.keys(defaults)) {
+                if (space[key] === undefined || space[key] === null) space[key] = defaults[key];
+            }
+        }
+    }
+};
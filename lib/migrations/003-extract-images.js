@@ -0,0 +1,19 @@
+const { storeImage } = require('../images');
+
+// Photos used to live inside database.json as base64 data URLs. Move them into
+// the blob store and keep only metadata in the space. A data URL whose bytes
+// aren't an image is dropped - it never showed as a photo anyway.
+module.exports = {
+    version: 3,
+    name: 'extract-images',
+    async up(db, { blobs }) {
+        for (const space of Object.values(db.spaces)) {
+            const images = [];
+            for (const image of space.images || []) {
+                const stored = await storeImage(blobs, image);
+                if (stored) images.push(stored);
+            }
+            space.images = images;
+        }
+    }
+};
@@ -0,0 +1,19 @@
+const { generateItemId } = require('../ids');
+
+// Notes, dates and photos were addressed by array index, which breaks as soon
+// as two people edit the same list. Give every item a stable id; plain string
+// notes become { id, text }.
+module.exports = {
+    version: 4,
+    name: 'item-ids',
+    up(db) {
+        for (const space of Object.values(db.spaces)) {
+            space.notes = space.notes.map(note => {
+                const item = typeof note === 'string' ? { text: note } : note;
+                return { ...item, id: item.id || generateItemId() };
+            });
+            space.dates = space.dates.map(date => ({ ...date, id: date.id || generateItemId() }));
+            space.images = space.images.map(image => ({ ...image, id: image.id || generateItemId() }));
+        }
+    }
+};
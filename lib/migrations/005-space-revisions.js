@@ -0,0 +1,10 @@
+// Spaces carry a revision counter for optimistic concurrency; existing ones start at 0.
+module.exports = {
+    version: 5,
+    name: 'space-revisions',
+    up(db) {
+        for (const space of Object.values(db.spaces)) {
+            if (!Number.isInteger(space.revision)) space.revision = 0;
+        }
+    }
+};
@@ -0,0 +1,14 @@
+// The isAdmin flag becomes an explicit `roles` list (see lib/roles.js). The flag
+// can't be trusted - registering as "admin" used to set it - so nobody keeps admin
+// rights through this migration: every account starts with no roles, and the
+// first admin is picked with `npm run bootstrap-admin` (scripts/bootstrap-admin.js).
+module.exports = {
+    version: 6,
+    name: 'user-roles',
+    up(db) {
+        for (const user of Object.values(db.users)) {
+            if (!Array.isArray(user.roles)) user.roles = [];
+            delete user.isAdmin;
+        }
+    }
+};
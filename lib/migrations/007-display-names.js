@@ -0,0 +1,11 @@
+// Users get a `displayName` separate from their login handle (see lib/profile.js);
+// it starts out as the name they signed up with.
+module.exports = {
+    version: 7,
+    name: 'display-names',
+    up(db) {
+        for (const user of Object.values(db.users)) {
+            if (!user.displayName) user.displayName = user.username;
+        }
+    }
+};
@@ -0,0 +1,15 @@
+const { completeNote } = require('../spaces');
+
+// Notes become { id, text, authorId, createdAt, editedAt, pinned, color } (see
+// createNote in lib/spaces.js); any that are still plain strings are converted too.
+// Who wrote an older note, and when, was never recorded, so those stay null
+// rather than being guessed.
+module.exports = {
+    version: 8,
+    name: 'note-fields',
+    up(db) {
+        for (const space of Object.values(db.spaces)) {
+            space.notes = space.notes.map(completeNote);
+        }
+    }
+};
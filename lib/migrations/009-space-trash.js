@@ -0,0 +1,11 @@
+// Deleting a note, date or photo now moves it to the space's trash (see
+// createTrashEntry in lib/spaces.js). Existing spaces start with an empty one.
+module.exports = {
+    version: 9,
+    name: 'space-trash',
+    up(db) {
+        for (const space of Object.values(db.spaces)) {
+            if (!Array.isArray(space.trash)) space.trash = [];
+        }
+    }
+};
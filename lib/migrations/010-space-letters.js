@@ -0,0 +1,10 @@
+// Spaces get a list of time-capsule letters (see lib/letters.js), empty to begin with.
+module.exports = {
+    version: 10,
+    name: 'space-letters',
+    up(db) {
+        for (const space of Object.values(db.spaces)) {
+            if (!Array.isArray(space.letters)) space.letters = [];
+        }
+    }
+};
@@ -0,0 +1,21 @@
+// Photo albums and tags (see createAlbum and cleanTags in lib/spaces.js): every
+// space gets an album list, every note and photo (in the trash too) a tag list,
+// and every photo a list of the albums it's in. All start out empty.
+module.exports = {
+    version: 11,
+    name: 'albums-and-tags',
+    up(db) {
+        for (const space of Object.values(db.spaces)) {
+            if (!Array.isArray(space.albums)) space.albums = [];
+            const trashed = collection => space.trash.filter(entry => entry.collection === collection).map(entry => entry.item);
+
+            for (const note of [...space.notes, ...trashed('notes')]) {
+                if (!Array.isArray(note.tags)) note.tags = [];
+            }
+            for (const image of [...space.images, ...trashed('images')]) {
+                if (!Array.isArray(image.tags)) image.tags = [];
+                if (!Array.isArray(image.albumIds)) image.albumIds = [];
+            }
+        }
+    }
+};
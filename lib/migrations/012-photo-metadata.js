@@ -0,0 +1,26 @@
+const { readCaptureDate } = require('../exif');
+
+// Photo metadata: every photo (in the trash too) gets a caption, an uploaderId
+// (null when nobody recorded it) and a takenAt - read from the EXIF data of the
+// stored original where it has some, otherwise when it was uploaded.
+module.exports = {
+    version: 12,
+    name: 'photo-metadata',
+    async up(db, { blobs }) {
+        for (const space of Object.values(db.spaces)) {
+            const trashed = space.trash.filter(entry => entry.collection === 'images').map(entry => entry.item);
+
+            for (const image of [...space.images, ...trashed]) {
+                if (typeof image.caption !== 'string') image.caption = '';
+                if (image.uploaderId === undefined) image.uploaderId = null;
+                if (Number.isFinite(image.takenAt)) continue;
+
+                let takenAt = null;
+                if (image.hash && blobs.has(image.hash)) {
+                    takenAt = readCaptureDate(await blobs.read(image.hash), image.contentType);
+                }
+                image.takenAt = takenAt ?? image.addedAt ?? null;
+            }
+        }
+    }
+};
@@ -0,0 +1,73 @@
+/**
+ * Schema migrations.
+ *
+ * The database records the schema version it is at (`meta.schemaVersion`,
+ * 0 when missing). At startup every migration with a higher version runs, in
+ * order, before the server accepts requests - so handlers can rely on the
+ * current shape and never repair data themselves.
+ *
+ * A migration is { version, name, up(db, context) } where `db` is a plain
+ * { users, spaces, playground, sessions } object that `up` edits in place (it may be
+ * async) and `context` carries services it may need, like `blobs` (the blob
+ * store). That keeps each one runnable on its own against a fixture database.
+ * To add one: create the next numbered file and append it below.
+ */
+const MIGRATIONS = [
+    require('./001-hash-passwords'),
+    require('./002-complete-spaces'),
+    require('./003-extract-images'),
+    require('./004-item-ids'),
+    require('./005-space-revisions'),
+    require('./006-user-roles'),
+    require('./007-display-names'),
+    require('./008-note-fields'),
+    require('./009-space-trash'),
+    require('./010-space-letters'),
+    require('./011-albums-and-tags'),
+    require('./012-photo-metadata')
+];
+
+const LATEST_VERSION = MIGRATIONS[MIGRATIONS.length - 1].version;
+
+// Run the pending migrations on a plain db object. Resolves with the ones applied.
+async function migrate(db, fromVersion, context = {}, migrations = MIGRATIONS) {
+    const latest = migrations[migrations.length - 1].version;
+    if (fromVersion > latest) {
+        throw new Error(`Database schema v${fromVersion} is newer than this server understands (v${latest}). Refusing to start.`);
+    }
+
+    const applied = [];
+    for (const migration of migrations) {
+        if (migration.version <= fromVersion) continue;
+        await migration.up(db, context);
+        applied.push(migration);
+    }
+    return applied;
+}
+
+// Bring a storage instance up to the latest schema, committed as one transaction.
+async function migrateStorage(storage, context) {
+    const fromVersion = storage.getMeta('schemaVersion') || 0;
+    const db = storage.dump();
+    const existingIds = {};
+    for (const collection of Object.keys(db)) existingIds[collection] = Object.keys(db[collection]);
+
+    const applied = await migrate(db, fromVersion, context);
+    if (applied.length === 0) return applied;
+
+    await storage.transaction(tx => {
+        for (const collection of Object.keys(db)) {
+            for (const id of existingIds[collection]) {
+                if (!(id in db[collection])) tx.delete(collection, id);
+            }
+            for (const [id, record] of Object.entries(db[collection])) {
+                tx.put(collection, id, record);
+            }
+        }
+        tx.putMeta('schemaVersion', LATEST_VERSION);
+    }, { label: `migrate:v${fromVersion}->v${LATEST_VERSION}` });
+
+    return applied;
+}
+
+module.exports = { MIGRATIONS, LATEST_VERSION, migrate, migrateStorage };
@@ -0,0 +1,348 @@
+const zlib = require('zlib');
+
+/**
+ * A small PDF 1.4 writer - pages with filled rectangles, text in the standard
+ * Helvetica fonts and JPEG photos. Enough for the memory book, nothing more.
+ *
+ * Coordinates are in points (1/72 inch) measured from the TOP-left corner of
+ * the page, with text positioned by its baseline.
+ *
+ * The standard fonts only cover Windows-1252 (Latin) text. Embedding a font
+ * file wouldn't be enough for scripts like Burmese, whose letters have to be
+ * reordered and combined by a shaping engine before they can be drawn, so
+ * callers check canShow() first and send such text to the HTML book instead.
+ * Emoji are dropped; any other character the fonts can't show comes out as "?".
+ */
+
+const A4 = { width: 595.28, height: 841.89 };
+
+const FONTS = {
+    regular: 'Helvetica',
+    bold: 'Helvetica-Bold',
+    italic: 'Helvetica-Oblique',
+    boldItalic: 'Helvetica-BoldOblique',
+    mono: 'Courier'
+};
+
+// Glyph widths (1/1000 em) for ASCII 32-126, from the Adobe Font Metrics files
+const HELVETICA_WIDTHS = [
+    278, 278, 355, 556, 556, 889, 667, 191, 333, 333, 389, 584, 278, 333, 278, 278,
+    556, 556, 556, 556, 556, 556, 556, 556, 556, 556, 278, 278, 584, 584, 584, 556,
+    1015, 667, 667, 722, 722, 667, 611, 778, 722, 278, 500, 667, 556, 833, 722, 778,
+    667, 778, 722, 667, 611, 722, 667, 944, 667, 667, 611, 278, 278, 278, 469, 556,
+    333, 556, 556, 500, 556, 556, 278, 556, 556, 222, 222, 500, 222, 833, 556, 556,
+    556, 556, 333, 500, 278, 556, 500, 722, 500, 500, 500, 334, 260, 334, 584
+];
+const HELVETICA_BOLD_WIDTHS = [
+    278, 333, 474, 556, 556, 889, 722, 238, 333, 333, 389, 584, 278, 333, 278, 278,
+    556, 556, 556, 556, 556, 556, 556, 556, 556, 556, 333, 333, 584, 584, 584, 611,
+    975, 722, 722, 722, 722, 667, 611, 778, 722, 278, 556, 722, 611, 833, 722, 778,
+    667, 778, 722, 667, 611, 722, 667, 944, 667, 667, 611, 333, 278, 333, 584, 556,
+    333, 556, 611, 556, 611, 556, 333, 611, 611, 278, 278, 556, 278, 889, 611, 611,
+    611, 611, 389, 556, 333, 611, 556, 778, 556, 556, 500, 389, 280, 389, 584
+];
+const DEFAULT_WIDTH = 556; // Close enough for accented Latin letters
+const MONO_WIDTH = 600; // Every Courier glyph
+
+// Windows-1252 characters outside Latin-1, by code point
+const WIN_ANSI_EXTRAS = {
+    0x20AC: 0x80, 0x201A: 0x82, 0x0192: 0x83, 0x201E: 0x84, 0x2026: 0x85, 0x2020: 0x86, 0x2021: 0x87,
+    0x02C6: 0x88, 0x2030: 0x89, 0x0160: 0x8A, 0x2039: 0x8B, 0x0152: 0x8C, 0x017D: 0x8E, 0x2018: 0x91,
+    0x2019: 0x92, 0x201C: 0x93, 0x201D: 0x94, 0x2022: 0x95, 0x2013: 0x96, 0x2014: 0x97, 0x02DC: 0x98,
+    0x2122: 0x99, 0x0161: 0x9A, 0x203A: 0x9B, 0x0153: 0x9C, 0x017E: 0x9E, 0x0178: 0x9F
+};
+
+// Emoji are left out rather than shown as "?"; whitespace becomes plain spaces
+const dropEmoji = text => String(text)
+    .replace(/[\p{Extended_Pictographic}\u200D\uFE0E\uFE0F]/gu, '')
+    .replace(/\s+/g, ' ');
+
+// A character's Windows-1252 byte, or null if it has none
+function winAnsiByte(char) {
+    const code = char.codePointAt(0);
+    if ((code >= 32 && code <= 126) || (code >= 160 && code <= 255)) return code;
+    return WIN_ANSI_EXTRAS[code] || null;
+}
+
+// Map text to Windows-1252 byte values
+function encodeWinAnsi(text) {
+    return [...dropEmoji(text)].map(char => winAnsiByte(char) ?? 63); // '?'
+}
+
+// Whether the standard fonts can show all of `text` (emoji aside)
+function canShow(text) {
+    return [...dropEmoji(text)].every(char => winAnsiByte(char) !== null);
+}
+
+function widthOf(text, font = 'regular', size = 12) {
+    const table = font === 'bold' || font === 'boldItalic' ? HELVETICA_BOLD_WIDTHS : HELVETICA_WIDTHS;
+    let total = 0;
+    for (const byte of encodeWinAnsi(text)) {
+        if (font === 'mono') total += MONO_WIDTH;
+        else total += byte >= 32 && byte <= 126 ? table[byte - 32] : DEFAULT_WIDTH;
+    }
+    return (total * size) / 1000;
+}
+
+// Break text into lines no wider than maxWidth, splitting overlong words if needed
+function wrapText(text, maxWidth, font = 'regular', size = 12) {
+    const lines = [];
+    for (const paragraph of String(text).split(/\r?\n/)) {
+        let line = '';
+        for (const word of paragraph.split(/\s+/).filter(Boolean)) {
+            const candidate = line ? `${line} ${word}` : word;
+            if (widthOf(candidate, font, size) <= maxWidth) {
+                line = candidate;
+                continue;
+            }
+            if (line) lines.push(line);
+            line = word;
+            while (widthOf(line, font, size) > maxWidth && line.length > 1) {
+                let cut = line.length - 1;
+                while (cut > 1 && widthOf(line.slice(0, cut), font, size) > maxWidth) cut--;
+                lines.push(line.slice(0, cut));
+                line = line.slice(cut);
+            }
+        }
+        lines.push(line);
+    }
+    return lines;
+}
+
+/**
+ * wrapText() for text in several styles. `runs` is [{ text, font, ... }] - any
+ * other properties are passed through - and each line comes back as such runs
+ * with an added `x`, the offset from the line's start. "\n" starts a new line.
+ */
+function wrapRuns(runs, maxWidth, size = 12) {
+    const lines = [[]];
+    let x = 0;
+    let space = null; // The run a space between words belongs to, until the next word is placed
+    const place = (run, text) => {
+        const line = lines[lines.length - 1];
+        const last = line[line.length - 1];
+        if (last?.run === run) last.text += text;
+        else line.push({ run, text, x });
+        x += widthOf(text, run.font, size);
+    };
+    const newLine = () => {
+        lines.push([]);
+        x = 0;
+        space = null;
+    };
+
+    for (const run of runs) {
+        String(run.text).split('\n').forEach((part, i) => {
+            if (i > 0) newLine();
+            for (const token of part.split(/(\s+)/)) {
+                if (!token) continue;
+                if (/^\s/.test(token)) {
+                    if (x > 0) space = run;
+                    continue;
+                }
+                const spaceWidth = space ? widthOf(' ', space.font, size) : 0;
+                if (x > 0 && x + spaceWidth + widthOf(token, run.font, size) > maxWidth) newLine();
+                if (space) place(space, ' ');
+                space = null;
+
+                let word = token;
+                while (widthOf(word, run.font, size) > maxWidth - x && word.length > 1) {
+                    let cut = word.length - 1;
+                    while (cut > 1 && widthOf(word.slice(0, cut), run.font, size) > maxWidth - x) cut--;
+                    place(run, word.slice(0, cut));
+                    newLine();
+                    word = word.slice(cut);
+                }
+                place(run, word);
+            }
+        });
+    }
+    return lines.map(line => line.map(({ run, text, x: offset }) => ({ ...run, text, x: offset })));
+}
+
+function pdfString(text) {
+    let out = '(';
+    for (const byte of encodeWinAnsi(text)) {
+        if (byte === 0x28 || byte === 0x29 || byte === 0x5C) out += '\\' + String.fromCharCode(byte);
+        else if (byte > 126) out += '\\' + byte.toString(8).padStart(3, '0');
+        else out += String.fromCharCode(byte);
+    }
+    return out + ')';
+}
+
+function colorOperands(hex) {
+    const value = parseInt(hex.replace('#', ''), 16);
+    return [(value >> 16) & 255, (value >> 8) & 255, value & 255].map(c => (c / 255).toFixed(3)).join(' ');
+}
+
+const num = value => Number(value.toFixed(2));
+
+/**
+ * Read width, height and colour components from a JPEG's start-of-frame
+ * marker. Returns null if the data isn't a JPEG we can embed as-is.
+ */
+function readJpegInfo(buffer) {
+    if (buffer.length < 4 || buffer[0] !== 0xFF || buffer[1] !== 0xD8) return null;
+    let pos = 2;
+    while (pos + 9 < buffer.length) {
+        if (buffer[pos] !== 0xFF) return null;
+        const marker = buffer[pos + 1];
+        if (marker === 0xFF) {
+            pos++; // Fill byte
+            continue;
+        }
+        const length = buffer.readUInt16BE(pos + 2);
+        // SOF0-SOF15, except DHT (C4), JPG (C8) and DAC (CC)
+        if (marker >= 0xC0 && marker <= 0xCF && ![0xC4, 0xC8, 0xCC].includes(marker)) {
+            return {
+                height: buffer.readUInt16BE(pos + 5),
+                width: buffer.readUInt16BE(pos + 7),
+                components: buffer[pos + 9]
+            };
+        }
+        pos += 2 + length;
+    }
+    return null;
+}
+
+class PdfPage {
+    constructor(doc) {
+        this.doc = doc;
+        this.width = doc.width;
+        this.height = doc.height;
+        this.ops = [];
+        this.images = new Set();
+    }
+
+    rect(x, y, width, height, { fill, stroke, lineWidth = 1 } = {}) {
+        const parts = [];
+        if (fill) parts.push(`${colorOperands(fill)} rg`);
+        if (stroke) parts.push(`${colorOperands(stroke)} RG ${num(lineWidth)} w`);
+        parts.push(`${num(x)} ${num(this.height - y - height)} ${num(width)} ${num(height)} re`);
+        parts.push(fill && stroke ? 'B' : fill ? 'f' : 'S');
+        this.ops.push(parts.join(' '));
+        return this;
+    }
+
+    line(x1, y1, x2, y2, { color = '#000000', lineWidth = 1 } = {}) {
+        this.ops.push(`${colorOperands(color)} RG ${num(lineWidth)} w ${num(x1)} ${num(this.height - y1)} m ${num(x2)} ${num(this.height - y2)} l S`);
+        return this;
+    }
+
+    // `align` is 'left' (x is the left edge), 'center' or 'right'
+    text(text, x, y, { font = 'regular', size = 12, color = '#000000', align = 'left' } = {}) {
+        const width = widthOf(text, font, size);
+        const left = align === 'center' ? x - width / 2 : align === 'right' ? x - width : x;
+        this.doc.useFont(font);
+        this.ops.push(`BT /F${font} ${num(size)} Tf ${colorOperands(color)} rg ${num(left)} ${num(this.height - y)} Td ${pdfString(text)} Tj ET`);
+        return this;
+    }
+
+    image(image, x, y, width, height) {
+        this.images.add(image);
+        this.ops.push(`q ${num(width)} 0 0 ${num(height)} ${num(x)} ${num(this.height - y - height)} cm /${image.name} Do Q`);
+        return this;
+    }
+}
+
+class PdfDocument {
+    constructor({ width = A4.width, height = A4.height, title = '' } = {}) {
+        this.width = width;
+        this.height = height;
+        this.title = title;
+        this.pages = [];
+        this.images = [];
+        this.fonts = new Set();
+    }
+
+    addPage() {
+        const page = new PdfPage(this);
+        this.pages.push(page);
+        return page;
+    }
+
+    useFont(font) {
+        if (!FONTS[font]) throw new Error(`Unknown font "${font}"`);
+        this.fonts.add(font);
+    }
+
+    /**
+     * Register a JPEG for use with page.image(). Returns { name, width, height },
+     * or null if the data isn't a JPEG.
+     */
+    addJpeg(buffer) {
+        const info = readJpegInfo(buffer);
+        if (!info || ![1, 3, 4].includes(info.components)) return null;
+        const image = { name: `Im${this.images.length + 1}`, buffer, ...info };
+        this.images.push(image);
+        return image;
+    }
+
+    toBuffer() {
+        const chunks = [];
+        const offsets = [];
+        let length = 0;
+        const push = data => {
+            const buffer = Buffer.isBuffer(data) ? data : Buffer.from(data, 'latin1');
+            chunks.push(buffer);
+            length += buffer.length;
+        };
+
+        // Object numbers: 1 catalog, 2 page tree, 3 info, then fonts, images, and two per page
+        let next = 4;
+        const fontIds = {};
+        for (const font of this.fonts) fontIds[font] = next++;
+        const imageIds = new Map(this.images.map(image => [image, next++]));
+        const pageIds = this.pages.map(() => {
+            const ids = { page: next, content: next + 1 };
+            next += 2;
+            return ids;
+        });
+
+        const object = (id, body, stream) => {
+            offsets[id] = length;
+            push(`${id} 0 obj\n${body}\n`);
+            if (stream) {
+                push('stream\n');
+                push(stream);
+                push('\nendstream\n');
+            }
+            push('endobj\n');
+        };
+
+        push('%PDF-1.4\n%\xE2\xE3\xCF\xD3\n');
+        object(1, '<< /Type /Catalog /Pages 2 0 R >>');
+        object(2, `<< /Type /Pages /Kids [${pageIds.map(ids => `${ids.page} 0 R`).join(' ')}] /Count ${this.pages.length} >>`);
+        object(3, `<< /Title ${pdfString(this.title)} /Producer (KeepMemories) /CreationDate (D:${new Date().toISOString().replace(/[-:T]/g, '').slice(0, 14)}Z) >>`);
+
+        for (const [font, id] of Object.entries(fontIds)) {
+            object(id, `<< /Type /Font /Subtype /Type1 /BaseFont /${FONTS[font]} /Encoding /WinAnsiEncoding >>`);
+        }
+
+        for (const [image, id] of imageIds) {
+            const colorSpace = { 1: '/DeviceGray', 3: '/DeviceRGB', 4: '/DeviceCMYK' }[image.components];
+            // Adobe's CMYK JPEGs are stored inverted
+            const decode = image.components === 4 ? ' /Decode [1 0 1 0 1 0 1 0]' : '';
+            object(id, `<< /Type /XObject /Subtype /Image /Width ${image.width} /Height ${image.height} /ColorSpace ${colorSpace} /BitsPerComponent 8 /Filter /DCTDecode${decode} /Length ${image.buffer.length} >>`, image.buffer);
+        }
+
+        const fontResources = Object.entries(fontIds).map(([font, id]) => `/F${font} ${id} 0 R`).join(' ');
+        this.pages.forEach((page, i) => {
+            const ids = pageIds[i];
+            const xobjects = [...page.images].map(image => `/${image.name} ${imageIds.get(image)} 0 R`).join(' ');
+            object(ids.page, `<< /Type /Page /Parent 2 0 R /MediaBox [0 0 ${num(this.width)} ${num(this.height)}] /Resources << /Font << ${fontResources} >> /XObject << ${xobjects} >> >> /Contents ${ids.content} 0 R >>`);
+            const content = zlib.deflateSync(Buffer.from(page.ops.join('\n'), 'latin1'));
+            object(ids.content, `<< /Length ${content.length} /Filter /FlateDecode >>`, content);
+        });
+
+        const xrefStart = length;
+        let xref = `xref\n0 ${next}\n0000000000 65535 f \n`;
+        for (let id = 1; id < next; id++) xref += `${String(offsets[id]).padStart(10, '0')} 00000 n \n`;
+        push(xref);
+        push(`trailer\n<< /Size ${next} /Root 1 0 R /Info 3 0 R >>\nstartxref\n${xrefStart}\n%%EOF\n`);
+
+        return Buffer.concat(chunks);
+    }
+}
+
+module.exports = { PdfDocument, canShow, widthOf, wrapText, wrapRuns, A4 };
@@ -0,0 +1,39 @@
+/**
+ * Who a user is to other people, as opposed to how they log in.
+ *
+ * - `username` is the login handle. Unique ignoring case ("Mya" and "mya" are
+ *   the same handle), and for new handles limited to letters, numbers and
+ *   `. _ -` so it can be typed on any keyboard. Handles from before this
+ *   rule (some have spaces) keep working.
+ * - `displayName` is what everyone sees: headers, the partner popup, the
+ *   admin table, the name over a playground sprite. Anything printable.
+ * - `avatar` is { hash, contentType } of an uploaded picture in the blob
+ *   store, or missing for the gender/couple default.
+ */
+
+const HANDLE_PATTERN = /^[\p{L}\p{M}\p{N}._-]{3,30}$/u;
+const MAX_DISPLAY_NAME = 40;
+const AVATAR_SIZE = 256; // px, longest side
+
+// What handles are compared by
+const handleKey = handle => String(handle).normalize('NFC').toLowerCase();
+
+// An error message, or null if `handle` can be given to an account
+function validateHandle(handle) {
+    if (typeof handle !== 'string' || !handle) return "Username required";
+    if (!HANDLE_PATTERN.test(handle)) {
+        return "Usernames are 3-30 letters or numbers, and may use . _ or -";
+    }
+    return null;
+}
+
+// An error message, or null; call with the trimmed name
+function validateDisplayName(name) {
+    if (typeof name !== 'string' || !name) return "Display name can't be empty";
+    if ([...name].length > MAX_DISPLAY_NAME) return `Display names are at most ${MAX_DISPLAY_NAME} characters`;
+    // Control characters and bidi overrides (which can make a name read backwards); joiners are fine - emoji and Burmese use them
+    if (/[\p{Cc}\u202A-\u202E\u2066-\u2069]/u.test(name)) return "Display name has characters that can't be shown";
+    return null;
+}
+
+module.exports = { handleKey, validateHandle, validateDisplayName, AVATAR_SIZE };
@@ -0,0 +1,43 @@
+const crypto = require('crypto');
+const bcrypt = require('bcryptjs');
+
+/**
+ * One-time account recovery codes - the way back in after a forgotten
+ * password, without needing an email service.
+ *
+ * Codes are shown to the user exactly once (at registration, or when they ask
+ * for a fresh set) and stored only as bcrypt hashes in `user.recoveryCodes`,
+ * like `passwordHash`. Using a code removes it from the list.
+ */
+
+const CODE_COUNT = 8;
+// No 0/O, 1/I/L - codes get copied off paper
+const ALPHABET = 'ABCDEFGHJKMNPQRSTUVWXYZ23456789';
+
+// "K7QM-2XPD-HT9R"
+function generateCode() {
+    const chars = Array.from({ length: 12 }, () => ALPHABET[crypto.randomInt(ALPHABET.length)]);
+    return [0, 4, 8].map(start => chars.slice(start, start + 4).join('')).join('-');
+}
+
+// Ignore case, spaces and dashes when a code is typed back in
+const normalize = code => String(code).toUpperCase().replace(/[^A-Z0-9]/g, '');
+
+// A fresh set: { codes } to show the user once, { hashes } to store
+async function createRecoveryCodes() {
+    const codes = Array.from({ length: CODE_COUNT }, generateCode);
+    const hashes = await Promise.all(codes.map(code => bcrypt.hash(normalize(code), 10)));
+    return { codes, hashes };
+}
+
+// The stored hash `code` matches, or null
+async function findRecoveryCode(hashes = [], code) {
+    const typed = normalize(code);
+    if (!typed) return null;
+    for (const hash of hashes) {
+        if (await bcrypt.compare(typed, hash)) return hash;
+    }
+    return null;
+}
+
+module.exports = { createRecoveryCodes, findRecoveryCode };
@@ -0,0 +1,25 @@
+// --- ROLES & PERMISSIONS ---
+// A user's `roles` is a list of names from ROLES; what they may do is the union
+// of those roles' permissions. Routes ask for a permission (see requirePermission
+// in server.js), never for a role or a username, so adding a role is one entry here.
+
+const ROLES = {
+    admin: ['admin:access', 'users:read', 'users:edit', 'roles:manage'],
+    support: ['admin:access', 'users:read'] // Can look, can't change anything
+};
+
+function permissionsOf(user) {
+    const permissions = new Set();
+    for (const role of user?.roles || []) {
+        for (const permission of ROLES[role] || []) permissions.add(permission);
+    }
+    return permissions;
+}
+
+function hasPermission(user, permission) {
+    return permissionsOf(user).has(permission);
+}
+
+const isValidRole = role => Object.prototype.hasOwnProperty.call(ROLES, role);
+
+module.exports = { ROLES, permissionsOf, hasPermission, isValidRole };
@@ -0,0 +1,239 @@
+// --- SEARCH ---
+// An in-memory inverted index over each space's notes, special dates and photos,
+// tags and replies included. server.js builds a space's index the first time someone
+// searches it and keeps it current from then on by feeding it every committed
+// write (see storage.onCommit).
+//
+// Words come from Intl.Segmenter, so scripts written without spaces between
+// words (Burmese, Thai, Chinese...) are split by ICU's dictionaries rather than
+// on whitespace. Every search term has to match, each as a word prefix: "beac"
+// finds "beach", "ကမ်း" finds "ကမ်းခြေ".
+
+const segmenter = new Intl.Segmenter('und', { granularity: 'word' });
+
+const SEARCH_COLLECTIONS = ['notes', 'dates', 'images'];
+const SNIPPET_LENGTH = 160; // Characters of context around the first hit
+const SNIPPET_LEAD = 40; // ...of which this many come before it
+const MAX_RESULTS = 50;
+
+// Case- and accent-insensitive form of a word. Only Latin accents are folded:
+// in Burmese and the other Brahmic scripts the combining marks are the vowels.
+function normalizeWord(word) {
+    return word.normalize('NFD')
+        .replace(/(\p{Script=Latin})\p{M}+/gu, '$1')
+        .normalize('NFKC')
+        .toLowerCase();
+}
+
+// [{ word, start, end }] for the words in `text` (punctuation, spaces and emoji skipped)
+function wordsOf(text) {
+    const words = [];
+    for (const { segment, index, isWordLike } of segmenter.segment(text)) {
+        if (isWordLike) words.push({ word: normalizeWord(segment), start: index, end: index + segment.length });
+    }
+    return words;
+}
+
+// The searchable pieces of a space: { key, collection, id, date, fields: [{ name, text }] }
+function documentsOf(space) {
+    const repliesOf = item => (item.replies || []).map(reply => ({ name: 'reply', text: reply.text }));
+    const tagsOf = item => ({ name: 'tags', text: (item.tags || []).map(tag => `#${tag}`).join(' ') });
+    const documents = [];
+
+    for (const note of space.notes || []) {
+        documents.push({
+            collection: 'notes', id: note.id, date: note.createdAt,
+            fields: [{ name: 'text', text: note.text }, tagsOf(note), ...repliesOf(note)]
+        });
+    }
+    for (const item of space.dates || []) {
+        documents.push({
+            collection: 'dates', id: item.id, date: Date.parse(item.date),
+            fields: [{ name: 'label', text: item.label }]
+        });
+    }
+    for (const image of space.images || []) {
+        documents.push({
+            collection: 'images', id: image.id, date: image.takenAt || image.addedAt,
+            fields: [{ name: 'caption', text: image.caption }, tagsOf(image), ...repliesOf(image)]
+        });
+    }
+
+    return documents.map(doc => ({
+        ...doc,
+        key: `${doc.collection}:${doc.id}`,
+        date: Number.isFinite(doc.date) ? doc.date : null,
+        fields: doc.fields.filter(field => typeof field.text === 'string' && field.text)
+    }));
+}
+
+// Where `term` would go in the sorted `words` (the first word >= term)
+function lowerBound(words, term) {
+    let low = 0;
+    let high = words.length;
+    while (low < high) {
+        const middle = (low + high) >>> 1;
+        if (words[middle] < term) low = middle + 1;
+        else high = middle;
+    }
+    return low;
+}
+
+class SearchIndex {
+    constructor() {
+        // spaceId -> { docs: Map(key -> doc), postings: Map(word -> Map(key -> count)),
+        //              sorted: every word in postings in code unit order, or null until the next search needs it }
+        this.spaces = new Map();
+    }
+
+    has(spaceId) {
+        return this.spaces.has(spaceId);
+    }
+
+    drop(spaceId) {
+        this.spaces.delete(spaceId);
+    }
+
+    // Bring the space's index in line with `space`, re-reading only items whose text changed
+    update(spaceId, space) {
+        if (!this.spaces.has(spaceId)) this.spaces.set(spaceId, { docs: new Map(), postings: new Map(), sorted: null });
+        const index = this.spaces.get(spaceId);
+        const seen = new Set();
+
+        for (const doc of documentsOf(space)) {
+            seen.add(doc.key);
+            doc.signature = JSON.stringify(doc.fields);
+            const old = index.docs.get(doc.key);
+            if (old?.signature === doc.signature) {
+                old.date = doc.date;
+                continue;
+            }
+            if (old) this.unindex(index, old);
+
+            doc.counts = new Map();
+            for (const field of doc.fields) {
+                for (const { word } of wordsOf(field.text)) doc.counts.set(word, (doc.counts.get(word) || 0) + 1);
+            }
+            for (const [word, count] of doc.counts) {
+                if (!index.postings.has(word)) {
+                    index.postings.set(word, new Map());
+                    index.sorted = null;
+                }
+                index.postings.get(word).set(doc.key, count);
+            }
+            index.docs.set(doc.key, doc);
+        }
+
+        for (const [key, doc] of index.docs) {
+            if (!seen.has(key)) this.unindex(index, doc);
+        }
+    }
+
+    unindex(index, doc) {
+        for (const word of doc.counts.keys()) {
+            const postings = index.postings.get(word);
+            postings.delete(doc.key);
+            if (postings.size === 0) {
+                index.postings.delete(word);
+                index.sorted = null;
+            }
+        }
+        index.docs.delete(doc.key);
+    }
+
+    // The words starting with `term`. They sit next to each other in the sorted
+    // word list, so this is a binary search and a walk over just those.
+    wordsStartingWith(index, term) {
+        if (!index.sorted) index.sorted = [...index.postings.keys()].sort();
+        const words = [];
+        for (let i = lowerBound(index.sorted, term); i < index.sorted.length && index.sorted[i].startsWith(term); i++) {
+            words.push(index.sorted[i]);
+        }
+        return words;
+    }
+
+    /**
+     * Best matches for `query` first (then newest first), as
+     * { total, results: [{ collection, id, date, field, snippet, highlights }] }.
+     * `highlights` are [start, end) offsets into `snippet`. Options narrow it down:
+     * collections (some of SEARCH_COLLECTIONS), from / to (epoch ms, inclusive; items
+     * without a date are left out when either is given), limit.
+     */
+    search(spaceId, query, { collections = SEARCH_COLLECTIONS, from = null, to = null, limit = MAX_RESULTS } = {}) {
+        const index = this.spaces.get(spaceId);
+        const terms = [...new Set(wordsOf(query).map(({ word }) => word))];
+        if (!index || terms.length === 0) return { total: 0, results: [] };
+
+        let scores = null; // key -> score, for documents matching every term so far
+        for (const term of terms) {
+            const found = new Map();
+            for (const word of this.wordsStartingWith(index, term)) {
+                const weight = word === term ? 2 : 1; // Whole words beat prefixes
+                for (const [key, count] of index.postings.get(word)) {
+                    if (scores && !scores.has(key)) continue;
+                    found.set(key, (found.get(key) ?? scores?.get(key) ?? 0) + count * weight);
+                }
+            }
+            scores = found;
+            if (scores.size === 0) break;
+        }
+
+        const matches = [...scores]
+            .map(([key, score]) => ({ doc: index.docs.get(key), score }))
+            .filter(({ doc }) => collections.includes(doc.collection))
+            .filter(({ doc }) => (from === null && to === null) || (doc.date !== null
+                && (from === null || doc.date >= from) && (to === null || doc.date <= to)))
+            .sort((a, b) => b.score - a.score || (b.doc.date || 0) - (a.doc.date || 0));
+
+        return {
+            total: matches.length,
+            results: matches.slice(0, limit).map(({ doc }) => ({
+                collection: doc.collection,
+                id: doc.id,
+                date: doc.date,
+                ...snippetOf(doc, terms)
+            }))
+        };
+    }
+}
+
+// The field with the first hit, cut to SNIPPET_LENGTH around it on word boundaries
+function snippetOf(doc, terms) {
+    const isHit = ({ word }) => terms.some(term => word.startsWith(term));
+    let field = doc.fields[0];
+    let words = [];
+    let hits = [];
+    for (const candidate of doc.fields) {
+        words = wordsOf(candidate.text);
+        hits = words.filter(isHit);
+        if (hits.length) {
+            field = candidate;
+            break;
+        }
+    }
+    if (!field) return { field: null, snippet: '', highlights: [] };
+
+    const { text } = field;
+    let start = 0;
+    let end = text.length;
+    if (text.length > SNIPPET_LENGTH) {
+        // Cut at word edges, so a word or grapheme (Burmese stacked consonants, emoji...) is never split
+        if (!hits.length) words = wordsOf(text);
+        const first = hits[0] || words[0] || { start: 0, end: SNIPPET_LENGTH };
+        start = first.start <= SNIPPET_LEAD ? 0
+            : words.filter(word => word.start <= first.start - SNIPPET_LEAD).pop()?.start ?? first.start;
+        end = Math.max(first.end, words.filter(word => word.end <= start + SNIPPET_LENGTH).pop()?.end ?? 0);
+        if (!words.some(word => word.start >= end)) end = text.length; // Only punctuation left
+    }
+
+    const prefix = start > 0 ? '…' : '';
+    const snippet = prefix + text.slice(start, end) + (end < text.length ? '…' : '');
+    const shift = prefix.length - start;
+    const highlights = hits
+        .filter(hit => hit.start >= start && hit.end <= end)
+        .map(hit => [hit.start + shift, hit.end + shift]);
+
+    return { field: field.name, snippet, highlights };
+}
+
+module.exports = { SearchIndex, SEARCH_COLLECTIONS, MAX_RESULTS };
@@ -0,0 +1,139 @@
+const crypto = require('crypto');
+const { generateId } = require('./ids');
+
+/**
+ * Login sessions.
+ *
+ * Logging in opens a session and hands out two tokens:
+ *   - an access token: a JWT carrying { userId, sid } that expires after
+ *     ACCESS_TOKEN_TTL and is sent with every request
+ *   - a refresh token: "<sessionId>.<secret>", traded in at /api/auth/refresh
+ *     for a new pair. Only a hash of the secret is stored, and every refresh
+ *     replaces it (rotation), so each refresh token works once.
+ *
+ * A session is { id, userId, refreshHash, previousHash, retiredHashes, rotatedAt,
+ * device, createdAt, lastUsedAt, expiresAt }. `retiredHashes` remembers the
+ * tokens rotated out before `previousHash` (newest first, MAX_RETIRED_HASHES
+ * of them), so an old token turning up again is recognised as a replay rather
+ * than just refused. Deleting a session logs that device out: its
+ * refresh token stops working and its access token is refused on the next
+ * request, since authenticate() checks the session still exists.
+ */
+
+const ACCESS_TOKEN_TTL = '15m';
+const REFRESH_TOKEN_TTL_MS = 30 * 24 * 60 * 60 * 1000; // Sliding: every refresh pushes it out again
+
+// Two tabs sharing a refresh token may both try to refresh at once. The loser
+// presents the token the winner just rotated out; within this window that's
+// forgiven, later it means a copied token is being replayed.
+const REUSE_GRACE_MS = 60 * 1000;
+// A refresh every 15 minutes makes this a few hours of a device's tokens
+const MAX_RETIRED_HASHES = 20;
+
+const hashSecret = secret => crypto.createHash('sha256').update(secret).digest('hex');
+
+// "Firefox on Android" from a User-Agent header - good enough to recognise your own devices
+function describeDevice(userAgent = '') {
+    const browser = [
+        [/Edg\//, 'Edge'],
+        [/OPR\/|Opera/, 'Opera'],
+        [/SamsungBrowser/, 'Samsung Internet'],
+        [/Firefox\//, 'Firefox'],
+        [/Chrome\/|CriOS/, 'Chrome'],
+        [/Safari\//, 'Safari']
+    ].find(([pattern]) => pattern.test(userAgent));
+    const os = [
+        [/Android/, 'Android'],
+        [/iPhone|iPad|iPod/, 'iOS'],
+        [/Windows/, 'Windows'],
+        [/Mac OS X|Macintosh/, 'macOS'],
+        [/CrOS/, 'ChromeOS'],
+        [/Linux/, 'Linux']
+    ].find(([pattern]) => pattern.test(userAgent));
+
+    if (!browser && !os) return 'Unknown device';
+    if (!os) return browser[1];
+    if (!browser) return os[1];
+    return `${browser[1]} on ${os[1]}`;
+}
+
+// A new session for `userId`; the refresh token is returned once and never stored
+function createSession(userId, userAgent, now = Date.now()) {
+    const secret = crypto.randomBytes(32).toString('base64url');
+    const session = {
+        id: generateId(16),
+        userId,
+        refreshHash: hashSecret(secret),
+        previousHash: null,
+        retiredHashes: [],
+        rotatedAt: now,
+        device: describeDevice(userAgent),
+        createdAt: now,
+        lastUsedAt: now,
+        expiresAt: now + REFRESH_TOKEN_TTL_MS
+    };
+    return { session, refreshToken: `${session.id}.${secret}` };
+}
+
+// Give the session a new refresh token (edits it in place); the old one stops working
+function rotateSession(session, now = Date.now()) {
+    const secret = crypto.randomBytes(32).toString('base64url');
+    if (session.previousHash) {
+        session.retiredHashes = [session.previousHash, ...(session.retiredHashes || [])].slice(0, MAX_RETIRED_HASHES);
+    }
+    session.previousHash = session.refreshHash;
+    session.refreshHash = hashSecret(secret);
+    session.rotatedAt = now;
+    session.lastUsedAt = now;
+    session.expiresAt = now + REFRESH_TOKEN_TTL_MS;
+    return `${session.id}.${secret}`;
+}
+
+// Split a refresh token into { sessionId, secret }, or null if it isn't one
+function parseRefreshToken(token) {
+    if (typeof token !== 'string') return null;
+    const [sessionId, secret, ...rest] = token.split('.');
+    if (!sessionId || !secret || rest.length) return null;
+    return { sessionId, secret };
+}
+
+/**
+ * How a presented refresh secret relates to the session:
+ *   'current' - the latest token, fine to rotate
+ *   'grace'   - the one just rotated out, by a concurrent refresh (see REUSE_GRACE_MS)
+ *   'reused'  - the rotated-out token replayed later, or any older one; the
+ *               session should be revoked
+ *   null      - not a token for this session at all
+ */
+function checkRefreshSecret(session, secret, now = Date.now()) {
+    const hash = hashSecret(secret);
+    const matches = stored => stored && crypto.timingSafeEqual(Buffer.from(stored, 'hex'), Buffer.from(hash, 'hex'));
+    if (matches(session.refreshHash)) return 'current';
+    if (matches(session.previousHash)) return now - session.rotatedAt < REUSE_GRACE_MS ? 'grace' : 'reused';
+    if ((session.retiredHashes || []).some(matches)) return 'reused';
+    return null;
+}
+
+const isExpired = (session, now = Date.now()) => session.expiresAt <= now;
+
+// What the session list shows - never the hashes
+function describeSession(session, currentSessionId) {
+    return {
+        id: session.id,
+        device: session.device,
+        createdAt: session.createdAt,
+        lastUsedAt: session.lastUsedAt,
+        current: session.id === currentSessionId
+    };
+}
+
+module.exports = {
+    ACCESS_TOKEN_TTL,
+    createSession,
+    rotateSession,
+    parseRefreshToken,
+    checkRefreshSecret,
+    isExpired,
+    describeSession,
+    describeDevice
+};
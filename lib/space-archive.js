@@ -0,0 +1,277 @@
+const { BlobStore } = require('./blob-store');
+const { ZipWriter, readZip } = require('./zip');
+const { imageHashes, detectImageType, checkDimensions } = require('./images');
+const { generateItemId } = require('./ids');
+const { completeNote, cleanTags, MAX_CAPTION_LENGTH } = require('./spaces');
+const { letterView } = require('./letters');
+
+/**
+ * Space archives ("Download our memories").
+ *
+ * An archive is a plain ZIP file that any unzip tool can open:
+ *
+ *   manifest.json            everything except the media, described below
+ *   media/<sha256>.<ext>     one file per photo / rendition, named by the
+ *                            SHA-256 of its bytes (same as the blob store)
+ *
+ * manifest.json:
+ *
+ *   {
+ *     "format": "keepmemories-space",   // always this string
+ *     "version": 1,                      // bumped on incompatible changes
+ *     "exportedAt": "2026-01-31T12:00:00.000Z",
+ *     "exportedBy": { "id": "AB12CD", "username": "..." },
+ *     "space": { "id": "SPACE_AB12CD", "revision": 42 },
+ *     "notes": [ { "id": "...", "text": "...", "authorId": "AB12CD", "createdAt": 1700000000000,
+ *                  "editedAt": null, "pinned": false, "color": "pink", "tags": ["beach"] } ],
+ *     "dates": [ { "id": "...", "date": "YYYY-MM-DD", "label": "...", "authorId": "AB12CD" } ],
+ *     "images": [ {
+ *         "id": "...", "hash": "<sha256>", "contentType": "image/jpeg",
+ *         "size": 123456, "width": 4032, "height": 3024, "addedAt": 1700000000000, "uploaderId": "AB12CD",
+ *         "takenAt": 1690000000000, "caption": "...", "tags": ["beach"], "albumIds": ["<album id>"],
+ *         "thumb":   { "hash": "<sha256>", "contentType": "image/jpeg", "width": 320, "height": 240 },
+ *         "display": { "hash": "<sha256>", "contentType": "image/jpeg", "width": 1280, "height": 960 }
+ *     } ],                               // photos kept as external links have { id, url, addedAt } instead
+ *     "albums": [ { "id": "...", "name": "First trip", "coverImageId": "<image id or null>",
+ *                   "authorId": "AB12CD", "createdAt": 1700000000000 } ],
+ *     "letters": [ { "id": "...", "title": "...", "body": "...", "authorId": "AB12CD",
+ *                    "createdAt": 1700000000000, "unlockAt": 1710000000000,
+ *                    "unlockEvent": { "dateId": "...", "label": "..." } or null, "sealed": false } ],
+ *     "pet": { "name": "...", "level": 3, "exp": 0, ... },
+ *     "sunflower": { "name": "...", "level": 1, "exp": 0, ... },
+ *     "media": { "<sha256>": { "path": "media/<sha256>.jpg", "contentType": "image/jpeg", "size": 123456 } }
+ *   }
+ *
+ * Items are exported as stored, so fields added by later versions simply come
+ * along - like the `reactions` and `replies` notes and photos can have (see
+ * lib/spaces.js). Every `hash` an image mentions has an entry in `media`.
+ * On import, each media file's type and size in pixels are read from its own
+ * bytes - the `contentType`, `width` and `height` in the manifest are ignored -
+ * and files that aren't a JPEG, PNG, GIF or WebP within MAX_PIXELS (see
+ * lib/images.js) are left out, along with the photos that need them.
+ * Letters still sealed at export time have `"body": null, "sealed": true` - their
+ * words never leave the server early (see lib/letters.js) - so importing one only
+ * works into a space that still has that letter.
+ * Whatever is in the space's trash is left out, and an import leaves the trash alone.
+ */
+
+const ARCHIVE_FORMAT = 'keepmemories-space';
+const ARCHIVE_VERSION = 1;
+const MANIFEST = 'manifest.json';
+
+const EXTENSIONS = { 'image/jpeg': 'jpg', 'image/png': 'png', 'image/gif': 'gif', 'image/webp': 'webp' };
+
+// What an imported archive may unpack to. Photos are stored, not deflated, so a
+// real archive unpacks to about its own size; see MAX_ARCHIVE_SIZE in server.js.
+const ZIP_LIMITS = {
+    maxEntries: 20000, // Each photo is up to three files: original, display and thumbnail
+    maxEntrySize: 64 * 1024 * 1024,
+    maxTotalSize: 400 * 1024 * 1024
+};
+
+// Thrown when an uploaded archive can't be imported; `status` is the HTTP status to answer with
+class ArchiveError extends Error {
+    constructor(message, status = 400) {
+        super(message);
+        this.name = 'ArchiveError';
+        this.status = status;
+    }
+}
+
+// Every blob an image entry points at, with its content type
+function imageMedia(image) {
+    const media = [];
+    if (image.hash) media.push({ hash: image.hash, contentType: image.contentType });
+    for (const rendition of [image.thumb, image.display]) {
+        if (rendition?.hash) media.push({ hash: rendition.hash, contentType: rendition.contentType });
+    }
+    return media;
+}
+
+/**
+ * Stream a space out as a ZIP archive. Media is read from the blob store one
+ * file at a time; the manifest goes last so it can list exactly what made it in.
+ */
+async function writeSpaceArchive(stream, { spaceId, space, user, blobs }) {
+    const zip = new ZipWriter(stream);
+    const media = {};
+
+    for (const image of space.images) {
+        for (const { hash, contentType } of imageMedia(image)) {
+            if (media[hash] || !blobs.has(hash)) continue;
+            const data = await blobs.read(hash);
+            const file = `media/${hash}.${EXTENSIONS[contentType] || 'bin'}`;
+            await zip.addFile(file, data);
+            media[hash] = { path: file, contentType: contentType || 'application/octet-stream', size: data.length };
+        }
+    }
+
+    const manifest = {
+        format: ARCHIVE_FORMAT,
+        version: ARCHIVE_VERSION,
+        exportedAt: new Date().toISOString(),
+        exportedBy: { id: user.id, username: user.username },
+        space: { id: spaceId, revision: space.revision },
+        notes: space.notes,
+        dates: space.dates,
+        images: space.images,
+        albums: space.albums,
+        letters: space.letters.map(letter => letterView(letter)),
+        pet: space.pet,
+        sunflower: space.sunflower,
+        media
+    };
+    await zip.addFile(MANIFEST, Buffer.from(JSON.stringify(manifest, null, 2)), { compress: true });
+    await zip.finish();
+}
+
+const isObject = value => value !== null && typeof value === 'object' && !Array.isArray(value);
+
+/**
+ * Unpack an archive: media goes into the blob store (after checking each file
+ * really hashes to its name and is an image, and the archive as a whole against
+ * ZIP_LIMITS) and the space contents are returned as
+ * { notes, dates, images, albums, letters, pet, sunflower }. Nothing is written to a space here.
+ */
+async function readSpaceArchive(buffer, blobs) {
+    let entries, manifest;
+    try {
+        entries = readZip(buffer, ZIP_LIMITS);
+        if (!entries.has(MANIFEST)) throw new Error("missing manifest.json");
+        manifest = JSON.parse(entries.get(MANIFEST)().toString('utf8'));
+    } catch (err) {
+        throw new ArchiveError(`Not a valid memories archive (${err.message})`);
+    }
+
+    if (manifest.format !== ARCHIVE_FORMAT) throw new ArchiveError("Not a KeepMemories archive");
+    if (manifest.version > ARCHIVE_VERSION) {
+        throw new ArchiveError("This archive was made by a newer version of KeepMemories");
+    }
+
+    const media = isObject(manifest.media) ? manifest.media : {};
+    const available = new Map(); // hash -> { contentType, width, height, size } as read from the file itself
+    for (const [hash, info] of Object.entries(media)) {
+        if (!BlobStore.isValidHash(hash) || !isObject(info)) continue;
+        const read = entries.get(info.path);
+        if (!read) continue;
+        let data;
+        try {
+            data = read();
+        } catch (err) {
+            throw new ArchiveError(err.message);
+        }
+        if (BlobStore.hash(data) !== hash) throw new ArchiveError(`Media file ${info.path} is damaged`);
+        const contentType = detectImageType(data);
+        let dimensions;
+        try {
+            dimensions = contentType && checkDimensions(data, contentType);
+        } catch (err) {
+            dimensions = null; // Unreadable, or too big to ever decode
+        }
+        if (!dimensions) continue;
+        await blobs.put(data);
+        available.set(hash, { contentType, width: dimensions.width, height: dimensions.height, size: data.length });
+    }
+
+    const list = value => (Array.isArray(value) ? value.filter(isObject) : []);
+    const notes = list(manifest.notes).filter(note => typeof note.text === 'string' && note.text.trim()).map(completeNote);
+    const dates = list(manifest.dates).filter(item =>
+        typeof item.date === 'string' && !isNaN(new Date(item.date)) && typeof item.label === 'string');
+    const albums = list(manifest.albums)
+        .filter(album => typeof album.id === 'string' && typeof album.name === 'string' && album.name.trim())
+        .map(album => ({
+            ...album,
+            coverImageId: typeof album.coverImageId === 'string' ? album.coverImageId : null,
+            authorId: album.authorId || null,
+            createdAt: Number.isFinite(album.createdAt) ? album.createdAt : null
+        }));
+    const albumIds = new Set(albums.map(album => album.id));
+    // A sealed letter (body null) is only good for finding the original again, so it needs its id
+    const letters = list(manifest.letters)
+        .filter(letter => typeof letter.title === 'string' && Number.isFinite(letter.unlockAt) &&
+            (typeof letter.body === 'string' || (letter.body === null && typeof letter.id === 'string')))
+        .map(({ sealed, ...letter }) => ({
+            ...letter,
+            authorId: letter.authorId || null,
+            createdAt: Number.isFinite(letter.createdAt) ? letter.createdAt : null,
+            unlockEvent: isObject(letter.unlockEvent) ? letter.unlockEvent : null
+        }));
+    // Caption, capture date, tags and album membership as this version expects them, whatever the archive had
+    const filed = image => ({
+        ...image,
+        caption: typeof image.caption === 'string' ? image.caption.slice(0, MAX_CAPTION_LENGTH) : '',
+        takenAt: [image.takenAt, image.addedAt].find(Number.isFinite) ?? null,
+        tags: cleanTags(image.tags) || [],
+        albumIds: Array.isArray(image.albumIds) ? image.albumIds.filter(id => albumIds.has(id)) : []
+    });
+
+    const images = [];
+    for (const image of list(manifest.images)) {
+        if (typeof image.url === 'string' && !image.hash) {
+            images.push(filed(image));
+            continue;
+        }
+        // Only files that came in this archive: a hash alone mustn't reach another space's photos
+        const file = available.get(image.hash);
+        if (!file) continue; // Photo itself is missing - skip it
+        // A missing rendition just means the original is shown instead
+        const rendition = entry => {
+            const { contentType, width, height } = available.get(entry?.hash) || {};
+            return contentType ? { hash: entry.hash, contentType, width, height } : null;
+        };
+        images.push({
+            ...filed(image),
+            ...file,
+            thumb: rendition(image.thumb),
+            display: rendition(image.display)
+        });
+    }
+
+    return {
+        notes,
+        dates,
+        images,
+        albums,
+        letters,
+        pet: isObject(manifest.pet) ? manifest.pet : null,
+        sunflower: isObject(manifest.sunflower) ? manifest.sunflower : null
+    };
+}
+
+/**
+ * Put imported contents into a space.
+ *   'merge'   - add notes, dates, photos, albums and letters the space doesn't have
+ *               yet (matched by id); the pet and sunflower are left alone
+ *   'replace' - the space becomes exactly what was in the archive
+ * A letter imported without its body (it was sealed when exported) is restored
+ * from the space's own copy, and dropped if the space doesn't have it.
+ * Returns how many items were added per collection.
+ */
+function restoreIntoSpace(space, imported, mode = 'merge') {
+    const added = {};
+    const ownLetters = new Map(space.letters.map(letter => [letter.id, letter]));
+    for (const collection of ['notes', 'dates', 'images', 'albums', 'letters']) {
+        if (mode === 'replace') space[collection] = [];
+        const ids = new Set(space[collection].map(item => item.id));
+        // Photos are also matched by file, so importing the same archive twice doesn't duplicate them
+        const hashes = new Set(space[collection].flatMap(item => (collection === 'images' ? imageHashes(item) : [])));
+
+        const fresh = (imported[collection] || [])
+            .filter(item => !ids.has(item.id) && !(collection === 'images' && item.hash && hashes.has(item.hash)))
+            .map(item => (collection === 'letters' && typeof item.body !== 'string' ? ownLetters.get(item.id) : item))
+            .filter(Boolean)
+            .map(item => ({ ...item, id: item.id || generateItemId() }));
+        space[collection].push(...fresh);
+        added[collection] = fresh.length;
+    }
+    space.dates.sort((a, b) => new Date(a.date) - new Date(b.date));
+    space.letters.sort((a, b) => (b.createdAt || 0) - (a.createdAt || 0)); // Newest first, as they're written
+
+    if (mode === 'replace') {
+        if (imported.pet) space.pet = imported.pet;
+        if (imported.sunflower) space.sunflower = imported.sunflower;
+    }
+    return added;
+}
+
+module.exports = { writeSpaceArchive, readSpaceArchive, restoreIntoSpace, ArchiveError };
@@ -0,0 +1,105 @@
+// --- SPACE DEFAULTS ---
+// Shared by route handlers and migrations so every space is built the same way.
+const { generateItemId } = require('./ids');
+
+const INITIAL_PET = { name: "Lovebug", level: 3, exp: 0, mood: "Happy", lastFed: 0 };
+const INITIAL_SUNFLOWER = { name: "Sunny", level: 1, exp: 0, stage: "Seed", lastWatered: 0, lastFertilized: 0 };
+
+function createSpace() {
+    return {
+        revision: 0, // Bumped on every write; see saveSpace() in server.js
+        notes: [],
+        images: [],
+        dates: [],
+        albums: [], // See createAlbum
+        letters: [], // Time-capsule letters, see lib/letters.js
+        trash: [], // See createTrashEntry
+        pet: { ...INITIAL_PET },
+        sunflower: { ...INITIAL_SUNFLOWER }
+    };
+}
+
+// Sticky-note colours a note can have; null is the theme's default
+const NOTE_COLORS = ['yellow', 'pink', 'blue', 'green', 'purple'];
+
+// Free-form tags on notes and photos, e.g. "beach" or "birthday 2025"
+const MAX_TAGS = 20;
+const MAX_TAG_LENGTH = 30;
+
+// Photos: { ..., uploaderId, addedAt, takenAt, caption, tags, albumIds }. takenAt is
+// when the photo was taken (from its EXIF data, see lib/exif.js), else when it was uploaded
+const MAX_CAPTION_LENGTH = 200;
+
+// Tidy a list of tags: trimmed, lowercased, no leading "#", no duplicates. Returns
+// null when it isn't a list of strings or has too many (or too long) tags.
+function cleanTags(tags) {
+    if (!Array.isArray(tags) || !tags.every(tag => typeof tag === 'string')) return null;
+    const cleaned = [...new Set(tags
+        .map(tag => tag.normalize('NFC').replace(/^\s*#+/, '').trim().replace(/\s+/g, ' ').toLowerCase())
+        .filter(Boolean))];
+    if (cleaned.length > MAX_TAGS || cleaned.some(tag => tag.length > MAX_TAG_LENGTH)) return null;
+    return cleaned;
+}
+
+/**
+ * A note: { id, text, authorId, createdAt, editedAt, pinned, color, tags }.
+ * Times are epoch ms; editedAt is null until the text is changed. Notes from
+ * before authorship was tracked have a null authorId and createdAt.
+ */
+function createNote({ text, authorId, pinned = false, color = null, tags = [] }) {
+    return { id: generateItemId(), text, authorId, createdAt: Date.now(), editedAt: null, pinned, color, tags };
+}
+
+// Fill in whatever an older note (or one from an older archive) is missing. Unknown fields are kept.
+function completeNote(note) {
+    const item = typeof note === 'string' ? { text: note } : note;
+    return {
+        ...item,
+        id: item.id || generateItemId(),
+        authorId: item.authorId || null,
+        createdAt: Number.isFinite(item.createdAt) ? item.createdAt : null,
+        editedAt: Number.isFinite(item.editedAt) ? item.editedAt : null,
+        pinned: item.pinned === true,
+        color: NOTE_COLORS.includes(item.color) ? item.color : null,
+        tags: cleanTags(item.tags) || []
+    };
+}
+
+/**
+ * A photo album: { id, name, coverImageId, authorId, createdAt }. Photos list the
+ * albums they're in as `albumIds` (a photo can be in several). coverImageId is
+ * one of the album's photos, or null to use its newest.
+ */
+function createAlbum({ name, authorId }) {
+    return { id: generateItemId(), name, coverImageId: null, authorId, createdAt: Date.now() };
+}
+
+/**
+ * Notes and photos can carry a conversation:
+ *   reactions: { "❤️": [userId, ...], ... }
+ *   replies:   [{ id, text, authorId, createdAt }, ...] oldest first
+ * Both are added on first use; an item without them simply has none.
+ */
+function createReply({ text, authorId }) {
+    return { id: generateItemId(), text, authorId, createdAt: Date.now() };
+}
+
+// Deleted notes, dates and photos wait in the space's trash this long, then a
+// scheduled job (purgeExpiredTrash in server.js) removes them for good
+const TRASH_RETENTION_MS = 30 * 24 * 60 * 60 * 1000;
+
+/**
+ * A trash entry: { id, collection, item, deletedAt, deletedBy }, newest first in
+ * `space.trash`. `id` is the deleted item's own id, so restoring it brings back
+ * the same item; `deletedBy` is the user who deleted it.
+ */
+function createTrashEntry(collection, item, deletedBy) {
+    return { id: item.id, collection, item, deletedAt: Date.now(), deletedBy };
+}
+
+const isTrashExpired = (entry, now = Date.now()) => now - entry.deletedAt >= TRASH_RETENTION_MS;
+
+module.exports = {
+    INITIAL_PET, INITIAL_SUNFLOWER, NOTE_COLORS, TRASH_RETENTION_MS, MAX_TAGS, MAX_TAG_LENGTH, MAX_CAPTION_LENGTH,
+    createSpace, createNote, completeNote, cleanTags, createAlbum, createReply, createTrashEntry, isTrashExpired
+};
@@ -0,0 +1,224 @@
+const { JsonFileBackend } = require('./json-file-backend');
+
+/**
+ * Storage layer for users, spaces, playground state and login sessions.
+ *
+ * Route handlers talk to this instead of a raw `db` object so the backend can be
+ * swapped (JSON file today, an embedded database later). A backend implements:
+ *
+ *   load()                       -> Promise<report>, read existing data
+ *   get(collection, id)          -> record or undefined
+ *   list(collection)             -> array of records
+ *   entries(collection)          -> array of [id, record]
+ *   commit(ops, { lazy, label }) -> Promise, apply + persist a batch of ops
+ *   close()                      -> Promise, flush anything outstanding
+ *
+ * Records returned by the Storage getters are the stored objects themselves:
+ * changing one changes what every later read sees at once, and it is only
+ * persisted when written back with the matching put. Inside a transaction, use
+ * the tx getters instead - they hand out copies (see transaction()).
+ *
+ * A record stays the same object for as long as it exists: a put copies its
+ * fields onto the stored object instead of replacing it. A handler that read a
+ * record before an await and saves it afterwards therefore keeps whatever other
+ * requests wrote meanwhile, bar the fields it changes itself.
+ *
+ * init() resolves with the backend's recovery report,
+ * { replayed: [{ seq, at, label }], droppedTail }, and rejects when existing
+ * data can't be read - callers must not carry on with an empty database.
+ */
+const BACKENDS = {
+    json: JsonFileBackend
+};
+
+const DATA_COLLECTIONS = ['users', 'spaces', 'playground', 'sessions'];
+
+class Transaction {
+    constructor(storage) {
+        this.storage = storage;
+        this.ops = [];
+        this.writes = new Map(); // `${collection}:${id}` -> value (null when deleted)
+        this.copies = new Map(); // `${collection}:${id}` -> this transaction's copy of the stored record
+    }
+
+    // What was written in this transaction, else a copy of the stored record - the
+    // same copy on every call, so changes to it carry through to the put
+    get(collection, id) {
+        const key = `${collection}:${id}`;
+        if (this.writes.has(key)) return this.writes.get(key);
+        if (!this.copies.has(key)) {
+            const record = this.storage.backend.get(collection, id);
+            this.copies.set(key, record === undefined || record === null ? null : structuredClone(record));
+        }
+        return this.copies.get(key);
+    }
+
+    put(collection, id, value) {
+        this.ops.push({ type: 'put', collection, id, value });
+        this.writes.set(`${collection}:${id}`, value);
+    }
+
+    delete(collection, id) {
+        this.ops.push({ type: 'delete', collection, id });
+        this.writes.set(`${collection}:${id}`, null);
+    }
+
+    getUser(id) { return this.get('users', id); }
+    putUser(user) { this.put('users', user.id, user); }
+    deleteUser(id) { this.delete('users', id); }
+
+    getSpace(id) { return this.get('spaces', id); }
+    putSpace(id, space) { this.put('spaces', id, space); }
+    deleteSpace(id) { this.delete('spaces', id); }
+
+    getPlayground(userId) { return this.get('playground', userId); }
+    putPlayground(userId, state) { this.put('playground', userId, state); }
+    deletePlayground(userId) { this.delete('playground', userId); }
+
+    getSession(id) { return this.get('sessions', id); }
+    putSession(session) { this.put('sessions', session.id, session); }
+    deleteSession(id) { this.delete('sessions', id); }
+
+    getMeta(key) { return this.get('meta', key); }
+    putMeta(key, value) { this.put('meta', key, value); }
+}
+
+class Storage {
+    constructor(backend) {
+        this.backend = backend;
+        this.commitListeners = [];
+    }
+
+    // Call `listener(ops)` after every committed batch, for in-memory views of
+    // the data (such as the search index) that must follow every write
+    onCommit(listener) {
+        this.commitListeners.push(listener);
+    }
+
+    init() {
+        return this.backend.load();
+    }
+
+    close() {
+        return this.backend.close();
+    }
+
+    // --- Reads ---
+    getUser(id) {
+        return this.backend.get('users', id) || null;
+    }
+
+    listUsers() {
+        return this.backend.list('users');
+    }
+
+    findUser(predicate) {
+        return this.listUsers().find(predicate) || null;
+    }
+
+    getSpace(id) {
+        return this.backend.get('spaces', id) || null;
+    }
+
+    // [spaceId, space] pairs, for jobs that look across every space
+    spaceEntries() {
+        return this.backend.entries('spaces');
+    }
+
+    getPlayground(userId) {
+        return this.backend.get('playground', userId) || null;
+    }
+
+    // [userId, state] pairs
+    playgroundEntries() {
+        return this.backend.entries('playground');
+    }
+
+    getSession(id) {
+        return this.backend.get('sessions', id) || null;
+    }
+
+    listSessions(userId) {
+        return this.backend.list('sessions').filter(session => session.userId === userId);
+    }
+
+    // Database-wide settings such as schemaVersion
+    getMeta(key) {
+        return this.backend.get('meta', key);
+    }
+
+    // Deep copy of every record, for whole-database jobs like migrations
+    dump() {
+        const db = {};
+        for (const collection of DATA_COLLECTIONS) {
+            db[collection] = structuredClone(Object.fromEntries(this.backend.entries(collection)));
+        }
+        return db;
+    }
+
+    // --- Single writes (each one is its own transaction) ---
+    putUser(user, options) {
+        return this.transaction(tx => tx.putUser(user), options);
+    }
+
+    deleteUser(id, options) {
+        return this.transaction(tx => tx.deleteUser(id), options);
+    }
+
+    putSpace(id, space, options) {
+        return this.transaction(tx => tx.putSpace(id, space), options);
+    }
+
+    deleteSpace(id, options) {
+        return this.transaction(tx => tx.deleteSpace(id), options);
+    }
+
+    putPlayground(userId, state, options) {
+        return this.transaction(tx => tx.putPlayground(userId, state), options);
+    }
+
+    deletePlayground(userId, options) {
+        return this.transaction(tx => tx.deletePlayground(userId), options);
+    }
+
+    putSession(session, options) {
+        return this.transaction(tx => tx.putSession(session), options);
+    }
+
+    deleteSession(id, options) {
+        return this.transaction(tx => tx.deleteSession(id), options);
+    }
+
+    /**
+     * Run `fn(tx)` and commit everything it wrote as one batch.
+     * `fn` must be synchronous so no other request can interleave with it. If it
+     * throws, nothing is written: records read through `tx` are copies, so
+     * changing them touches nothing until the commit. That doesn't cover
+     * records `fn` got from the Storage getters - changes to those take effect
+     * in memory straight away, throw or no throw. Resolves with whatever `fn`
+     * returned once the batch is persisted.
+     *
+     * Options:
+     *   label - what caused the write (e.g. "register"); recorded in the journal
+     *   lazy  - don't wait for the disk; for cheap bookkeeping like lastActive
+     */
+    async transaction(fn, options = {}) {
+        const tx = new Transaction(this);
+        const result = fn(tx);
+        if (tx.ops.length > 0) {
+            await this.backend.commit(tx.ops, options);
+            for (const listener of this.commitListeners) listener(tx.ops);
+        }
+        return result;
+    }
+}
+
+function createStorage({ backend = 'json', ...options }) {
+    const Backend = BACKENDS[backend];
+    if (!Backend) {
+        throw new Error(`Unknown storage backend "${backend}"`);
+    }
+    return new Storage(new Backend(options));
+}
+
+module.exports = { createStorage, Storage };
@@ -0,0 +1,78 @@
+const fs = require('fs');
+
+/**
+ * Append-only journal: one JSON entry per line.
+ * Every committed batch of storage operations lands here (fsync'd) before it is
+ * acknowledged, so the snapshot only has to be rewritten now and then.
+ */
+class Journal {
+    constructor(file) {
+        this.file = file;
+        this.handle = null;
+        this.size = 0; // Bytes of whole entries in the file
+    }
+
+    /**
+     * Read every entry in the journal.
+     * A half-written last line is what a crash mid-append looks like, so it is
+     * dropped (and reported). A bad line anywhere else means the file is damaged
+     * and we refuse to guess.
+     */
+    async read() {
+        if (!fs.existsSync(this.file)) return { entries: [], droppedTail: false };
+
+        const lines = (await fs.promises.readFile(this.file, 'utf8')).split('\n');
+        const entries = [];
+        let droppedTail = false;
+
+        for (let i = 0; i < lines.length; i++) {
+            if (!lines[i].trim()) continue;
+            try {
+                entries.push(JSON.parse(lines[i]));
+            } catch (err) {
+                const isLastLine = lines.slice(i + 1).every(line => !line.trim());
+                if (!isLastLine) {
+                    throw new Error(`Journal ${this.file} is corrupt at line ${i + 1}: ${err.message}`);
+                }
+                droppedTail = true;
+            }
+        }
+        return { entries, droppedTail };
+    }
+
+    async open() {
+        this.handle = await fs.promises.open(this.file, 'a');
+        this.size = (await this.handle.stat()).size;
+    }
+
+    // `lines` are already-serialized entries. If the write fails, whatever part of
+    // it got into the file is cut off again (as far as the disk lets us), so a
+    // restart doesn't replay entries the caller was told failed.
+    async append(lines) {
+        const text = Buffer.from(lines.map(line => line + '\n').join(''));
+        try {
+            await this.handle.write(text);
+            await this.handle.sync();
+        } catch (err) {
+            await this.handle.truncate(this.size).catch(() => { });
+            throw err;
+        }
+        this.size += text.length;
+    }
+
+    // Called after a snapshot has safely absorbed everything in the journal
+    async reset() {
+        await this.handle.truncate(0);
+        await this.handle.sync();
+        this.size = 0;
+    }
+
+    async close() {
+        if (this.handle) {
+            await this.handle.close();
+            this.handle = null;
+        }
+    }
+}
+
+module.exports = { Journal };
@@ -0,0 +1,321 @@
+const fs = require('fs');
+const path = require('path');
+const { Journal } = require('./journal');
+
+// Collections every snapshot is guaranteed to have
+const COLLECTIONS = ['meta', 'users', 'spaces', 'playground', 'sessions'];
+
+/**
+ * JSON file backend - the whole database lives in memory, backed by a JSON
+ * snapshot plus an append-only journal next to it (`database.json.journal`).
+ *
+ * Every commit is appended to the journal and fsync'd before it resolves.
+ * Appends that arrive while another one is in flight are coalesced into one
+ * write. Commits change memory straight away, so reads see them while the write
+ * is under way; if the append fails, memory is rolled back to what is on disk
+ * and every commit still waiting for it is rejected. Every so often the journal
+ * is compacted: the snapshot is rewritten crash-safely (temp file, fsync,
+ * rename) and the journal is emptied.
+ *
+ * At startup the snapshot is loaded and any journal entries newer than it are
+ * replayed. If either file can't be read we refuse to start rather than
+ * silently begin with an empty database.
+ */
+class JsonFileBackend {
+    constructor({ file, lazyFlushMs = 30000, compactEvery = 500, compactIntervalMs = 10 * 60 * 1000 }) {
+        this.file = file;
+        this.tmpFile = `${file}.tmp`;
+        this.journal = new Journal(`${file}.journal`);
+        this.lazyFlushMs = lazyFlushMs;
+        this.compactEvery = compactEvery;
+        this.compactIntervalMs = compactIntervalMs;
+        this.data = emptySnapshot();
+
+        this.seq = 0;               // Sequence number of the last applied entry
+        this.unappended = [];       // Entries applied in memory, waiting for the journal
+        this.lazyOps = [];          // Lazy ops applied in memory, not yet part of an entry
+        this.undoLog = [];          // [{ seq, undo }] for every apply not on disk yet; seq is the entry it goes out in
+        this.entriesSinceCompact = 0;
+
+        this.chain = Promise.resolve(); // Journal appends and compactions run one at a time
+        this.appendQueued = null;       // Next append, shared by everyone who commits meanwhile
+        this.lazyTimer = null;
+        this.compactTimer = null;
+    }
+
+    /**
+     * Load the snapshot and replay the journal on top of it.
+     * Resolves with a recovery report: { replayed: [{ seq, at, label }], droppedTail }.
+     */
+    async load() {
+        // A leftover temp file means we crashed mid-snapshot; the real file is still intact
+        await fs.promises.rm(this.tmpFile, { force: true });
+
+        if (fs.existsSync(this.file)) {
+            let loadedData;
+            try {
+                loadedData = JSON.parse(await fs.promises.readFile(this.file, 'utf8'));
+            } catch (err) {
+                throw new Error(`Cannot read ${this.file} (${err.message}). Refusing to start with an empty database - restore the file from a backup.`);
+            }
+            this.data = { ...emptySnapshot(), ...loadedData };
+            for (const collection of COLLECTIONS) {
+                if (!this.data[collection]) this.data[collection] = {};
+            }
+        }
+        this.seq = this.data.meta.journalSeq || 0;
+
+        const { entries, droppedTail } = await this.journal.read();
+        const replayed = [];
+        for (const entry of entries) {
+            // Entries already folded into the snapshot (crash between snapshot and journal reset)
+            if (entry.seq <= this.seq) continue;
+            this.apply(entry.ops);
+            this.seq = entry.seq;
+            replayed.push({ seq: entry.seq, at: entry.at, label: entry.label });
+        }
+
+        await this.journal.open();
+        // Fold whatever we replayed into a fresh snapshot right away
+        if (replayed.length > 0 || droppedTail) {
+            await this.compact();
+        }
+
+        this.compactTimer = setInterval(() => {
+            if (this.entriesSinceCompact > 0 || this.lazyOps.length > 0) {
+                this.compact().catch(err => console.error("Critical error compacting database:", err));
+            }
+        }, this.compactIntervalMs);
+        this.compactTimer.unref();
+
+        return { replayed, droppedTail };
+    }
+
+    get(collection, id) {
+        return this.data[collection][id];
+    }
+
+    list(collection) {
+        return Object.values(this.data[collection]);
+    }
+
+    entries(collection) {
+        return Object.entries(this.data[collection]);
+    }
+
+    // A put over an existing record copies the new fields onto the stored object
+    // rather than swapping it out, so a handler still holding that object (across
+    // an await, say) sees the write instead of saving the old fields back over it.
+    // Returns the steps that undo it (see revert()).
+    apply(ops) {
+        const undo = [];
+        for (const op of ops) {
+            const records = this.data[op.collection];
+            const current = records[op.id];
+            undo.push({
+                collection: op.collection, id: op.id, existed: Object.hasOwn(records, op.id), value: current,
+                fields: isRecord(current) ? { ...current } : null
+            });
+            if (op.type === 'put') {
+                if (isRecord(current) && isRecord(op.value)) {
+                    replaceFields(current, op.value);
+                } else {
+                    records[op.id] = op.value;
+                }
+            } else if (op.type === 'delete') {
+                delete records[op.id];
+            }
+        }
+        return undo;
+    }
+
+    // Put records back the way they were before the apply() that returned `undo`
+    revert(undo) {
+        for (const { collection, id, existed, value, fields } of [...undo].reverse()) {
+            const records = this.data[collection];
+            if (!existed) {
+                delete records[id];
+                continue;
+            }
+            if (fields) replaceFields(value, fields);
+            records[id] = value;
+        }
+    }
+
+    // The journal write failed: undo everything that isn't on disk, newest first,
+    // and fail the commits waiting for it
+    rollback(failed, err) {
+        for (const { undo } of this.undoLog.reverse()) this.revert(undo);
+        this.undoLog = [];
+        this.lazyOps = [];
+        const waiting = [...failed, ...this.unappended];
+        this.unappended = [];
+        waiting.forEach(item => item.reject(err));
+    }
+
+    /**
+     * Apply a batch of operations in memory and journal them.
+     * Resolves once the batch is on disk, or right away for `lazy` commits
+     * (those ride along with the next entry or the lazy flush timer).
+     * `label` names the action that produced the batch (e.g. "register").
+     */
+    commit(ops, { lazy = false, label = 'write' } = {}) {
+        // Lazy ops go out with the next entry, and that will be number seq + 1
+        this.undoLog.push({ seq: this.seq + 1, undo: this.apply(ops) });
+
+        if (lazy) {
+            this.lazyOps.push(...ops);
+            this.scheduleLazyFlush();
+            return Promise.resolve();
+        }
+
+        const entry = { seq: ++this.seq, at: Date.now(), label, ops: [...this.lazyOps, ...ops] };
+        this.lazyOps = [];
+        return this.append(entry);
+    }
+
+    append(entry) {
+        // Serialize now: later in-memory changes to these records belong to later entries
+        const line = JSON.stringify(entry);
+        const done = new Promise((resolve, reject) => {
+            this.unappended.push({ seq: entry.seq, line, resolve, reject });
+        });
+
+        if (!this.appendQueued) {
+            this.appendQueued = this.enqueue(async () => {
+                this.appendQueued = null;
+                const batch = this.unappended;
+                this.unappended = [];
+                if (batch.length === 0) return;
+                try {
+                    await this.journal.append(batch.map(item => item.line));
+                } catch (err) {
+                    this.rollback(batch, err);
+                    return;
+                }
+                const lastSeq = batch[batch.length - 1].seq;
+                this.undoLog = this.undoLog.filter(item => item.seq > lastSeq);
+                batch.forEach(item => item.resolve());
+                this.entriesSinceCompact += batch.length;
+                if (this.entriesSinceCompact >= this.compactEvery) {
+                    this.compact().catch(err => console.error("Critical error compacting database:", err));
+                }
+            });
+        }
+        return done;
+    }
+
+    enqueue(task) {
+        const run = this.chain.then(task);
+        this.chain = run.catch(() => { });
+        return run;
+    }
+
+    scheduleLazyFlush() {
+        if (this.lazyTimer) return;
+        this.lazyTimer = setTimeout(() => {
+            this.lazyTimer = null;
+            this.flush().catch(err => console.error("Critical error saving database:", err));
+        }, this.lazyFlushMs);
+        this.lazyTimer.unref();
+    }
+
+    // Journal any lazy ops that are still only in memory
+    flush() {
+        if (this.lazyTimer) {
+            clearTimeout(this.lazyTimer);
+            this.lazyTimer = null;
+        }
+        if (this.lazyOps.length === 0) return this.enqueue(() => { });
+        return this.commit([], { label: 'lazy' });
+    }
+
+    /**
+     * Rewrite the snapshot with everything applied so far, then empty the journal.
+     */
+    compact() {
+        return this.enqueue(async () => {
+            const snapshotSeq = this.seq;
+            this.data.meta.journalSeq = snapshotSeq;
+            const { lazyOps } = this;
+            this.lazyOps = [];
+            const json = JSON.stringify(this.data, null, 2);
+            const inSnapshot = this.undoLog.length;
+
+            try {
+                await writeFileAtomic(this.file, this.tmpFile, json);
+            } catch (err) {
+                this.lazyOps = [...lazyOps, ...this.lazyOps]; // Still only in memory; the journal has to take them
+                throw err;
+            }
+            this.undoLog.splice(0, inSnapshot);
+            await this.journal.reset();
+            this.entriesSinceCompact = 0;
+
+            // Entries that were still waiting for the journal are in the snapshot now
+            const absorbed = this.unappended.filter(item => item.seq <= snapshotSeq);
+            this.unappended = this.unappended.filter(item => item.seq > snapshotSeq);
+            absorbed.forEach(item => item.resolve());
+        });
+    }
+
+    async close() {
+        clearInterval(this.compactTimer);
+        clearTimeout(this.lazyTimer);
+        this.lazyTimer = null;
+        await this.compact();
+        await this.journal.close();
+    }
+}
+
+function emptySnapshot() {
+    return {
+        meta: { journalSeq: 0 }, // journalSeq: last journal entry folded into this snapshot; schemaVersion: see lib/migrations
+        users: {},     // map userId -> { username, passwordHash, spaceId, partnerId }
+        spaces: {},    // map spaceId -> { notes: [], images: [], dates: [] }
+        playground: {}, // map userId -> { x, y, sprite, lastUpdate, invitingPartner: bool }
+        sessions: {}    // map sessionId -> { userId, refreshHash, device, lastUsedAt, expiresAt }, see lib/sessions.js
+    };
+}
+
+function isRecord(value) {
+    return typeof value === 'object' && value !== null && !Array.isArray(value);
+}
+
+// Make `target` hold exactly the fields of `source`
+function replaceFields(target, source) {
+    if (target === source) return;
+    for (const key of Object.keys(target)) {
+        if (!Object.hasOwn(source, key)) delete target[key];
+    }
+    Object.assign(target, source);
+}
+
+// Temp file + fsync + rename: a crash leaves either the old or the new file, never a truncated one
+async function writeFileAtomic(file, tmpFile, contents) {
+    const handle = await fs.promises.open(tmpFile, 'w');
+    try {
+        await handle.writeFile(contents);
+        await handle.sync();
+    } finally {
+        await handle.close();
+    }
+
+    await fs.promises.rename(tmpFile, file);
+    await syncDirectory(path.dirname(file));
+}
+
+// Make the rename itself durable. Not every platform lets you fsync a directory.
+async function syncDirectory(dir) {
+    let handle;
+    try {
+        handle = await fs.promises.open(dir, 'r');
+        await handle.sync();
+    } catch (err) {
+        if (!['EISDIR', 'EPERM', 'EINVAL', 'EBADF'].includes(err.code)) throw err;
+    } finally {
+        if (handle) await handle.close();
+    }
+}
+
+module.exports = { JsonFileBackend };
@@ -0,0 +1,104 @@
+const crypto = require('crypto');
+
+/**
+ * Time-based one-time passwords (RFC 6238), the codes authenticator apps show.
+ *
+ * A TOTP is an HOTP (RFC 4226) whose counter is the number of `step`-second
+ * intervals since the Unix epoch. Everything takes the time explicitly
+ * (milliseconds), so results can be checked against the RFC's test vectors:
+ *
+ *   const secret = Buffer.from('12345678901234567890');
+ *   totp(secret, 59 * 1000, { digits: 8 })               === '94287082'
+ *   totp(secret, 1111111109 * 1000, { digits: 8 })       === '07081804'
+ *   totp(Buffer.from('12345678901234567890123456789012'), 59 * 1000,
+ *        { digits: 8, algorithm: 'sha256' })             === '46119246'
+ *
+ * Secrets travel as base32 (RFC 4648, no padding), which is what apps expect.
+ * We hand out SHA-1, 6 digits, 30 s steps - the defaults every app supports.
+ */
+
+const STEP_SECONDS = 30;
+const DIGITS = 6;
+const BASE32 = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+
+function base32Encode(buffer) {
+    let bits = 0, value = 0, output = '';
+    for (const byte of buffer) {
+        value = (value << 8) | byte;
+        bits += 8;
+        while (bits >= 5) {
+            output += BASE32[(value >>> (bits - 5)) & 31];
+            bits -= 5;
+        }
+    }
+    if (bits > 0) output += BASE32[(value << (5 - bits)) & 31];
+    return output;
+}
+
+// Lenient about case, spaces and padding, since people type these in by hand
+function base32Decode(text) {
+    const clean = String(text).toUpperCase().replace(/[\s=-]/g, '');
+    let bits = 0, value = 0;
+    const bytes = [];
+    for (const char of clean) {
+        const index = BASE32.indexOf(char);
+        if (index === -1) throw new Error(`Invalid base32 character "${char}"`);
+        value = (value << 5) | index;
+        bits += 5;
+        if (bits >= 8) {
+            bytes.push((value >>> (bits - 8)) & 0xFF);
+            bits -= 8;
+        }
+    }
+    return Buffer.from(bytes);
+}
+
+// RFC 4226 section 5.3: HMAC the 8-byte counter, then dynamic truncation
+function hotp(secret, counter, { digits = DIGITS, algorithm = 'sha1' } = {}) {
+    const message = Buffer.alloc(8);
+    message.writeBigUInt64BE(BigInt(counter));
+    const hmac = crypto.createHmac(algorithm, secret).update(message).digest();
+    const offset = hmac[hmac.length - 1] & 0x0F;
+    const binary = hmac.readUInt32BE(offset) & 0x7FFFFFFF;
+    return String(binary % 10 ** digits).padStart(digits, '0');
+}
+
+const timeStep = (time, step = STEP_SECONDS) => Math.floor(time / 1000 / step);
+
+function totp(secret, time = Date.now(), { step = STEP_SECONDS, ...options } = {}) {
+    return hotp(secret, timeStep(time, step), options);
+}
+
+/**
+ * Check a code typed by the user. Accepts the current step and `window` steps
+ * either side (clock drift, slow typing). Returns the step that matched, or
+ * null. Pass the last step accepted for this secret as `afterStep` so a code
+ * can't be used twice.
+ */
+function verifyTotp(secret, code, { time = Date.now(), window = 1, afterStep = -1, step = STEP_SECONDS, ...options } = {}) {
+    const typed = String(code).replace(/\s/g, '');
+    const digits = options.digits || DIGITS;
+    if (!new RegExp(`^\\d{${digits}}$`).test(typed)) return null;
+
+    const current = timeStep(time, step);
+    for (let counter = current - window; counter <= current + window; counter++) {
+        if (counter <= afterStep) continue;
+        const expected = hotp(secret, counter, options);
+        if (crypto.timingSafeEqual(Buffer.from(expected), Buffer.from(typed))) return counter;
+    }
+    return null;
+}
+
+// A new random secret, as base32 - 20 bytes, the HMAC-SHA1 key size RFC 4226 recommends
+function generateSecret() {
+    return base32Encode(crypto.randomBytes(20));
+}
+
+// The otpauth:// URI authenticator apps read from a QR code
+function otpauthUrl({ secret, account, issuer }) {
+    const label = encodeURIComponent(`${issuer}:${account}`);
+    const params = new URLSearchParams({ secret, issuer, algorithm: 'SHA1', digits: String(DIGITS), period: String(STEP_SECONDS) });
+    return `otpauth://totp/${label}?${params}`;
+}
+
+module.exports = { base32Encode, base32Decode, hotp, totp, verifyTotp, generateSecret, otpauthUrl };
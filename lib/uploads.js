@@ -0,0 +1,78 @@
+const busboy = require('busboy');
+
+// Thrown for anything the client got wrong; `status` is the HTTP status to answer with
+class UploadError extends Error {
+    constructor(message, status = 400) {
+        super(message);
+        this.name = 'UploadError';
+        this.status = status;
+    }
+}
+
+/**
+ * Read a single file out of a multipart/form-data request as it streams in.
+ * Resolves with { buffer, filename, mimeType, fields }.
+ *
+ * Options:
+ *   field       - name of the file field to accept (others are ignored)
+ *   maxFileSize - bytes; larger files are rejected with 413 without buffering the rest
+ *
+ * A client that goes away before the whole request arrived rejects it too, with
+ * 400 - nobody is there to read the answer, but the caller gets to clean up.
+ */
+function receiveUpload(req, { field = 'photo', maxFileSize }) {
+    return new Promise((resolve, reject) => {
+        let parser;
+        try {
+            parser = busboy({ headers: req.headers, limits: { files: 1, fileSize: maxFileSize } });
+        } catch (err) {
+            return reject(new UploadError("Expected a multipart/form-data upload"));
+        }
+
+        const fields = {};
+        let file = null;
+        let failed = null;
+
+        parser.on('field', (name, value) => {
+            fields[name] = value;
+        });
+
+        parser.on('file', (name, stream, info) => {
+            if (name !== field || file) {
+                stream.resume(); // Drain what we don't want
+                return;
+            }
+
+            const chunks = [];
+            file = { filename: info.filename, mimeType: info.mimeType };
+            stream.on('data', chunk => chunks.push(chunk));
+            stream.on('limit', () => {
+                chunks.length = 0;
+                failed = new UploadError(`File is too large (max ${Math.round(maxFileSize / 1024 / 1024)} MB)`, 413);
+            });
+            stream.on('end', () => {
+                file.buffer = Buffer.concat(chunks);
+            });
+        });
+
+        parser.on('error', () => reject(new UploadError("Malformed upload")));
+        parser.on('close', () => {
+            if (failed) return reject(failed);
+            if (!file || !file.buffer || file.buffer.length === 0) {
+                return reject(new UploadError(`No file uploaded in field "${field}"`));
+            }
+            resolve({ ...file, fields });
+        });
+
+        // The parser never finishes on a request that stops halfway
+        req.on('close', () => {
+            if (req.complete) return;
+            req.unpipe(parser);
+            reject(new UploadError("Upload was interrupted"));
+        });
+
+        req.pipe(parser);
+    });
+}
+
+module.exports = { receiveUpload, UploadError };
@@ -0,0 +1,225 @@
+const zlib = require('zlib');
+
+/**
+ * Minimal ZIP support for space archives - just enough of the format
+ * (PKWARE APPNOTE 6.3) to write an archive any unzip tool can open, and to
+ * read back what we wrote (or a re-zipped copy of it).
+ *
+ * No ZIP64, so an archive tops out at 4 GB and 65535 files; no encryption,
+ * no multi-disk archives. Entries are either stored or deflated.
+ */
+
+const LOCAL_HEADER = 0x04034b50;
+const CENTRAL_HEADER = 0x02014b50;
+const END_OF_CENTRAL_DIR = 0x06054b50;
+const UTF8_NAMES = 0x0800; // General purpose flag bit 11
+const STORED = 0;
+const DEFLATED = 8;
+const MAX_32BIT = 0xFFFFFFFF;
+
+const CRC_TABLE = new Uint32Array(256).map((_, n) => {
+    let c = n;
+    for (let k = 0; k < 8; k++) c = c & 1 ? 0xEDB88320 ^ (c >>> 1) : c >>> 1;
+    return c;
+});
+
+function crc32(buffer) {
+    let crc = 0xFFFFFFFF;
+    for (let i = 0; i < buffer.length; i++) crc = CRC_TABLE[(crc ^ buffer[i]) & 0xFF] ^ (crc >>> 8);
+    return (crc ^ 0xFFFFFFFF) >>> 0;
+}
+
+// MS-DOS date/time, local time, 2-second resolution
+function dosDateTime(date) {
+    const time = (date.getHours() << 11) | (date.getMinutes() << 5) | (date.getSeconds() >> 1);
+    const day = ((Math.max(date.getFullYear(), 1980) - 1980) << 9) | ((date.getMonth() + 1) << 5) | date.getDate();
+    return { time, day };
+}
+
+/**
+ * Writes a ZIP archive to a writable stream one file at a time, so only the
+ * file being added is ever held in memory.
+ *
+ *   const zip = new ZipWriter(res);
+ *   await zip.addFile('manifest.json', buffer, { compress: true });
+ *   await zip.finish();
+ */
+class ZipWriter {
+    constructor(stream) {
+        this.stream = stream;
+        this.offset = 0;
+        this.entries = [];
+    }
+
+    async write(buffer) {
+        if (this.stream.destroyed) throw new Error("Stream closed before the archive was finished");
+        this.offset += buffer.length;
+        if (!this.stream.write(buffer)) {
+            // Wait for the reader to catch up - or give up if it hangs up (e.g. a cancelled download)
+            await new Promise((resolve, reject) => {
+                const onDrain = () => {
+                    this.stream.off('close', onClose);
+                    resolve();
+                };
+                const onClose = () => {
+                    this.stream.off('drain', onDrain);
+                    reject(new Error("Stream closed before the archive was finished"));
+                };
+                this.stream.once('drain', onDrain);
+                this.stream.once('close', onClose);
+            });
+        }
+    }
+
+    async addFile(name, data, { compress = false, modified = new Date() } = {}) {
+        const nameBytes = Buffer.from(name, 'utf8');
+        const body = compress ? zlib.deflateRawSync(data) : data;
+        const { time, day } = dosDateTime(modified);
+        const entry = {
+            nameBytes,
+            method: compress ? DEFLATED : STORED,
+            crc: crc32(data),
+            compressedSize: body.length,
+            size: data.length,
+            time,
+            day,
+            offset: this.offset
+        };
+        if (entry.offset + 30 + nameBytes.length + body.length > MAX_32BIT || this.entries.length === 0xFFFF) {
+            throw new Error("Archive is too large for the ZIP format without ZIP64");
+        }
+
+        const header = Buffer.alloc(30);
+        header.writeUInt32LE(LOCAL_HEADER, 0);
+        header.writeUInt16LE(20, 4); // Version needed to extract (2.0)
+        header.writeUInt16LE(UTF8_NAMES, 6);
+        header.writeUInt16LE(entry.method, 8);
+        header.writeUInt16LE(time, 10);
+        header.writeUInt16LE(day, 12);
+        header.writeUInt32LE(entry.crc, 14);
+        header.writeUInt32LE(entry.compressedSize, 18);
+        header.writeUInt32LE(entry.size, 22);
+        header.writeUInt16LE(nameBytes.length, 26);
+        header.writeUInt16LE(0, 28); // Extra field length
+
+        this.entries.push(entry);
+        await this.write(header);
+        await this.write(nameBytes);
+        await this.write(body);
+    }
+
+    async finish() {
+        const centralStart = this.offset;
+        for (const entry of this.entries) {
+            const header = Buffer.alloc(46);
+            header.writeUInt32LE(CENTRAL_HEADER, 0);
+            header.writeUInt16LE(20, 4); // Version made by
+            header.writeUInt16LE(20, 6); // Version needed to extract
+            header.writeUInt16LE(UTF8_NAMES, 8);
+            header.writeUInt16LE(entry.method, 10);
+            header.writeUInt16LE(entry.time, 12);
+            header.writeUInt16LE(entry.day, 14);
+            header.writeUInt32LE(entry.crc, 16);
+            header.writeUInt32LE(entry.compressedSize, 20);
+            header.writeUInt32LE(entry.size, 24);
+            header.writeUInt16LE(entry.nameBytes.length, 28);
+            // Extra field, comment, disk number, internal/external attributes stay 0
+            header.writeUInt32LE(entry.offset, 42);
+            await this.write(header);
+            await this.write(entry.nameBytes);
+        }
+
+        const end = Buffer.alloc(22);
+        end.writeUInt32LE(END_OF_CENTRAL_DIR, 0);
+        end.writeUInt16LE(this.entries.length, 8);
+        end.writeUInt16LE(this.entries.length, 10);
+        end.writeUInt32LE(this.offset - centralStart, 12);
+        end.writeUInt32LE(centralStart, 16);
+        await this.write(end);
+
+        await new Promise((resolve, reject) => {
+            this.stream.once('error', reject);
+            this.stream.end(resolve);
+        });
+    }
+}
+
+/**
+ * Index a ZIP archive held in memory. Returns a Map of entry name ->
+ * read() function that inflates and CRC-checks the entry on demand, so a
+ * large archive is never unpacked all at once.
+ *
+ * Throws on anything that doesn't look like a well-formed archive. The limits
+ * guard against zip bombs: `maxEntries` files, `maxEntrySize` bytes for any
+ * one of them and `maxTotalSize` for all of them together. They are checked
+ * against the sizes the central directory declares, before anything is
+ * inflated, and an entry can't inflate past its declared size.
+ */
+function readZip(buffer, { maxEntrySize = 64 * 1024 * 1024, maxEntries = 10000, maxTotalSize = 512 * 1024 * 1024 } = {}) {
+    // The end-of-central-directory record sits in the last 22 bytes plus up to 64 KB of comment
+    let end = -1;
+    for (let i = buffer.length - 22; i >= Math.max(0, buffer.length - 22 - 0xFFFF); i--) {
+        if (buffer.readUInt32LE(i) === END_OF_CENTRAL_DIR) {
+            end = i;
+            break;
+        }
+    }
+    if (end === -1) throw new Error("Not a ZIP archive");
+
+    const count = buffer.readUInt16LE(end + 10);
+    if (count > maxEntries) throw new Error(`ZIP archive has too many files (max ${maxEntries})`);
+    let pos = buffer.readUInt32LE(end + 16);
+    const entries = new Map();
+    let totalSize = 0;
+
+    for (let n = 0; n < count; n++) {
+        if (pos + 46 > buffer.length || buffer.readUInt32LE(pos) !== CENTRAL_HEADER) {
+            throw new Error("Corrupt ZIP central directory");
+        }
+        const method = buffer.readUInt16LE(pos + 10);
+        const crc = buffer.readUInt32LE(pos + 16);
+        const compressedSize = buffer.readUInt32LE(pos + 20);
+        const size = buffer.readUInt32LE(pos + 24);
+        const nameLength = buffer.readUInt16LE(pos + 28);
+        const extraLength = buffer.readUInt16LE(pos + 30);
+        const commentLength = buffer.readUInt16LE(pos + 32);
+        const localOffset = buffer.readUInt32LE(pos + 42);
+        const name = buffer.toString('utf8', pos + 46, pos + 46 + nameLength);
+        pos += 46 + nameLength + extraLength + commentLength;
+
+        if (name.endsWith('/')) continue; // Directory entry
+        if (size > maxEntrySize) throw new Error(`ZIP entry "${name}" is too large`);
+        totalSize += size;
+        if (totalSize > maxTotalSize) throw new Error("ZIP archive unpacks to too much data");
+
+        entries.set(name, () => {
+            if (localOffset + 30 > buffer.length || buffer.readUInt32LE(localOffset) !== LOCAL_HEADER) {
+                throw new Error(`Corrupt ZIP entry "${name}"`);
+            }
+            const dataStart = localOffset + 30 + buffer.readUInt16LE(localOffset + 26) + buffer.readUInt16LE(localOffset + 28);
+            const raw = buffer.subarray(dataStart, dataStart + compressedSize);
+            if (raw.length !== compressedSize) throw new Error(`Truncated ZIP entry "${name}"`);
+
+            let data;
+            if (method === STORED) {
+                data = raw;
+            } else if (method === DEFLATED) {
+                // One byte of slack, so an entry that says less than it holds fails the size check below
+                try {
+                    data = zlib.inflateRawSync(raw, { maxOutputLength: size + 1 });
+                } catch (err) {
+                    throw new Error(`ZIP entry "${name}" is corrupt`);
+                }
+            } else {
+                throw new Error(`Unsupported ZIP compression method ${method} for "${name}"`);
+            }
+
+            if (data.length !== size || crc32(data) !== crc) throw new Error(`ZIP entry "${name}" is corrupt`);
+            return data;
+        });
+    }
+
+    return entries;
+}
+
+module.exports = { ZipWriter, readZip };
@@ -1,4 +1,6 @@
 const API_URL = '/api';
+let availableRoles = [];
+let myPermissions = [];
 
 document.addEventListener('DOMContentLoaded', () => {
     // Theme
@@ -27,18 +29,15 @@ document.addEventListener('DOMContentLoaded', () => {
 });
 
 async function loadUsers() {
-    const token = localStorage.getItem('authToken');
     const tbody = document.querySelector('#usersTable tbody');
 
-    if (!token) {
+    if (!localStorage.getItem('authToken')) {
         window.location.href = 'index.html';
         return;
     }
 
     try {
-        const response = await fetch(`${API_URL}/admin/users`, {
-            headers: { 'Authorization': `Bearer ${token}` }
-        });
+        const response = await authFetch(`${API_URL}/admin/users`);
 
         if (response.status === 403) {
             alert("Access Denied: Admins only! 🚫");
@@ -53,10 +52,12 @@ async function loadUsers() {
         const result = await response.json();
 
         if (result.success) {
+            availableRoles = result.roles;
+            myPermissions = result.permissions;
             renderTable(result.users);
         } else {
             console.error("Failed to load users:", result.error);
-            tbody.innerHTML = `<tr><td colspan="5">Error: ${result.error || 'Failed to load users'}</td></tr>`;
+            tbody.innerHTML = `<tr><td colspan="5">Error: ${escapeHtml(result.error || 'Failed to load users')}</td></tr>`;
         }
     } catch (err) {
         console.error(err);
@@ -93,15 +94,18 @@ function renderTable(users) {
         }
 
         tr.innerHTML = `
-            <td>
-                ${user.username} ${user.isAdmin ? '👑' : ''}
-            </td>
+            <td><span class="table-avatar"></span><span class="name"></span> <span class="handle"></span></td>
             <td>${createdDate}</td>
             <td>${activeDate}</td>
             <td>${ageText}</td>
             <td><span class="status-dot ${statusClass}"></span> ${statusText}</td>
         `;
 
+        // Names are typed by users, so they go in as text
+        renderAvatar(tr.querySelector('.table-avatar'), { hash: user.avatar, gender: user.gender, partnered: !!user.partnerId });
+        tr.querySelector('.name').textContent = `${user.displayName} ${user.roles.includes('admin') ? '👑' : ''}`;
+        tr.querySelector('.handle').textContent = `@${user.username}`;
+
         tbody.appendChild(tr);
 
         // Click to show details
@@ -113,20 +117,14 @@ function renderTable(users) {
 }
 
 function showUserDetails(user) {
-    const avatarCircle = document.getElementById('modalAvatar');
-    if (user.partnerId) {
-        avatarCircle.innerHTML = `<img src="assets/avatars/couple.png" style="width: 100%; height: 100%; object-fit: contain;">`;
-    } else if (user.gender === 'Male') {
-        avatarCircle.innerHTML = `<img src="assets/avatars/boy.png" style="width: 100%; height: 100%; object-fit: contain;">`;
-    } else if (user.gender === 'Female') {
-        avatarCircle.innerHTML = `<img src="assets/avatars/girl.png" style="width: 100%; height: 100%; object-fit: contain;">`;
-    } else {
-        avatarCircle.textContent = '👤';
-    }
+    renderAvatar(document.getElementById('modalAvatar'), { hash: user.avatar, gender: user.gender, partnered: !!user.partnerId });
 
     document.getElementById('detailUserId').textContent = user.id;
-    document.getElementById('modalUserName').textContent = user.username;
-    document.getElementById('detailRole').textContent = user.isAdmin ? 'Administrator 👑' : 'Standard User';
+    document.getElementById('detailHandle').textContent = user.username;
+    document.getElementById('modalUserName').textContent = user.displayName;
+    document.getElementById('detailRole').textContent = user.roles.includes('admin') ? 'Administrator 👑'
+        : user.roles.length ? user.roles.join(', ') : 'Standard User';
+    renderRoleControls(user);
 
     // Partner info
     const partnerSpan = document.getElementById('detailPartner');
@@ -160,13 +158,74 @@ function showUserDetails(user) {
     if (overlay) overlay.style.display = 'flex';
 }
 
+// Granting and revoking roles is only offered to admins allowed to do it
+function renderRoleControls(user) {
+    const controls = document.getElementById('roleControls');
+    if (!myPermissions.includes('roles:manage')) {
+        controls.style.display = 'none';
+        return;
+    }
+    controls.style.display = 'block';
+
+    const list = document.getElementById('detailRoleList');
+    list.innerHTML = '';
+    user.roles.forEach(role => {
+        const chip = document.createElement('button');
+        chip.className = 'action-btn';
+        chip.style.cssText = 'padding: 3px 8px; font-size: 0.8rem; width: auto; margin-right: 5px;';
+        chip.textContent = `${role} ✕`;
+        chip.title = `Revoke ${role}`;
+        chip.onclick = () => {
+            if (confirm(`Remove the ${role} role from ${user.displayName}?`)) changeRole(user, role, false);
+        };
+        list.appendChild(chip);
+    });
+
+    const select = document.getElementById('detailRoleSelect');
+    select.innerHTML = '';
+    availableRoles.filter(role => !user.roles.includes(role)).forEach(role => {
+        const option = document.createElement('option');
+        option.value = role;
+        option.textContent = role;
+        select.appendChild(option);
+    });
+    select.style.display = document.getElementById('grantRoleBtn').style.display = select.options.length ? '' : 'none';
+    document.getElementById('grantRoleBtn').onclick = () => {
+        if (confirm(`Give ${user.displayName} the ${select.value} role?`)) changeRole(user, select.value, true);
+    };
+}
+
+async function changeRole(user, role, grant) {
+    try {
+        const response = grant
+            ? await authFetch(`${API_URL}/admin/users/${user.id}/roles`, {
+                method: 'POST',
+                headers: {
+                    'Content-Type': 'application/json'
+                },
+                body: JSON.stringify({ role })
+            })
+            : await authFetch(`${API_URL}/admin/users/${user.id}/roles/${encodeURIComponent(role)}`, { method: 'DELETE' });
+
+        const result = await response.json();
+        if (result.success) {
+            user.roles = result.roles;
+            showUserDetails(user);
+            loadUsers(); // Refresh table
+        } else {
+            alert("Update failed: " + result.error);
+        }
+    } catch (err) {
+        console.error(err);
+        alert("Server error");
+    }
+}
+
 async function adminUpdateUserGender(targetUserId, gender) {
-    const token = localStorage.getItem('authToken');
     try {
-        const response = await fetch(`${API_URL}/admin/update-user-gender`, {
+        const response = await authFetch(`${API_URL}/admin/update-user-gender`, {
             method: 'POST',
             headers: {
-                'Authorization': `Bearer ${token}`,
                 'Content-Type': 'application/json'
             },
             body: JSON.stringify({ targetUserId, gender: (gender === "null" ? null : gender) })
@@ -0,0 +1,87 @@
+// --- SESSION HELPERS (shared by every logged-in page) ---
+// Access tokens only last 15 minutes. authFetch() and authSocket() renew them
+// with the refresh token behind the scenes; when that fails the session is
+// over (logged out, or revoked from another device) and we go back to login.
+
+let refreshInFlight = null;
+
+// Swap the refresh token for a new pair. Resolves true on success. Concurrent
+// callers share one request, since each refresh token only works once.
+function refreshAccessToken() {
+    if (!refreshInFlight) {
+        refreshInFlight = (async () => {
+            const refreshToken = localStorage.getItem('refreshToken');
+            if (!refreshToken) return false;
+            try {
+                const response = await fetch('/api/auth/refresh', {
+                    method: 'POST',
+                    headers: { 'Content-Type': 'application/json' },
+                    body: JSON.stringify({ refreshToken })
+                });
+                const result = await response.json();
+                if (!result.success) return false;
+                localStorage.setItem('authToken', result.token);
+                // Absent when another tab refreshed first - it already stored the new one
+                if (result.refreshToken) localStorage.setItem('refreshToken', result.refreshToken);
+                return true;
+            } catch (err) {
+                console.error("Error refreshing session", err);
+                return false;
+            }
+        })().finally(() => { refreshInFlight = null; });
+    }
+    return refreshInFlight;
+}
+
+function endSession() {
+    localStorage.clear();
+    window.location.href = 'index.html';
+}
+
+// fetch() with the access token attached, renewing it once if it has expired
+async function authFetch(url, options = {}) {
+    const send = () => fetch(url, {
+        ...options,
+        headers: { ...options.headers, 'Authorization': `Bearer ${localStorage.getItem('authToken')}` }
+    });
+
+    const response = await send();
+    if (response.status !== 401) return response;
+
+    if (await refreshAccessToken()) return send();
+    alert("Session expired. Please log in again.");
+    endSession();
+    return response;
+}
+
+// Socket.IO connection that always hands over the current access token,
+// renewing it when the server turns the handshake down as expired
+function authSocket(namespace = '/') {
+    const socket = io(namespace, {
+        auth: (cb) => cb({ token: localStorage.getItem('authToken') })
+    });
+
+    socket.on('connect_error', async (err) => {
+        if (!err.message.includes('Session expired')) return;
+        if (await refreshAccessToken()) {
+            socket.connect();
+        } else {
+            endSession();
+        }
+    });
+    return socket;
+}
+
+// Revoke this device's session on the server, then forget it locally
+async function logout() {
+    try {
+        await fetch('/api/auth/logout', {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ refreshToken: localStorage.getItem('refreshToken') })
+        });
+    } catch (err) {
+        console.error("Error logging out", err);
+    }
+    endSession();
+}
@@ -0,0 +1,44 @@
+// --- AVATARS (shared by home, profile and the admin dashboard) ---
+// Uploaded avatars need the auth header, so each is fetched once and shown from
+// a blob URL. Without one, people get the drawn boy/girl/couple picture.
+
+const avatarUrlCache = new Map(); // hash -> blob URL (avatars never change under the same hash)
+
+async function avatarUrl(hash) {
+    if (!avatarUrlCache.has(hash)) {
+        const response = await authFetch(`/api/avatars/${hash}`);
+        if (!response.ok) return null;
+        avatarUrlCache.set(hash, URL.createObjectURL(await response.blob()));
+    }
+    return avatarUrlCache.get(hash);
+}
+
+// The drawn picture for someone without an upload, or null (show `fallbackText` instead)
+function defaultAvatarImage({ gender, partnered }) {
+    if (partnered) return 'assets/avatars/couple.png';
+    if (gender === 'Male') return 'assets/avatars/boy.png';
+    if (gender === 'Female') return 'assets/avatars/girl.png';
+    return null;
+}
+
+// Fill an .avatar-circle: the uploaded avatar `hash` if there is one, otherwise
+// the default picture, otherwise `fallbackText` (an initial, or 👤)
+function renderAvatar(circle, { hash, gender, partnered, fallbackText = '👤' }) {
+    const showImage = (src, fit) => {
+        const img = document.createElement('img');
+        img.src = src;
+        img.alt = '';
+        img.style.cssText = `width: 100%; height: 100%; object-fit: ${fit}; border-radius: inherit;`;
+        circle.replaceChildren(img);
+    };
+
+    const drawn = defaultAvatarImage({ gender, partnered });
+    if (drawn) showImage(drawn, 'contain');
+    else circle.textContent = fallbackText;
+
+    if (hash) {
+        avatarUrl(hash)
+            .then(url => { if (url) showImage(url, 'cover'); })
+            .catch(err => console.error("Error loading avatar", err));
+    }
+}
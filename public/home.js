@@ -1,5 +1,6 @@
 const API_URL = '/api';
 const currentUserId = localStorage.getItem('currentUserId');
+let partner = { id: null, name: null }; // For "written by ..." on notes
 
 if (!currentUserId) {
     window.location.href = 'index.html';
@@ -20,6 +21,7 @@ document.addEventListener('DOMContentLoaded', () => {
 
     // 1. Initial Setup: Load Data from Backend
     loadDashboardData();
+    connectSpaceChannel();
     checkNotifications();
     renderPetStatus(); // Render initial defaults immediately
 
@@ -35,6 +37,7 @@ document.addEventListener('DOMContentLoaded', () => {
             const text = noteInput.value.trim();
             if (text) {
                 addNote(text);
+                noteInput.value = '';
             }
         });
     }
@@ -46,13 +49,16 @@ document.addEventListener('DOMContentLoaded', () => {
         imageInput.addEventListener('change', (e) => {
             const file = e.target.files[0];
             if (file) {
-                const reader = new FileReader();
-                reader.onload = function (event) {
-                    const imgData = event.target.result;
-                    addImage(imgData);
-                };
-                reader.readAsDataURL(file);
+                uploadPhoto(file);
             }
+            imageInput.value = ''; // Allow picking the same file again
+        });
+    }
+
+    const photoLightbox = document.getElementById('photoLightbox');
+    if (photoLightbox) {
+        photoLightbox.addEventListener('click', () => {
+            photoLightbox.classList.remove('show');
         });
     }
 
@@ -62,6 +68,34 @@ document.addEventListener('DOMContentLoaded', () => {
     const specialDateLabel = document.getElementById('specialDateLabel');
     const addDateBtn = document.getElementById('addDateBtn');
 
+    // --- ALBUMS & TAGS ---
+    const newAlbumBtn = document.getElementById('newAlbumBtn');
+    if (newAlbumBtn) {
+        newAlbumBtn.addEventListener('click', createAlbum);
+        document.getElementById('photoTagFilter').addEventListener('change', e => {
+            galleryFilter.tag = e.target.value || null;
+            renderGallery();
+        });
+        document.getElementById('noteTagFilter').addEventListener('change', e => {
+            noteTagFilter = e.target.value || null;
+            renderNotes();
+        });
+    }
+
+    // --- TIME CAPSULE ---
+    const sealLetterBtn = document.getElementById('sealLetterBtn');
+    const letterUnlockEvent = document.getElementById('letterUnlockEvent');
+    if (sealLetterBtn && letterUnlockEvent) {
+        sealLetterBtn.addEventListener('click', sealLetter);
+        letterUnlockEvent.addEventListener('change', () => {
+            document.getElementById('letterUnlockDate').style.display = letterUnlockEvent.value ? 'none' : '';
+        });
+        document.getElementById('capsuleCloseBtn').addEventListener('click', () => {
+            document.getElementById('capsuleModal').style.display = 'none';
+        });
+        setInterval(tickCapsuleCountdowns, 1000);
+    }
+
     if (addDateBtn && specialDateInput && specialDateLabel) {
         addDateBtn.addEventListener('click', () => {
             const dateVal = specialDateInput.value;
@@ -75,6 +109,30 @@ document.addEventListener('DOMContentLoaded', () => {
         });
     }
 
+    // --- SEARCH ---
+    const searchInput = document.getElementById('searchInput');
+    if (searchInput) {
+        let searchTimer = null;
+        const searchSoon = () => {
+            clearTimeout(searchTimer);
+            searchTimer = setTimeout(runSearch, 250);
+        };
+        searchInput.addEventListener('input', searchSoon);
+        searchInput.addEventListener('keydown', e => {
+            if (e.key === 'Escape') {
+                searchInput.value = '';
+                runSearch();
+            }
+        });
+        ['searchType', 'searchFrom', 'searchTo'].forEach(id => {
+            document.getElementById(id).addEventListener('change', searchSoon);
+        });
+        document.addEventListener('click', e => {
+            if (!e.target.closest('.search-box')) document.getElementById('searchResults').style.display = 'none';
+        });
+        searchInput.addEventListener('focus', () => { if (searchInput.value.trim()) runSearch(); });
+    }
+
     // --- PARTNER FUNCTIONALITY ---
 
     // --- THEME ---
@@ -92,13 +150,17 @@ document.addEventListener('DOMContentLoaded', () => {
     // --- EVENT DELEGATION FOR DELETE BUTTONS (CSP-compliant) ---
     document.addEventListener('click', (e) => {
         if (e.target.classList.contains('delete-note')) {
-            const index = parseInt(e.target.dataset.index);
+            const id = e.target.dataset.id;
             const type = e.target.dataset.type;
 
             if (type === 'note') {
-                deleteNoteItem(index);
+                deleteNoteItem(id);
             } else if (type === 'date') {
-                deleteDateItem(index);
+                deleteDateItem(id);
+            } else if (type === 'image') {
+                deleteImageItem(id);
+            } else if (type === 'letter') {
+                moveToTrash('letters', id);
             }
         }
     });
@@ -152,10 +214,14 @@ document.addEventListener('DOMContentLoaded', () => {
 
 
 // --- GLOBAL STATE ---
+let currentSpaceId = null;
 let localData = {
     notes: [],
     images: [],
     dates: [],
+    albums: [],
+    letters: [],
+    trash: [],
     pet: { name: "Lovebug", level: 3 },
     sunflower: { name: "Sunny", level: 1 }
 };
@@ -167,8 +233,7 @@ async function loadDashboardData() {
     initializePopup();
     
     try {
-        const token = localStorage.getItem('authToken');
-        if (!token) {
+        if (!localStorage.getItem('authToken')) {
             console.error("No auth token found");
             updatePopupError("Please log in again");
             // Still render with empty data
@@ -180,18 +245,17 @@ async function loadDashboardData() {
         const controller = new AbortController();
         const timeoutId = setTimeout(() => controller.abort(), 10000); // 10 second timeout
 
-        const response = await fetch(`${API_URL}/data/${currentUserId}`, {
-            headers: { 'Authorization': `Bearer ${token}` },
+        const response = await authFetch(`${API_URL}/data/${currentUserId}`, {
             signal: controller.signal
         });
         
         clearTimeout(timeoutId);
 
-        // If simple 401/403, force logout
-        if (response.status === 401 || response.status === 403) {
+        // 401 means the session couldn't be renewed - authFetch already sent us to login
+        if (response.status === 401) return;
+        if (response.status === 403) {
             alert("Session expired. Please log in again.");
-            localStorage.clear();
-            window.location.href = 'index.html';
+            endSession();
             return;
         }
 
@@ -203,10 +267,12 @@ async function loadDashboardData() {
 
         if (result.success) {
             localData = result.data || { notes: [], images: [], dates: [], pet: { name: "Lovebug", level: 3 }, sunflower: { name: "Sunny", level: 1 }};
+            currentSpaceId = result.spaceId;
             if (result.gender) localStorage.setItem('userGender', result.gender);
+            partner = { id: result.partnerId, name: result.partnerName };
 
             // Update Header
-            document.getElementById('displayUsername').textContent = result.username || 'Friend';
+            document.getElementById('displayUsername').textContent = result.displayName || 'Friend';
 
             // Store partner info for the heart popup
             if (result.partnerName) {
@@ -216,9 +282,9 @@ async function loadDashboardData() {
                 // Check for Playground Invitation (New)
                 checkPlaygroundInvite(result.partnerId);
 
-                // Update Popup Data
+                // Update Popup Data - the partner's own picture, or the couple drawing
                 const partnerAvatar = document.querySelector('#heartPopup .avatar-circle');
-                partnerAvatar.innerHTML = `<img src="assets/avatars/couple.png" style="width: 100%; height: 100%; object-fit: contain;">`;
+                renderAvatar(partnerAvatar, { hash: result.partnerAvatar, partnered: true });
 
                 document.getElementById('popupInfo').textContent = `Connected with ${result.partnerName}`;
                 document.getElementById('popupStatus').textContent = "Forever & Always 💕";
@@ -227,13 +293,11 @@ async function loadDashboardData() {
 
                 // Single State Popup
                 const myAvatar = document.querySelector('#heartPopup .avatar-circle');
-                if (result.gender === 'Male') {
-                    myAvatar.innerHTML = `<img src="assets/avatars/boy.png" style="width: 100%; height: 100%; object-fit: contain;">`;
-                } else if (result.gender === 'Female') {
-                    myAvatar.innerHTML = `<img src="assets/avatars/girl.png" style="width: 100%; height: 100%; object-fit: contain;">`;
-                } else {
-                    myAvatar.textContent = (result.username && result.username.charAt(0).toUpperCase()) || 'F';
-                }
+                renderAvatar(myAvatar, {
+                    hash: result.avatar,
+                    gender: result.gender,
+                    fallbackText: (result.displayName && result.displayName.charAt(0).toUpperCase()) || 'F'
+                });
                 document.getElementById('popupInfo').textContent = "Waiting for a Partner";
                 document.getElementById('popupStatus').textContent = "Invite someone special! 💌";
             }
@@ -288,28 +352,138 @@ function updatePopupError(message) {
     // The popup should only show when user clicks the heart button
 }
 
-async function saveData(type) {
+// Notes, dates and photos are changed one item at a time so partners never overwrite each other
+async function spaceRequest(method, path, body) {
     try {
-        const token = localStorage.getItem('authToken');
-        await fetch(`${API_URL}/data/${currentUserId}`, {
-            method: 'POST',
+        const response = await authFetch(`${API_URL}/spaces/${currentSpaceId}/${path}`, {
+            method,
             headers: {
-                'Content-Type': 'application/json',
-                'Authorization': `Bearer ${token}`
+                'Content-Type': 'application/json'
             },
-            body: JSON.stringify({ type: type, payload: localData[type] })
+            body: body ? JSON.stringify(body) : undefined
         });
+        const result = await response.json();
+
+        if (response.status === 409) {
+            // Partner got there first - show their version instead of overwriting it
+            localData = result.data;
+            renderAll();
+            showToast("Your partner just changed this - here's the latest version", 'error');
+        } else if (result.success) {
+            trackRevision(result.revision);
+        } else {
+            showToast(result.error || "Couldn't save that change", 'error');
+        }
+        return result;
     } catch (err) {
         console.error("Error saving data", err);
+        showToast("Connection error", 'error');
+        return null;
+    }
+}
+
+// Every write answers with the space's new revision. If it moved by more than
+// our own change, our partner saved something meanwhile - re-fetch to pick it up.
+function trackRevision(revision) {
+    if (revision <= localData.revision) return; // Already heard about it over the live channel
+    const expected = localData.revision + 1;
+    localData.revision = revision;
+    if (revision !== expected) refreshSpaceData();
+}
+
+async function refreshSpaceData() {
+    try {
+        const response = await authFetch(`${API_URL}/data/${currentUserId}`);
+        const result = await response.json();
+        if (result.success) {
+            localData = result.data;
+            renderAll();
+        }
+    } catch (err) {
+        console.error("Error refreshing data", err);
+    }
+}
+
+// Apply one change to localData. Items are matched by id, so applying the same
+// change twice (our own write echoed back over the live channel) is harmless.
+function applyChange({ collection, action, item, id, value, trashed, restored }) {
+    if (collection === 'pet' || collection === 'sunflower') {
+        localData[collection] = value;
+        return;
+    }
+
+    const list = localData[collection];
+    const index = list.findIndex(entry => entry.id === (item ? item.id : id));
+    if (action === 'delete') {
+        if (index !== -1) list.splice(index, 1);
+    } else if (index !== -1) {
+        list[index] = item;
+    } else if (collection === 'dates') {
+        list.push(item);
+    } else {
+        list.unshift(item);
+    }
+
+    if (collection === 'dates') {
+        list.sort((a, b) => new Date(a.date) - new Date(b.date));
     }
+
+    // A deleted album leaves its photos where they are, just no longer filed under it
+    if (collection === 'albums' && action === 'delete') {
+        const trashedImages = localData.trash.filter(entry => entry.collection === 'images').map(entry => entry.item);
+        [...localData.images, ...trashedImages].forEach(image => {
+            image.albumIds = (image.albumIds || []).filter(albumId => albumId !== id);
+        });
+    }
+
+    // Deleting moves an item to the trash; restoring takes it back out
+    if (trashed) localData.trash.unshift(trashed);
+    if (restored) localData.trash = localData.trash.filter(entry => entry.id !== item.id);
+}
+
+// --- LIVE SYNC ---
+// Partner's changes arrive over the /space Socket.IO channel as they happen
+function connectSpaceChannel() {
+    if (typeof io === 'undefined') return; // Socket.IO script didn't load; the page still works, just without live updates
+
+    const socket = authSocket('/space');
+
+    socket.on('space:changed', ({ revision, change }) => {
+        if (!currentSpaceId || revision <= localData.revision) return; // Not loaded yet, or already have it
+        if (revision !== localData.revision + 1) {
+            refreshSpaceData(); // Missed something in between
+            return;
+        }
+        if (!change) {
+            refreshSpaceData(); // Too much changed to send (e.g. an import)
+            return;
+        }
+        localData.revision = revision;
+        applyChange(change);
+        renderAll();
+    });
+
+    // Linked to or unlinked from a partner elsewhere - everything on the page changes
+    socket.on('space:moved', () => loadDashboardData());
+
+    // A reply or reaction from our partner, while we're looking
+    socket.on('notification', notification => {
+        showToast(describeNotification(notification), 'success');
+        markNotificationsRead();
+    });
+
+    // Changes made while we were offline weren't delivered; catch up
+    socket.io.on('reconnect', refreshSpaceData);
 }
 
 async function invitePartner(targetId) {
     try {
-        const response = await fetch(`${API_URL}/invite`, {
+        const response = await authFetch(`${API_URL}/invite`, {
             method: 'POST',
-            headers: { 'Content-Type': 'application/json' },
-            body: JSON.stringify({ userId: currentUserId, targetId: targetId })
+            headers: {
+                'Content-Type': 'application/json'
+            },
+            body: JSON.stringify({ targetId: targetId })
         });
         const result = await response.json();
 
@@ -330,10 +504,7 @@ async function disconnectPartner() {
 async function checkPlaygroundInvite(partnerId) {
     if (!partnerId) return;
     try {
-        const token = localStorage.getItem('authToken');
-        const response = await fetch(`${API_URL}/playground/status/${partnerId}`, {
-            headers: { 'Authorization': `Bearer ${token}` }
-        });
+        const response = await authFetch(`${API_URL}/playground/status/${partnerId}`);
         const result = await response.json();
 
         if (result.success && result.invitingPartner) {
@@ -349,17 +520,38 @@ async function checkPlaygroundInvite(partnerId) {
 
 async function checkNotifications() {
     try {
-        const response = await fetch(`${API_URL}/notifications/${currentUserId}`);
+        const response = await authFetch(`${API_URL}/notifications/${currentUserId}`);
         const result = await response.json();
 
         if (result.success && result.pendingInvite) {
             showInviteModal(result.pendingInvite);
         }
+        // Replies and reactions that came in while we were away
+        const unread = result.notifications || [];
+        if (unread.length) {
+            showToast(unread.length === 1 ? describeNotification(unread[0]) : `${unread.length} new replies and reactions 💬`, 'success');
+            markNotificationsRead();
+        }
     } catch (err) {
         console.error("Error checking notifications", err);
     }
 }
 
+function describeNotification({ type, fromName, collection, text }) {
+    const what = collection === 'images' ? 'photo' : 'note';
+    return type === 'reply'
+        ? `${fromName} replied to a ${what}: "${text}"`
+        : `${fromName} reacted ${text} to a ${what}`;
+}
+
+async function markNotificationsRead() {
+    try {
+        await authFetch(`${API_URL}/notifications/read`, { method: 'POST' });
+    } catch (err) {
+        console.error("Error marking notifications read", err);
+    }
+}
+
 function showInviteModal(invite) {
     const modal = document.getElementById('inviteModal');
     const nameSpan = document.getElementById('inviterName');
@@ -378,10 +570,12 @@ function showInviteModal(invite) {
 
 async function respondToInvite(accept) {
     try {
-        const response = await fetch(`${API_URL}/invite/respond`, {
+        const response = await authFetch(`${API_URL}/invite/respond`, {
             method: 'POST',
-            headers: { 'Content-Type': 'application/json' },
-            body: JSON.stringify({ userId: currentUserId, accept: accept })
+            headers: {
+                'Content-Type': 'application/json'
+            },
+            body: JSON.stringify({ accept: accept })
         });
         const result = await response.json();
 
@@ -392,11 +586,8 @@ async function respondToInvite(accept) {
                 const inviterId = JSON.parse(localStorage.getItem('pendingInviteData') || '{}').fromId;
                 if (inviterId) {
                     // Check if they're in playground
-                    const token = localStorage.getItem('authToken');
                     try {
-                        const playgroundCheck = await fetch(`${API_URL}/playground/status/${inviterId}`, {
-                            headers: { 'Authorization': `Bearer ${token}` }
-                        });
+                        const playgroundCheck = await authFetch(`${API_URL}/playground/status/${inviterId}`);
                         const playgroundResult = await playgroundCheck.json();
                         
                         if (playgroundResult.success) {
@@ -424,29 +615,76 @@ async function respondToInvite(accept) {
 
 // --- HELPER LOGIC ---
 
-function addNote(text) {
-    localData.notes.unshift(text);
-    renderNotes();
-    saveData('notes');
+async function addNote(text) {
+    const result = await spaceRequest('POST', 'notes', { text });
+    if (result?.success) {
+        applyChange({ collection: 'notes', action: 'create', item: result.note });
+        renderNotes();
+    }
 }
 
-function deleteNoteItem(index) {
-    localData.notes.splice(index, 1);
-    renderNotes();
-    saveData('notes');
+// changes: any of { text, pinned, color }. Resolves true once saved.
+async function updateNote(id, changes) {
+    const result = await spaceRequest('PATCH', `notes/${id}`, changes);
+    if (result?.success) {
+        applyChange({ collection: 'notes', action: 'update', item: result.note });
+        renderNotes();
+    }
+    return !!result?.success;
 }
 
-function addImage(base64) {
-    localData.images.unshift(base64);
-    renderGallery();
-    saveData('images');
+async function deleteNoteItem(id) {
+    await moveToTrash('notes', id);
 }
 
-function addDate(dateObj) {
-    localData.dates.push(dateObj);
-    localData.dates.sort((a, b) => new Date(a.date) - new Date(b.date));
-    renderDates();
-    saveData('dates');
+// Photos go up as multipart uploads; the server validates them and makes the thumbnails
+async function uploadPhoto(file) {
+    const uploadBtn = document.getElementById('uploadPhotoBtn');
+    const originalText = uploadBtn.innerText;
+    uploadBtn.disabled = true;
+    uploadBtn.innerText = 'Uploading... 📤';
+
+    try {
+        const captionInput = document.getElementById('photoCaption');
+        const formData = new FormData();
+        formData.append('caption', captionInput.value.trim());
+        // For cameras that don't record their time zone (see lib/exif.js)
+        formData.append('timezoneOffset', String(-new Date().getTimezoneOffset()));
+        formData.append('photo', file);
+
+        const response = await authFetch(`${API_URL}/spaces/${currentSpaceId}/images`, {
+            method: 'POST',
+            body: formData
+        });
+        const result = await response.json();
+
+        if (result.success) {
+            captionInput.value = '';
+            trackRevision(result.revision);
+            applyChange({ collection: 'images', action: 'create', item: result.image });
+            renderGallery();
+        } else {
+            showToast(result.error || "Upload failed", 'error');
+        }
+    } catch (err) {
+        console.error("Error uploading photo", err);
+        showToast("Connection error", 'error');
+    } finally {
+        uploadBtn.disabled = false;
+        uploadBtn.innerText = originalText;
+    }
+}
+
+async function deleteImageItem(id) {
+    await moveToTrash('images', id);
+}
+
+async function addDate(dateObj) {
+    const result = await spaceRequest('POST', 'dates', dateObj);
+    if (result?.success) {
+        applyChange({ collection: 'dates', action: 'create', item: result.date });
+        renderDates();
+    }
 }
 
 
@@ -456,47 +694,963 @@ function renderAll() {
     renderNotes();
     renderGallery();
     renderDates();
+    renderLetters();
+    renderTrash();
     renderPetStatus();
     renderSunflowerStatus();
 }
 
 
+const NOTE_COLORS = ['yellow', 'pink', 'blue', 'green', 'purple']; // Same list as lib/spaces.js
+
+// The open inline editor (see editNoteInline), { noteId, element }. Re-rendering puts
+// the same element back, so a partner's change elsewhere doesn't throw away what's being typed.
+let noteEditor = null;
+
 function renderNotes() {
     const list = document.getElementById('notesList');
+    // Moving the editor around loses focus and the cursor position; put them back afterwards
+    const focused = noteEditor?.element.contains(document.activeElement) ? document.activeElement : null;
+    const selection = focused && 'selectionStart' in focused ? [focused.selectionStart, focused.selectionEnd] : null;
     list.innerHTML = '';
+    if (noteTagFilter && !localData.notes.some(note => (note.tags || []).includes(noteTagFilter))) noteTagFilter = null;
+    fillTagFilter('noteTagFilter', localData.notes, noteTagFilter, 'All notes');
     if (localData.notes.length === 0) {
+        noteEditor = null;
         list.innerHTML = '<div class="empty-state">No notes yet!</div>';
         return;
     }
-    localData.notes.forEach((note, index) => {
-        const div = document.createElement('div');
-        div.className = 'note-item';
-        div.innerHTML = `${note} <span class="delete-note" data-index="${index}" data-type="note">❌</span>`;
-        list.appendChild(div);
+
+    // Pinned first, then newest first; notes too old to have a date keep their order at the end
+    const notes = localData.notes
+        .filter(note => !noteTagFilter || (note.tags || []).includes(noteTagFilter))
+        .sort((a, b) => (b.pinned === true) - (a.pinned === true) || (b.createdAt || 0) - (a.createdAt || 0));
+    if (noteEditor && !notes.some(note => note.id === noteEditor.noteId)) noteEditor = null; // Deleted, or filtered out
+    notes.forEach(note => list.appendChild(noteEditor?.noteId === note.id ? noteEditor.element : noteElement(note)));
+
+    if (focused?.isConnected) {
+        focused.focus();
+        if (selection) focused.setSelectionRange(...selection);
+    }
+}
+
+function noteElement(note) {
+    const div = document.createElement('div');
+    div.className = 'note-item' + (note.pinned ? ' pinned' : '') + (note.color ? ` note-${note.color}` : '');
+    div.dataset.itemId = note.id;
+
+    const text = document.createElement('div');
+    text.className = 'note-text';
+    renderRichText(text, note.text);
+    div.appendChild(text);
+    if (note.tags?.length) {
+        div.appendChild(tagList(note.tags, tag => {
+            noteTagFilter = tag;
+            renderNotes();
+        }));
+    }
+
+    const footer = document.createElement('div');
+    footer.className = 'note-footer';
+    const meta = document.createElement('span');
+    meta.className = 'note-meta';
+    meta.textContent = [
+        authorName(note.authorId) && `written by ${authorName(note.authorId)}`,
+        note.createdAt && timeAgo(note.createdAt),
+        note.editedAt && 'edited'
+    ].filter(Boolean).join(' · ');
+    footer.appendChild(meta);
+
+    const actions = document.createElement('span');
+    actions.className = 'note-actions';
+    const action = (label, title, onClick) => {
+        const btn = document.createElement('span');
+        btn.className = 'note-action';
+        btn.textContent = label;
+        btn.title = title;
+        btn.addEventListener('click', onClick);
+        actions.appendChild(btn);
+    };
+    action(note.pinned ? '📍' : '📌', note.pinned ? 'Unpin' : 'Pin to the top', () => updateNote(note.id, { pinned: !note.pinned }));
+    // Only the author can change the words; anyone can change the colour
+    action('✏️', 'Edit', () => editNoteInline(div, note));
+    footer.appendChild(actions);
+    div.appendChild(footer);
+    div.appendChild(conversationElement('notes', note));
+
+    const deleteBtn = document.createElement('span');
+    deleteBtn.className = 'delete-note';
+    deleteBtn.dataset.id = note.id;
+    deleteBtn.dataset.type = 'note';
+    deleteBtn.textContent = '❌';
+    div.appendChild(deleteBtn);
+    return div;
+}
+
+// "you", the partner's name, or null when we don't know (older notes, an ex-partner)
+function authorName(authorId) {
+    if (!authorId) return null;
+    if (authorId === currentUserId) return 'you';
+    if (authorId === partner.id) return partner.name;
+    return null;
+}
+
+// Swap a note for an editor in place; Save sends only what changed
+function editNoteInline(div, note) {
+    const canEditText = !note.authorId || note.authorId === currentUserId;
+    let color = note.color;
+    div.replaceChildren();
+    div.classList.add('editing');
+    noteEditor = { noteId: note.id, element: div };
+    const close = () => {
+        noteEditor = null;
+        renderNotes();
+    };
+
+    const textarea = document.createElement('textarea');
+    textarea.className = 'note-edit';
+    textarea.value = note.text;
+    textarea.maxLength = 2000;
+    textarea.disabled = !canEditText;
+    div.appendChild(textarea);
+
+    const swatches = document.createElement('div');
+    swatches.className = 'note-swatches';
+    [null, ...NOTE_COLORS].forEach(option => {
+        const swatch = document.createElement('span');
+        swatch.className = 'note-swatch' + (option ? ` note-${option}` : '') + (option === color ? ' selected' : '');
+        swatch.title = option || 'Default';
+        swatch.addEventListener('click', () => {
+            color = option;
+            swatches.querySelectorAll('.note-swatch').forEach(s => s.classList.toggle('selected', s === swatch));
+        });
+        swatches.appendChild(swatch);
+    });
+    div.appendChild(swatches);
+
+    const tagsInput = tagInput(note.tags);
+    div.appendChild(tagsInput);
+
+    const buttons = document.createElement('div');
+    buttons.className = 'note-edit-buttons';
+    const save = document.createElement('button');
+    save.className = 'action-btn small';
+    save.textContent = 'Save';
+    save.addEventListener('click', async () => {
+        const changes = {};
+        if (canEditText && textarea.value.trim() !== note.text) changes.text = textarea.value;
+        if (color !== note.color) changes.color = color;
+        const tags = parseTags(tagsInput.value);
+        if (tags.join(',') !== (note.tags || []).join(',')) changes.tags = tags;
+        if (Object.keys(changes).length === 0 || await updateNote(note.id, changes)) close();
+    });
+    const cancel = document.createElement('button');
+    cancel.className = 'action-btn small note-cancel';
+    cancel.textContent = 'Cancel';
+    cancel.addEventListener('click', close);
+    buttons.append(save, cancel);
+    div.appendChild(buttons);
+
+    if (canEditText) textarea.focus();
+}
+
+// --- ALBUMS & TAGS ---
+let galleryFilter = { albumId: null, tag: null }; // What the gallery is showing
+let noteTagFilter = null;
+
+// "beach, Birthday 2025" -> ['beach', 'birthday 2025'] (the server tidies them the same way)
+function parseTags(value) {
+    return [...new Set(value.split(',').map(tag => tag.replace(/^\s*#+/, '').trim().replace(/\s+/g, ' ').toLowerCase()).filter(Boolean))];
+}
+
+function tagInput(tags = []) {
+    const input = document.createElement('input');
+    input.type = 'text';
+    input.className = 'tag-input';
+    input.placeholder = 'Tags, separated by commas';
+    input.value = tags.join(', ');
+    return input;
+}
+
+function tagList(tags, onClick) {
+    const list = document.createElement('div');
+    list.className = 'tag-list';
+    tags.forEach(tag => {
+        const chip = document.createElement('span');
+        chip.className = 'tag-chip';
+        chip.textContent = `#${tag}`;
+        chip.title = 'Show everything tagged like this';
+        chip.addEventListener('click', () => onClick(tag));
+        list.appendChild(chip);
+    });
+    return list;
+}
+
+// Fill a tag <select> with every tag used on `items`
+function fillTagFilter(selectId, items, selected, allLabel) {
+    const select = document.getElementById(selectId);
+    if (!select) return;
+    const tags = [...new Set(items.flatMap(item => item.tags || []))].sort();
+    const all = document.createElement('option');
+    all.value = '';
+    all.textContent = allLabel;
+    select.replaceChildren(all, ...tags.map(tag => {
+        const option = document.createElement('option');
+        option.value = tag;
+        option.textContent = `#${tag}`;
+        return option;
+    }));
+    select.value = tags.includes(selected) ? selected : '';
+    select.style.display = tags.length ? '' : 'none';
+}
+
+// The album's chosen cover if it's still in there, otherwise its newest photo
+function albumCover(album) {
+    const photos = localData.images.filter(img => (img.albumIds || []).includes(album.id));
+    return photos.find(img => img.id === album.coverImageId) || photos[0] || null;
+}
+
+function renderAlbums() {
+    const strip = document.getElementById('albumStrip');
+    if (!strip) return;
+    if (galleryFilter.albumId && !localData.albums.some(album => album.id === galleryFilter.albumId)) {
+        galleryFilter.albumId = null;
+    }
+    strip.replaceChildren();
+
+    const card = (label, count, cover, albumId) => {
+        const el = document.createElement('div');
+        el.className = 'album-card' + (galleryFilter.albumId === albumId ? ' active' : '');
+        const thumb = document.createElement('div');
+        thumb.className = 'album-cover';
+        if (cover) {
+            const img = document.createElement('img');
+            img.alt = '';
+            thumb.appendChild(img);
+            loadImageInto(img, cover, cover.thumb?.hash);
+        } else {
+            thumb.textContent = albumId ? '📁' : '🖼️';
+        }
+        const name = document.createElement('div');
+        name.className = 'album-name';
+        name.textContent = `${label} (${count})`;
+        el.append(thumb, name);
+        el.addEventListener('click', () => {
+            galleryFilter.albumId = albumId;
+            renderGallery();
+        });
+        return el;
+    };
+
+    strip.appendChild(card('All photos', localData.images.length, null, null));
+    localData.albums.forEach(album => {
+        const count = localData.images.filter(img => (img.albumIds || []).includes(album.id)).length;
+        const el = card(album.name, count, albumCover(album), album.id);
+        if (galleryFilter.albumId === album.id) {
+            const actions = document.createElement('div');
+            actions.className = 'note-actions';
+            const rename = document.createElement('span');
+            rename.className = 'note-action';
+            rename.textContent = '✏️';
+            rename.title = 'Rename album';
+            rename.addEventListener('click', e => {
+                e.stopPropagation();
+                renameAlbum(album);
+            });
+            const remove = document.createElement('span');
+            remove.className = 'note-action';
+            remove.textContent = '🗑️';
+            remove.title = 'Delete album (the photos stay)';
+            remove.addEventListener('click', e => {
+                e.stopPropagation();
+                deleteAlbum(album);
+            });
+            actions.append(rename, remove);
+            el.appendChild(actions);
+        }
+        strip.appendChild(el);
+    });
+}
+
+async function createAlbum() {
+    const name = prompt("Name the new album (e.g. First trip):");
+    if (!name?.trim()) return;
+    const result = await spaceRequest('POST', 'albums', { name });
+    if (result?.success) {
+        applyChange({ collection: 'albums', action: 'create', item: result.album });
+        galleryFilter.albumId = result.album.id;
+        renderGallery();
+    }
+}
+
+async function renameAlbum(album) {
+    const name = prompt("Rename the album:", album.name);
+    if (!name?.trim() || name.trim() === album.name) return;
+    await updateAlbum(album.id, { name });
+}
+
+async function updateAlbum(id, changes) {
+    const result = await spaceRequest('PATCH', `albums/${id}`, changes);
+    if (result?.success) {
+        applyChange({ collection: 'albums', action: 'update', item: result.album });
+        renderGallery();
+    }
+}
+
+async function deleteAlbum(album) {
+    if (!confirm(`Delete the album "${album.name}"? Its photos stay in your gallery.`)) return;
+    const result = await spaceRequest('DELETE', `albums/${album.id}`);
+    if (result?.success) {
+        applyChange({ collection: 'albums', action: 'delete', id: album.id });
+        renderGallery();
+    }
+}
+
+// Caption, tags, albums and the album cover for one photo, in the panel above the gallery
+function openPhotoFiling(img) {
+    const panel = document.getElementById('photoFilingPanel');
+    panel.replaceChildren();
+    panel.style.display = 'block';
+
+    const title = document.createElement('strong');
+    title.textContent = 'Caption, tags & albums';
+    const captionInput = document.createElement('input');
+    captionInput.type = 'text';
+    captionInput.className = 'photo-caption-input';
+    captionInput.placeholder = 'Caption';
+    captionInput.maxLength = 200;
+    captionInput.value = img.caption || '';
+    const tagsInput = tagInput(img.tags);
+
+    const albums = document.createElement('div');
+    albums.className = 'filing-albums';
+    localData.albums.forEach(album => {
+        const label = document.createElement('label');
+        const box = document.createElement('input');
+        box.type = 'checkbox';
+        box.value = album.id;
+        box.checked = (img.albumIds || []).includes(album.id);
+        label.append(box, ` ${album.name}`);
+        albums.appendChild(label);
+    });
+    if (localData.albums.length === 0) albums.textContent = 'No albums yet - make one with "New album".';
+
+    const buttons = document.createElement('div');
+    buttons.className = 'note-edit-buttons';
+    const save = document.createElement('button');
+    save.className = 'action-btn small';
+    save.textContent = 'Save';
+    save.addEventListener('click', async () => {
+        const albumIds = [...albums.querySelectorAll('input:checked')].map(box => box.value);
+        const result = await spaceRequest('PATCH', `images/${img.id}`, {
+            caption: captionInput.value.trim(), tags: parseTags(tagsInput.value), albumIds
+        });
+        if (result?.success) {
+            applyChange({ collection: 'images', action: 'update', item: result.image });
+            panel.style.display = 'none';
+            renderGallery();
+        }
+    });
+    const cancel = document.createElement('button');
+    cancel.className = 'action-btn small note-cancel';
+    cancel.textContent = 'Cancel';
+    cancel.addEventListener('click', () => { panel.style.display = 'none'; });
+    buttons.append(save, cancel);
+
+    // Only offered while looking at an album this photo is in
+    const album = localData.albums.find(a => a.id === galleryFilter.albumId);
+    if (album && (img.albumIds || []).includes(album.id)) {
+        const cover = document.createElement('button');
+        cover.className = 'action-btn small note-cancel';
+        cover.textContent = `Make it the cover of "${album.name}"`;
+        cover.addEventListener('click', async () => {
+            await updateAlbum(album.id, { coverImageId: img.id });
+            panel.style.display = 'none';
+        });
+        buttons.appendChild(cover);
+    }
+
+    panel.append(title, captionInput, tagsInput, albums, buttons);
+    tagsInput.focus();
+}
+
+// --- TRASH ---
+// Deleting only moves things here; they can be restored for TRASH_DAYS, then the server drops them
+const TRASH_DAYS = 30; // Same as TRASH_RETENTION_MS in lib/spaces.js
+const DAY_MS = 24 * 60 * 60 * 1000;
+const TRASH_ICONS = { notes: '📝', dates: '📅', images: '📸', letters: '💌' };
+
+async function moveToTrash(collection, id) {
+    const result = await spaceRequest('DELETE', `${collection}/${id}`);
+    if (result?.success) {
+        applyChange({ collection, action: 'delete', id, trashed: result.trashed });
+        renderAll();
+        showToast("Moved to the trash", 'success', { label: 'Undo', action: () => restoreFromTrash(id) });
+    }
+}
+
+async function restoreFromTrash(id) {
+    const result = await spaceRequest('POST', `trash/${id}/restore`);
+    if (result?.success) {
+        applyChange({ collection: result.collection, action: 'create', item: result.item, restored: true });
+        renderAll();
+    }
+}
+
+async function deleteForever(id) {
+    if (!confirm("Delete this forever? It can't be brought back.")) return;
+    const result = await spaceRequest('DELETE', `trash/${id}`);
+    if (result?.success) {
+        applyChange({ collection: 'trash', action: 'delete', id });
+        renderTrash();
+    }
+}
+
+function renderTrash() {
+    const list = document.getElementById('trashList');
+    if (!list) return;
+    list.replaceChildren();
+    if (localData.trash.length === 0) {
+        const empty = document.createElement('li');
+        empty.className = 'empty-state';
+        empty.textContent = 'Nothing in the trash';
+        list.appendChild(empty);
+        return;
+    }
+
+    localData.trash.forEach(entry => {
+        const li = document.createElement('li');
+        li.className = 'trash-item';
+
+        const preview = document.createElement('div');
+        preview.className = 'trash-preview';
+        if (entry.collection === 'images') {
+            const thumb = document.createElement('img');
+            thumb.alt = 'Deleted photo';
+            preview.appendChild(thumb);
+            loadImageInto(thumb, entry.item, entry.item.thumb?.hash);
+        } else {
+            const text = entry.collection === 'dates' ? `${entry.item.label} (${entry.item.date})`
+                : entry.collection === 'letters' ? entry.item.title || 'A letter'
+                    : entry.item.text;
+            preview.textContent = `${TRASH_ICONS[entry.collection]} ${text.length > 80 ? text.slice(0, 80) + '…' : text}`;
+        }
+
+        const daysLeft = Math.max(0, Math.ceil((entry.deletedAt + TRASH_DAYS * DAY_MS - Date.now()) / DAY_MS));
+        const meta = document.createElement('div');
+        meta.className = 'note-meta';
+        meta.textContent = [
+            `deleted by ${authorName(entry.deletedBy) || 'someone'}`,
+            timeAgo(entry.deletedAt),
+            daysLeft === 1 ? '1 day left' : `${daysLeft} days left`
+        ].join(' · ');
+
+        const restore = document.createElement('button');
+        restore.className = 'action-btn small';
+        restore.textContent = 'Restore';
+        restore.addEventListener('click', () => restoreFromTrash(entry.id));
+        const remove = document.createElement('button');
+        remove.className = 'action-btn small note-cancel';
+        remove.textContent = 'Delete forever';
+        remove.addEventListener('click', () => deleteForever(entry.id));
+        const actions = document.createElement('div');
+        actions.className = 'trash-actions';
+        actions.append(restore, remove);
+
+        li.append(preview, meta, actions);
+        list.appendChild(li);
+    });
+}
+
+// --- TIME CAPSULE ---
+// Letters stay sealed until unlockAt; until then the server sends them without a
+// body, so opening one that has just unlocked fetches it first.
+async function sealLetter() {
+    const title = document.getElementById('letterTitle');
+    const body = document.getElementById('letterBody');
+    const dateId = document.getElementById('letterUnlockEvent').value;
+    const unlockDate = document.getElementById('letterUnlockDate');
+    if (!body.value.trim()) return showToast("Write something in your letter first", 'error');
+    if (!dateId && !unlockDate.value) return showToast("Pick a day for it to open", 'error');
+
+    const result = await spaceRequest('POST', 'letters', {
+        title: title.value.trim(),
+        body: body.value,
+        ...(dateId ? { dateId } : { unlockDate: unlockDate.value })
     });
+    if (result?.success) {
+        applyChange({ collection: 'letters', action: 'create', item: result.letter });
+        renderLetters();
+        title.value = '';
+        body.value = '';
+        unlockDate.value = '';
+        showToast("Sealed! It'll open " + new Date(result.letter.unlockAt).toLocaleDateString(), 'success');
+    }
+}
+
+function renderLetters() {
+    const list = document.getElementById('lettersList');
+    if (!list) return;
+
+    // Special dates a letter can wait for
+    const events = document.getElementById('letterUnlockEvent');
+    const chosen = events.value;
+    const dayOption = document.createElement('option');
+    dayOption.value = '';
+    dayOption.textContent = 'Open on a day I pick';
+    events.replaceChildren(dayOption, ...localData.dates.map(item => {
+        const option = document.createElement('option');
+        option.value = item.id;
+        option.textContent = `Open on "${item.label}"`;
+        return option;
+    }));
+    events.value = localData.dates.some(item => item.id === chosen) ? chosen : '';
+    document.getElementById('letterUnlockDate').style.display = events.value ? 'none' : '';
+
+    list.replaceChildren();
+    if (localData.letters.length === 0) {
+        const empty = document.createElement('li');
+        empty.className = 'empty-state';
+        empty.textContent = 'No letters yet - write one to your future selves!';
+        list.appendChild(empty);
+        return;
+    }
+
+    localData.letters.forEach(letter => {
+        const ready = letter.unlockAt <= Date.now();
+        const li = document.createElement('li');
+        li.className = 'capsule-item' + (ready ? ' ready' : ' sealed');
+        li.dataset.itemId = letter.id;
+
+        const seal = document.createElement('span');
+        seal.className = 'capsule-seal';
+        seal.textContent = ready ? '💌' : '🔒';
+
+        const info = document.createElement('div');
+        info.className = 'capsule-info';
+        const title = document.createElement('strong');
+        title.textContent = letter.title || 'A letter';
+        const meta = document.createElement('div');
+        meta.className = 'note-meta';
+        const opensOn = new Date(letter.unlockAt).toLocaleDateString('en-US', { month: 'short', day: 'numeric', year: 'numeric' });
+        meta.textContent = [
+            `from ${authorName(letter.authorId) || 'someone'}`,
+            letter.unlockEvent ? `opens on ${letter.unlockEvent.label} (${opensOn})` : `opens ${opensOn}`
+        ].join(' · ');
+        const countdown = document.createElement('div');
+        countdown.className = 'capsule-countdown';
+        countdown.dataset.unlockAt = letter.unlockAt;
+        countdown.textContent = ready ? 'Ready to open - tap me!' : countdownText(letter.unlockAt);
+        info.append(title, meta, countdown);
+
+        const deleteBtn = document.createElement('span');
+        deleteBtn.className = 'delete-note';
+        deleteBtn.textContent = '❌';
+        deleteBtn.dataset.id = letter.id;
+        deleteBtn.dataset.type = 'letter';
+
+        li.append(seal, info, deleteBtn);
+        li.addEventListener('click', e => {
+            if (e.target !== deleteBtn && letter.unlockAt <= Date.now()) openLetter(letter);
+        });
+        list.appendChild(li);
+    });
+}
+
+function countdownText(unlockAt) {
+    let seconds = Math.max(0, Math.floor((unlockAt - Date.now()) / 1000));
+    const days = Math.floor(seconds / 86400);
+    seconds %= 86400;
+    const clock = [Math.floor(seconds / 3600), Math.floor(seconds / 60) % 60, seconds % 60]
+        .map(part => String(part).padStart(2, '0')).join(':');
+    return `Opens in ${days > 0 ? `${days}d ` : ''}${clock}`;
+}
+
+// Runs every second; re-renders when a letter's moment arrives so it can be opened
+function tickCapsuleCountdowns() {
+    let unlocked = false;
+    document.querySelectorAll('.capsule-item.sealed .capsule-countdown').forEach(el => {
+        const unlockAt = Number(el.dataset.unlockAt);
+        if (unlockAt <= Date.now()) unlocked = true;
+        else el.textContent = countdownText(unlockAt);
+    });
+    if (unlocked) renderLetters();
+}
+
+async function openLetter(letter) {
+    if (letter.body === null) {
+        try {
+            const response = await authFetch(`${API_URL}/spaces/${currentSpaceId}/letters/${letter.id}`);
+            const result = await response.json();
+            if (!result.success) return showToast(result.error || "Couldn't open the letter", 'error');
+            applyChange({ collection: 'letters', action: 'update', item: result.letter });
+            letter = result.letter;
+        } catch (err) {
+            console.error("Error opening letter", err);
+            return showToast("Connection error", 'error');
+        }
+    }
+
+    document.getElementById('capsuleTitle').textContent = letter.title || 'A letter for you';
+    document.getElementById('capsuleMeta').textContent =
+        `from ${authorName(letter.authorId) || 'someone'} · written ${new Date(letter.createdAt).toLocaleDateString()}`;
+    renderRichText(document.getElementById('capsuleBody'), letter.body);
+
+    // Restart the seal-breaking animation each time
+    const modal = document.getElementById('capsuleModal');
+    const envelope = modal.querySelector('.capsule-envelope');
+    envelope.classList.remove('opening');
+    modal.style.display = 'flex';
+    void envelope.offsetWidth;
+    envelope.classList.add('opening');
+}
+
+// --- SEARCH ---
+const SEARCH_ICONS = { notes: '📝', dates: '📅', images: '📸' };
+let searchRequest = 0; // Only the newest search gets to show its results
+
+async function runSearch() {
+    const panel = document.getElementById('searchResults');
+    const q = document.getElementById('searchInput').value.trim();
+    const request = ++searchRequest;
+    if (!q || !currentSpaceId) {
+        panel.style.display = 'none';
+        return;
+    }
+
+    const params = new URLSearchParams({ q });
+    const type = document.getElementById('searchType').value;
+    const from = document.getElementById('searchFrom').value;
+    const to = document.getElementById('searchTo').value;
+    if (type) params.set('type', type);
+    if (from) params.set('from', from);
+    if (to) params.set('to', to);
+
+    try {
+        const response = await authFetch(`${API_URL}/spaces/${currentSpaceId}/search?${params}`);
+        const result = await response.json();
+        if (request !== searchRequest) return;
+        if (!result.success) {
+            showToast(result.error || "Search failed", 'error');
+            return;
+        }
+        renderSearchResults(result);
+    } catch (err) {
+        console.error("Error searching", err);
+    }
+}
+
+function renderSearchResults({ total, results }) {
+    const panel = document.getElementById('searchResults');
+    panel.replaceChildren();
+    panel.style.display = 'block';
+
+    if (results.length === 0) {
+        const empty = document.createElement('div');
+        empty.className = 'empty-state';
+        empty.textContent = 'Nothing found';
+        panel.appendChild(empty);
+        return;
+    }
+
+    results.forEach(result => {
+        const row = document.createElement('div');
+        row.className = 'search-result';
+
+        const icon = document.createElement('span');
+        icon.textContent = SEARCH_ICONS[result.collection];
+        const snippet = document.createElement('span');
+        snippet.className = 'search-snippet';
+        snippet.append(...highlightedText(result.snippet || '(photo)', result.highlights));
+        const when = document.createElement('span');
+        when.className = 'note-meta';
+        when.textContent = result.date ? new Date(result.date).toLocaleDateString() : '';
+
+        row.append(icon, snippet, when);
+        row.addEventListener('click', () => revealItem(result.id));
+        panel.appendChild(row);
+    });
+
+    if (total > results.length) {
+        const more = document.createElement('div');
+        more.className = 'note-meta';
+        more.textContent = `Showing ${results.length} of ${total} - add words or filters to narrow it down`;
+        panel.appendChild(more);
+    }
+}
+
+// Text nodes with <mark> around each [start, end) range
+function highlightedText(text, highlights) {
+    const nodes = [];
+    let at = 0;
+    for (const [start, end] of highlights) {
+        nodes.push(document.createTextNode(text.slice(at, start)));
+        const mark = document.createElement('mark');
+        mark.textContent = text.slice(start, end);
+        nodes.push(mark);
+        at = end;
+    }
+    nodes.push(document.createTextNode(text.slice(at)));
+    return nodes;
+}
+
+// Scroll to a note, photo or date on the page and make it glow for a moment
+function revealItem(id) {
+    const el = document.querySelector(`[data-item-id="${CSS.escape(id)}"]`);
+    if (!el) return;
+    document.getElementById('searchResults').style.display = 'none';
+    el.scrollIntoView({ behavior: 'smooth', block: 'center' });
+    el.classList.add('search-hit');
+    setTimeout(() => el.classList.remove('search-hit'), 2000);
+}
+
+// --- REACTIONS & REPLIES (notes and photos) ---
+const REACTION_CHOICES = ['❤️', '🥰', '😂', '😮', '😢', '👍'];
+const openThreads = new Set(); // Ids of items whose replies are showing, kept across re-renders
+
+function renderCollection(collection) {
+    if (collection === 'notes') renderNotes();
+    else renderGallery();
+}
+
+function conversationElement(collection, item) {
+    const wrap = document.createElement('div');
+    wrap.className = 'conversation';
+
+    const bar = document.createElement('div');
+    bar.className = 'reaction-bar';
+    for (const [emoji, users] of Object.entries(item.reactions || {})) {
+        const chip = document.createElement('button');
+        chip.className = 'reaction-chip' + (users.includes(currentUserId) ? ' mine' : '');
+        chip.textContent = `${emoji} ${users.length}`;
+        chip.title = users.map(id => authorName(id) || 'someone').join(', ');
+        chip.addEventListener('click', () => toggleReaction(collection, item, emoji));
+        bar.appendChild(chip);
+    }
+
+    const picker = document.createElement('span');
+    picker.className = 'reaction-picker';
+    REACTION_CHOICES.forEach(emoji => {
+        const choice = document.createElement('button');
+        choice.textContent = emoji;
+        choice.addEventListener('click', () => toggleReaction(collection, item, emoji));
+        picker.appendChild(choice);
+    });
+    const addReaction = document.createElement('button');
+    addReaction.className = 'reaction-chip add';
+    addReaction.textContent = '☺+';
+    addReaction.title = 'React';
+    addReaction.addEventListener('click', () => picker.classList.toggle('show'));
+    bar.append(addReaction, picker);
+
+    const replies = item.replies || [];
+    const threadToggle = document.createElement('button');
+    threadToggle.className = 'reaction-chip';
+    threadToggle.textContent = replies.length ? `💬 ${replies.length}` : '💬';
+    threadToggle.title = 'Replies';
+    threadToggle.addEventListener('click', () => {
+        if (openThreads.has(item.id)) openThreads.delete(item.id);
+        else openThreads.add(item.id);
+        renderCollection(collection);
+    });
+    bar.appendChild(threadToggle);
+    wrap.appendChild(bar);
+
+    if (openThreads.has(item.id)) wrap.appendChild(threadElement(collection, item));
+    return wrap;
+}
+
+function threadElement(collection, item) {
+    const thread = document.createElement('div');
+    thread.className = 'reply-thread';
+
+    (item.replies || []).forEach(reply => {
+        const row = document.createElement('div');
+        row.className = 'reply';
+        const meta = document.createElement('div');
+        meta.className = 'reply-meta';
+        meta.textContent = `${authorName(reply.authorId) || 'someone'} · ${timeAgo(reply.createdAt)}`;
+        if (reply.authorId === currentUserId) {
+            const remove = document.createElement('span');
+            remove.className = 'note-action';
+            remove.textContent = '🗑️';
+            remove.title = 'Delete reply';
+            remove.addEventListener('click', () => deleteReply(collection, item, reply.id));
+            meta.appendChild(remove);
+        }
+        const text = document.createElement('div');
+        renderRichText(text, reply.text, { inline: true });
+        row.append(meta, text);
+        thread.appendChild(row);
+    });
+
+    const form = document.createElement('div');
+    form.className = 'reply-form';
+    const input = document.createElement('input');
+    input.type = 'text';
+    input.placeholder = 'Write a reply...';
+    input.maxLength = 1000;
+    const send = document.createElement('button');
+    send.className = 'action-btn small';
+    send.textContent = 'Reply';
+    const submit = () => {
+        const text = input.value.trim();
+        if (text) addReply(collection, item, text);
+    };
+    send.addEventListener('click', submit);
+    input.addEventListener('keydown', e => { if (e.key === 'Enter') submit(); });
+    form.append(input, send);
+    thread.appendChild(form);
+    return thread;
+}
+
+// Reactions are per person: tapping one you've made takes it back
+async function toggleReaction(collection, item, emoji) {
+    const mine = (item.reactions?.[emoji] || []).includes(currentUserId);
+    const result = await spaceRequest(mine ? 'DELETE' : 'PUT', `${collection}/${item.id}/reactions/${encodeURIComponent(emoji)}`);
+    if (result?.success) {
+        applyChange({ collection, action: 'update', item: result.item });
+        renderCollection(collection);
+    }
+}
+
+async function addReply(collection, item, text) {
+    const result = await spaceRequest('POST', `${collection}/${item.id}/replies`, { text });
+    if (result?.success) {
+        applyChange({ collection, action: 'update', item: result.item });
+        renderCollection(collection);
+    }
+}
+
+async function deleteReply(collection, item, replyId) {
+    const result = await spaceRequest('DELETE', `${collection}/${item.id}/replies/${replyId}`);
+    if (result?.success) {
+        applyChange({ collection, action: 'update', item: result.item });
+        renderCollection(collection);
+    }
+}
+
+const relativeTime = new Intl.RelativeTimeFormat('en', { numeric: 'auto' });
+const TIME_UNITS = [['year', 31536000], ['month', 2592000], ['week', 604800], ['day', 86400], ['hour', 3600], ['minute', 60]];
+
+// "3 days ago", "yesterday", "just now"
+function timeAgo(time) {
+    const seconds = (time - Date.now()) / 1000;
+    for (const [unit, size] of TIME_UNITS) {
+        if (Math.abs(seconds) >= size) return relativeTime.format(Math.round(seconds / size), unit);
+    }
+    return 'just now';
 }
 
 function renderGallery() {
     const grid = document.getElementById('galleryGrid');
     grid.innerHTML = '';
+    renderAlbums();
+    if (galleryFilter.tag && !localData.images.some(img => (img.tags || []).includes(galleryFilter.tag))) galleryFilter.tag = null;
+    fillTagFilter('photoTagFilter', localData.images, galleryFilter.tag, 'All tags');
     if (localData.images.length === 0) {
         grid.innerHTML = '<div class="empty-state">No photos yet!</div>';
         return;
     }
-    localData.images.forEach((img) => {
+    // Newest memories first, by when they were taken rather than when they were uploaded
+    const images = localData.images.filter(img =>
+        (!galleryFilter.albumId || (img.albumIds || []).includes(galleryFilter.albumId))
+        && (!galleryFilter.tag || (img.tags || []).includes(galleryFilter.tag)))
+        .sort((a, b) => photoDate(b) - photoDate(a));
+    if (images.length === 0) {
+        grid.innerHTML = '<div class="empty-state">No photos here yet!</div>';
+        return;
+    }
+    images.forEach((img) => {
         const div = document.createElement('div');
         div.className = 'polaroid';
-        div.innerHTML = `<img src="${img}" alt="Memory">`;
+        div.dataset.itemId = img.id;
+        const imgEl = document.createElement('img');
+        imgEl.alt = 'Memory';
+        imgEl.loading = 'lazy';
+        div.appendChild(imgEl);
+        const deleteBtn = document.createElement('span');
+        deleteBtn.className = 'delete-note';
+        deleteBtn.dataset.id = img.id;
+        deleteBtn.dataset.type = 'image';
+        deleteBtn.textContent = '❌';
+        div.appendChild(deleteBtn);
+        const fileBtn = document.createElement('span');
+        fileBtn.className = 'note-action polaroid-file';
+        fileBtn.textContent = '🏷️';
+        fileBtn.title = 'Caption, tags & albums';
+        fileBtn.addEventListener('click', () => openPhotoFiling(img));
+        div.appendChild(fileBtn);
+        div.addEventListener('click', (e) => {
+            if (e.target !== deleteBtn && e.target !== fileBtn && !e.target.closest('.conversation, .tag-list')) openPhoto(img);
+        });
+        if (img.caption) {
+            const caption = document.createElement('div');
+            caption.className = 'polaroid-caption';
+            caption.textContent = img.caption;
+            div.appendChild(caption);
+        }
+        const date = document.createElement('div');
+        date.className = 'polaroid-date note-meta';
+        date.textContent = photoDate(img) ? new Date(photoDate(img)).toLocaleDateString('en-US', { month: 'short', day: 'numeric', year: 'numeric' }) : '';
+        date.title = authorName(img.uploaderId) ? `added by ${authorName(img.uploaderId)}` : '';
+        div.appendChild(date);
+        if (img.tags?.length) {
+            div.appendChild(tagList(img.tags, tag => {
+                galleryFilter.tag = tag;
+                renderGallery();
+            }));
+        }
+        div.appendChild(conversationElement('images', img));
         grid.appendChild(div);
+        loadImageInto(imgEl, img, img.thumb?.hash);
     });
 }
 
+// When a photo was taken (see lib/exif.js); older entries may only know when it was uploaded
+function photoDate(img) {
+    return img.takenAt || img.addedAt || 0;
+}
+
+function openPhoto(img) {
+    const lightbox = document.getElementById('photoLightbox');
+    const fullImg = document.getElementById('lightboxImage');
+    fullImg.removeAttribute('src');
+    lightbox.classList.add('show');
+    loadImageInto(fullImg, img, img.display?.hash);
+}
+
+// Gallery files need the auth header, so they're fetched and shown as blob: URLs
+const imageUrlCache = new Map(); // hash -> object URL
+
+// `hash` picks a rendition (thumbnail/display); falls back to the original
+async function loadImageInto(imgEl, img, hash = img.hash) {
+    if (img.url) {
+        imgEl.src = img.url;
+        return;
+    }
+    hash = hash || img.hash;
+
+    if (!imageUrlCache.has(hash)) {
+        try {
+            const response = await authFetch(`${API_URL}/spaces/${currentSpaceId}/images/${hash}`);
+            if (!response.ok) throw new Error(`Server error: ${response.status}`);
+            imageUrlCache.set(hash, URL.createObjectURL(await response.blob()));
+        } catch (err) {
+            console.error("Error loading photo", err);
+            return;
+        }
+    }
+    imgEl.src = imageUrlCache.get(hash);
+}
+
 function renderDates() {
     const list = document.getElementById('datesList');
     list.innerHTML = '';
-    localData.dates.forEach((item, index) => {
+    localData.dates.forEach((item) => {
         const li = document.createElement('li');
         li.className = 'saved-date';
+        li.dataset.itemId = item.id;
 
         const targetDate = new Date(item.date);
         const today = new Date();
@@ -512,23 +1666,22 @@ function renderDates() {
 
         li.innerHTML = `
             <div style="flex-grow: 1;">
-                <span>${item.label}</span>
+                <span class="date-label"></span>
                 <span class="date-days" style="display:block; font-size: 0.8em; color: var(--secondary-color);">
                     ${dateString} • ${daysText}
                 </span>
             </div>
-            <span class="delete-note" data-index="${index}" data-type="date" style="position: static; margin-left: 10px;">❌</span>
+            <span class="delete-note" data-id="${item.id}" data-type="date" style="position: static; margin-left: 10px;">❌</span>
         `;
+        renderRichText(li.querySelector('.date-label'), item.label, { inline: true });
         list.appendChild(li);
     });
 }
 
 // window.deleteDate moved to top level
 
-function deleteDateItem(index) {
-    localData.dates.splice(index, 1);
-    renderDates();
-    saveData('dates');
+async function deleteDateItem(id) {
+    await moveToTrash('dates', id);
 }
 
 function renderPetStatus() {
@@ -639,12 +1792,10 @@ window.toggleHeartPopup = (show) => {
 };
 async function updateUserGender(gender) {
     try {
-        const token = localStorage.getItem('authToken');
-        const response = await fetch(`${API_URL}/user/update-gender`, {
+        const response = await authFetch(`${API_URL}/user/update-gender`, {
             method: 'POST',
             headers: {
-                'Content-Type': 'application/json',
-                'Authorization': `Bearer ${token}`
+                'Content-Type': 'application/json'
             },
             body: JSON.stringify({ gender })
         });
@@ -675,11 +1826,12 @@ function showToast(message, type = 'success', button = null) {
     toast.className = `toast-notification ${type}`;
     const icon = type === 'success' ? '🎉' : '⚠️';
 
-    let content = `<span class="toast-icon">${icon}</span> <span>${message}</span>`;
+    let content = `<span class="toast-icon">${icon}</span> <span class="toast-message"></span>`;
     if (button) {
-        content += `<button class="toast-btn" id="toastActionBtn">${button.label}</button>`;
+        content += `<button class="toast-btn" id="toastActionBtn">${escapeHtml(button.label)}</button>`;
     }
     toast.innerHTML = content;
+    toast.querySelector('.toast-message').textContent = message; // May carry a partner's name
 
     container.appendChild(toast);
 
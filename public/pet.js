@@ -9,9 +9,16 @@ if (!currentUserId) {
 let localData = {
     pet: { name: "Lovebug", level: 3, exp: 0, mood: "Happy", lastFed: 0 }
 };
+let spaceRevision = null;
+// Changes made on this page that the server hasn't confirmed yet. If our partner
+// saved in the meantime, these are replayed on top of their version.
+let pendingChanges = [];
+let saveInFlight = false;
+let missedRevision = 0; // Newest revision announced while we were busy saving
 
 document.addEventListener('DOMContentLoaded', () => {
     loadPetData();
+    connectSpaceChannel();
 
     // Theme
     const savedTheme = localStorage.getItem('selected-theme');
@@ -42,16 +49,14 @@ document.addEventListener('DOMContentLoaded', () => {
 
 async function loadPetData() {
     try {
-        const token = localStorage.getItem('authToken');
-        const response = await fetch(`${API_URL}/data/${currentUserId}`, {
-            headers: { 'Authorization': `Bearer ${token}` }
-        });
+        const response = await authFetch(`${API_URL}/data/${currentUserId}`);
 
         const result = await response.json();
 
         if (result.success) {
             // Extract pet data specifically
             localData.pet = result.data.pet || { name: "Lovebug", level: 3, exp: 0, mood: "Happy", lastFed: 0 };
+            spaceRevision = result.revision;
             renderPet();
         } else {
             console.error("Failed to load pet data");
@@ -61,20 +66,82 @@ async function loadPetData() {
     }
 }
 
+// Apply a change to the pet now and queue it for saving
+function changePet(change) {
+    const result = change(localData.pet);
+    pendingChanges.push(change);
+    savePetData();
+    return result;
+}
+
 async function savePetData() {
+    if (saveInFlight) return; // The running save picks up new changes before it finishes
+    saveInFlight = true;
+    let failed = false;
     try {
-        const token = localStorage.getItem('authToken');
-        await fetch(`${API_URL}/data/${currentUserId}`, {
-            method: 'POST',
-            headers: {
-                'Content-Type': 'application/json',
-                'Authorization': `Bearer ${token}`
-            },
-            body: JSON.stringify({ type: 'pet', payload: localData.pet })
-        });
+        while (pendingChanges.length) {
+            const sending = pendingChanges.length;
+            const response = await authFetch(`${API_URL}/data/${currentUserId}`, {
+                method: 'POST',
+                headers: {
+                    'Content-Type': 'application/json',
+                    'If-Match': `"${spaceRevision}"`
+                },
+                body: JSON.stringify({ type: 'pet', payload: localData.pet })
+            });
+            const result = await response.json();
+
+            if (response.status === 409) {
+                // Partner played with the pet too: start from their version and redo ours on top
+                spaceRevision = result.revision;
+                localData.pet = result.data.pet;
+                pendingChanges.forEach(change => change(localData.pet));
+                renderPet();
+                continue;
+            }
+            if (!result.success) throw new Error(result.error || `Server Error (${response.status})`);
+            spaceRevision = result.revision;
+            pendingChanges.splice(0, sending);
+        }
     } catch (err) {
+        // Turned down or never arrived: drop what's queued (live updates wait while anything
+        // is) and show the pet as the server has it
         console.error("Error saving pet data", err);
+        pendingChanges = [];
+        failed = true;
+    } finally {
+        saveInFlight = false;
     }
+    if (failed || missedRevision > spaceRevision) loadPetData();
+}
+
+// --- LIVE SYNC ---
+// Partner's changes arrive over the /space Socket.IO channel as they happen
+function connectSpaceChannel() {
+    if (typeof io === 'undefined') return; // Socket.IO script didn't load; the page still works, just without live updates
+
+    const socket = authSocket('/space');
+
+    socket.on('space:changed', ({ revision, change }) => {
+        if (spaceRevision === null || revision <= spaceRevision) return; // Not loaded yet, or already have it
+        if (saveInFlight || pendingChanges.length) {
+            // The save sorts out conflicts itself; catch up once it's done
+            missedRevision = Math.max(missedRevision, revision);
+            return;
+        }
+        if (revision !== spaceRevision + 1 || !change) {
+            loadPetData(); // Missed something in between, or too much changed to send
+            return;
+        }
+        spaceRevision = revision;
+        if (change.collection === 'pet') {
+            localData.pet = change.value;
+            renderPet();
+        }
+    });
+
+    socket.on('space:moved', loadPetData);
+    socket.io.on('reconnect', loadPetData);
 }
 
 function renderPet() {
@@ -124,45 +191,60 @@ function renderPet() {
 
 function interact(action) {
     if (!localData.pet) return;
-    const p = localData.pet;
-    const isEgg = p.level < 3;
+    const isEgg = localData.pet.level < 3;
+    let animClass = '';
 
+    switch (action) {
+        case 'feed':
+            animClass = isEgg ? 'shake' : 'bounce';
+            break;
+        case 'play':
+            animClass = isEgg ? 'shake' : 'dance';
+            break;
+        case 'walk':
+            animClass = isEgg ? 'shake' : 'walk-anim';
+            break;
+        // No specific action animation for sleep, just the persistent Zzzs and grayscale
+    }
+
+    if (animClass) animateDog(animClass);
+
+    const leveledUp = changePet(p => {
+        applyAction(p, action);
+        return checkLevelUp(p);
+    });
+    if (leveledUp) {
+        alert(`🎉 Woof! ${localData.pet.name} grew to Level ${localData.pet.level}!`);
+    }
+    renderPet();
+}
+
+// Pure state change for an action, so it can be replayed after a conflict
+function applyAction(p, action) {
     // Reset mood if sleeping and woken up (unless action is sleep)
     if (p.mood === 'Sleeping 💤' && action !== 'sleep') {
         p.mood = 'Happy 😊';
     }
 
-    let animClass = '';
-
     switch (action) {
         case 'feed':
             p.exp += 15;
             p.mood = 'Full 😋';
             p.lastFed = Date.now();
-            animClass = isEgg ? 'shake' : 'bounce';
             break;
         case 'play':
             p.exp += 20;
             p.mood = 'Excited 😆';
-            animClass = isEgg ? 'shake' : 'dance';
             break;
         case 'walk':
             p.exp += 25;
             p.mood = 'Tired 🥵';
-            animClass = isEgg ? 'shake' : 'walk-anim';
             break;
         case 'sleep':
             p.exp += 5;
             p.mood = 'Sleeping 💤';
-            // No specific action animation for sleep, just the persistent Zzzs and grayscale
             break;
     }
-
-    if (animClass) animateDog(animClass);
-
-    checkLevelUp();
-    renderPet();
-    savePetData();
 }
 
 function animateDog(animClass) {
@@ -182,24 +264,22 @@ function animateDog(animClass) {
     }
 }
 
-function checkLevelUp() {
-    const p = localData.pet;
+// Returns true when the pet grew a level
+function checkLevelUp(p) {
     const maxExp = p.level * 100;
 
     if (p.exp >= maxExp) {
         p.level++;
         p.exp = p.exp - maxExp;
-        alert(`🎉 Woof! ${p.name} grew to Level ${p.level}!`);
-        // Force re-render to potentially update avatar
-        renderPet();
+        return true;
     }
+    return false;
 }
 
 window.renamePet = () => {
     const newName = prompt("Enter a new name for your dog:", localData.pet.name);
     if (newName && newName.trim()) {
-        localData.pet.name = newName.trim();
+        changePet(p => { p.name = newName.trim(); });
         renderPet();
-        savePetData();
     }
 };
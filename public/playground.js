@@ -37,7 +37,6 @@ let myPlayerId = null;
 let players = new Map(); // Map of oderId -> player sprite
 let joystick = { active: false, x: 0, y: 0 };
 let currentUserId = localStorage.getItem('currentUserId');
-let token = localStorage.getItem('authToken');
 let socket = null;
 let lastPositionSent = { x: 0, y: 0 };
 let positionUpdateThrottle = 0;
@@ -110,7 +109,7 @@ function create() {
     player.setCollideWorldBounds(true);
     player.setCircle(15, 10, 40);
     player.setDisplaySize(50, 50);
-    player.username = localStorage.getItem('currentUsername') || 'You';
+    player.username = localStorage.getItem('currentDisplayName') || localStorage.getItem('currentUsername') || 'You';
     player.facing = 'down';
     player.spritePrefix = spritePrefix;
     player.walkFrame = 0;
@@ -305,12 +304,12 @@ function setupJoystick() {
 
 // ============ Socket.IO ============
 function initSocketIO(gameScene) {
-    if (!token) {
+    if (!localStorage.getItem('authToken')) {
         console.warn('No auth token, Socket.IO skipped');
         return;
     }
 
-    socket = io({ auth: { token } });
+    socket = authSocket();
 
     socket.on('connect', () => {
         console.log('[Playground] Connected');
@@ -336,9 +335,11 @@ function initSocketIO(gameScene) {
             if (p.oderId !== myPlayerId) {
                 createOtherPlayer(p);
             } else {
-                // Update my position from server
+                // Update my position (and name, in case it changed on another device) from server
                 if (player) {
                     player.setPosition(p.x, p.y);
+                    player.username = p.username;
+                    player.nameText.setText(p.username);
                 }
             }
         });
@@ -595,9 +596,10 @@ function addPrivateMessage(fromId, fromUsername, message, fromColor) {
     const msgDiv = document.createElement('div');
     msgDiv.className = `private-msg ${isMe ? 'mine' : 'theirs'}`;
     msgDiv.innerHTML = `
-        <div class="sender" style="color: ${fromColor || '#fff'}">${escapeHtml(fromUsername)}</div>
-        <div>${escapeHtml(message)}</div>
+        <div class="sender" style="color: ${escapeHtml(fromColor || '#fff')}">${escapeHtml(fromUsername)}</div>
+        <div class="msg-text"></div>
     `;
+    renderRichText(msgDiv.querySelector('.msg-text'), message, { inline: true });
     messagesEl.appendChild(msgDiv);
     messagesEl.scrollTop = messagesEl.scrollHeight;
 }
@@ -673,13 +675,6 @@ function updatePlayerCount() {
     }
 }
 
-// ============ Utility ============
-function escapeHtml(text) {
-    const div = document.createElement('div');
-    div.textContent = text;
-    return div.innerHTML;
-}
-
 // ============ Navigation ============
 const homeBtn = document.getElementById('homeBtn');
 if (homeBtn) {
@@ -1,5 +1,7 @@
 const API_URL = '/api';
 const currentUserId = localStorage.getItem('currentUserId');
+let currentSpaceId = null;
+let profile = null; // The last /data response, for redrawing the avatar
 
 if (!currentUserId) {
     window.location.href = 'index.html';
@@ -82,12 +84,100 @@ document.addEventListener('DOMContentLoaded', () => {
     if (logoutBtn) {
         logoutBtn.addEventListener('click', () => {
             if (confirm("Are you sure you want to log out?")) {
-                localStorage.clear();
-                window.location.href = 'index.html';
+                logout();
             }
         });
     }
 
+    // Name, username and picture
+    const saveProfileBtn = document.getElementById('saveProfileBtn');
+    if (saveProfileBtn) {
+        saveProfileBtn.addEventListener('click', saveProfile);
+    }
+    const avatarBtn = document.getElementById('avatarBtn');
+    const avatarInput = document.getElementById('avatarInput');
+    if (avatarBtn && avatarInput) {
+        avatarBtn.addEventListener('click', () => avatarInput.click());
+        avatarInput.addEventListener('change', () => {
+            const file = avatarInput.files[0];
+            if (file) uploadAvatar(file);
+            avatarInput.value = '';
+        });
+        document.getElementById('removeAvatarBtn').addEventListener('click', removeAvatar);
+    }
+
+    // Export / import
+    const exportBtn = document.getElementById('exportBtn');
+    if (exportBtn) {
+        exportBtn.addEventListener('click', () => {
+            downloadFile(`spaces/${currentSpaceId}/export`, exportBtn, "Packing... 📦");
+        });
+    }
+
+    // Memory book, laid out in the currently picked theme
+    ['pdf', 'html'].forEach(format => {
+        const btn = document.getElementById(format === 'pdf' ? 'bookPdfBtn' : 'bookHtmlBtn');
+        if (!btn) return;
+        btn.addEventListener('click', () => {
+            const theme = localStorage.getItem('selected-theme') || 'strawberry';
+            downloadFile(`spaces/${currentSpaceId}/book?format=${format}&theme=${encodeURIComponent(theme)}`, btn, "Printing... 📖");
+        });
+    });
+
+    const importBtn = document.getElementById('importBtn');
+    const importInput = document.getElementById('importInput');
+    if (importBtn && importInput) {
+        importBtn.addEventListener('click', () => importInput.click());
+        importInput.addEventListener('change', () => {
+            const file = importInput.files[0];
+            if (file) restoreMemories(file);
+            importInput.value = ''; // Allow picking the same file again
+        });
+    }
+
+    // Password & recovery codes
+    const changePasswordBtn = document.getElementById('changePasswordBtn');
+    if (changePasswordBtn) {
+        changePasswordBtn.addEventListener('click', changePassword);
+    }
+    const newCodesBtn = document.getElementById('newCodesBtn');
+    if (newCodesBtn) {
+        newCodesBtn.addEventListener('click', () => {
+            if (confirm("Make a new set of recovery codes? Your old ones will stop working.")) {
+                regenerateRecoveryCodes();
+            }
+        });
+    }
+
+    // Two-factor login
+    const twoFactorSetupBtn = document.getElementById('twoFactorSetupBtn');
+    if (twoFactorSetupBtn) {
+        twoFactorSetupBtn.addEventListener('click', startTwoFactorSetup);
+        document.getElementById('twoFactorEnableBtn').addEventListener('click', enableTwoFactor);
+        document.getElementById('twoFactorDisableBtn').addEventListener('click', disableTwoFactor);
+    }
+
+    // Sessions
+    loadSessions();
+    const logoutOthersBtn = document.getElementById('logoutOthersBtn');
+    if (logoutOthersBtn) {
+        logoutOthersBtn.addEventListener('click', () => {
+            if (confirm("Log out of every other device?")) {
+                revokeSession(null);
+            }
+        });
+    }
+
+    // Account deletion
+    const deleteAccountBtn = document.getElementById('deleteAccountBtn');
+    if (deleteAccountBtn) {
+        deleteAccountBtn.addEventListener('click', () => {
+            const panel = document.getElementById('deleteAccountPanel');
+            panel.style.display = panel.style.display === 'none' ? 'block' : 'none';
+        });
+        document.getElementById('confirmDeleteBtn').addEventListener('click', deleteAccount);
+    }
+
     // Disconnect functionality
     const disconnectBtn = document.getElementById('disconnectBtn');
     if (disconnectBtn) {
@@ -101,45 +191,39 @@ document.addEventListener('DOMContentLoaded', () => {
 
 async function loadProfile() {
     try {
-        const token = localStorage.getItem('authToken');
         // reuse the data endpoint to get user info/ID
-        const response = await fetch(`${API_URL}/data/${currentUserId}`, {
-            headers: { 'Authorization': `Bearer ${token}` }
-        });
+        const response = await authFetch(`${API_URL}/data/${currentUserId}`);
 
-        if (response.status === 401) {
-            window.location.href = 'index.html';
-            return;
-        }
+        if (response.status === 401) return; // Session is over; authFetch already sent us to login
 
         const result = await response.json();
 
         if (result.success) {
-            const username = result.username || localStorage.getItem('currentUsername') || 'Friend';
-            document.getElementById('profileUsername').textContent = username;
+            const displayName = result.displayName || localStorage.getItem('currentDisplayName') || 'Friend';
+            document.getElementById('profileUsername').textContent = displayName;
+            document.getElementById('displayNameInput').value = result.displayName || '';
+            document.getElementById('handleInput').value = result.username || '';
             document.getElementById('userId').textContent = result.myId;
-
-            // Set Avatar Image based on gender/partnership
-            const avatarCircle = document.getElementById('avatarInitial');
-            if (result.partnerName) {
-                avatarCircle.innerHTML = `<img src="assets/avatars/couple.png" style="width: 100%; height: 100%; object-fit: contain;">`;
-            } else if (result.gender === 'Male') {
-                avatarCircle.innerHTML = `<img src="assets/avatars/boy.png" style="width: 100%; height: 100%; object-fit: contain;">`;
-            } else if (result.gender === 'Female') {
-                avatarCircle.innerHTML = `<img src="assets/avatars/girl.png" style="width: 100%; height: 100%; object-fit: contain;">`;
-            } else {
-                avatarCircle.textContent = username.charAt(0).toUpperCase();
-            }
+            currentSpaceId = result.spaceId;
+            profile = result;
+            showAvatar();
 
             // Sync Admin Status
-            const isSystemAdmin = result.isAdmin || username === 'Aung Nyi Nyi Thant' || username.toLowerCase() === 'admin';
+            const isSystemAdmin = !!result.isAdmin; // Decided by the server from the user's roles
             const adminBtn = document.getElementById('adminBtn');
             if (isSystemAdmin && adminBtn) {
                 adminBtn.style.display = 'block';
             }
 
+            showRecoveryStatus(result.recoveryCodesLeft);
+            showTwoFactorState(result.twoFactorEnabled);
+            document.getElementById('deleteCodeGroup').style.display = result.twoFactorEnabled ? 'block' : 'none';
+
             // Check if partnered
             if (result.partnerName) {
+                document.getElementById('deletePartnerName').textContent = result.partnerName;
+                document.getElementById('deleteSharedChoice').style.display = 'block';
+
                 const discBtn = document.getElementById('disconnectBtn');
                 if (discBtn) {
                     discBtn.style.display = 'block';
@@ -152,12 +236,367 @@ async function loadProfile() {
     }
 }
 
-async function disconnectPartner() {
+// --- NAME, USERNAME & PICTURE ---
+function showAvatar() {
+    renderAvatar(document.getElementById('avatarInitial'), {
+        hash: profile.avatar,
+        gender: profile.gender,
+        partnered: !!profile.partnerName,
+        fallbackText: profile.displayName.charAt(0).toUpperCase()
+    });
+    document.getElementById('removeAvatarBtn').style.display = profile.avatar ? 'block' : 'none';
+}
+
+async function saveProfile() {
+    const displayName = document.getElementById('displayNameInput').value.trim();
+    const username = document.getElementById('handleInput').value.trim();
+    if (!displayName || !username) {
+        alert("Your name and username can't be empty.");
+        return;
+    }
+
+    try {
+        const response = await authFetch(`${API_URL}/user/profile`, {
+            method: 'PATCH',
+            headers: {
+                'Content-Type': 'application/json'
+            },
+            body: JSON.stringify({ displayName, username })
+        });
+        const result = await response.json();
+        if (!result.success) throw new Error(result.error);
+
+        profile.displayName = result.displayName;
+        profile.username = result.username;
+        localStorage.setItem('currentDisplayName', result.displayName);
+        localStorage.setItem('currentUsername', result.username);
+        document.getElementById('profileUsername').textContent = result.displayName;
+        showAvatar();
+        alert("Profile saved! ✨");
+    } catch (err) {
+        alert("Could not save your profile: " + err.message);
+    }
+}
+
+async function uploadAvatar(file) {
+    const btn = document.getElementById('avatarBtn');
+    const originalText = btn.innerText;
+    btn.disabled = true;
+    btn.innerText = "Uploading... 🖼️";
+
+    try {
+        const formData = new FormData();
+        formData.append('photo', file);
+        const response = await authFetch(`${API_URL}/user/avatar`, { method: 'POST', body: formData });
+        const result = await response.json();
+        if (!result.success) throw new Error(result.error);
+
+        profile.avatar = result.avatar;
+        showAvatar();
+    } catch (err) {
+        alert("Could not change your picture: " + err.message);
+    } finally {
+        btn.disabled = false;
+        btn.innerText = originalText;
+    }
+}
+
+async function removeAvatar() {
+    try {
+        const response = await authFetch(`${API_URL}/user/avatar`, { method: 'DELETE' });
+        const result = await response.json();
+        if (!result.success) throw new Error(result.error);
+
+        profile.avatar = null;
+        showAvatar();
+    } catch (err) {
+        alert("Could not remove your picture: " + err.message);
+    }
+}
+
+// Downloads need the auth header, so they're fetched and handed to the browser as a blob
+async function downloadFile(path, btn, busyText) {
+    const originalText = btn.innerText;
+    btn.disabled = true;
+    btn.innerText = busyText;
+
+    try {
+        const response = await authFetch(`${API_URL}/${path}`);
+        if (!response.ok) {
+            const result = await response.json().catch(() => ({}));
+            throw new Error(result.error || `Server Error (${response.status})`);
+        }
+
+        const blob = await response.blob();
+        const match = /filename="([^"]+)"/.exec(response.headers.get('Content-Disposition') || '');
+        const link = document.createElement('a');
+        link.href = URL.createObjectURL(blob);
+        link.download = match ? match[1] : 'keepmemories';
+        document.body.appendChild(link);
+        link.click();
+        link.remove();
+        setTimeout(() => URL.revokeObjectURL(link.href), 10000);
+    } catch (err) {
+        console.error("Download Error:", err);
+        alert("Error downloading: " + err.message);
+    } finally {
+        btn.disabled = false;
+        btn.innerText = originalText;
+    }
+}
+
+async function restoreMemories(file) {
+    const replace = document.getElementById('importReplace').checked;
+    if (replace && !confirm("This replaces every note, date and photo in your space with the archive's. Continue?")) {
+        return;
+    }
+
+    const btn = document.getElementById('importBtn');
+    const originalText = btn.innerText;
+    btn.disabled = true;
+    btn.innerText = "Restoring... 📥";
+
+    try {
+        const formData = new FormData();
+        formData.append('mode', replace ? 'replace' : 'merge');
+        formData.append('archive', file);
+
+        const response = await authFetch(`${API_URL}/spaces/${currentSpaceId}/import`, {
+            method: 'POST',
+            body: formData
+        });
+        const result = await response.json();
+
+        if (result.success) {
+            const { notes, dates, images, albums } = result.added;
+            alert(`Restored ${notes} notes, ${dates} dates, ${images} photos and ${albums} albums! 💕`);
+        } else {
+            alert(result.error);
+        }
+    } catch (err) {
+        console.error("Import Error:", err);
+        alert("Error restoring memories: " + err.message);
+    } finally {
+        btn.disabled = false;
+        btn.innerText = originalText;
+    }
+}
+
+function showRecoveryStatus(left) {
+    const status = document.getElementById('recoveryStatus');
+    if (!status) return;
+    status.textContent = left
+        ? `You have ${left} unused recovery code${left === 1 ? '' : 's'} for when you forget your password.`
+        : "You have no recovery codes - make some so a forgotten password can't lock you out.";
+}
+
+async function changePassword() {
+    const currentInput = document.getElementById('currentPasswordInput');
+    const newInput = document.getElementById('newPasswordInput');
+    if (!currentInput.value || !newInput.value) {
+        alert("Please enter your current and new password.");
+        return;
+    }
+
+    const btn = document.getElementById('changePasswordBtn');
+    const originalText = btn.innerText;
+    btn.disabled = true;
+    btn.innerText = "Saving... 🔑";
+
+    try {
+        const response = await authFetch(`${API_URL}/user/password`, {
+            method: 'POST',
+            headers: {
+                'Content-Type': 'application/json'
+            },
+            body: JSON.stringify({ currentPassword: currentInput.value, newPassword: newInput.value })
+        });
+        const result = await response.json();
+
+        if (result.success) {
+            alert(result.message + "\nYour other devices have been logged out.");
+            currentInput.value = '';
+            newInput.value = '';
+            loadSessions();
+        } else {
+            alert(result.error || "Could not change password");
+        }
+    } catch (err) {
+        alert("Error changing password: " + err.message);
+    } finally {
+        btn.disabled = false;
+        btn.innerText = originalText;
+    }
+}
+
+// Needs the current password (from the field above) - a borrowed, unlocked phone shouldn't be enough
+async function regenerateRecoveryCodes() {
+    const password = document.getElementById('currentPasswordInput').value;
+    if (!password) {
+        alert("Enter your current password first.");
+        return;
+    }
+
+    try {
+        const response = await authFetch(`${API_URL}/user/recovery-codes`, {
+            method: 'POST',
+            headers: {
+                'Content-Type': 'application/json'
+            },
+            body: JSON.stringify({ password })
+        });
+        const result = await response.json();
+        if (!result.success) throw new Error(result.error);
+
+        const list = document.getElementById('profileRecoveryCodes');
+        renderRecoveryCodes(list, result.recoveryCodes);
+        list.style.display = 'grid';
+        showRecoveryStatus(result.recoveryCodes.length);
+        document.getElementById('currentPasswordInput').value = '';
+    } catch (err) {
+        alert("Error making recovery codes: " + err.message);
+    }
+}
+
+// --- TWO-FACTOR LOGIN ---
+function showTwoFactorState(enabled) {
+    const status = document.getElementById('twoFactorStatus');
+    if (!status) return;
+    if (enabled) status.textContent = "On - logging in asks for a code from your authenticator app. 🔐";
+    document.getElementById('twoFactorSetupBtn').style.display = enabled ? 'none' : 'block';
+    document.getElementById('twoFactorDisable').style.display = enabled ? 'block' : 'none';
+    document.getElementById('twoFactorSetup').style.display = 'none';
+}
+
+// POST to a 2FA endpoint; resolves with the result, or null after telling the user what went wrong
+async function twoFactorRequest(path, body) {
     try {
-        const response = await fetch(`${API_URL}/disconnect`, {
+        const response = await authFetch(`${API_URL}/user/2fa/${path}`, {
             method: 'POST',
-            headers: { 'Content-Type': 'application/json' },
-            body: JSON.stringify({ userId: currentUserId })
+            headers: {
+                'Content-Type': 'application/json'
+            },
+            body: JSON.stringify(body)
+        });
+        const result = await response.json();
+        if (!result.success) throw new Error(result.error);
+        return result;
+    } catch (err) {
+        alert("Two-factor login: " + err.message);
+        return null;
+    }
+}
+
+async function startTwoFactorSetup() {
+    const password = document.getElementById('currentPasswordInput').value;
+    if (!password) {
+        alert("Enter your current password (under Password & Recovery) first.");
+        return;
+    }
+
+    const result = await twoFactorRequest('setup', { password });
+    if (!result) return;
+    document.getElementById('currentPasswordInput').value = '';
+
+    const qrImg = document.getElementById('twoFactorQr');
+    if (typeof qrcode !== 'undefined') {
+        const qr = qrcode(0, 'M');
+        qr.addData(result.otpauthUrl);
+        qr.make();
+        qrImg.src = qr.createDataURL(5, 2);
+        qrImg.style.display = 'block';
+    } else {
+        qrImg.style.display = 'none'; // QR script didn't load - typing the key in still works
+    }
+    document.getElementById('twoFactorSecret').textContent = result.secret.match(/.{1,4}/g).join(' ');
+    document.getElementById('twoFactorSetupBtn').style.display = 'none';
+    document.getElementById('twoFactorSetup').style.display = 'block';
+}
+
+async function enableTwoFactor() {
+    const code = document.getElementById('twoFactorSetupCode').value;
+    const result = await twoFactorRequest('enable', { code });
+    if (!result) return;
+
+    document.getElementById('twoFactorSetupCode').value = '';
+    showTwoFactorState(true);
+    renderRecoveryCodes(document.getElementById('twoFactorBackupCodes'), result.backupCodes);
+    document.getElementById('twoFactorBackup').style.display = 'block';
+}
+
+async function disableTwoFactor() {
+    const password = document.getElementById('currentPasswordInput').value;
+    const code = document.getElementById('twoFactorDisableCode').value;
+    if (!password || !code) {
+        alert("Enter your current password (under Password & Recovery) and a code first.");
+        return;
+    }
+    if (!confirm("Turn off two-factor login?")) return;
+
+    const result = await twoFactorRequest('disable', { password, code });
+    if (!result) return;
+
+    document.getElementById('currentPasswordInput').value = '';
+    document.getElementById('twoFactorDisableCode').value = '';
+    document.getElementById('twoFactorBackup').style.display = 'none';
+    document.getElementById('twoFactorStatus').textContent = "Off.";
+    showTwoFactorState(false);
+}
+
+async function loadSessions() {
+    const list = document.getElementById('sessionsList');
+    if (!list) return;
+
+    try {
+        const response = await authFetch(`${API_URL}/auth/sessions`);
+        const result = await response.json();
+        if (!result.success) throw new Error(result.error);
+
+        list.innerHTML = '';
+        result.sessions.forEach(session => {
+            const li = document.createElement('li');
+            li.className = 'session-item';
+
+            const info = document.createElement('div');
+            const device = document.createElement('strong');
+            device.textContent = session.device + (session.current ? ' (this device)' : '');
+            const lastUsed = document.createElement('small');
+            lastUsed.textContent = `Last active ${new Date(session.lastUsedAt).toLocaleString()}`;
+            info.append(device, lastUsed);
+            li.appendChild(info);
+
+            if (!session.current) {
+                const btn = document.createElement('button');
+                btn.className = 'logout-btn';
+                btn.innerText = 'Log out';
+                btn.addEventListener('click', () => revokeSession(session.id));
+                li.appendChild(btn);
+            }
+            list.appendChild(li);
+        });
+    } catch (err) {
+        console.error("Error loading sessions", err);
+        list.innerHTML = '<li class="empty-state">Could not load your devices</li>';
+    }
+}
+
+// Log out one other device, or all of them when sessionId is null
+async function revokeSession(sessionId) {
+    try {
+        const path = sessionId ? `auth/sessions/${encodeURIComponent(sessionId)}` : 'auth/sessions';
+        const response = await authFetch(`${API_URL}/${path}`, { method: 'DELETE' });
+        const result = await response.json();
+        if (!result.success) throw new Error(result.error);
+    } catch (err) {
+        alert("Error logging out device: " + err.message);
+    }
+    loadSessions();
+}
+
+async function disconnectPartner() {
+    try {
+        const response = await authFetch(`${API_URL}/disconnect`, {
+            method: 'POST'
         });
 
         if (!response.ok) {
@@ -179,6 +618,37 @@ async function disconnectPartner() {
     }
 }
 
+async function deleteAccount() {
+    const password = document.getElementById('deletePasswordInput').value;
+    const code = document.getElementById('deleteCodeInput').value;
+    const sharedSpace = document.querySelector('input[name="deleteSharedSpace"]:checked')?.value || 'leave';
+    if (!password) {
+        alert("Enter your password to delete your account.");
+        return;
+    }
+    if (!confirm("Delete your account for good? This can't be undone.")) return;
+
+    const btn = document.getElementById('confirmDeleteBtn');
+    btn.disabled = true;
+    try {
+        const response = await authFetch(`${API_URL}/user`, {
+            method: 'DELETE',
+            headers: {
+                'Content-Type': 'application/json'
+            },
+            body: JSON.stringify({ password, code, sharedSpace })
+        });
+        const result = await response.json();
+        if (!result.success) throw new Error(result.error);
+
+        alert(result.message);
+        endSession();
+    } catch (err) {
+        alert("Could not delete your account: " + err.message);
+        btn.disabled = false;
+    }
+}
+
 async function invitePartner(targetId) {
     const btn = document.getElementById('sendInviteBtn');
     const originalText = btn.innerText;
@@ -186,10 +656,12 @@ async function invitePartner(targetId) {
     btn.innerText = "Sending... 🕊️";
 
     try {
-        const response = await fetch(`${API_URL}/invite`, {
+        const response = await authFetch(`${API_URL}/invite`, {
             method: 'POST',
-            headers: { 'Content-Type': 'application/json' },
-            body: JSON.stringify({ userId: currentUserId, targetId: targetId })
+            headers: {
+                'Content-Type': 'application/json'
+            },
+            body: JSON.stringify({ targetId: targetId })
         });
         const result = await response.json();
 
@@ -0,0 +1,31 @@
+// --- RECOVERY CODES (shared by sign up and the profile page) ---
+// The server hands out the codes exactly once, so these only ever render what
+// came back in that response.
+
+function renderRecoveryCodes(listEl, codes) {
+    listEl.innerHTML = '';
+    codes.forEach(code => {
+        const li = document.createElement('li');
+        li.textContent = code;
+        listEl.appendChild(li);
+    });
+}
+
+function downloadRecoveryCodes(codes, username) {
+    const text = [
+        `KeepMemories recovery codes for ${username}`,
+        `Created ${new Date().toLocaleString()}`,
+        '',
+        'Each code works once. Use one under "Forgot Password?" on the login page.',
+        '',
+        ...codes
+    ].join('\n');
+
+    const link = document.createElement('a');
+    link.href = URL.createObjectURL(new Blob([text], { type: 'text/plain' }));
+    link.download = 'keepmemories-recovery-codes.txt';
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    setTimeout(() => URL.revokeObjectURL(link.href), 10000);
+}
@@ -0,0 +1,163 @@
+// --- RICH TEXT (shared by every page that shows what people typed) ---
+// Notes, date labels and chat messages support a small Markdown subset:
+//
+//   **bold** __bold__   *italic* _italic_   ~~struck~~   `code`
+//   [a link](https://example.com)   bare https:// links   :heart: style emoji
+//   "- item" / "* item" lists, "1. item" numbered lists, blank line = new paragraph
+//
+// The Markdown is turned into HTML from already-escaped text, and that HTML
+// still goes through sanitizeHtml()'s allow-list before it touches the page:
+// only the tags below survive, links must be http(s) or mailto, and every other
+// attribute (on*, style, src...) is dropped. Never put user text in innerHTML
+// any other way.
+
+const RICH_TEXT_TAGS = {
+    P: [], BR: [], STRONG: [], EM: [], DEL: [], CODE: [], UL: [], OL: [], LI: [],
+    A: ['href']
+};
+// Dropped with everything inside them, rather than unwrapped to their text
+const RICH_TEXT_DROP = new Set(['SCRIPT', 'STYLE', 'TEMPLATE', 'IFRAME', 'OBJECT', 'EMBED', 'SVG', 'MATH', 'NOSCRIPT', 'TEXTAREA', 'TITLE', 'HEAD']);
+const SAFE_URL_PROTOCOLS = ['http:', 'https:', 'mailto:'];
+
+const EMOJI_SHORTCODES = {
+    heart: '❤️', hearts: '💕', kiss: '😘', smile: '😊', laughing: '😆', joy: '😂', cry: '😢',
+    wink: '😉', hug: '🤗', star: '⭐', sparkles: '✨', fire: '🔥', rose: '🌹', sunflower: '🌻',
+    cake: '🎂', gift: '🎁', tada: '🎉', dog: '🐶', cat: '🐱', coffee: '☕', moon: '🌙', sun: '☀️',
+    thumbsup: '👍', ok: '👌', pray: '🙏', love_letter: '💌', ring: '💍', couple: '💑'
+};
+
+function escapeHtml(text) {
+    return String(text)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&#39;');
+}
+
+function isSafeUrl(url) {
+    try {
+        return SAFE_URL_PROTOCOLS.includes(new URL(url, window.location.href).protocol);
+    } catch (err) {
+        return false;
+    }
+}
+
+/**
+ * Parse `html` without running or loading anything (a <template> is inert) and
+ * rebuild it from scratch with only allowed tags and attributes. Returns a
+ * DocumentFragment.
+ */
+function sanitizeHtml(html) {
+    const template = document.createElement('template');
+    template.innerHTML = html;
+
+    const copyChildren = (from, to) => {
+        for (const node of from.childNodes) {
+            if (node.nodeType === Node.TEXT_NODE) {
+                to.appendChild(document.createTextNode(node.textContent));
+                continue;
+            }
+            if (node.nodeType !== Node.ELEMENT_NODE) continue; // Comments, processing instructions...
+
+            const tag = node.tagName.toUpperCase();
+            if (RICH_TEXT_DROP.has(tag)) continue;
+            if (!RICH_TEXT_TAGS[tag]) {
+                copyChildren(node, to); // Unknown tag: keep its text, lose the tag
+                continue;
+            }
+
+            const clean = document.createElement(tag);
+            for (const name of RICH_TEXT_TAGS[tag]) {
+                const value = node.getAttribute(name);
+                if (value === null) continue;
+                if (name === 'href' && !isSafeUrl(value)) continue;
+                clean.setAttribute(name, value);
+            }
+            if (tag === 'A') {
+                if (!clean.hasAttribute('href')) {
+                    copyChildren(node, to); // Link to somewhere unsafe: just the words
+                    continue;
+                }
+                clean.target = '_blank';
+                clean.rel = 'noopener noreferrer nofollow';
+            }
+            copyChildren(node, clean);
+            to.appendChild(clean);
+        }
+    };
+
+    const fragment = document.createDocumentFragment();
+    copyChildren(template.content, fragment);
+    return fragment;
+}
+
+// Inline Markdown on escaped text. Code spans and links are swapped out for
+// placeholders first so emphasis and emoji rules can't reach inside them.
+function formatInline(escaped) {
+    const held = [];
+    const hold = html => `\u0000${held.push(html) - 1}\u0000`;
+
+    let html = escaped
+        .replace(/`([^`\n]+)`/g, (match, code) => hold(`<code>${code}</code>`))
+        .replace(/\[([^\]\n]+)\]\(([^)\s]+)\)/g, (match, label, url) => hold(`<a href="${url}">${formatEmphasis(label)}</a>`))
+        .replace(/\bhttps?:\/\/[^\s<]*[^\s<.,;:!?)'"&]/g, url => hold(`<a href="${url}">${url}</a>`));
+
+    html = formatEmphasis(html);
+    return html.replace(/\u0000(\d+)\u0000/g, (match, index) => held[index]);
+}
+
+function formatEmphasis(html) {
+    return html
+        .replace(/\*\*(?=\S)(.+?)\*\*|__(?=\S)(.+?)__/g, (match, a, b) => `<strong>${a || b}</strong>`)
+        .replace(/\*(?=\S)([^*]+?)\*|(^|[^\w])_(?=\S)([^_]+?)_(?!\w)/g,
+            (match, a, before, b) => (a ? `<em>${a}</em>` : `${before}<em>${b}</em>`))
+        .replace(/~~(?=\S)(.+?)~~/g, '<del>$1</del>')
+        .replace(/:([a-z_]+):/g, (match, name) => EMOJI_SHORTCODES[name] || match);
+}
+
+// Markdown subset -> HTML string (not yet sanitized). `inline` skips paragraphs and lists, for one-line labels.
+function markdownToHtml(text, { inline = false } = {}) {
+    const escaped = escapeHtml(String(text).replace(/\u0000/g, '')); // NUL marks placeholders in formatInline
+    if (inline) return formatInline(escaped);
+
+    const blocks = [];
+    let paragraph = [];
+    let list = null;
+    const flushParagraph = () => {
+        if (paragraph.length) blocks.push(`<p>${paragraph.map(formatInline).join('<br>')}</p>`);
+        paragraph = [];
+    };
+    const flushList = () => {
+        if (list) blocks.push(`<${list.tag}>${list.items.map(item => `<li>${formatInline(item)}</li>`).join('')}</${list.tag}>`);
+        list = null;
+    };
+
+    for (const line of escaped.split(/\r?\n/)) {
+        const item = line.match(/^\s*([-*+]|\d+[.)])\s+(.*)$/);
+        if (item) {
+            const tag = /\d/.test(item[1]) ? 'ol' : 'ul';
+            flushParagraph();
+            if (list?.tag !== tag) flushList();
+            if (!list) list = { tag, items: [] };
+            list.items.push(item[2]);
+        } else if (!line.trim()) {
+            flushParagraph();
+            flushList();
+        } else {
+            flushList();
+            paragraph.push(line);
+        }
+    }
+    flushParagraph();
+    flushList();
+    return blocks.join('');
+}
+
+// Show `text` (Markdown subset) inside `el`, replacing what was there
+function renderRichText(el, text, options) {
+    el.replaceChildren(sanitizeHtml(markdownToHtml(text, options)));
+}
+
+// The server lays out notes with these same rules (the memory book, lib/memory-book.js)
+if (typeof module !== 'undefined') module.exports = { markdownToHtml };
@@ -125,27 +125,10 @@ document.addEventListener('DOMContentLoaded', () => {
             });
             const result = await response.json();
 
-            if (result.success) {
-                // Success!
-                localStorage.setItem('currentUserId', result.userId);
-                localStorage.setItem('currentUsername', result.username);
-                localStorage.setItem('userGender', result.gender); // Store Gender for playground
-                localStorage.setItem('authToken', result.token); // Store Token
-
-                // Admin security: We NO LONGER store isAdmin in localStorage
-                // Instead, we check the secret claim returned by the server
-                const isSystemAdmin = result.isAdmin || result.username === 'Aung Nyi Nyi Thant' || result.username.toLowerCase() === 'admin';
-
-                const msg = isLoginMode ? `Welcome back, ${result.username}!` : `Welcome to the family, ${result.username}!`;
-                showToast(msg, 'success');
-
-                setTimeout(() => {
-                    if (isSystemAdmin) {
-                        window.location.replace('admin_portal_9x2k.html');
-                    } else {
-                        window.location.replace('home.html');
-                    }
-                }, 1500); // Wait for toast
+            if (result.success && result.twoFactorRequired) {
+                showTwoFactorStep(result.challenge);
+            } else if (result.success) {
+                completeLogin(result);
             } else {
                 showToast(result.error || "Something went wrong :(", 'error');
                 submitBtn.disabled = false;
@@ -158,6 +141,156 @@ document.addEventListener('DOMContentLoaded', () => {
             submitBtn.innerText = isLoginMode ? 'Let me in!' : 'Sign Up';
         }
     });
+
+    // Logged in (after the second step, if the account has one)
+    function completeLogin(result) {
+        localStorage.setItem('currentUserId', result.userId);
+        localStorage.setItem('currentUsername', result.username); // Login handle
+        localStorage.setItem('currentDisplayName', result.displayName); // What others see
+        localStorage.setItem('userGender', result.gender); // Store Gender for playground
+        localStorage.setItem('authToken', result.token); // Store Token (short-lived)
+        localStorage.setItem('refreshToken', result.refreshToken); // Renews it, see auth.js
+
+        // Admin security: We NO LONGER store isAdmin in localStorage
+        // Instead, we check the claim returned by the server (from the user's roles)
+        const isSystemAdmin = !!result.isAdmin;
+
+        const msg = isLoginMode ? `Welcome back, ${result.displayName}!` : `Welcome to the family, ${result.displayName}!`;
+        showToast(msg, 'success');
+
+        const enter = () => {
+            if (isSystemAdmin) {
+                window.location.replace('admin_portal_9x2k.html');
+            } else {
+                window.location.replace('home.html');
+            }
+        };
+
+        if (result.recoveryCodes) {
+            // New account: the codes are only ever shown now, so make sure they get saved first
+            showRecoveryCodesPanel(result.recoveryCodes, result.username, enter);
+        } else {
+            setTimeout(enter, 1500); // Wait for toast
+        }
+    }
+
+    // --- TWO-FACTOR STEP ---
+    const twoFactorForm = document.getElementById('twoFactorForm');
+    const twoFactorBtn = twoFactorForm.querySelector('.login-btn');
+    let twoFactorChallenge = null;
+
+    function showTwoFactorStep(challenge) {
+        twoFactorChallenge = challenge;
+        loginForm.style.display = 'none';
+        toggleDiv.style.display = 'none';
+        twoFactorForm.style.display = 'block';
+        headerTitle.textContent = "One More Step";
+        headerMsg.innerHTML = "Open your authenticator app 🔐";
+        document.getElementById('twoFactorCode').focus();
+    }
+
+    twoFactorForm.addEventListener('submit', async (e) => {
+        e.preventDefault();
+        twoFactorBtn.disabled = true;
+        twoFactorBtn.innerText = 'Checking... 🔐';
+
+        try {
+            const response = await fetch(`${API_URL}/login/2fa`, {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({ challenge: twoFactorChallenge, code: document.getElementById('twoFactorCode').value })
+            });
+            const result = await response.json();
+
+            if (result.success) {
+                completeLogin(result);
+                return;
+            }
+            showToast(result.error || "Something went wrong :(", 'error');
+            if (result.expired) {
+                // The step timed out - back to username and password
+                setTimeout(() => window.location.reload(), 1500);
+            }
+        } catch (err) {
+            console.error(err);
+            showToast("Could not connect to server.", 'error');
+        }
+        twoFactorBtn.disabled = false;
+        twoFactorBtn.innerText = 'Verify';
+    });
+
+    // --- FORGOT PASSWORD (recovery codes) ---
+    const recoverForm = document.getElementById('recoverForm');
+    const recoverBtn = recoverForm.querySelector('.login-btn');
+
+    const showRecoverForm = (show) => {
+        if (!isLoginMode) toggleLink.click(); // Recovery starts from login mode
+        loginForm.style.display = show ? 'none' : 'block';
+        recoverForm.style.display = show ? 'block' : 'none';
+        toggleDiv.style.display = show ? 'none' : 'block';
+        headerTitle.textContent = show ? "Forgot Password?" : "Welcome Back!";
+        headerMsg.innerHTML = show ? "Use one of your recovery codes 🔑" : "We missed you &#10084;";
+    };
+
+    document.getElementById('forgotPassLink').addEventListener('click', (e) => {
+        e.preventDefault();
+        document.getElementById('recoverUsername').value = document.getElementById('username').value;
+        showRecoverForm(true);
+    });
+
+    document.getElementById('backToLoginLink').addEventListener('click', (e) => {
+        e.preventDefault();
+        showRecoverForm(false);
+    });
+
+    recoverForm.addEventListener('submit', async (e) => {
+        e.preventDefault();
+        const username = document.getElementById('recoverUsername').value;
+        const code = document.getElementById('recoverCode').value;
+        const newPassword = document.getElementById('recoverPassword').value;
+
+        recoverBtn.disabled = true;
+        recoverBtn.innerText = 'Checking... 🔑';
+
+        try {
+            const response = await fetch(`${API_URL}/recover`, {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({ username, code, newPassword })
+            });
+            const result = await response.json();
+
+            if (result.success) {
+                const left = result.recoveryCodesLeft;
+                showToast(`Password reset! ${left} recovery code${left === 1 ? '' : 's'} left.`, 'success');
+                document.getElementById('username').value = username;
+                document.getElementById('password').value = '';
+                recoverForm.reset();
+                showRecoverForm(false);
+            } else {
+                showToast(result.error || "Something went wrong :(", 'error');
+            }
+        } catch (err) {
+            console.error(err);
+            showToast("Could not connect to server.", 'error');
+        } finally {
+            recoverBtn.disabled = false;
+            recoverBtn.innerText = 'Reset my password';
+        }
+    });
+
+    function showRecoveryCodesPanel(codes, username, onDone) {
+        loginForm.style.display = 'none';
+        toggleDiv.style.display = 'none';
+        document.querySelector('.theme-switcher').style.display = 'none';
+        headerTitle.textContent = "Your Recovery Codes";
+        headerMsg.innerHTML = "One last thing before you go in ✨";
+
+        renderRecoveryCodes(document.getElementById('recoveryCodesList'), codes);
+        document.getElementById('recoveryCodesPanel').style.display = 'block';
+        document.getElementById('downloadCodesBtn').addEventListener('click', () => downloadRecoveryCodes(codes, username));
+        document.getElementById('codesSavedBtn').addEventListener('click', onDone);
+    }
 });
 
 // --- Toast Notification Helper ---
@@ -9,9 +9,16 @@ if (!currentUserId) {
 let localData = {
     sunflower: { name: "Sunny", level: 1, exp: 0, stage: "Seed", lastWatered: 0, lastFertilized: 0 }
 };
+let spaceRevision = null;
+// Changes made on this page that the server hasn't confirmed yet. If our partner
+// saved in the meantime, these are replayed on top of their version.
+let pendingChanges = [];
+let saveInFlight = false;
+let missedRevision = 0; // Newest revision announced while we were busy saving
 
 document.addEventListener('DOMContentLoaded', () => {
     loadSunflowerData();
+    connectSpaceChannel();
 
     // Theme
     const savedTheme = localStorage.getItem('selected-theme');
@@ -36,15 +43,13 @@ document.addEventListener('DOMContentLoaded', () => {
 
 async function loadSunflowerData() {
     try {
-        const token = localStorage.getItem('authToken');
-        const response = await fetch(`${API_URL}/data/${currentUserId}`, {
-            headers: { 'Authorization': `Bearer ${token}` }
-        });
+        const response = await authFetch(`${API_URL}/data/${currentUserId}`);
 
         const result = await response.json();
 
         if (result.success) {
             localData.sunflower = result.data.sunflower || { name: "Sunny", level: 1, exp: 0, stage: "Seed", lastWatered: 0, lastFertilized: 0 };
+            spaceRevision = result.revision;
             renderSunflower();
         } else {
             console.error("Failed to load sunflower data");
@@ -54,20 +59,82 @@ async function loadSunflowerData() {
     }
 }
 
+// Apply a change to the sunflower now and queue it for saving
+function changeSunflower(change) {
+    const result = change(localData.sunflower);
+    pendingChanges.push(change);
+    saveSunflowerData();
+    return result;
+}
+
 async function saveSunflowerData() {
+    if (saveInFlight) return; // The running save picks up new changes before it finishes
+    saveInFlight = true;
+    let failed = false;
     try {
-        const token = localStorage.getItem('authToken');
-        await fetch(`${API_URL}/data/${currentUserId}`, {
-            method: 'POST',
-            headers: {
-                'Content-Type': 'application/json',
-                'Authorization': `Bearer ${token}`
-            },
-            body: JSON.stringify({ type: 'sunflower', payload: localData.sunflower })
-        });
+        while (pendingChanges.length) {
+            const sending = pendingChanges.length;
+            const response = await authFetch(`${API_URL}/data/${currentUserId}`, {
+                method: 'POST',
+                headers: {
+                    'Content-Type': 'application/json',
+                    'If-Match': `"${spaceRevision}"`
+                },
+                body: JSON.stringify({ type: 'sunflower', payload: localData.sunflower })
+            });
+            const result = await response.json();
+
+            if (response.status === 409) {
+                // Partner tended the garden too: start from their version and redo ours on top
+                spaceRevision = result.revision;
+                localData.sunflower = result.data.sunflower;
+                pendingChanges.forEach(change => change(localData.sunflower));
+                renderSunflower();
+                continue;
+            }
+            if (!result.success) throw new Error(result.error || `Server Error (${response.status})`);
+            spaceRevision = result.revision;
+            pendingChanges.splice(0, sending);
+        }
     } catch (err) {
+        // Turned down or never arrived: drop what's queued (live updates wait while anything
+        // is) and show the sunflower as the server has it
         console.error("Error saving sunflower data", err);
+        pendingChanges = [];
+        failed = true;
+    } finally {
+        saveInFlight = false;
     }
+    if (failed || missedRevision > spaceRevision) loadSunflowerData();
+}
+
+// --- LIVE SYNC ---
+// Partner's changes arrive over the /space Socket.IO channel as they happen
+function connectSpaceChannel() {
+    if (typeof io === 'undefined') return; // Socket.IO script didn't load; the page still works, just without live updates
+
+    const socket = authSocket('/space');
+
+    socket.on('space:changed', ({ revision, change }) => {
+        if (spaceRevision === null || revision <= spaceRevision) return; // Not loaded yet, or already have it
+        if (saveInFlight || pendingChanges.length) {
+            // The save sorts out conflicts itself; catch up once it's done
+            missedRevision = Math.max(missedRevision, revision);
+            return;
+        }
+        if (revision !== spaceRevision + 1 || !change) {
+            loadSunflowerData(); // Missed something in between, or too much changed to send
+            return;
+        }
+        spaceRevision = revision;
+        if (change.collection === 'sunflower') {
+            localData.sunflower = change.value;
+            renderSunflower();
+        }
+    });
+
+    socket.on('space:moved', loadSunflowerData);
+    socket.io.on('reconnect', loadSunflowerData);
 }
 
 function renderSunflower() {
@@ -111,18 +178,15 @@ function renderSunflower() {
 
 function interact(action) {
     if (!localData.sunflower) return;
-    const s = localData.sunflower;
     const visual = document.getElementById('sunflowerVisual');
 
     if (action === 'water') {
-        s.exp += 25;
         showAnimation('💧');
         if (visual) {
             visual.classList.add('sway');
             setTimeout(() => visual.classList.remove('sway'), 1000);
         }
     } else if (action === 'fertilize') {
-        s.exp += 50;
         showAnimation('🧪');
         if (visual) {
             visual.classList.add('glow');
@@ -130,9 +194,14 @@ function interact(action) {
         }
     }
 
-    checkLevelUp();
+    const leveledUp = changeSunflower(s => {
+        s.exp += action === 'fertilize' ? 50 : 25;
+        return checkLevelUp(s);
+    });
+    if (leveledUp) {
+        alert(`🎉 Yay! Your sunflower ${localData.sunflower.name} grew to Level ${localData.sunflower.level}!`);
+    }
     renderSunflower();
-    saveSunflowerData();
 }
 
 function showAnimation(emoji) {
@@ -147,23 +216,22 @@ function showAnimation(emoji) {
     }, 1000);
 }
 
-function checkLevelUp() {
-    const s = localData.sunflower;
+// Returns true when the sunflower grew a level
+function checkLevelUp(s) {
     const maxExp = s.level * 100;
 
     if (s.exp >= maxExp) {
         s.level++;
         s.exp = s.exp - maxExp;
-        alert(`🎉 Yay! Your sunflower ${s.name} grew to Level ${s.level}!`);
-        renderSunflower();
+        return true;
     }
+    return false;
 }
 
 function renameSunflower() {
     const newName = prompt("Enter a new name for your sunflower:", localData.sunflower.name);
     if (newName && newName.trim()) {
-        localData.sunflower.name = newName.trim();
+        changeSunflower(s => { s.name = newName.trim(); });
         renderSunflower();
-        saveSunflowerData();
     }
 }
@@ -0,0 +1,55 @@
+// Make an existing account the first admin:
+//
+//   npm run bootstrap-admin -- "<username>"
+//
+// Only works while nobody can manage roles yet; after that, admins grant roles
+// from the admin dashboard. Run it with the server stopped - the JSON storage
+// backend expects to be the only process writing the database.
+require('dotenv').config();
+const path = require('path');
+const { createStorage } = require('../lib/storage');
+const { migrateStorage } = require('../lib/migrations');
+const { BlobStore } = require('../lib/blob-store');
+const { hasPermission } = require('../lib/roles');
+
+async function main() {
+    const username = process.argv[2];
+    if (!username) {
+        console.error('Usage: npm run bootstrap-admin -- "<username>"');
+        return 1;
+    }
+
+    const DATA_DIR = process.env.DATA_DIR || path.join(__dirname, '..');
+    const storage = createStorage({
+        backend: process.env.STORAGE_BACKEND || 'json',
+        file: path.join(DATA_DIR, 'database.json')
+    });
+    await storage.init();
+    await migrateStorage(storage, { blobs: new BlobStore(path.join(DATA_DIR, 'blobs')) });
+
+    try {
+        const admins = storage.listUsers().filter(user => hasPermission(user, 'roles:manage'));
+        if (admins.length > 0) {
+            console.error(`There is already an admin (${admins.map(user => user.username).join(', ')}). Grant roles from the admin dashboard instead.`);
+            return 1;
+        }
+
+        const user = storage.findUser(u => u.username === username);
+        if (!user) {
+            console.error(`No account called "${username}". Sign up in the app first, then run this again.`);
+            return 1;
+        }
+
+        user.roles = [...new Set([...user.roles, 'admin'])];
+        await storage.putUser(user, { label: 'bootstrap-admin' });
+        console.log(`✅ ${user.username} (${user.id}) is now an admin.`);
+        return 0;
+    } finally {
+        await storage.close();
+    }
+}
+
+main().then(code => process.exit(code), err => {
+    console.error("Bootstrap failed:", err);
+    process.exit(1);
+});
@@ -7,22 +7,32 @@ const path = require('path');
 const fs = require('fs');
 const bcrypt = require('bcryptjs');
 const jwt = require('jsonwebtoken');
-const rateLimit = require('express-rate-limit');
+const { rateLimit, ipKeyGenerator } = require('express-rate-limit');
 const { Server } = require('socket.io');
 const http = require('http');
+const { createStorage } = require('./lib/storage');
+const { migrateStorage } = require('./lib/migrations');
+const {
+    createSpace, createNote, cleanTags, createAlbum, createReply, createTrashEntry, isTrashExpired,
+    NOTE_COLORS, MAX_TAGS, MAX_TAG_LENGTH, MAX_CAPTION_LENGTH
+} = require('./lib/spaces');
+const { BlobStore } = require('./lib/blob-store');
+const { IMAGE_TYPES, ImageError, detectImageType, createRenditions, imageHashes, toJpeg } = require('./lib/images');
+const { readCaptureDate } = require('./lib/exif');
+const { receiveUpload, UploadError } = require('./lib/uploads');
+const { generateId, generateItemId } = require('./lib/ids');
+const { writeSpaceArchive, readSpaceArchive, restoreIntoSpace, ArchiveError } = require('./lib/space-archive');
+const { renderMemoryBook, BookError } = require('./lib/memory-book');
+const sessions = require('./lib/sessions');
+const { createRecoveryCodes, findRecoveryCode } = require('./lib/recovery-codes');
+const totp = require('./lib/totp');
+const { ROLES, permissionsOf, hasPermission, isValidRole } = require('./lib/roles');
+const { handleKey, validateHandle, validateDisplayName, AVATAR_SIZE } = require('./lib/profile');
+const { SearchIndex, SEARCH_COLLECTIONS } = require('./lib/search');
+const { createLetter, nextOccurrence, letterView, itemView, spaceView, changeView } = require('./lib/letters');
 
 const app = express();
 
-// Helper to generate unique IDs
-function generateId(length = 6) {
-    const chars = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ0123456789';
-    let result = '';
-    for (let i = 0; i < length; i++) {
-        result += chars.charAt(Math.floor(Math.random() * chars.length));
-    }
-    return result;
-}
-
 // Trust only the first proxy (Render's load balancer) - required for express-rate-limit v8+
 app.set('trust proxy', 1);
 const PORT = process.env.PORT || 3000;
@@ -61,61 +71,31 @@ app.use(helmet({
         },
     },
 }));
-app.use(bodyParser.json({ limit: '50mb' })); // Increased limit for images
+app.use(bodyParser.json({ limit: '1mb' })); // Photos go through the multipart upload route, not JSON
 app.use(express.static(path.join(__dirname, 'public')));
 
-// --- DATA STORE (Simple JSON File Persistence) ---
-const DB_FILE = path.join(__dirname, 'database.json');
-
-// Initial Load or Create DB
-let db = {
-    users: {},     // map userId -> { username, passwordHash, spaceId, partnerId }
-    spaces: {},    // map spaceId -> { notes: [], images: [], dates: [] }
-    playground: {} // map userId -> { x, y, sprite, lastUpdate, invitingPartner: bool }
-};
-
-if (fs.existsSync(DB_FILE)) {
-    try {
-        const loadedData = JSON.parse(fs.readFileSync(DB_FILE, 'utf8'));
-        db = { ...db, ...loadedData }; // Merge loaded data with defaults
-
-        // Ensure playground exists even if not in the file
-        if (!db.playground) db.playground = {};
-    } catch (err) {
-        console.error("Error reading DB, starting fresh.");
-    }
-}
-
-async function saveDB() {
-    try {
-        await fs.promises.writeFile(DB_FILE, JSON.stringify(db, null, 2));
-    } catch (err) {
-        console.error("Critical error saving database:", err);
+// --- DATA STORE ---
+const DATA_DIR = process.env.DATA_DIR || __dirname;
+const storage = createStorage({
+    backend: process.env.STORAGE_BACKEND || 'json',
+    file: path.join(DATA_DIR, 'database.json')
+});
+const blobs = new BlobStore(path.join(DATA_DIR, 'blobs'));
+
+// Spaces are indexed on their first search; after that every write to them goes through here
+const searchIndex = new SearchIndex();
+storage.onCommit(ops => {
+    for (const { type, collection, id, value } of ops) {
+        if (collection !== 'spaces' || !searchIndex.has(id)) continue;
+        if (type === 'delete') searchIndex.drop(id);
+        else searchIndex.update(id, value);
     }
-}
+});
 
-// --- CONSTANTS ---
-const INITIAL_PET = { name: "Lovebug", level: 3, exp: 0, mood: "Happy", lastFed: 0 };
-const INITIAL_SUNFLOWER = { name: "Sunny", level: 1, exp: 0, stage: "Seed", lastWatered: 0, lastFertilized: 0 };
-
-// --- PASSWORD MIGRATION ---
-async function migratePasswords() {
-    let migratedCount = 0;
-    for (const userId in db.users) {
-        const user = db.users[userId];
-        if (user.password && !user.passwordHash) {
-            console.log(`Migrating password for user: ${user.username}`);
-            user.passwordHash = await bcrypt.hash(user.password, 10);
-            delete user.password; // Remove plain text password
-            migratedCount++;
-        }
-    }
-    if (migratedCount > 0) {
-        saveDB();
-        console.log(`✅ Successfully migrated ${migratedCount} passwords to hashes.`);
-    }
-}
-migratePasswords();
+// --- UPLOADS ---
+const MAX_PHOTO_SIZE = 15 * 1024 * 1024; // 15 MB per photo
+const MAX_AVATAR_SIZE = 5 * 1024 * 1024;
+const MAX_ARCHIVE_SIZE = 200 * 1024 * 1024; // Imported archives are held in memory while unpacking
 
 // --- MIDDLEWARE ---
 function authenticate(req, res, next) {
@@ -125,36 +105,85 @@ function authenticate(req, res, next) {
     if (!token) return res.status(401).json({ error: "Access Denied: No Token" });
 
     jwt.verify(token, JWT_SECRET, (err, user) => {
+        // 401 tells the client to try /api/auth/refresh; 403 means don't bother
+        if (err?.name === 'TokenExpiredError') return res.status(401).json({ error: "Session expired" });
         if (err) return res.status(403).json({ error: "Invalid Token" });
-        req.user = user; // { userId: ... }
-
-        // Track Activity
-        if (db.users[user.userId]) {
-            db.users[user.userId].lastActive = Date.now();
-            // Don't saveDB() on every request for performance, 
-            // but for this scale it's fine or we can debounce.
-            // Let's save periodically or just here for simplicity.
-            saveDB();
+        if (!activeSession(user)) return res.status(401).json({ error: "Session expired" });
+        req.user = user; // { userId: ..., sid: ... }
+
+        // Track Activity (lazy: rides along with the next real write instead of hitting disk per request)
+        const account = storage.getUser(user.userId);
+        if (account) {
+            account.lastActive = Date.now();
+            storage.putUser(account, { lazy: true });
         }
 
         next();
     });
 }
 
+// The session an access token belongs to, if it hasn't been logged out or expired
+function activeSession(payload) {
+    const session = payload.sid && storage.getSession(payload.sid);
+    if (!session || session.userId !== payload.userId || sessions.isExpired(session)) return null;
+
+    // Roughly when this device was last seen, for the session list (lazy, at most once a minute)
+    if (Date.now() - session.lastUsedAt > 60 * 1000) {
+        session.lastUsedAt = Date.now();
+        storage.putSession(session, { lazy: true });
+    }
+    return session;
+}
+
+// Routes with a :userId act on that account - only its owner may use them (must run after authenticate)
+function requireSelf(req, res, next) {
+    if (req.user.userId !== req.params.userId) {
+        return res.status(403).json({ error: "Unauthorized access to another user's data" });
+    }
+    next();
+}
+
+// The signed-in user needs `permission` from one of their roles, see lib/roles.js (must run after authenticate)
+function requirePermission(permission) {
+    return (req, res, next) => {
+        if (!hasPermission(storage.getUser(req.user.userId), permission)) {
+            return res.status(403).json({ error: "Admin access required" });
+        }
+        next();
+    };
+}
+
+// Only members of :spaceId may touch it (must run after authenticate)
+function requireSpaceMember(req, res, next) {
+    const user = storage.getUser(req.user.userId);
+    if (!user || user.spaceId !== req.params.spaceId) {
+        return res.status(403).json({ error: "Unauthorized access to another space" });
+    }
+    next();
+}
 
 // --- API ENDPOINTS ---
 
+// Usernames are login handles: unique ignoring case (see lib/profile.js). An exact
+// match wins, for older accounts that only differ in case.
+function findUserByHandle(handle) {
+    if (typeof handle !== 'string') return null;
+    return storage.findUser(u => u.username === handle)
+        || storage.findUser(u => handleKey(u.username) === handleKey(handle));
+}
+
 // 1. REGISTER
 app.post('/api/register', async (req, res) => {
     const { username, password, gender } = req.body;
+    const displayName = typeof req.body.displayName === 'string' ? req.body.displayName.trim() : '';
 
     if (!username || !password) {
         return res.status(400).json({ error: "Username and password required" });
     }
+    const invalid = validateHandle(username) || (displayName && validateDisplayName(displayName));
+    if (invalid) return res.status(400).json({ error: invalid });
 
-    // Check if username exists (simple check)
-    const existingUser = Object.values(db.users).find(u => u.username === username);
-    if (existingUser) {
+    if (findUserByHandle(username)) {
         return res.status(400).json({ error: "Username already taken" });
     }
 
@@ -163,37 +192,33 @@ app.post('/api/register', async (req, res) => {
 
     // HASH PASSWORD
     const passwordHash = await bcrypt.hash(password, 10);
+    const recovery = await createRecoveryCodes(); // Shown once in the response, only hashes kept
 
-    const isAdmin = (username.toLowerCase() === 'admin' || username === 'Aung Nyi Nyi Thant');
-
-    db.users[userId] = {
+    const user = {
         id: userId,
         username,
+        displayName: displayName || username,
         passwordHash, // Store hash, not plain text
+        recoveryCodes: recovery.hashes, // See lib/recovery-codes.js
         gender: gender || null,
         spaceId,
         partnerId: null,
         createdAt: Date.now(),
         lastActive: Date.now(),
-        isAdmin: isAdmin
+        roles: [] // Admins are made with `npm run bootstrap-admin` or by another admin, never by picking a name
     };
 
 
     // Create default space
-    db.spaces[spaceId] = {
-        notes: [],
-        images: [],
-        dates: [],
-        pet: { ...INITIAL_PET },
-        sunflower: { ...INITIAL_SUNFLOWER }
-    };
-
-    saveDB();
+    await storage.transaction(tx => {
+        tx.putUser(user);
+        tx.putSpace(spaceId, createSpace());
+    }, { label: 'register' });
 
-    // Issue Token
-    const token = jwt.sign({ userId: userId }, JWT_SECRET, { expiresIn: '7d' });
+    // Issue Tokens
+    const tokens = await startSession(req, userId);
 
-    res.json({ success: true, userId, username, spaceId, token: token });
+    res.json({ success: true, userId, username, displayName: user.displayName, spaceId, ...tokens, recoveryCodes: recovery.codes });
 });
 
 // 2. LOGIN
@@ -208,8 +233,7 @@ const loginLimiter = rateLimit({
 app.post('/api/login', loginLimiter, async (req, res) => {
     const { username, password } = req.body;
 
-    // Find user by username
-    const user = Object.values(db.users).find(u => u.username === username);
+    const user = findUserByHandle(username);
 
     if (!user) {
         return res.status(401).json({ error: "Invalid credentials" });
@@ -219,100 +243,1062 @@ app.post('/api/login', loginLimiter, async (req, res) => {
     const validPass = await bcrypt.compare(password, user.passwordHash || "");
 
     if (validPass) {
-        const token = jwt.sign({ userId: user.id }, JWT_SECRET, { expiresIn: '7d' });
-
-        res.json({
-            success: true,
-            userId: user.id,
-            username: user.username,
-            gender: user.gender,
-            partnerId: user.partnerId,
-            isAdmin: !!user.isAdmin || (user.username.toLowerCase() === 'admin' || user.username === 'Aung Nyi Nyi Thant'),
-            token: token
-        });
+        if (user.twoFactor?.enabled) {
+            // Right password, but no session until the second step (2d) - just a ticket for it
+            const challenge = jwt.sign({ userId: user.id, purpose: '2fa' }, JWT_SECRET, { expiresIn: '5m' });
+            return res.json({ success: true, twoFactorRequired: true, challenge });
+        }
+        res.json(await loginResponse(req, user));
     } else {
         res.status(401).json({ error: "Invalid credentials" });
     }
 });
 
-// 3. GET DATA (Protected)
-app.get('/api/data/:userId', authenticate, (req, res) => {
-    // Ensure requesting user matches the token user
-    if (req.user.userId !== req.params.userId) {
-        // Allow if partners? For strict security, yes. 
-        // But for now, let's keep it simple: You can only ask for YOUR data.
-        return res.status(403).json({ error: "Unauthorized access to another user's data" });
+// What a completed login answers with
+async function loginResponse(req, user) {
+    const tokens = await startSession(req, user.id);
+    return {
+        success: true,
+        userId: user.id,
+        username: user.username,
+        displayName: user.displayName,
+        gender: user.gender,
+        partnerId: user.partnerId,
+        isAdmin: hasPermission(user, 'admin:access'),
+        ...tokens
+    };
+}
+
+// 2b. SESSIONS - short-lived access tokens, rotating refresh tokens (see lib/sessions.js)
+function signAccessToken(session) {
+    return jwt.sign({ userId: session.userId, sid: session.id }, JWT_SECRET, { expiresIn: sessions.ACCESS_TOKEN_TTL });
+}
+
+// Open a session for a fresh login; returns { token, refreshToken } for the response
+async function startSession(req, userId) {
+    const { session, refreshToken } = sessions.createSession(userId, req.headers['user-agent']);
+    await storage.transaction(tx => {
+        tx.putSession(session);
+        // Tidy up this user's sessions that ran out on their own
+        for (const old of storage.listSessions(userId)) {
+            if (sessions.isExpired(old)) tx.deleteSession(old.id);
+        }
+    }, { label: 'session:start' });
+    return { token: signAccessToken(session), refreshToken };
+}
+
+// Delete sessions and drop any live sockets opened with them
+async function revokeSessions(sessionIds, label) {
+    if (sessionIds.length === 0) return;
+    await storage.transaction(tx => sessionIds.forEach(id => tx.deleteSession(id)), { label });
+
+    const revoked = new Set(sessionIds);
+    for (const namespace of [io, spaceChannel]) {
+        const sockets = await namespace.fetchSockets();
+        sockets.filter(socket => revoked.has(socket.data.sessionId)).forEach(socket => socket.disconnect(true));
+    }
+}
+
+const refreshLimiter = rateLimit({
+    windowMs: 15 * 60 * 1000,
+    max: 100, // Every open tab refreshes every 15 minutes; this is only a brake on guessing
+    standardHeaders: true,
+    legacyHeaders: false
+});
+
+// Trade a refresh token for a new access token + refresh token
+app.post('/api/auth/refresh', refreshLimiter, async (req, res) => {
+    const parsed = sessions.parseRefreshToken(req.body.refreshToken);
+    const session = parsed && storage.getSession(parsed.sessionId);
+    const check = session && sessions.checkRefreshSecret(session, parsed.secret);
+
+    if (!check || sessions.isExpired(session) || !storage.getUser(session.userId)) {
+        return res.status(401).json({ error: "Session expired" });
+    }
+    if (check === 'reused') {
+        // An old refresh token came back - someone may have a copy. Log this device out.
+        await revokeSessions([session.id], 'session:reused');
+        return res.status(401).json({ error: "Session expired" });
+    }
+    if (check === 'grace') {
+        // Another tab just refreshed and already stored the new refresh token; only hand out an access token
+        return res.json({ success: true, token: signAccessToken(session) });
     }
 
-    const { userId } = req.params;
-    const user = db.users[userId];
+    const refreshToken = sessions.rotateSession(session);
+    await storage.putSession(session, { label: 'session:refresh' });
+    res.json({ success: true, token: signAccessToken(session), refreshToken });
+});
+
+// Log out this device. Takes the refresh token so it works even once the access token has expired.
+app.post('/api/auth/logout', async (req, res) => {
+    const parsed = sessions.parseRefreshToken(req.body.refreshToken);
+    const session = parsed && storage.getSession(parsed.sessionId);
+    if (session && sessions.checkRefreshSecret(session, parsed.secret)) {
+        await revokeSessions([session.id], 'session:logout');
+    }
+    // Already gone counts as logged out
+    res.json({ success: true });
+});
+
+// Where am I logged in?
+app.get('/api/auth/sessions', authenticate, (req, res) => {
+    const list = storage.listSessions(req.user.userId)
+        .filter(session => !sessions.isExpired(session))
+        .sort((a, b) => b.lastUsedAt - a.lastUsedAt)
+        .map(session => sessions.describeSession(session, req.user.sid));
+    res.json({ success: true, sessions: list });
+});
 
+// Log out one device
+app.delete('/api/auth/sessions/:sessionId', authenticate, async (req, res) => {
+    const session = storage.getSession(req.params.sessionId);
+    if (!session || session.userId !== req.user.userId) {
+        return res.status(404).json({ error: "Session not found" });
+    }
+    await revokeSessions([session.id], 'session:revoke');
+    res.json({ success: true });
+});
+
+// Log out every device except this one
+app.delete('/api/auth/sessions', authenticate, async (req, res) => {
+    const others = storage.listSessions(req.user.userId).filter(session => session.id !== req.user.sid);
+    await revokeSessions(others.map(session => session.id), 'session:revoke-others');
+    res.json({ success: true, revoked: others.length });
+});
+
+// 2c. PASSWORD CHANGE & RECOVERY CODES
+// A wrong password here is a 403, not a 401 - clients treat 401 as "session expired"
+app.post('/api/user/password', authenticate, async (req, res) => {
+    const { currentPassword, newPassword } = req.body;
+    const user = storage.getUser(req.user.userId);
     if (!user) return res.status(404).json({ error: "User not found" });
 
-    const spaceId = user.spaceId;
-    if (!db.spaces[spaceId]) {
-        db.spaces[spaceId] = { notes: [], images: [], dates: [], pet: { ...INITIAL_PET } };
-    } else if (!db.spaces[spaceId].pet) {
-        // Migration/Repair: If space exists but pet is missing
-        db.spaces[spaceId].pet = { ...INITIAL_PET };
-        saveDB();
+    if (!newPassword) {
+        return res.status(400).json({ error: "New password required" });
+    }
+    if (!await bcrypt.compare(currentPassword || "", user.passwordHash || "")) {
+        return res.status(403).json({ error: "Current password is incorrect" });
+    }
+
+    user.passwordHash = await bcrypt.hash(newPassword, 10);
+    await storage.putUser(user, { label: 'user/password' });
+
+    // Anyone who got in with the old password is logged out; this device stays
+    const others = storage.listSessions(user.id).filter(session => session.id !== req.user.sid);
+    await revokeSessions(others.map(session => session.id), 'session:password-changed');
+
+    res.json({ success: true, message: "Password changed! 🔑" });
+});
+
+// Replace the recovery codes with a fresh set (the old ones stop working)
+app.post('/api/user/recovery-codes', authenticate, async (req, res) => {
+    const { password } = req.body;
+    const user = storage.getUser(req.user.userId);
+    if (!user) return res.status(404).json({ error: "User not found" });
+
+    if (!await bcrypt.compare(password || "", user.passwordHash || "")) {
+        return res.status(403).json({ error: "Password is incorrect" });
+    }
+
+    const recovery = await createRecoveryCodes();
+    user.recoveryCodes = recovery.hashes;
+    await storage.putUser(user, { label: 'user/recovery-codes' });
+
+    res.json({ success: true, recoveryCodes: recovery.codes });
+});
+
+// Forgot password: a recovery code sets a new one. Every device is logged out.
+app.post('/api/recover', loginLimiter, async (req, res) => {
+    const { username, code, newPassword } = req.body;
+
+    if (!username || !code || !newPassword) {
+        return res.status(400).json({ error: "Username, recovery code and new password required" });
+    }
+
+    const user = findUserByHandle(username);
+    const hash = user ? await findRecoveryCode(user.recoveryCodes, code) : null;
+    // Looked up again: a parallel request may have used the same code while we were comparing
+    const index = hash ? user.recoveryCodes.indexOf(hash) : -1;
+    if (index === -1) {
+        return res.status(401).json({ error: "That recovery code doesn't match" });
+    }
+
+    user.recoveryCodes.splice(index, 1); // One use only
+    user.passwordHash = await bcrypt.hash(newPassword, 10);
+    await storage.putUser(user, { label: 'recover' });
+    await revokeSessions(storage.listSessions(user.id).map(session => session.id), 'session:recovered');
+
+    res.json({ success: true, recoveryCodesLeft: user.recoveryCodes.length });
+});
+
+// 2d. TWO-FACTOR LOGIN (TOTP, see lib/totp.js)
+// user.twoFactor = { enabled, secret, lastStep, backupCodes: [bcrypt hashes], enabledAt }
+// While being set up it is { enabled: false, pendingSecret } until a code from the app confirms it.
+
+// Accept a code from the authenticator app, or one of the backup codes. Records
+// what was used (on `user`, caller saves) so neither works a second time.
+async function checkSecondFactor(user, code) {
+    const twoFactor = user.twoFactor;
+    const step = totp.verifyTotp(totp.base32Decode(twoFactor.secret), code, { afterStep: twoFactor.lastStep ?? -1 });
+    if (step !== null) {
+        twoFactor.lastStep = step;
+        return true;
+    }
+
+    const hash = await findRecoveryCode(twoFactor.backupCodes, code);
+    const index = hash ? twoFactor.backupCodes.indexOf(hash) : -1;
+    if (index === -1) return false;
+    twoFactor.backupCodes.splice(index, 1);
+    return true;
+}
+
+// Counted per account, not just per IP, so a stolen password can't be paired with a code guessing spree
+const twoFactorLimiter = rateLimit({
+    windowMs: 15 * 60 * 1000,
+    max: 10,
+    keyGenerator: (req) => jwt.decode(String(req.body?.challenge))?.userId || ipKeyGenerator(req.ip),
+    message: { error: "Too many attempts, please try again after 15 minutes" },
+    standardHeaders: true,
+    legacyHeaders: false
+});
+
+app.post('/api/login/2fa', twoFactorLimiter, async (req, res) => {
+    const { challenge, code } = req.body;
+
+    let payload;
+    try {
+        payload = jwt.verify(String(challenge), JWT_SECRET);
+    } catch (err) {
+        payload = null;
+    }
+    const user = payload?.purpose === '2fa' && storage.getUser(payload.userId);
+    if (!user || !user.twoFactor?.enabled) {
+        return res.status(401).json({ error: "Login timed out, please sign in again", expired: true });
     }
 
-    // Sunflower Migration
-    if (!db.spaces[spaceId].sunflower) {
-        db.spaces[spaceId].sunflower = { ...INITIAL_SUNFLOWER };
-        saveDB();
+    if (!await checkSecondFactor(user, code || "")) {
+        return res.status(401).json({ error: "That code isn't right" });
     }
-    const spaceData = db.spaces[spaceId];
+    await storage.putUser(user, { label: 'login/2fa' });
+
+    res.json({ ...await loginResponse(req, user), backupCodesLeft: user.twoFactor.backupCodes.length });
+});
 
-    // Also fetch partner username if exists
-    let partnerName = null;
-    if (user.partnerId) {
-        partnerName = db.users[user.partnerId]?.username;
+// Step 1 of turning it on: a new secret to put in the authenticator app
+app.post('/api/user/2fa/setup', authenticate, async (req, res) => {
+    const user = storage.getUser(req.user.userId);
+    if (!user) return res.status(404).json({ error: "User not found" });
+
+    if (user.twoFactor?.enabled) {
+        return res.status(400).json({ error: "Two-factor login is already on" });
+    }
+    if (!await bcrypt.compare(req.body.password || "", user.passwordHash || "")) {
+        return res.status(403).json({ error: "Password is incorrect" });
     }
 
+    const secret = totp.generateSecret();
+    user.twoFactor = { enabled: false, pendingSecret: secret };
+    await storage.putUser(user, { label: 'user/2fa/setup' });
 
     res.json({
         success: true,
-        data: spaceData,
+        secret,
+        otpauthUrl: totp.otpauthUrl({ secret, account: user.username, issuer: 'KeepMemories' })
+    });
+});
+
+// Step 2: the app's current code proves it was set up right. Answers with the backup codes, shown once.
+app.post('/api/user/2fa/enable', authenticate, async (req, res) => {
+    const user = storage.getUser(req.user.userId);
+    if (!user) return res.status(404).json({ error: "User not found" });
+
+    const pendingSecret = user.twoFactor?.pendingSecret;
+    if (!pendingSecret) {
+        return res.status(400).json({ error: "Start the setup first" });
+    }
+    const step = totp.verifyTotp(totp.base32Decode(pendingSecret), req.body.code || "");
+    if (step === null) {
+        return res.status(400).json({ error: "That code isn't right - check the time on your phone and try again" });
+    }
+
+    const backup = await createRecoveryCodes();
+    user.twoFactor = {
+        enabled: true,
+        secret: pendingSecret,
+        lastStep: step,
+        backupCodes: backup.hashes,
+        enabledAt: Date.now()
+    };
+    await storage.putUser(user, { label: 'user/2fa/enable' });
+
+    res.json({ success: true, backupCodes: backup.codes });
+});
+
+// Needs the password and a current code (or backup code)
+app.post('/api/user/2fa/disable', authenticate, async (req, res) => {
+    const { password, code } = req.body;
+    const user = storage.getUser(req.user.userId);
+    if (!user) return res.status(404).json({ error: "User not found" });
+
+    if (!user.twoFactor?.enabled) {
+        return res.status(400).json({ error: "Two-factor login is not on" });
+    }
+    if (!await bcrypt.compare(password || "", user.passwordHash || "")) {
+        return res.status(403).json({ error: "Password is incorrect" });
+    }
+    if (!await checkSecondFactor(user, code || "")) {
+        return res.status(403).json({ error: "That code isn't right" });
+    }
+
+    user.twoFactor = null;
+    await storage.putUser(user, { label: 'user/2fa/disable' });
+
+    res.json({ success: true });
+});
+
+// 3. GET DATA (Protected)
+app.get('/api/data/:userId', authenticate, requireSelf, (req, res) => {
+    const user = storage.getUser(req.params.userId);
+    if (!user) return res.status(404).json({ error: "User not found" });
+
+    const dashboard = dashboardData(user);
+    if (!dashboard) return res.status(404).json({ error: "Space not found" });
+
+    res.json({ success: true, ...dashboard });
+});
+
+// Everything the dashboard shows for a user (also what the memory book is made from); null without a space
+function dashboardData(user) {
+    const spaceData = storage.getSpace(user.spaceId);
+    if (!spaceData) return null;
+
+    // Also fetch partner name if exists
+    const partner = user.partnerId ? storage.getUser(user.partnerId) : null;
+    const partnerName = partner?.displayName || null;
+
+    return {
+        data: spaceView(spaceData), // Sealed letters without their body
         username: user.username,
+        displayName: user.displayName,
+        avatar: user.avatar?.hash || null, // Served by GET /api/avatars/:hash
         gender: user.gender,
-        isAdmin: !!user.isAdmin || (user.username.toLowerCase() === 'admin' || user.username === 'Aung Nyi Nyi Thant'),
+        isAdmin: hasPermission(user, 'admin:access'),
+        roles: user.roles,
+        partnerId: partner?.id || null,
         partnerName: partnerName,
-        partnerGender: user.partnerId ? db.users[user.partnerId]?.gender : null,
-        myId: userId
+        partnerGender: partner?.gender || null,
+        partnerAvatar: partner?.avatar?.hash || null,
+        spaceId: user.spaceId,
+        revision: spaceData.revision,
+        myId: user.id,
+        recoveryCodesLeft: (user.recoveryCodes || []).length,
+        twoFactorEnabled: !!user.twoFactor?.enabled
+    };
+}
+
+// --- SPACE REVISIONS ---
+// Every write to a space bumps its revision. A client can say which revision
+// its change was based on - `If-Match: "<revision>"` or `baseRevision` in the
+// body - and if the space has moved on since, it gets a 409 with the current
+// state instead of silently overwriting its partner's work.
+
+// Persists the space, then pushes `change` to the partners' open pages
+async function saveSpace(spaceId, space, label, change) {
+    space.revision += 1;
+    await storage.putSpace(spaceId, space, { label });
+    publishSpaceChange(spaceId, space.revision, change);
+}
+
+// Answers 409 itself and returns true when the request was based on an old revision
+function rejectStaleWrite(req, res, space) {
+    const ifMatch = req.get('If-Match');
+    let baseRevision = req.body?.baseRevision;
+    if (ifMatch !== undefined) {
+        if (ifMatch.trim() === '*') return false;
+        baseRevision = Number(ifMatch.replace(/^W\//, '').replace(/"/g, ''));
+    }
+    if (baseRevision === undefined || baseRevision === null || baseRevision === space.revision) return false;
+
+    res.status(409).json({
+        error: "Your partner changed this in the meantime",
+        revision: space.revision,
+        data: spaceView(space)
     });
-});
+    return true;
+}
 
 // 4. SAVE DATA (Protected)
-app.post('/api/data/:userId', authenticate, (req, res) => {
+app.post('/api/data/:userId', authenticate, requireSelf, async (req, res) => {
     const { userId } = req.params;
-    const { type, payload } = req.body; // type: 'notes' | 'images' | 'dates'
+    const { type, payload } = req.body; // type: 'pet' | 'sunflower' (notes/dates/images have item routes below)
 
-    const user = db.users[userId];
+    const user = storage.getUser(userId);
     if (!user) return res.status(404).json({ error: "User not found" });
 
     const spaceId = user.spaceId;
-    if (!db.spaces[spaceId]) db.spaces[spaceId] = { notes: [], images: [], dates: [], pet: { ...INITIAL_PET }, sunflower: { ...INITIAL_SUNFLOWER } };
+    const space = storage.getSpace(spaceId);
+    if (!space) return res.status(404).json({ error: "Space not found" });
 
-    if (['notes', 'images', 'dates', 'pet', 'sunflower'].includes(type)) {
+    if (['pet', 'sunflower'].includes(type)) {
+        if (rejectStaleWrite(req, res, space)) return;
         if (type === 'pet') {
             console.log(`[POST] Saving pet data for user ${userId}:`, payload);
         }
-        db.spaces[spaceId][type] = payload;
-        saveDB();
-        res.json({ success: true });
+        space[type] = payload;
+        await saveSpace(spaceId, space, `data:${type}`, { collection: type, action: 'update', value: payload });
+        res.json({ success: true, revision: space.revision });
     } else {
         res.status(400).json({ error: "Invalid data type" });
     }
 });
 
+// --- SPACE ITEMS (notes, dates, photos) ---
+// Items are addressed by id, so two partners editing at once never overwrite each other's changes.
+// Adding and removing items can't conflict, so only edits check the base revision.
+
+// Find an item in the request's space; answers 404 itself and returns null when it's missing
+function findSpaceItem(req, res, collection, itemId) {
+    const space = storage.getSpace(req.params.spaceId);
+    const index = space ? space[collection].findIndex(item => item.id === itemId) : -1;
+    if (index === -1) {
+        res.status(404).json({ error: "Item not found" });
+        return null;
+    }
+    return { space, index, item: space[collection][index] };
+}
+
+function validateNoteText(text) {
+    if (typeof text !== 'string' || !text.trim()) return "Note text is required";
+    if (text.length > 2000) return "Note is too long (max 2000 characters)";
+    return null;
+}
+
+// Checks the optional pinned/color fields of a note body
+function validateNoteStyle({ pinned, color }) {
+    if (pinned !== undefined && typeof pinned !== 'boolean') return "pinned must be true or false";
+    if (color !== undefined && color !== null && !NOTE_COLORS.includes(color)) {
+        return `color must be one of ${NOTE_COLORS.join(', ')} (or null)`;
+    }
+    return null;
+}
+
+const TAGS_ERROR = `tags must be a list of up to ${MAX_TAGS} tags (${MAX_TAG_LENGTH} characters each)`;
+
+function validateDate(date, label) {
+    if (typeof date !== 'string' || !/^\d{4}-\d{2}-\d{2}$/.test(date) || isNaN(new Date(date))) {
+        return "A valid date (YYYY-MM-DD) is required";
+    }
+    if (typeof label !== 'string' || !label.trim()) return "Date label is required";
+    if (label.length > 100) return "Label is too long (max 100 characters)";
+    return null;
+}
+
+function validateCaption(caption) {
+    if (typeof caption !== 'string') return "caption must be text";
+    if (caption.length > MAX_CAPTION_LENGTH) return `Caption is too long (max ${MAX_CAPTION_LENGTH} characters)`;
+    return null;
+}
+
+function sortDates(dates) {
+    dates.sort((a, b) => new Date(a.date) - new Date(b.date));
+}
+
+// 4b. NOTES - body: { text, pinned?, color?, tags? }; clients show pinned notes first
+app.post('/api/spaces/:spaceId/notes', authenticate, requireSpaceMember, async (req, res) => {
+    const { text, pinned, color } = req.body;
+    const error = validateNoteText(text) || validateNoteStyle(req.body);
+    if (error) return res.status(400).json({ error });
+    const tags = cleanTags(req.body.tags ?? []);
+    if (!tags) return res.status(400).json({ error: TAGS_ERROR });
+
+    const space = storage.getSpace(req.params.spaceId);
+    const note = createNote({ text: text.trim(), authorId: req.user.userId, pinned, color, tags });
+    space.notes.unshift(note);
+    await saveSpace(req.params.spaceId, space, 'notes:create', { collection: 'notes', action: 'create', item: note });
+
+    res.json({ success: true, note, revision: space.revision });
+});
+
+app.patch('/api/spaces/:spaceId/notes/:noteId', authenticate, requireSpaceMember, async (req, res) => {
+    const found = findSpaceItem(req, res, 'notes', req.params.noteId);
+    if (!found || rejectStaleWrite(req, res, found.space)) return;
+
+    // Any of text, pinned, color and tags. Either partner can pin, recolour or tag a note, but the words are the author's.
+    const { text, pinned, color } = req.body;
+    if (text === undefined && pinned === undefined && color === undefined && req.body.tags === undefined) {
+        return res.status(400).json({ error: "Nothing to change" });
+    }
+    const error = (text !== undefined && validateNoteText(text)) || validateNoteStyle(req.body);
+    if (error) return res.status(400).json({ error });
+    const tags = req.body.tags === undefined ? undefined : cleanTags(req.body.tags);
+    if (tags === null) return res.status(400).json({ error: TAGS_ERROR });
+    if (text !== undefined && found.item.authorId && found.item.authorId !== req.user.userId) {
+        return res.status(403).json({ error: "Only the person who wrote this note can edit it" });
+    }
+
+    if (text !== undefined && text.trim() !== found.item.text) {
+        found.item.text = text.trim();
+        found.item.editedAt = Date.now();
+    }
+    if (pinned !== undefined) found.item.pinned = pinned;
+    if (color !== undefined) found.item.color = color;
+    if (tags !== undefined) found.item.tags = tags;
+    await saveSpace(req.params.spaceId, found.space, 'notes:update', { collection: 'notes', action: 'update', item: found.item });
+
+    res.json({ success: true, note: found.item, revision: found.space.revision });
+});
+
+// Moves the note to the trash (4k)
+app.delete('/api/spaces/:spaceId/notes/:noteId', authenticate, requireSpaceMember, (req, res) => (
+    trashItem(req, res, 'notes', req.params.noteId)
+));
+
+// 4c. SPECIAL DATES
+app.post('/api/spaces/:spaceId/dates', authenticate, requireSpaceMember, async (req, res) => {
+    const { date, label } = req.body;
+    const error = validateDate(date, label);
+    if (error) return res.status(400).json({ error });
+
+    const space = storage.getSpace(req.params.spaceId);
+    const item = { id: generateItemId(), date, label: label.trim(), authorId: req.user.userId };
+    space.dates.push(item);
+    sortDates(space.dates);
+    await saveSpace(req.params.spaceId, space, 'dates:create', { collection: 'dates', action: 'create', item });
+
+    res.json({ success: true, date: item, revision: space.revision });
+});
+
+app.patch('/api/spaces/:spaceId/dates/:dateId', authenticate, requireSpaceMember, async (req, res) => {
+    const found = findSpaceItem(req, res, 'dates', req.params.dateId);
+    if (!found || rejectStaleWrite(req, res, found.space)) return;
+
+    // Either field may be left out to keep its current value
+    const date = req.body.date ?? found.item.date;
+    const label = req.body.label ?? found.item.label;
+    const error = validateDate(date, label);
+    if (error) return res.status(400).json({ error });
+
+    found.item.date = date;
+    found.item.label = label.trim();
+    sortDates(found.space.dates);
+    await saveSpace(req.params.spaceId, found.space, 'dates:update', { collection: 'dates', action: 'update', item: found.item });
+
+    res.json({ success: true, date: found.item, revision: found.space.revision });
+});
+
+// Moves the date to the trash (4k)
+app.delete('/api/spaces/:spaceId/dates/:dateId', authenticate, requireSpaceMember, (req, res) => (
+    trashItem(req, res, 'dates', req.params.dateId)
+));
+
+// Whether the space an upload was for is still there to put it in. Meanwhile it may
+// have been deleted (its owner deleted their account) or the uploader may have left
+// it (a disconnect); then this returns { status, error } and the caller throws away
+// the files it stored.
+function checkUploadTarget(req) {
+    const { spaceId } = req.params;
+    if (!storage.getSpace(spaceId)) return { status: 404, error: "Space not found" };
+    if (storage.getUser(req.user.userId)?.spaceId !== spaceId) {
+        return { status: 409, error: "You left this space while the upload was in progress" };
+    }
+    return null;
+}
+
+// 4d. GALLERY PHOTO UPLOAD (Protected, multipart field "photo"; optional fields
+// "caption" and "timezoneOffset" - the uploader's minutes east of UTC, for EXIF times without a zone)
+app.post('/api/spaces/:spaceId/images', authenticate, requireSpaceMember, async (req, res) => {
+    const { spaceId } = req.params;
+
+    let upload;
+    try {
+        upload = await receiveUpload(req, { field: 'photo', maxFileSize: MAX_PHOTO_SIZE });
+    } catch (err) {
+        if (err instanceof UploadError) return res.status(err.status).json({ error: err.message });
+        throw err;
+    }
+
+    const contentType = detectImageType(upload.buffer);
+    if (!contentType) {
+        return res.status(415).json({ error: "Only JPEG, PNG, GIF and WebP photos are supported" });
+    }
+    const caption = upload.fields.caption ?? '';
+    const captionError = validateCaption(caption);
+    if (captionError) return res.status(400).json({ error: captionError });
+    const timezoneOffset = Number(upload.fields.timezoneOffset);
+    const takenAt = readCaptureDate(upload.buffer, contentType,
+        Number.isInteger(timezoneOffset) && Math.abs(timezoneOffset) <= 14 * 60 ? timezoneOffset : 0);
+
+    const hash = BlobStore.hash(upload.buffer);
+    let renditions;
+    try {
+        renditions = await createRenditions(blobs, upload.buffer, contentType, hash);
+    } catch (err) {
+        if (err instanceof ImageError) return res.status(err.status).json({ error: err.message });
+        return res.status(400).json({ error: "Could not read this image" });
+    }
+    const { size } = await blobs.put(upload.buffer);
+
+    const addedAt = Date.now();
+    const image = {
+        id: generateItemId(), hash, contentType, size, ...renditions,
+        uploaderId: req.user.userId,
+        addedAt,
+        takenAt: takenAt ?? addedAt, // No date in the file: when it was uploaded will have to do
+        caption: caption.trim(),
+        tags: [],
+        albumIds: []
+    };
+
+    const gone = checkUploadTarget(req);
+    if (gone) {
+        await purgeUnreferencedBlobs(imageHashes(image));
+        return res.status(gone.status).json({ error: gone.error });
+    }
+    // Re-read the space: other requests may have changed it while we were processing
+    const space = storage.getSpace(spaceId);
+    space.images.unshift(image);
+    await saveSpace(spaceId, space, 'upload-image', { collection: 'images', action: 'create', item: image });
+
+    res.json({ success: true, image, revision: space.revision });
+});
+
+// body: { caption?, tags?, albumIds? } - either partner can caption and file any photo
+app.patch('/api/spaces/:spaceId/images/:imageId', authenticate, requireSpaceMember, async (req, res) => {
+    const found = findSpaceItem(req, res, 'images', req.params.imageId);
+    if (!found || rejectStaleWrite(req, res, found.space)) return;
+
+    const { caption, albumIds } = req.body;
+    if (caption === undefined && req.body.tags === undefined && albumIds === undefined) {
+        return res.status(400).json({ error: "Nothing to change" });
+    }
+    const captionError = caption === undefined ? null : validateCaption(caption);
+    if (captionError) return res.status(400).json({ error: captionError });
+    const tags = req.body.tags === undefined ? undefined : cleanTags(req.body.tags);
+    if (tags === null) return res.status(400).json({ error: TAGS_ERROR });
+    if (albumIds !== undefined && (!Array.isArray(albumIds)
+        || !albumIds.every(id => found.space.albums.some(album => album.id === id)))) {
+        return res.status(400).json({ error: "albumIds must be a list of this space's albums" });
+    }
+
+    if (caption !== undefined) found.item.caption = caption.trim();
+    if (tags !== undefined) found.item.tags = tags;
+    if (albumIds !== undefined) found.item.albumIds = [...new Set(albumIds)];
+    await saveSpace(req.params.spaceId, found.space, 'images:update', { collection: 'images', action: 'update', item: found.item });
+
+    res.json({ success: true, image: found.item, revision: found.space.revision });
+});
+
+// Moves the photo to the trash (4k); its files stay until it's deleted from there for good
+app.delete('/api/spaces/:spaceId/images/:imageId', authenticate, requireSpaceMember, (req, res) => (
+    trashItem(req, res, 'images', req.params.imageId)
+));
+
+// 4e. GALLERY IMAGE FILES (Protected) - originals and renditions
+app.get('/api/spaces/:spaceId/images/:hash', authenticate, requireSpaceMember, (req, res) => {
+    const { spaceId, hash } = req.params;
+
+    // Only serve blobs this space actually references - trashed photos too, so they can be seen before restoring
+    const space = storage.getSpace(spaceId);
+    const trashed = (space?.trash || []).filter(entry => entry.collection === 'images').map(entry => entry.item);
+    const image = [...(space?.images || []), ...trashed].find(img => imageHashes(img).includes(hash));
+    if (!image || !blobs.has(hash)) return res.status(404).json({ error: "Image not found" });
+    const file = [image, image.thumb, image.display].find(entry => entry?.hash === hash);
+
+    // Blobs never change under the same hash, so they can be cached forever. Only
+    // image types are sent as such: a stored type that is anything else (text/html
+    // from an old data URL, say) must not let the browser render the file here.
+    res.type(IMAGE_TYPES.includes(file.contentType) ? file.contentType : 'application/octet-stream');
+    res.set('Cache-Control', 'private, max-age=31536000, immutable');
+    res.set('ETag', `"${hash}"`);
+    res.sendFile(blobs.pathFor(hash), { etag: false, lastModified: false });
+});
+
+// 4f. EXPORT SPACE ("Download our memories") - ZIP with manifest.json + media, see lib/space-archive.js
+app.get('/api/spaces/:spaceId/export', authenticate, requireSpaceMember, async (req, res) => {
+    const { spaceId } = req.params;
+    const user = storage.getUser(req.user.userId);
+    // Copy so writes that land while the archive streams out don't change it halfway
+    const space = structuredClone(storage.getSpace(spaceId));
+
+    const day = new Date().toISOString().slice(0, 10);
+    res.type('application/zip');
+    res.set('Content-Disposition', `attachment; filename="keepmemories-${day}.zip"`);
+    res.set('Cache-Control', 'no-store');
+
+    try {
+        await writeSpaceArchive(res, { spaceId, space, user, blobs });
+    } catch (err) {
+        // Headers are gone already; all we can do is cut the download short
+        console.error(`Export of ${spaceId} failed:`, err.message);
+        res.destroy();
+    }
+});
+
+// 4g. IMPORT SPACE (multipart field "archive", optional field "mode": merge | replace)
+app.post('/api/spaces/:spaceId/import', authenticate, requireSpaceMember, async (req, res) => {
+    const { spaceId } = req.params;
+
+    let upload, imported;
+    try {
+        upload = await receiveUpload(req, { field: 'archive', maxFileSize: MAX_ARCHIVE_SIZE });
+        imported = await readSpaceArchive(upload.buffer, blobs);
+    } catch (err) {
+        if (err instanceof UploadError || err instanceof ArchiveError) {
+            return res.status(err.status).json({ error: err.message });
+        }
+        throw err;
+    }
+
+    const mode = upload.fields.mode === 'replace' ? 'replace' : 'merge';
+
+    const gone = checkUploadTarget(req);
+    if (gone) {
+        await purgeUnreferencedBlobs(imported.images.flatMap(imageHashes));
+        return res.status(gone.status).json({ error: gone.error });
+    }
+    // Re-read the space: other requests may have changed it while we were unpacking
+    const space = storage.getSpace(spaceId);
+    // Photos a replace throws out; their files go if nothing else uses them
+    const replacedHashes = mode === 'replace' ? space.images.flatMap(imageHashes) : [];
+    const added = restoreIntoSpace(space, imported, mode);
+    await saveSpace(spaceId, space, `import:${mode}`, null);
+    await purgeUnreferencedBlobs(replacedHashes);
+
+    res.json({ success: true, mode, added, revision: space.revision });
+});
+
+// 4h. MEMORY BOOK - printable ?format=html|pdf, &theme= strawberry | nordic | golden | midnight
+app.get('/api/spaces/:spaceId/book', authenticate, requireSpaceMember, async (req, res) => {
+    const format = req.query.format === 'pdf' ? 'pdf' : 'html';
+    const dashboard = dashboardData(storage.getUser(req.user.userId));
+
+    let book;
+    try {
+        book = await renderMemoryBook(dashboard, { blobs, format, theme: req.query.theme });
+    } catch (err) {
+        if (err instanceof BookError) return res.status(err.status).json({ error: err.message });
+        throw err;
+    }
+
+    const day = new Date().toISOString().slice(0, 10);
+    res.type(format === 'pdf' ? 'application/pdf' : 'text/html');
+    res.set('Content-Disposition', `attachment; filename="memory-book-${day}.${format}"`);
+    res.set('Cache-Control', 'no-store');
+    res.send(book);
+});
+
+// 4i. REACTIONS & REPLIES on notes and photos (shape in lib/spaces.js). The partner gets a notification (5b).
+const CONVERSATION_COLLECTIONS = ['notes', 'images'];
+const MAX_REACTION_KINDS = 20; // Different emoji on one item
+const isEmoji = value => typeof value === 'string' && value.length <= 16 && !/\s/.test(value)
+    && /^(\p{Extended_Pictographic}|\p{Regional_Indicator})/u.test(value);
+
+// findSpaceItem for the :collection/:itemId routes below; answers 404 itself for other collections
+function findConversationItem(req, res) {
+    if (!CONVERSATION_COLLECTIONS.includes(req.params.collection)) {
+        res.status(404).json({ error: "Not found" });
+        return null;
+    }
+    return findSpaceItem(req, res, req.params.collection, req.params.itemId);
+}
+
+// Tell the partner sharing this space (if any) what happened to one of the items
+async function notifyPartner(req, notification) {
+    const me = storage.getUser(req.user.userId);
+    const partner = me?.partnerId ? storage.getUser(me.partnerId) : null;
+    if (!partner || partner.spaceId !== req.params.spaceId) return;
+    await notifyUser(partner, {
+        ...notification,
+        fromId: me.id,
+        fromName: me.displayName,
+        collection: req.params.collection,
+        itemId: req.params.itemId
+    });
+}
+
+app.put('/api/spaces/:spaceId/:collection/:itemId/reactions/:emoji', authenticate, requireSpaceMember, async (req, res) => {
+    const found = findConversationItem(req, res);
+    if (!found) return;
+    const { emoji } = req.params;
+    if (!isEmoji(emoji)) return res.status(400).json({ error: "Reactions have to be an emoji" });
+
+    const reactions = found.item.reactions || (found.item.reactions = {});
+    if (!reactions[emoji] && Object.keys(reactions).length >= MAX_REACTION_KINDS) {
+        return res.status(400).json({ error: "That's plenty of reactions already" });
+    }
+    const users = reactions[emoji] || (reactions[emoji] = []);
+    if (users.includes(req.user.userId)) {
+        return res.json({ success: true, item: found.item, revision: found.space.revision }); // Already there
+    }
+
+    users.push(req.user.userId);
+    const { collection } = req.params;
+    await saveSpace(req.params.spaceId, found.space, `${collection}:react`, { collection, action: 'update', item: found.item });
+    await notifyPartner(req, { type: 'reaction', text: emoji });
+
+    res.json({ success: true, item: found.item, revision: found.space.revision });
+});
+
+app.delete('/api/spaces/:spaceId/:collection/:itemId/reactions/:emoji', authenticate, requireSpaceMember, async (req, res) => {
+    const found = findConversationItem(req, res);
+    if (!found) return;
+    const { emoji, collection } = req.params;
+
+    const users = found.item.reactions?.[emoji] || [];
+    if (!users.includes(req.user.userId)) {
+        return res.json({ success: true, item: found.item, revision: found.space.revision }); // Nothing to take back
+    }
+
+    users.splice(users.indexOf(req.user.userId), 1);
+    if (users.length === 0) delete found.item.reactions[emoji];
+    await saveSpace(req.params.spaceId, found.space, `${collection}:unreact`, { collection, action: 'update', item: found.item });
+
+    res.json({ success: true, item: found.item, revision: found.space.revision });
+});
+
+// body: { text }
+app.post('/api/spaces/:spaceId/:collection/:itemId/replies', authenticate, requireSpaceMember, async (req, res) => {
+    const found = findConversationItem(req, res);
+    if (!found) return;
+
+    const { text } = req.body;
+    if (typeof text !== 'string' || !text.trim()) return res.status(400).json({ error: "Reply text is required" });
+    if (text.length > 1000) return res.status(400).json({ error: "Reply is too long (max 1000 characters)" });
+
+    const reply = createReply({ text: text.trim(), authorId: req.user.userId });
+    (found.item.replies || (found.item.replies = [])).push(reply);
+    const { collection } = req.params;
+    await saveSpace(req.params.spaceId, found.space, `${collection}:reply`, { collection, action: 'update', item: found.item });
+    await notifyPartner(req, { type: 'reply', text: reply.text.slice(0, 140) });
+
+    res.json({ success: true, reply, item: found.item, revision: found.space.revision });
+});
+
+// Only the person who wrote a reply can take it back
+app.delete('/api/spaces/:spaceId/:collection/:itemId/replies/:replyId', authenticate, requireSpaceMember, async (req, res) => {
+    const found = findConversationItem(req, res);
+    if (!found) return;
+
+    const replies = found.item.replies || [];
+    const index = replies.findIndex(reply => reply.id === req.params.replyId);
+    if (index === -1) return res.status(404).json({ error: "Reply not found" });
+    if (replies[index].authorId !== req.user.userId) {
+        return res.status(403).json({ error: "You can only delete your own replies" });
+    }
+
+    replies.splice(index, 1);
+    const { collection } = req.params;
+    await saveSpace(req.params.spaceId, found.space, `${collection}:unreply`, { collection, action: 'update', item: found.item });
+
+    res.json({ success: true, item: found.item, revision: found.space.revision });
+});
+
+// 4j. SEARCH - ?q=words&type=notes,dates,images&from=YYYY-MM-DD&to=YYYY-MM-DD (see lib/search.js)
+const parseDay = value => (/^\d{4}-\d{2}-\d{2}$/.test(value) ? Date.parse(value) : NaN);
+
+app.get('/api/spaces/:spaceId/search', authenticate, requireSpaceMember, (req, res) => {
+    const { spaceId } = req.params;
+    const { q, type, from, to } = req.query;
+    if (typeof q !== 'string' || !q.trim()) return res.status(400).json({ error: "Type something to search for" });
+    if (q.length > 200) return res.status(400).json({ error: "Search is too long (max 200 characters)" });
+
+    const collections = type ? String(type).split(',') : SEARCH_COLLECTIONS;
+    if (!collections.every(collection => SEARCH_COLLECTIONS.includes(collection))) {
+        return res.status(400).json({ error: `type must be some of: ${SEARCH_COLLECTIONS.join(', ')}` });
+    }
+    // Whole days: `to` includes everything up to the end of that day
+    const fromTime = from ? parseDay(from) : null;
+    const toTime = to ? parseDay(to) + 24 * 60 * 60 * 1000 - 1 : null;
+    if (Number.isNaN(fromTime) || Number.isNaN(toTime)) {
+        return res.status(400).json({ error: "Dates must look like 2024-12-31" });
+    }
+
+    if (!searchIndex.has(spaceId)) searchIndex.update(spaceId, storage.getSpace(spaceId));
+    const { total, results } = searchIndex.search(spaceId, q, { collections, from: fromTime, to: toTime });
+
+    res.json({ success: true, total, results });
+});
+
+// 4k. TRASH - deleted notes, dates, photos and letters wait here for 30 days (see createTrashEntry in lib/spaces.js)
+// The DELETE routes above end up here: the item leaves its collection for the trash
+async function trashItem(req, res, collection, itemId) {
+    const found = findSpaceItem(req, res, collection, itemId);
+    if (!found) return;
+
+    found.space[collection].splice(found.index, 1);
+    const entry = createTrashEntry(collection, found.item, req.user.userId);
+    found.space.trash.unshift(entry);
+    await saveSpace(req.params.spaceId, found.space, `${collection}:delete`, {
+        collection, action: 'delete', id: found.item.id, trashed: entry
+    });
+
+    res.json({ success: true, trashed: { ...entry, item: itemView(collection, entry.item) }, revision: found.space.revision });
+}
+
+// Put the item back where it came from, unchanged
+app.post('/api/spaces/:spaceId/trash/:itemId/restore', authenticate, requireSpaceMember, async (req, res) => {
+    const found = findSpaceItem(req, res, 'trash', req.params.itemId);
+    if (!found) return;
+    const { space } = found;
+    const { collection, item } = found.item;
+
+    space.trash.splice(found.index, 1);
+    if (collection === 'dates') {
+        space.dates.push(item);
+        sortDates(space.dates);
+    } else {
+        space[collection].unshift(item); // Same place as a new note or photo
+    }
+    await saveSpace(req.params.spaceId, space, 'trash:restore', { collection, action: 'create', item, restored: true });
+
+    res.json({ success: true, collection, item: itemView(collection, item), revision: space.revision });
+});
+
+// Delete forever
+app.delete('/api/spaces/:spaceId/trash/:itemId', authenticate, requireSpaceMember, async (req, res) => {
+    const found = findSpaceItem(req, res, 'trash', req.params.itemId);
+    if (!found) return;
+
+    found.space.trash.splice(found.index, 1);
+    await saveSpace(req.params.spaceId, found.space, 'trash:delete', { collection: 'trash', action: 'delete', id: found.item.id });
+    await purgeUnreferencedBlobs(trashedImageHashes([found.item]));
+
+    res.json({ success: true, revision: found.space.revision });
+});
+
+const trashedImageHashes = entries => entries
+    .filter(entry => entry.collection === 'images')
+    .flatMap(entry => imageHashes(entry.item));
+
+// Scheduled: empty out trash entries older than the retention period, in every space
+const TRASH_PURGE_INTERVAL = 60 * 60 * 1000; // Hourly
+
+async function purgeExpiredTrash() {
+    const now = Date.now();
+    for (const [spaceId, space] of storage.spaceEntries()) {
+        const expired = space.trash.filter(entry => isTrashExpired(entry, now));
+        if (expired.length === 0) continue;
+
+        space.trash = space.trash.filter(entry => !isTrashExpired(entry, now));
+        await saveSpace(spaceId, space, 'trash:purge', null);
+        await purgeUnreferencedBlobs(trashedImageHashes(expired));
+    }
+}
+
+// 4l. TIME-CAPSULE LETTERS (see lib/letters.js) - the body stays on the server until the letter unlocks
+const MAX_LETTER_LENGTH = 10000;
+
+// body: { title?, body, unlockDate: 'YYYY-MM-DD' } or { title?, body, dateId } to wait for a special date
+app.post('/api/spaces/:spaceId/letters', authenticate, requireSpaceMember, async (req, res) => {
+    const { title = '', body, unlockDate, dateId } = req.body;
+    if (typeof body !== 'string' || !body.trim()) return res.status(400).json({ error: "Write something in your letter first" });
+    if (body.length > MAX_LETTER_LENGTH) return res.status(400).json({ error: `Letter is too long (max ${MAX_LETTER_LENGTH} characters)` });
+    if (typeof title !== 'string' || title.length > 100) return res.status(400).json({ error: "Title is too long (max 100 characters)" });
+
+    const space = storage.getSpace(req.params.spaceId);
+    let unlockAt, unlockEvent = null;
+    if (dateId !== undefined) {
+        const event = space.dates.find(item => item.id === dateId);
+        if (!event) return res.status(404).json({ error: "That special date doesn't exist" });
+        unlockAt = nextOccurrence(event.date);
+        unlockEvent = { dateId: event.id, label: event.label };
+    } else {
+        unlockAt = /^\d{4}-\d{2}-\d{2}$/.test(unlockDate || '') ? Date.parse(unlockDate) : NaN;
+        if (Number.isNaN(unlockAt)) return res.status(400).json({ error: "Pick a day or a special date to open the letter on" });
+        if (unlockAt <= Date.now()) return res.status(400).json({ error: "The opening day has to be in the future" });
+    }
+
+    const letter = createLetter({ title: title.trim(), body, authorId: req.user.userId, unlockAt, unlockEvent });
+    space.letters.unshift(letter);
+    await saveSpace(req.params.spaceId, space, 'letters:create', { collection: 'letters', action: 'create', item: letter });
+
+    res.json({ success: true, letter: letterView(letter), revision: space.revision });
+});
+
+// The whole letter once it has unlocked; 403 (with unlockAt) before that, whoever asks
+app.get('/api/spaces/:spaceId/letters/:letterId', authenticate, requireSpaceMember, (req, res) => {
+    const letter = storage.getSpace(req.params.spaceId).letters.find(item => item.id === req.params.letterId);
+    if (!letter) return res.status(404).json({ error: "Letter not found" });
+
+    const view = letterView(letter);
+    if (view.sealed) return res.status(403).json({ error: "This letter is still sealed", unlockAt: letter.unlockAt });
+    res.json({ success: true, letter: view });
+});
+
+// Moves the letter to the trash (4k), sealed or not
+app.delete('/api/spaces/:spaceId/letters/:letterId', authenticate, requireSpaceMember, (req, res) => (
+    trashItem(req, res, 'letters', req.params.letterId)
+));
+
+// 4m. PHOTO ALBUMS (see createAlbum in lib/spaces.js) - photos join them through PATCH .../images/:imageId
+function validateAlbumName(space, name, albumId = null) {
+    if (typeof name !== 'string' || !name.trim()) return "Album name is required";
+    if (name.trim().length > 60) return "Album name is too long (max 60 characters)";
+    const key = name.trim().toLowerCase();
+    if (space.albums.some(album => album.id !== albumId && album.name.toLowerCase() === key)) {
+        return "You already have an album called that";
+    }
+    return null;
+}
+
+// body: { name }
+app.post('/api/spaces/:spaceId/albums', authenticate, requireSpaceMember, async (req, res) => {
+    const space = storage.getSpace(req.params.spaceId);
+    const error = validateAlbumName(space, req.body.name);
+    if (error) return res.status(400).json({ error });
+
+    const album = createAlbum({ name: req.body.name.trim(), authorId: req.user.userId });
+    space.albums.push(album);
+    await saveSpace(req.params.spaceId, space, 'albums:create', { collection: 'albums', action: 'create', item: album });
+
+    res.json({ success: true, album, revision: space.revision });
+});
+
+// body: { name?, coverImageId? } - the cover has to be one of the album's photos (null = newest)
+app.patch('/api/spaces/:spaceId/albums/:albumId', authenticate, requireSpaceMember, async (req, res) => {
+    const found = findSpaceItem(req, res, 'albums', req.params.albumId);
+    if (!found || rejectStaleWrite(req, res, found.space)) return;
+
+    const { name, coverImageId } = req.body;
+    if (name === undefined && coverImageId === undefined) return res.status(400).json({ error: "Nothing to change" });
+    const error = name !== undefined && validateAlbumName(found.space, name, found.item.id);
+    if (error) return res.status(400).json({ error });
+    if (coverImageId !== undefined && coverImageId !== null
+        && !found.space.images.some(image => image.id === coverImageId && image.albumIds.includes(found.item.id))) {
+        return res.status(400).json({ error: "The cover has to be a photo in this album" });
+    }
+
+    if (name !== undefined) found.item.name = name.trim();
+    if (coverImageId !== undefined) found.item.coverImageId = coverImageId;
+    await saveSpace(req.params.spaceId, found.space, 'albums:update', { collection: 'albums', action: 'update', item: found.item });
+
+    res.json({ success: true, album: found.item, revision: found.space.revision });
+});
+
+// The photos stay, just no longer filed under this album
+app.delete('/api/spaces/:spaceId/albums/:albumId', authenticate, requireSpaceMember, async (req, res) => {
+    const found = findSpaceItem(req, res, 'albums', req.params.albumId);
+    if (!found) return;
+    const { space, item: album } = found;
+
+    space.albums.splice(found.index, 1);
+    const trashed = space.trash.filter(entry => entry.collection === 'images').map(entry => entry.item);
+    for (const image of [...space.images, ...trashed]) {
+        image.albumIds = image.albumIds.filter(id => id !== album.id);
+    }
+    await saveSpace(req.params.spaceId, space, 'albums:delete', { collection: 'albums', action: 'delete', id: album.id });
+
+    res.json({ success: true, revision: space.revision });
+});
+
 // 5. INVITE / LINK PARTNER
-app.post('/api/invite', (req, res) => {
-    const { userId, targetId } = req.body;
+app.post('/api/invite', authenticate, async (req, res) => {
+    const userId = req.user.userId;
+    const { targetId } = req.body;
 
-    const currentUser = db.users[userId];
-    const targetUser = db.users[targetId];
+    const currentUser = storage.getUser(userId);
+    const targetUser = storage.getUser(targetId);
 
     if (!currentUser || !targetUser) {
         return res.status(404).json({ error: "User or Partner ID not found" });
@@ -322,6 +1308,10 @@ app.post('/api/invite', (req, res) => {
         return res.status(400).json({ error: "You cannot invite yourself!" });
     }
 
+    if (currentUser.partnerId) {
+        return res.status(400).json({ error: "You already have a partner!" });
+    }
+
     // Link them!
     // STRATEGY: Queue an invitation instead of instant link.
 
@@ -337,115 +1327,149 @@ app.post('/api/invite', (req, res) => {
     // Store pending invite on the target user
     targetUser.pendingInvite = {
         fromId: userId,
-        fromName: currentUser.username,
+        fromName: currentUser.displayName,
         timestamp: Date.now()
     };
 
-    saveDB();
+    await storage.putUser(targetUser, { label: 'invite' });
 
     res.json({
         success: true,
-        message: `Invitation letter sent to ${targetUser.username}! 💌`
+        message: `Invitation letter sent to ${targetUser.displayName}! 💌`
     });
 });
 
-// 5b. CHECK NOTIFICATIONS (Poll for invites)
-app.get('/api/notifications/:userId', (req, res) => {
+// 5b. CHECK NOTIFICATIONS (Poll for invites, plus unread replies and reactions)
+// Notifications are kept on the user, newest first, and also pushed live as a
+// `notification` event on the space channel. { id, type: 'reply' | 'reaction',
+// fromId, fromName, collection, itemId, text, createdAt, read }
+const MAX_NOTIFICATIONS = 50;
+
+async function notifyUser(user, notification) {
+    const entry = { id: generateItemId(), ...notification, createdAt: Date.now(), read: false };
+    user.notifications = [entry, ...(user.notifications || [])].slice(0, MAX_NOTIFICATIONS);
+    await storage.putUser(user, { label: 'notify' });
+    spaceChannel.to(`user:${user.id}`).emit('notification', entry);
+}
+
+app.get('/api/notifications/:userId', authenticate, requireSelf, (req, res) => {
     const { userId } = req.params;
-    const user = db.users[userId];
+    const user = storage.getUser(userId);
 
     if (!user) return res.status(404).json({ error: "User not found" });
 
     res.json({
         success: true,
-        pendingInvite: user.pendingInvite || null
+        pendingInvite: user.pendingInvite || null,
+        notifications: (user.notifications || []).filter(notification => !notification.read)
     });
 });
 
+// Mark every notification as read
+app.post('/api/notifications/read', authenticate, async (req, res) => {
+    const user = storage.getUser(req.user.userId);
+    if (!user) return res.status(404).json({ error: "User not found" });
+
+    if ((user.notifications || []).some(notification => !notification.read)) {
+        user.notifications.forEach(notification => { notification.read = true; });
+        await storage.putUser(user, { label: 'notifications/read' });
+    }
+    res.json({ success: true });
+});
+
 // 5c. RESPOND TO INVITE
-app.post('/api/invite/respond', (req, res) => {
-    const { userId, accept } = req.body;
-    const currentUser = db.users[userId];
+app.post('/api/invite/respond', authenticate, async (req, res) => {
+    const userId = req.user.userId;
+    const { accept } = req.body;
+    const currentUser = storage.getUser(userId);
 
     if (!currentUser || !currentUser.pendingInvite) {
         return res.status(400).json({ error: "No pending invitation found." });
     }
 
     const senderId = currentUser.pendingInvite.fromId;
-    const senderUser = db.users[senderId];
+    const senderUser = storage.getUser(senderId);
 
     if (accept) {
         if (!senderUser) {
             currentUser.pendingInvite = null; // Sender doesn't exist anymore?
-            saveDB();
+            await storage.putUser(currentUser, { label: 'invite/respond' });
             return res.status(400).json({ error: "Sender no longer exists." });
         }
+        if (senderUser.partnerId || currentUser.partnerId) {
+            // One of them linked up with someone else since the invite was sent
+            currentUser.pendingInvite = null;
+            await storage.putUser(currentUser, { label: 'invite/respond' });
+            return res.status(400).json({ error: "This invitation is no longer valid." });
+        }
 
         // --- PERFORM LINKING (The old logic) ---
         // Acceptor (Current User) joins Sender's Space
         const sharedSpaceId = senderUser.spaceId;
 
+        const previousSpaceId = currentUser.spaceId;
         currentUser.spaceId = sharedSpaceId;
         currentUser.partnerId = senderId;
         senderUser.partnerId = userId;
 
         currentUser.pendingInvite = null; // Clear invite
-        saveDB();
+        await storage.transaction(tx => {
+            tx.putUser(currentUser);
+            tx.putUser(senderUser);
+        }, { label: 'invite/respond' });
+        moveUserToSpace(userId, previousSpaceId, sharedSpaceId);
 
         res.json({ success: true, message: "Invitation Accepted! You are now connected. 💕" });
 
     } else {
         // Declined
         currentUser.pendingInvite = null; // Just clear it
-        saveDB();
+        await storage.putUser(currentUser, { label: 'invite/respond' });
         res.json({ success: true, message: "Invitation declined." });
     }
 });
 
 // 6. DISCONNECT / BREAK UP
-app.post('/api/disconnect', (req, res) => {
-    const { userId } = req.body;
-    const currentUser = db.users[userId];
+app.post('/api/disconnect', authenticate, async (req, res) => {
+    const userId = req.user.userId;
+    const currentUser = storage.getUser(userId);
 
     if (!currentUser) return res.status(404).json({ error: "User not found" });
 
     const partnerId = currentUser.partnerId;
     if (!partnerId) return res.status(400).json({ error: "You don't have a partner to disconnect from!" });
 
-    const partnerUser = db.users[partnerId];
-
-    // Reset Current User
-    currentUser.partnerId = null;
-    currentUser.spaceId = `SPACE_${userId}`; // Reset to their original personal space
-
-    // Ensure that space exists (it should, but just in case)
-    if (!db.spaces[currentUser.spaceId]) {
-        db.spaces[currentUser.spaceId] = {
-            notes: [],
-            images: [],
-            dates: [],
-            pet: { ...INITIAL_PET }
-        };
-    }
-
-    // Reset Partner User (if they exist)
-    if (partnerUser) {
-        partnerUser.partnerId = null;
-        partnerUser.spaceId = `SPACE_${partnerId}`; // Return them to their personal space
-
-        if (!db.spaces[partnerUser.spaceId]) {
-            db.spaces[partnerUser.spaceId] = {
-                notes: [],
-                images: [],
-                dates: [],
-                pet: { ...INITIAL_PET }
-            };
-        }
-    }
-
     // Note: The shared data stays in the space they both left.
+    const sharedSpaceId = currentUser.spaceId;
+    let partnerFound = false;
     try {
-        saveDB();
+        await storage.transaction(tx => {
+            // Reset Current User
+            const me = tx.getUser(userId);
+            me.partnerId = null;
+            me.spaceId = `SPACE_${userId}`; // Reset to their original personal space
+            tx.putUser(me);
+
+            // Ensure that space exists (it should, but just in case)
+            if (!tx.getSpace(me.spaceId)) {
+                tx.putSpace(me.spaceId, createSpace());
+            }
+
+            // Reset Partner User (if they exist)
+            const partnerUser = tx.getUser(partnerId);
+            partnerFound = !!partnerUser;
+            if (partnerUser) {
+                partnerUser.partnerId = null;
+                partnerUser.spaceId = `SPACE_${partnerId}`; // Return them to their personal space
+                tx.putUser(partnerUser);
+
+                if (!tx.getSpace(partnerUser.spaceId)) {
+                    tx.putSpace(partnerUser.spaceId, createSpace());
+                }
+            }
+        }, { label: 'disconnect' });
+        moveUserToSpace(userId, sharedSpaceId, `SPACE_${userId}`);
+        if (partnerFound) moveUserToSpace(partnerId, sharedSpaceId, `SPACE_${partnerId}`);
         res.json({ success: true, message: "You have disconnected from your partner." });
     } catch (err) {
         console.error("Error saving DB:", err);
@@ -454,37 +1478,74 @@ app.post('/api/disconnect', (req, res) => {
 });
 
 // 7. ADMIN DASHBOARD
-app.get('/api/admin/users', authenticate, (req, res) => {
-    const requestUser = db.users[req.user.userId];
-    const isSystemAdmin = requestUser && (requestUser.isAdmin || requestUser.username.toLowerCase() === 'admin' || requestUser.username === 'Aung Nyi Nyi Thant');
-
-    if (!requestUser || !isSystemAdmin) {
-        return res.status(403).json({ error: "Admin access required" });
-    }
-
-    const userList = Object.values(db.users).map(u => {
+app.get('/api/admin/users', authenticate, requirePermission('users:read'), (req, res) => {
+    const userList = storage.listUsers().map(u => {
         let partnerName = null;
         if (u.partnerId) {
-            partnerName = db.users[u.partnerId]?.username || "Unknown";
+            partnerName = storage.getUser(u.partnerId)?.displayName || "Unknown";
         }
         return {
             id: u.id,
             username: u.username,
+            displayName: u.displayName,
+            avatar: u.avatar?.hash || null,
+            gender: u.gender || null,
             createdAt: u.createdAt || 0,
             lastActive: u.lastActive || 0,
-            isAdmin: !!u.isAdmin,
+            roles: u.roles || [],
             partnerId: u.partnerId || null,
             partnerName: partnerName
         };
     });
 
-    res.json({ success: true, users: userList });
+    const me = storage.getUser(req.user.userId);
+    res.json({
+        success: true,
+        users: userList,
+        roles: Object.keys(ROLES),
+        permissions: [...permissionsOf(me)] // So the page only offers what this admin may do
+    });
+});
+
+// 7b. GRANT / REVOKE ROLES
+app.post('/api/admin/users/:userId/roles', authenticate, requirePermission('roles:manage'), async (req, res) => {
+    const { role } = req.body;
+    const targetUser = storage.getUser(req.params.userId);
+
+    if (!targetUser) return res.status(404).json({ error: "Target user not found" });
+    if (!isValidRole(role)) return res.status(400).json({ error: "Unknown role" });
+
+    if (!targetUser.roles.includes(role)) {
+        targetUser.roles.push(role);
+        await storage.putUser(targetUser, { label: 'admin/grant-role' });
+    }
+    res.json({ success: true, roles: targetUser.roles });
+});
+
+app.delete('/api/admin/users/:userId/roles/:role', authenticate, requirePermission('roles:manage'), async (req, res) => {
+    const { role } = req.params;
+    const targetUser = storage.getUser(req.params.userId);
+
+    if (!targetUser) return res.status(404).json({ error: "Target user not found" });
+
+    // Someone has to be able to hand out roles afterwards
+    const managers = storage.listUsers().filter(u => hasPermission(u, 'roles:manage'));
+    const remaining = { ...targetUser, roles: targetUser.roles.filter(r => r !== role) };
+    if (managers.length === 1 && managers[0].id === targetUser.id && !hasPermission(remaining, 'roles:manage')) {
+        return res.status(400).json({ error: "Can't remove the last admin" });
+    }
+
+    if (targetUser.roles.includes(role)) {
+        targetUser.roles = remaining.roles;
+        await storage.putUser(targetUser, { label: 'admin/revoke-role' });
+    }
+    res.json({ success: true, roles: targetUser.roles });
 });
 
 // 8. USER GENDER UPDATE
-app.post('/api/user/update-gender', authenticate, (req, res) => {
+app.post('/api/user/update-gender', authenticate, async (req, res) => {
     const { gender } = req.body;
-    const user = db.users[req.user.userId];
+    const user = storage.getUser(req.user.userId);
 
     if (!user) return res.status(404).json({ error: "User not found" });
     if (!['Male', 'Female', 'Other'].includes(gender)) {
@@ -492,21 +1553,235 @@ app.post('/api/user/update-gender', authenticate, (req, res) => {
     }
 
     user.gender = gender;
-    saveDB();
+    await storage.putUser(user, { label: 'update-gender' });
     res.json({ success: true, message: "Gender updated successfully" });
 });
 
-// 9. ADMIN UPDATE USER GENDER
-app.post('/api/admin/update-user-gender', authenticate, (req, res) => {
-    const requestUser = db.users[req.user.userId];
-    const isSystemAdmin = requestUser && (requestUser.isAdmin || requestUser.username.toLowerCase() === 'admin' || requestUser.username === 'Aung Nyi Nyi Thant');
+// 8b. DELETE ACCOUNT
+// body: { password, code (if two-factor login is on), sharedSpace: 'leave' | 'delete-mine' }
+// The user and their personal space go. A shared space goes to the partner, who
+// becomes single: 'leave' keeps everything in it, 'delete-mine' first removes the
+// notes, dates and photos this user added (in the trash too), and their replies and
+// reactions on the rest (older items that predate authorship tracking have no
+// author and stay).
+const isOwnItem = (item, userId) => item.authorId === userId || item.uploaderId === userId;
+
+// Take a user's replies and reactions off an item they didn't write
+function removeConversationBy(item, userId) {
+    if (item.replies) item.replies = item.replies.filter(reply => reply.authorId !== userId);
+    for (const [emoji, users] of Object.entries(item.reactions || {})) {
+        const left = users.filter(id => id !== userId);
+        if (left.length) item.reactions[emoji] = left;
+        else delete item.reactions[emoji];
+    }
+}
+
+app.delete('/api/user', authenticate, async (req, res) => {
+    const { password, code, sharedSpace = 'leave' } = req.body || {};
+    const user = storage.getUser(req.user.userId);
+    if (!user) return res.status(404).json({ error: "User not found" });
 
-    if (!requestUser || !isSystemAdmin) {
-        return res.status(403).json({ error: "Admin access required" });
+    if (!['leave', 'delete-mine'].includes(sharedSpace)) {
+        return res.status(400).json({ error: "sharedSpace must be 'leave' or 'delete-mine'" });
+    }
+    if (!await bcrypt.compare(password || "", user.passwordHash || "")) {
+        return res.status(403).json({ error: "Password is incorrect" });
+    }
+    if (user.twoFactor?.enabled && !await checkSecondFactor(user, code || "")) {
+        return res.status(403).json({ error: "That code isn't right" });
+    }
+    const managers = storage.listUsers().filter(u => hasPermission(u, 'roles:manage'));
+    if (managers.length === 1 && managers[0].id === user.id) {
+        return res.status(400).json({ error: "You're the only admin - give someone else the admin role first" });
+    }
+
+    const userId = user.id;
+    const personalSpaceId = `SPACE_${userId}`;
+    const partner = user.partnerId ? storage.getUser(user.partnerId) : null;
+    const sharedSpaceId = partner ? user.spaceId : null;
+    // Photos (and the avatar) that left with this account; their files go if nothing else uses them
+    const droppedHashes = user.avatar ? [user.avatar.hash] : [];
+
+    await storage.transaction(tx => {
+        if (partner) {
+            const shared = tx.getSpace(sharedSpaceId);
+            if (sharedSpace === 'delete-mine') {
+                for (const collection of ['notes', 'dates', 'images', 'letters']) {
+                    const [mine, rest] = [[], []];
+                    shared[collection].forEach(item => (isOwnItem(item, userId) ? mine : rest).push(item));
+                    if (collection === 'images') mine.forEach(image => droppedHashes.push(...imageHashes(image)));
+                    shared[collection] = rest;
+                    rest.forEach(item => removeConversationBy(item, userId));
+                }
+                // Their things in the trash go for good as well
+                const [mine, rest] = [[], []];
+                shared.trash.forEach(entry => (isOwnItem(entry.item, userId) ? mine : rest).push(entry));
+                droppedHashes.push(...trashedImageHashes(mine));
+                shared.trash = rest;
+                rest.forEach(entry => removeConversationBy(entry.item, userId));
+            }
+
+            // The partner keeps the shared space as their own. If it was this user's
+            // personal space, it moves to the partner's, bringing along whatever the
+            // partner had there from before they linked up.
+            const partnerSpaceId = `SPACE_${partner.id}`;
+            if (sharedSpaceId !== partnerSpaceId) {
+                const previous = tx.getSpace(partnerSpaceId);
+                if (previous) {
+                    restoreIntoSpace(shared, previous, 'merge');
+                    shared.trash.push(...previous.trash);
+                }
+            }
+            shared.revision += 1;
+            tx.putSpace(partnerSpaceId, shared);
+
+            const partnerRecord = tx.getUser(partner.id);
+            partnerRecord.spaceId = partnerSpaceId;
+            partnerRecord.partnerId = null;
+            tx.putUser(partnerRecord);
+        }
+
+        // The personal space, unless it just became the partner's
+        if (sharedSpaceId !== personalSpaceId) {
+            const personal = tx.getSpace(personalSpaceId);
+            personal?.images.forEach(image => droppedHashes.push(...imageHashes(image)));
+            if (personal) droppedHashes.push(...trashedImageHashes(personal.trash));
+        }
+        tx.deleteSpace(personalSpaceId);
+
+        // Nothing may point at this account any more
+        for (const { id: otherId, pendingInvite } of storage.listUsers()) {
+            if (otherId !== userId && pendingInvite?.fromId === userId) {
+                const other = tx.getUser(otherId);
+                other.pendingInvite = null;
+                tx.putUser(other);
+            }
+        }
+        for (const [otherId, { invitingPartner }] of storage.playgroundEntries()) {
+            if (otherId !== userId && invitingPartner === userId) {
+                const state = tx.getPlayground(otherId);
+                state.invitingPartner = false;
+                tx.putPlayground(otherId, state);
+            }
+        }
+        tx.deletePlayground(userId);
+        tx.deleteUser(userId);
+    }, { label: 'user/delete' });
+
+    // Log out everywhere (drops open sockets too) and let the partner's pages catch up
+    await revokeSessions(storage.listSessions(userId).map(session => session.id), 'session:account-deleted');
+    if (partner) {
+        const partnerSpaceId = `SPACE_${partner.id}`;
+        if (partnerSpaceId !== sharedSpaceId) moveUserToSpace(partner.id, sharedSpaceId, partnerSpaceId);
+        publishSpaceChange(partnerSpaceId, storage.getSpace(partnerSpaceId).revision, null);
+    }
+    await purgeUnreferencedBlobs(droppedHashes);
+
+    res.json({ success: true, message: "Your account has been deleted. Take care! 👋" });
+});
+
+// Delete blob files no space (gallery or trash) or avatar refers to any more
+async function purgeUnreferencedBlobs(hashes) {
+    if (hashes.length === 0) return;
+    const inUse = new Set();
+    for (const [, space] of storage.spaceEntries()) {
+        space.images.forEach(image => imageHashes(image).forEach(hash => inUse.add(hash)));
+        trashedImageHashes(space.trash).forEach(hash => inUse.add(hash));
+    }
+    storage.listUsers().forEach(user => user.avatar && inUse.add(user.avatar.hash));
+    for (const hash of new Set(hashes)) {
+        if (!inUse.has(hash)) await blobs.delete(hash).catch(err => console.error("Error deleting blob:", err));
+    }
+}
+
+// 8c. PROFILE - login handle, display name and avatar (see lib/profile.js)
+// body: { username?, displayName? } - whichever are being changed
+app.patch('/api/user/profile', authenticate, async (req, res) => {
+    const user = storage.getUser(req.user.userId);
+    if (!user) return res.status(404).json({ error: "User not found" });
+
+    const { username } = req.body;
+    const displayName = typeof req.body.displayName === 'string' ? req.body.displayName.trim() : req.body.displayName;
+
+    if (username !== undefined && username !== user.username) {
+        const error = validateHandle(username);
+        if (error) return res.status(400).json({ error });
+        const owner = findUserByHandle(username);
+        if (owner && owner.id !== user.id) return res.status(400).json({ error: "Username already taken" });
+        user.username = username;
+    }
+    if (displayName !== undefined) {
+        const error = validateDisplayName(displayName);
+        if (error) return res.status(400).json({ error });
+        user.displayName = displayName;
     }
 
+    await storage.putUser(user, { label: 'profile/update' });
+    res.json({ success: true, username: user.username, displayName: user.displayName });
+});
+
+// Multipart upload, field "photo". Always re-encoded as a small JPEG: avatars show up
+// all over the place, and it drops whatever metadata (like GPS) the original carried.
+app.post('/api/user/avatar', authenticate, async (req, res) => {
+    let upload;
+    try {
+        upload = await receiveUpload(req, { field: 'photo', maxFileSize: MAX_AVATAR_SIZE });
+    } catch (err) {
+        if (err instanceof UploadError) return res.status(err.status).json({ error: err.message });
+        throw err;
+    }
+
+    const contentType = detectImageType(upload.buffer);
+    let avatar;
+    try {
+        avatar = contentType && await toJpeg(upload.buffer, contentType, AVATAR_SIZE);
+    } catch (err) {
+        if (err instanceof ImageError) return res.status(err.status).json({ error: err.message });
+        return res.status(400).json({ error: "Could not read this image" });
+    }
+    if (!avatar) return res.status(415).json({ error: "Avatars need to be a JPEG or PNG picture" });
+    const { hash } = await blobs.put(avatar);
+
+    // Re-read: the account may have changed (or gone) while we were processing
+    const user = storage.getUser(req.user.userId);
+    if (!user) return res.status(404).json({ error: "User not found" });
+    const previous = user.avatar?.hash;
+    user.avatar = { hash, contentType: 'image/jpeg' };
+    await storage.putUser(user, { label: 'profile/avatar' });
+    if (previous && previous !== hash) await purgeUnreferencedBlobs([previous]);
+
+    res.json({ success: true, avatar: hash });
+});
+
+// Back to the default picture
+app.delete('/api/user/avatar', authenticate, async (req, res) => {
+    const user = storage.getUser(req.user.userId);
+    if (!user) return res.status(404).json({ error: "User not found" });
+
+    const previous = user.avatar?.hash;
+    delete user.avatar;
+    await storage.putUser(user, { label: 'profile/avatar-remove' });
+    if (previous) await purgeUnreferencedBlobs([previous]);
+
+    res.json({ success: true });
+});
+
+// Avatars are shown to partners, admins and other players, so any logged-in user may fetch one
+app.get('/api/avatars/:hash', authenticate, (req, res) => {
+    const { hash } = req.params;
+    const owner = storage.findUser(u => u.avatar?.hash === hash);
+    if (!owner || !blobs.has(hash)) return res.status(404).json({ error: "Avatar not found" });
+
+    res.type(owner.avatar.contentType);
+    res.set('Cache-Control', 'private, max-age=31536000, immutable');
+    res.set('ETag', `"${hash}"`);
+    res.sendFile(blobs.pathFor(hash), { etag: false, lastModified: false });
+});
+
+// 9. ADMIN UPDATE USER GENDER
+app.post('/api/admin/update-user-gender', authenticate, requirePermission('users:edit'), async (req, res) => {
     const { targetUserId, gender } = req.body;
-    const targetUser = db.users[targetUserId];
+    const targetUser = storage.getUser(targetUserId);
 
     if (!targetUser) return res.status(404).json({ error: "Target user not found" });
     if (gender !== null && !['Male', 'Female', 'Other'].includes(gender)) {
@@ -514,7 +1789,7 @@ app.post('/api/admin/update-user-gender', authenticate, (req, res) => {
     }
 
     targetUser.gender = (gender === "null" || gender === null) ? null : gender;
-    saveDB();
+    await storage.putUser(targetUser, { label: 'admin/update-user-gender' });
     res.json({ success: true, message: "User gender updated by admin" });
 });
 
@@ -523,27 +1798,25 @@ app.post('/api/playground/update-pos', authenticate, (req, res) => {
     const { x, y, sprite } = req.body;
     const userId = req.user.userId;
 
-    db.playground[userId] = {
+    // Movement is too frequent to hit the disk every time - let it ride along lazily
+    storage.putPlayground(userId, {
         x, y, sprite,
         lastUpdate: Date.now(),
-        invitingPartner: db.playground[userId]?.invitingPartner || false
-    };
-
-    // Auto-save periodically or just here
-    // saveDB(); // Maybe too frequent for movement? Let's keep in-memory for playground mostly.
+        invitingPartner: storage.getPlayground(userId)?.invitingPartner || false
+    }, { lazy: true });
 
     res.json({ success: true });
 });
 
 app.get('/api/playground/status/:userId', authenticate, (req, res) => {
     const targetId = req.params.userId;
-    const user = db.playground[targetId];
+    const user = storage.getPlayground(targetId);
 
     if (!user) return res.json({ success: false });
 
     // Clean up old sessions (e.g. 30s inactivity)
     if (Date.now() - user.lastUpdate > 30000) {
-        delete db.playground[targetId];
+        storage.deletePlayground(targetId, { lazy: true });
         return res.json({ success: false });
     }
 
@@ -556,10 +1829,10 @@ app.get('/api/playground/status/:userId', authenticate, (req, res) => {
     });
 });
 
-app.post('/api/playground/invite', authenticate, (req, res) => {
+app.post('/api/playground/invite', authenticate, async (req, res) => {
     const userId = req.user.userId;
     const { targetUserId } = req.body;
-    const targetId = targetUserId || db.users[userId]?.partnerId;
+    const targetId = targetUserId || storage.getUser(userId)?.partnerId;
 
     if (!targetId) {
         return res.status(400).json({
@@ -575,7 +1848,7 @@ app.post('/api/playground/invite', authenticate, (req, res) => {
         });
     }
 
-    const targetUser = db.users[targetId];
+    const targetUser = storage.getUser(targetId);
     if (!targetUser) {
         return res.status(404).json({
             success: false,
@@ -583,47 +1856,83 @@ app.post('/api/playground/invite', authenticate, (req, res) => {
         });
     }
 
-    const user = db.users[userId];
+    const user = storage.getUser(userId);
 
     // Notify target via WebSocket if they're connected
     const targetConnection = playgroundConnections.get(targetId);
     if (targetConnection) {
         io.to(targetConnection.socketId).emit('playground:invite', {
             fromId: userId,
-            fromName: user.username
+            fromName: user.displayName
         });
     } else {
         // Store invite flag for when they join
-        if (!db.playground[targetId]) {
-            db.playground[targetId] = { x: 400, y: 300, sprite: 'idle', lastUpdate: Date.now(), invitingPartner: userId };
-        } else {
-            db.playground[targetId].invitingPartner = userId;
-        }
-        saveDB();
+        const state = storage.getPlayground(targetId) || { x: 400, y: 300, sprite: 'idle', lastUpdate: Date.now() };
+        state.invitingPartner = userId;
+        await storage.putPlayground(targetId, state, { label: 'playground/invite' });
     }
 
     res.json({
         success: true,
-        message: `Invitation sent to ${targetUser.username}! 💌`
+        message: `Invitation sent to ${targetUser.displayName}! 💌`
     });
 });
 
-// --- SOCKET.IO PLAYGROUND MULTIPLAYER (PROXIMITY-BASED PRIVATE CHAT) ---
-io.use((socket, next) => {
+// --- SOCKET.IO AUTH ---
+// Shared by the playground and the space channel
+function authenticateSocket(socket, next) {
     const token = socket.handshake.auth.token;
     if (!token) {
         return next(new Error('Authentication error: No token provided'));
     }
 
     jwt.verify(token, JWT_SECRET, (err, decoded) => {
+        if (err?.name === 'TokenExpiredError' || (!err && !activeSession(decoded))) {
+            return next(new Error('Authentication error: Session expired')); // Client refreshes and retries
+        }
         if (err) {
             return next(new Error('Authentication error: Invalid token'));
         }
         socket.oderId = decoded.userId;
+        socket.data.sessionId = decoded.sid; // So logging out this session can drop the socket
         next();
     });
+}
+
+// --- SOCKET.IO SPACE CHANNEL (LIVE SYNC) ---
+// home, pet and sunflower pages connect to the /space namespace. Each socket
+// joins the room of the space its user belongs to *right now* (looked up on
+// the server, never taken from the client), so only members hear its changes.
+const spaceChannel = io.of('/space');
+spaceChannel.use(authenticateSocket);
+
+spaceChannel.on('connection', (socket) => {
+    const user = storage.getUser(socket.oderId);
+    if (!user) {
+        socket.disconnect();
+        return;
+    }
+    socket.join(`user:${user.id}`);
+    socket.join(`space:${user.spaceId}`);
 });
 
+// Tell everyone in a space what just changed: { collection, action, item | id | value },
+// or null when too much changed to describe (clients re-fetch the space)
+function publishSpaceChange(spaceId, revision, change) {
+    spaceChannel.to(`space:${spaceId}`).emit('space:changed', { spaceId, revision, change: changeView(change) });
+}
+
+// Linking or unlinking partners moves a user to another space; move their open pages along
+function moveUserToSpace(userId, fromSpaceId, toSpaceId) {
+    const sockets = spaceChannel.in(`user:${userId}`);
+    sockets.socketsLeave(`space:${fromSpaceId}`);
+    sockets.socketsJoin(`space:${toSpaceId}`);
+    spaceChannel.to(`user:${userId}`).emit('space:moved', { spaceId: toSpaceId });
+}
+
+// --- SOCKET.IO PLAYGROUND MULTIPLAYER (PROXIMITY-BASED PRIVATE CHAT) ---
+io.use(authenticateSocket);
+
 // Helper: Get all players data for initial state
 function getAllPlayersData() {
     const players = [];
@@ -691,14 +2000,14 @@ const AVATAR_COLORS = ['#00ff88', '#ff6b6b', '#4ecdc4', '#ffe66d', '#a855f7', '#
 
 io.on('connection', (socket) => {
     const oderId = socket.oderId;
-    const user = db.users[oderId];
+    const user = storage.getUser(oderId);
 
     if (!user) {
         socket.disconnect();
         return;
     }
 
-    console.log(`[Playground] User ${user.username} (${oderId}) connected`);
+    console.log(`[Playground] User ${user.displayName} (${oderId}) connected`);
 
     // Assign random spawn position and color
     const spawnX = 500 + Math.random() * 2000;
@@ -709,7 +2018,7 @@ io.on('connection', (socket) => {
     const playerData = {
         socketId: socket.id,
         oderId: oderId,
-        username: user.username,
+        username: user.displayName, // The name over their sprite
         gender: user.gender,
         color: color,
         x: spawnX,
@@ -733,7 +2042,7 @@ io.on('connection', (socket) => {
     // Notify ALL other players about the new player
     socket.to('playground:global').emit('playground:playerJoined', {
         player: playerData,
-        message: `${user.username} joined the playground! 🎮`
+        message: `${user.displayName} joined the playground! 🎮`
     });
 
     // ============ POSITION UPDATES ============
@@ -796,17 +2105,17 @@ io.on('connection', (socket) => {
         pendingInvites.set(inviteKey, {
             fromId: oderId,
             toId: targetId,
-            fromUsername: user.username,
+            fromUsername: user.displayName,
             fromColor: myConnection.color,
             timestamp: Date.now()
         });
 
-        console.log(`[Chat Invite] ${user.username} -> ${targetConnection.username}`);
+        console.log(`[Chat Invite] ${user.displayName} -> ${targetConnection.username}`);
 
         // Send invite ONLY to target player's socket
         io.to(targetConnection.socketId).emit('playground:chatInviteReceived', {
             fromId: oderId,
-            fromUsername: user.username,
+            fromUsername: user.displayName,
             fromColor: myConnection.color
         });
 
@@ -863,7 +2172,7 @@ io.on('connection', (socket) => {
         // Remove pending invite
         pendingInvites.delete(inviteKey);
 
-        console.log(`[Chat Room] Created ${roomId} for ${user.username} & ${fromConnection.username}`);
+        console.log(`[Chat Room] Created ${roomId} for ${user.displayName} & ${fromConnection.username}`);
 
         // Notify both players
         socket.emit('playground:chatRoomJoined', {
@@ -876,7 +2185,7 @@ io.on('connection', (socket) => {
         io.to(fromConnection.socketId).emit('playground:chatRoomJoined', {
             roomId: roomId,
             partnerId: oderId,
-            partnerUsername: user.username,
+            partnerUsername: user.displayName,
             partnerColor: myConnection?.color || color
         });
     });
@@ -896,7 +2205,7 @@ io.on('connection', (socket) => {
             if (fromConnection) {
                 io.to(fromConnection.socketId).emit('playground:chatInviteDeclined', {
                     byId: oderId,
-                    byUsername: user.username
+                    byUsername: user.displayName
                 });
             }
         }
@@ -927,7 +2236,7 @@ io.on('connection', (socket) => {
         const msgData = {
             roomId: roomId,
             fromId: oderId,
-            fromUsername: user.username,
+            fromUsername: user.displayName,
             fromColor: myConnection?.color || '#ffffff',
             message: sanitizedMessage,
             timestamp: Date.now()
@@ -939,7 +2248,7 @@ io.on('connection', (socket) => {
             room.messages.shift();
         }
 
-        console.log(`[Private Chat] ${user.username}: ${sanitizedMessage}`);
+        console.log(`[Private Chat] ${user.displayName}: ${sanitizedMessage}`);
 
         // Send ONLY to room members
         io.to(roomId).emit('playground:privateMessageReceived', msgData);
@@ -969,7 +2278,7 @@ io.on('connection', (socket) => {
             if (otherConnection) {
                 io.to(otherConnection.socketId).emit('playground:chatRoomClosed', {
                     roomId: roomId,
-                    reason: `${user.username} left the chat`
+                    reason: `${user.displayName} left the chat`
                 });
 
                 otherConnection.currentRoom = null;
@@ -989,7 +2298,7 @@ io.on('connection', (socket) => {
 
     // ============ DISCONNECT ============
     socket.on('disconnect', () => {
-        console.log(`[Playground] User ${user.username} (${oderId}) left`);
+        console.log(`[Playground] User ${user.displayName} (${oderId}) left`);
 
         const connection = playgroundConnections.get(oderId);
 
@@ -1003,7 +2312,7 @@ io.on('connection', (socket) => {
                     if (otherConnection) {
                         io.to(otherConnection.socketId).emit('playground:chatRoomClosed', {
                             roomId: connection.currentRoom,
-                            reason: `${user.username} disconnected`
+                            reason: `${user.displayName} disconnected`
                         });
                         otherConnection.currentRoom = null;
                         playgroundConnections.set(otherMemberId, otherConnection);
@@ -1023,8 +2332,8 @@ io.on('connection', (socket) => {
         // Notify ALL remaining players
         socket.to('playground:global').emit('playground:playerLeft', {
             oderId: oderId,
-            username: user.username,
-            message: `${user.username} left the playground`
+            username: user.displayName,
+            message: `${user.displayName} left the playground`
         });
 
         playgroundConnections.delete(oderId);
@@ -1037,7 +2346,49 @@ app.get('/api/ping', (req, res) => {
     res.json({ success: true, timestamp: Date.now() });
 });
 
-server.listen(PORT, () => {
-    console.log(`Server running at http://localhost:${PORT}`);
-    console.log(`Socket.IO server ready for playground multiplayer`);
+async function start() {
+    const recovery = await storage.init();
+    if (recovery.droppedTail) {
+        console.warn("⚠️ Discarded a half-written journal entry left by a crash.");
+    }
+    if (recovery.replayed.length > 0) {
+        console.log(`Recovered ${recovery.replayed.length} journal entries:`);
+        recovery.replayed.forEach(entry => {
+            console.log(`  #${entry.seq} ${entry.label} (${new Date(entry.at).toISOString()})`);
+        });
+    }
+    const migrations = await migrateStorage(storage, { blobs });
+    migrations.forEach(migration => {
+        console.log(`✅ Applied migration ${migration.version}: ${migration.name}`);
+    });
+    if (!storage.listUsers().some(user => hasPermission(user, 'roles:manage'))) {
+        console.log('ℹ️ No admin yet - run `npm run bootstrap-admin -- "<username>"` to make one.');
+    }
+
+    server.listen(PORT, () => {
+        console.log(`Server running at http://localhost:${PORT}`);
+        console.log(`Socket.IO server ready for playground multiplayer`);
+    });
+
+    const purgeTrash = () => purgeExpiredTrash().catch(err => console.error("Error purging trash:", err));
+    purgeTrash();
+    setInterval(purgeTrash, TRASH_PURGE_INTERVAL).unref();
+}
+
+// Flush any lazy writes before the process goes away
+async function shutdown(signal) {
+    console.log(`${signal} received, saving data...`);
+    try {
+        await storage.close();
+    } catch (err) {
+        console.error("Critical error saving database:", err);
+    }
+    process.exit(0);
+}
+process.on('SIGINT', () => shutdown('SIGINT'));
+process.on('SIGTERM', () => shutdown('SIGTERM'));
+
+start().catch(err => {
+    console.error("Failed to start server:", err);
+    process.exit(1);
 });
@@ -0,0 +1,111 @@
+// Shared by the tests: fixture databases, throwaway data directories, a
+// migration runner that stops just before the migration under test, and a real
+// server process for request-level tests.
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const net = require('net');
+const { spawn } = require('child_process');
+const { BlobStore } = require('../lib/blob-store');
+const { MIGRATIONS, migrate } = require('../lib/migrations');
+
+const FIXTURES = path.join(__dirname, 'fixtures');
+
+// A fresh copy of test/fixtures/<name>.json, safe to change
+function loadFixture(name) {
+    return JSON.parse(fs.readFileSync(path.join(FIXTURES, `${name}.json`), 'utf8'));
+}
+
+function readFixtureFile(name) {
+    return fs.readFileSync(path.join(FIXTURES, name));
+}
+
+// An empty directory under the OS temp dir, removed again when the test ends
+function tempDir(t) {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'keepmemories-test-'));
+    t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+    return dir;
+}
+
+function tempBlobStore(t) {
+    return new BlobStore(path.join(tempDir(t), 'blobs'));
+}
+
+// Run every migration older than `version` on `db`, so it has the shape that migration expects
+async function migrateUpTo(db, version, context = {}) {
+    const before = MIGRATIONS.filter(migration => migration.version < version);
+    if (before.length > 0) await migrate(db, 0, context, before);
+    return db;
+}
+
+function freePort() {
+    return new Promise((resolve, reject) => {
+        const probe = net.createServer().listen(0, () => {
+            const { port } = probe.address();
+            probe.close(() => resolve(port));
+        });
+        probe.on('error', reject);
+    });
+}
+
+/**
+ * Start server.js on a free port with an empty data directory. Resolves with
+ * { url, dataDir, request, stop }: `request(method, path, { token, body })` sends JSON
+ * and resolves with { status, body }; `stop()` ends the server and removes its data.
+ */
+async function startServer() {
+    const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'keepmemories-server-'));
+    const port = await freePort();
+    const child = spawn(process.execPath, [path.join(__dirname, '..', 'server.js')], {
+        env: { ...process.env, DATA_DIR: dataDir, PORT: String(port), JWT_SECRET: 'test-secret' },
+        stdio: ['ignore', 'pipe', 'pipe']
+    });
+
+    let output = '';
+    await new Promise((resolve, reject) => {
+        const timer = setTimeout(() => reject(new Error(`Server did not start:\n${output}`)), 15000);
+        child.stdout.on('data', chunk => {
+            output += chunk;
+            if (output.includes('Server running')) {
+                clearTimeout(timer);
+                resolve();
+            }
+        });
+        child.stderr.on('data', chunk => { output += chunk; });
+        child.on('exit', code => {
+            clearTimeout(timer);
+            reject(new Error(`Server exited with ${code}:\n${output}`));
+        });
+    });
+
+    const url = `http://127.0.0.1:${port}`;
+    const request = async (method, route, { token, body } = {}) => {
+        const headers = { ...(body !== undefined && { 'Content-Type': 'application/json' }), ...(token && { Authorization: `Bearer ${token}` }) };
+        const response = await fetch(url + route, { method, headers, body: body === undefined ? undefined : JSON.stringify(body) });
+        const text = await response.text();
+        let parsed = text;
+        try { parsed = JSON.parse(text); } catch (err) { /* not JSON */ }
+        return { status: response.status, body: parsed };
+    };
+    const stop = async () => {
+        child.removeAllListeners('exit');
+        if (child.exitCode === null) {
+            const exited = new Promise(resolve => child.once('exit', resolve));
+            child.kill('SIGTERM');
+            await exited;
+        }
+        fs.rmSync(dataDir, { recursive: true, force: true });
+    };
+    return { url, dataDir, request, stop };
+}
+
+// Sign up a new account on `server`; resolves with the register response ({ userId, token, ... })
+let accountCount = 0;
+async function register(server, name = 'user') {
+    const username = `${name}${process.pid}x${++accountCount}`;
+    const { status, body } = await server.request('POST', '/api/register', { body: { username, password: 'correct horse' } });
+    if (status !== 200) throw new Error(`Could not register ${username}: ${JSON.stringify(body)}`);
+    return body;
+}
+
+module.exports = { loadFixture, readFixtureFile, tempDir, tempBlobStore, migrateUpTo, startServer, register };
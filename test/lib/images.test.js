@@ -0,0 +1,133 @@
+// Photos are untrusted: a few hundred bytes can claim billions of pixels, so the
+// header is read - and oversized images turned away with a 413 - before anything
+// is decoded. Decoding itself happens on the image worker thread.
+const { describe, test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const jpeg = require('jpeg-js');
+const { PNG } = require('pngjs');
+const { MAX_PIXELS, ImageError, readDimensions, createRenditions, toJpeg } = require('../../lib/images');
+const { tempBlobStore, startServer, register } = require('../helpers');
+
+function png(width, height) {
+    const image = new PNG({ width, height });
+    image.data.fill(200);
+    return PNG.sync.write(image);
+}
+
+function jpg(width, height) {
+    return jpeg.encode({ width, height, data: Buffer.alloc(width * height * 4, 200) }, 80).data;
+}
+
+// A small, valid file whose header claims to be width x height
+function bomb(buffer, contentType, width, height) {
+    const copy = Buffer.from(buffer);
+    if (contentType === 'image/png') {
+        copy.writeUInt32BE(width, 16);
+        copy.writeUInt32BE(height, 20);
+    } else {
+        const sof = copy.indexOf(Buffer.from([0xFF, 0xC0]));
+        copy.writeUInt16BE(height, sof + 5);
+        copy.writeUInt16BE(width, sof + 7);
+    }
+    return copy;
+}
+
+const TOO_BIG = Math.ceil(Math.sqrt(MAX_PIXELS)) + 1;
+
+describe('readDimensions', () => {
+    test('PNG and JPEG', () => {
+        assert.deepEqual(readDimensions(png(30, 20), 'image/png'), { width: 30, height: 20 });
+        assert.deepEqual(readDimensions(jpg(30, 20), 'image/jpeg'), { width: 30, height: 20 });
+    });
+
+    test('GIF and WebP', () => {
+        const gif = Buffer.from('GIF89a\x1e\x00\x14\x00\x00\x00\x00', 'latin1');
+        assert.deepEqual(readDimensions(gif, 'image/gif'), { width: 30, height: 20 });
+
+        const vp8x = Buffer.alloc(30);
+        vp8x.write('RIFF', 0, 'latin1');
+        vp8x.write('WEBPVP8X', 8, 'latin1');
+        vp8x.writeUIntLE(29, 24, 3);
+        vp8x.writeUIntLE(19, 27, 3);
+        assert.deepEqual(readDimensions(vp8x, 'image/webp'), { width: 30, height: 20 });
+    });
+
+    test('a truncated header is unreadable, not an error', () => {
+        assert.equal(readDimensions(png(30, 20).subarray(0, 18), 'image/png'), null);
+        assert.equal(readDimensions(jpg(30, 20).subarray(0, 40), 'image/jpeg'), null);
+    });
+});
+
+describe('createRenditions', () => {
+    test('makes display and thumbnail renditions of a large photo', async t => {
+        const blobs = tempBlobStore(t);
+        const result = await createRenditions(blobs, png(2000, 1000), 'image/png', 'original');
+        assert.equal(result.width, 2000);
+        assert.deepEqual([result.display.width, result.display.height], [1280, 640]);
+        assert.deepEqual([result.thumb.width, result.thumb.height], [320, 160]);
+        assert.ok(blobs.has(result.display.hash) && blobs.has(result.thumb.hash));
+    });
+
+    test('a small photo is its own rendition', async t => {
+        const result = await createRenditions(tempBlobStore(t), jpg(100, 80), 'image/jpeg', 'original');
+        assert.equal(result.display.hash, 'original');
+        assert.equal(result.thumb.hash, 'original');
+    });
+
+    for (const [contentType, make] of [['image/png', png], ['image/jpeg', jpg]]) {
+        test(`rejects ${contentType} claiming more than ${MAX_PIXELS / 1e6} MP with 413`, async t => {
+            const buffer = bomb(make(8, 8), contentType, TOO_BIG, TOO_BIG);
+            await assert.rejects(createRenditions(tempBlobStore(t), buffer, contentType, 'original'),
+                err => err instanceof ImageError && err.status === 413);
+            await assert.rejects(toJpeg(buffer, contentType), err => err instanceof ImageError && err.status === 413);
+        });
+    }
+
+    test('an unreadable photo is a 400', async t => {
+        const buffer = png(8, 8).subarray(0, 40);
+        await assert.rejects(createRenditions(tempBlobStore(t), buffer, 'image/png', 'original'),
+            err => err instanceof ImageError && err.status === 400);
+    });
+
+    test('GIF and WebP are stored without renditions', async t => {
+        const gif = Buffer.from('GIF89a\x1e\x00\x14\x00\x00\x00\x00', 'latin1');
+        assert.deepEqual(await createRenditions(tempBlobStore(t), gif, 'image/gif', 'original'),
+            { width: null, height: null, thumb: null, display: null });
+    });
+
+    test('the event loop keeps running while a photo is decoded', async t => {
+        let ticks = 0;
+        const timer = setInterval(() => ticks++, 1);
+        await createRenditions(tempBlobStore(t), jpg(3000, 2000), 'image/jpeg', 'original');
+        clearInterval(timer);
+        assert.ok(ticks > 5, `only ${ticks} timer ticks during the decode`);
+    });
+});
+
+describe('photo uploads', () => {
+    let server;
+    before(async () => { server = await startServer(); });
+    after(() => server.stop());
+
+    // Resolves with { status, body }; the body is always read so the connection is freed
+    const upload = async (route, token, buffer) => {
+        const form = new FormData();
+        form.append('photo', new Blob([buffer]), 'photo.png');
+        const response = await fetch(server.url + route, { method: 'POST', headers: { Authorization: `Bearer ${token}` }, body: form });
+        return { status: response.status, body: await response.json() };
+    };
+
+    test('a decompression bomb is turned away with 413', async () => {
+        const user = await register(server);
+        const buffer = bomb(png(8, 8), 'image/png', TOO_BIG, TOO_BIG);
+        assert.equal((await upload(`/api/spaces/SPACE_${user.userId}/images`, user.token, buffer)).status, 413);
+        assert.equal((await upload('/api/user/avatar', user.token, buffer)).status, 413);
+    });
+
+    test('a normal photo still goes in', async () => {
+        const user = await register(server);
+        const { status, body } = await upload(`/api/spaces/SPACE_${user.userId}/images`, user.token, png(40, 30));
+        assert.equal(status, 200);
+        assert.equal(body.image.width, 40);
+    });
+});
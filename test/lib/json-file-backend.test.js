@@ -0,0 +1,193 @@
+// Crash safety of the JSON file backend: the journal is replayed after a restart,
+// a torn last line is dropped, damage anywhere else stops the start, compaction
+// leaves files that load, and a failed append doesn't leave memory ahead of the disk.
+const { describe, test } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { createStorage } = require('../../lib/storage');
+
+// A database path in a fresh directory; `open()` starts a storage on it. Both are
+// cleaned up when the test ends - the storage first, its last compaction needs the directory.
+function files(t) {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'keepmemories-test-'));
+    const file = path.join(dir, 'database.json');
+    const opened = [];
+    t.after(async () => {
+        for (const storage of opened) await storage.close();
+        fs.rmSync(dir, { recursive: true, force: true });
+    });
+    const open = async () => {
+        const storage = createStorage({ file });
+        const report = await storage.init();
+        opened.push(storage);
+        return { storage, report };
+    };
+    return { file, journal: `${file}.journal`, tmp: `${file}.tmp`, open };
+}
+
+const entry = (seq, ops, label = 'write') => JSON.stringify({ seq, at: seq * 1000, label, ops });
+const putUser = (id, fields = {}) => ({ type: 'put', collection: 'users', id, value: { id, username: id.toLowerCase(), ...fields } });
+const snapshot = (journalSeq, users = {}) => JSON.stringify({ meta: { journalSeq }, users, spaces: {}, playground: {}, sessions: {} });
+
+// Stop a storage the way a crash would: no final compaction, the journal left as it is
+async function crash(storage) {
+    clearInterval(storage.backend.compactTimer);
+    await storage.backend.journal.close();
+    storage.close = async () => { };
+}
+
+describe('starting up', () => {
+    test('commits made before a crash are replayed from the journal', async t => {
+        const { file, journal, open } = files(t);
+        const first = createStorage({ file });
+        await first.init();
+        await first.putUser({ id: 'AAAAAA', username: 'mya' }, { label: 'register' });
+        await first.transaction(tx => {
+            tx.putUser({ id: 'BBBBBB', username: 'kyaw' });
+            tx.putSpace('SPACE_BBBBBB', { notes: [] });
+        }, { label: 'register' });
+        await crash(first);
+        assert.equal(fs.readFileSync(journal, 'utf8').trim().split('\n').length, 2);
+
+        const { storage, report } = await open();
+        assert.deepEqual(report.replayed.map(item => [item.seq, item.label]), [[1, 'register'], [2, 'register']]);
+        assert.equal(report.droppedTail, false);
+        assert.equal(storage.getUser('AAAAAA').username, 'mya');
+        assert.deepEqual(storage.getSpace('SPACE_BBBBBB'), { notes: [] });
+        assert.equal(fs.readFileSync(journal, 'utf8'), '', 'the replay was folded into the snapshot');
+    });
+
+    test('entries the snapshot already has are not applied again', async t => {
+        const { file, journal, open } = files(t);
+        fs.writeFileSync(file, snapshot(1, { AAAAAA: { id: 'AAAAAA', username: 'renamed' } }));
+        fs.writeFileSync(journal, `${entry(1, [putUser('AAAAAA')])}\n${entry(2, [putUser('BBBBBB')])}\n`);
+
+        const { storage, report } = await open();
+        assert.deepEqual(report.replayed.map(item => item.seq), [2]);
+        assert.equal(storage.getUser('AAAAAA').username, 'renamed');
+        assert.ok(storage.getUser('BBBBBB'));
+    });
+
+    test('a half-written last line is dropped and reported', async t => {
+        const { file, journal, open } = files(t);
+        fs.writeFileSync(journal, `${entry(1, [putUser('AAAAAA')])}\n${entry(2, [putUser('BBBBBB')]).slice(0, 30)}`);
+
+        const { storage, report } = await open();
+        assert.equal(report.droppedTail, true);
+        assert.deepEqual(report.replayed.map(item => item.seq), [1]);
+        assert.ok(storage.getUser('AAAAAA'));
+        assert.equal(storage.getUser('BBBBBB'), null);
+    });
+
+    test('a damaged line in the middle of the journal stops the start', async t => {
+        const { file, journal } = files(t);
+        fs.writeFileSync(journal, `${entry(1, [putUser('AAAAAA')])}\n{"seq":2,"at\n${entry(3, [putUser('BBBBBB')])}\n`);
+        await assert.rejects(createStorage({ file }).init(), /corrupt at line 2/);
+    });
+
+    test('a damaged snapshot stops the start', async t => {
+        const { file } = files(t);
+        fs.writeFileSync(file, '{"meta": {"journalSeq": 3}, "users": {');
+        await assert.rejects(createStorage({ file }).init(), /Refusing to start with an empty database/);
+        assert.equal(fs.readFileSync(file, 'utf8'), '{"meta": {"journalSeq": 3}, "users": {', 'the file was left alone');
+    });
+
+    test('a temp file left by a crash mid-snapshot is ignored and removed', async t => {
+        const { file, tmp, open } = files(t);
+        fs.writeFileSync(file, snapshot(0, { AAAAAA: { id: 'AAAAAA', username: 'mya' } }));
+        fs.writeFileSync(tmp, '{"half a snap');
+
+        const { storage } = await open();
+        assert.equal(storage.getUser('AAAAAA').username, 'mya');
+        assert.equal(fs.existsSync(tmp), false);
+    });
+});
+
+describe('compaction', () => {
+    test('folds the journal into the snapshot, and the result loads', async t => {
+        const { file, journal, tmp, open } = files(t);
+        const first = createStorage({ file });
+        await first.init();
+        await first.putUser({ id: 'AAAAAA', username: 'mya' });
+        await first.putUser({ id: 'BBBBBB', username: 'kyaw' });
+        await first.deleteUser('BBBBBB');
+        assert.notEqual(fs.readFileSync(journal, 'utf8'), '');
+
+        await first.backend.compact();
+        assert.equal(fs.readFileSync(journal, 'utf8'), '');
+        assert.equal(fs.existsSync(tmp), false);
+        const saved = JSON.parse(fs.readFileSync(file, 'utf8'));
+        assert.equal(saved.meta.journalSeq, 3);
+        assert.deepEqual(Object.keys(saved.users), ['AAAAAA']);
+
+        // Later commits go to the emptied journal and come back on top of the snapshot
+        await first.putUser({ id: 'CCCCCC', username: 'su' });
+        await crash(first);
+        const { storage, report } = await open();
+        assert.deepEqual(report.replayed.map(item => item.seq), [4]);
+        assert.deepEqual(storage.listUsers().map(user => user.id).sort(), ['AAAAAA', 'CCCCCC']);
+    });
+});
+
+describe('a failed journal write', () => {
+    test('rolls memory back and fails the commit', async t => {
+        const { journal, open } = files(t);
+        const { storage } = await open();
+        await storage.putUser({ id: 'AAAAAA', username: 'mya', partnerId: null });
+        const user = storage.getUser('AAAAAA');
+        const { append } = storage.backend.journal;
+        storage.backend.journal.append = async () => { throw new Error('disk full'); };
+
+        const failing = storage.transaction(tx => {
+            const copy = tx.getUser('AAAAAA');
+            copy.partnerId = 'BBBBBB';
+            delete copy.username;
+            tx.putUser(copy);
+            tx.putUser({ id: 'BBBBBB', username: 'kyaw' });
+        });
+        assert.equal(storage.getUser('AAAAAA').partnerId, 'BBBBBB', 'reads see the commit while it is written');
+        await assert.rejects(failing, /disk full/);
+
+        assert.equal(storage.getUser('AAAAAA'), user, 'still the same object');
+        assert.deepEqual(user, { id: 'AAAAAA', username: 'mya', partnerId: null });
+        assert.equal(storage.getUser('BBBBBB'), null);
+
+        storage.backend.journal.append = append;
+        await storage.putUser({ id: 'CCCCCC', username: 'su' });
+        assert.equal(fs.readFileSync(journal, 'utf8').trim().split('\n').length, 2, 'only the two good entries');
+    });
+
+    test('also fails commits that queued up behind it', async t => {
+        const { open } = files(t);
+        const { storage } = await open();
+        const journal = storage.backend.journal;
+        const { append } = journal;
+        let release;
+        journal.append = () => new Promise((resolve, reject) => { release = () => reject(new Error('disk full')); });
+
+        const first = storage.putUser({ id: 'AAAAAA', username: 'mya' });
+        await new Promise(resolve => setImmediate(resolve)); // Let the first append start
+        const second = storage.putUser({ id: 'BBBBBB', username: 'kyaw' });
+        release();
+        await assert.rejects(first, /disk full/);
+        await assert.rejects(second, /disk full/);
+        assert.deepEqual(storage.listUsers(), []);
+
+        journal.append = append;
+    });
+
+    test('cuts a partly written entry off the journal', async t => {
+        const { journal, open } = files(t);
+        const { storage } = await open();
+        await storage.putUser({ id: 'AAAAAA', username: 'mya' });
+        const handle = storage.backend.journal.handle;
+        const { sync } = handle;
+        handle.sync = async () => { throw new Error('I/O error'); };
+
+        await assert.rejects(storage.putUser({ id: 'BBBBBB', username: 'kyaw' }), /I\/O error/);
+        handle.sync = sync;
+        assert.equal(fs.readFileSync(journal, 'utf8').trim().split('\n').length, 1);
+    });
+});
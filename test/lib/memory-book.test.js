@@ -0,0 +1,89 @@
+// The memory book formats notes with the app's Markdown subset, and won't make a
+// PDF of writing its fonts can't show (pointing to the HTML book instead).
+const { describe, test } = require('node:test');
+const assert = require('node:assert/strict');
+const zlib = require('zlib');
+const { renderMemoryBook, BookError } = require('../../lib/memory-book');
+const { createSpace, createNote } = require('../../lib/spaces');
+const { wrapRuns } = require('../../lib/pdf');
+const { tempBlobStore } = require('../helpers');
+
+function dashboard(...notes) {
+    const space = createSpace();
+    space.notes = notes.map(text => createNote({ text, authorId: 'AAAAAA' }));
+    return { displayName: 'Mya', partnerName: 'Kyaw', data: space };
+}
+
+// Every page's drawing operators, inflated
+function pdfContent(pdf) {
+    const text = pdf.toString('latin1');
+    const streams = [...text.matchAll(/\/FlateDecode >>\nstream\n/g)].map(match => {
+        const start = match.index + match[0].length;
+        return zlib.inflateSync(pdf.subarray(start, text.indexOf('\nendstream', start))).toString('latin1');
+    });
+    return streams.join('\n');
+}
+
+const MARKDOWN = '**Happy** _birthday_ ~~old~~ `code`\n\n- one\n- two\n\n[ours](https://example.com) [bad](javascript:void0)';
+
+describe('HTML book', () => {
+    test('notes are formatted, not shown as raw Markdown', async t => {
+        const html = await renderMemoryBook(dashboard(MARKDOWN), { blobs: tempBlobStore(t) });
+        assert.match(html, /<strong>Happy<\/strong> <em>birthday<\/em> <del>old<\/del> <code>code<\/code>/);
+        assert.match(html, /<ul><li>one<\/li><li>two<\/li><\/ul>/);
+        assert.match(html, /<a href="https:\/\/example.com" rel="noopener noreferrer nofollow">ours<\/a>/);
+        assert.ok(!html.includes('**') && !html.includes('javascript:'));
+    });
+
+    test('typed HTML stays text', async t => {
+        const html = await renderMemoryBook(dashboard('<img src=x onerror=alert(1)>'), { blobs: tempBlobStore(t) });
+        assert.ok(html.includes('&lt;img src=x onerror=alert(1)&gt;'));
+        assert.ok(!html.includes('<img src=x'));
+    });
+
+    test('only image types make it in as photos', async t => {
+        const blobs = tempBlobStore(t);
+        const { hash } = await blobs.put(Buffer.from('GIF89a\x01\x00\x01\x00'));
+        const space = dashboard();
+        space.data.images = [
+            { id: 'a', hash, contentType: 'image/gif', caption: 'kept' },
+            { id: 'b', hash, contentType: 'text/html" onerror="alert(1)', caption: 'dropped' }
+        ];
+        const html = await renderMemoryBook(space, { blobs });
+        assert.ok(html.includes('src="data:image/gif;base64,'));
+        assert.ok(html.includes('kept') && !html.includes('dropped') && !html.includes('onerror'));
+    });
+
+    test('Burmese is fine in the HTML book', async t => {
+        const html = await renderMemoryBook(dashboard('ချစ်တယ်'), { blobs: tempBlobStore(t) });
+        assert.ok(html.includes('ချစ်တယ်'));
+    });
+});
+
+describe('PDF book', () => {
+    test('notes are drawn in their styles', async t => {
+        const content = pdfContent(await renderMemoryBook(dashboard(MARKDOWN), { blobs: tempBlobStore(t), format: 'pdf' }));
+        assert.match(content, /\/Fbold 12 Tf .*\(Happy/);
+        assert.match(content, /\/Fitalic 12 Tf .*\(birthday/);
+        assert.match(content, /\/Fmono 12 Tf .*\(code\)/);
+        assert.match(content, /\(\\225\) Tj/, 'list bullets');
+        assert.ok(!content.includes('**') && !content.includes('javascript'));
+    });
+
+    test('writing the PDF fonts can\'t show is turned away, pointing to the web page', async t => {
+        await assert.rejects(renderMemoryBook(dashboard('Good morning', 'ချစ်တယ်'), { blobs: tempBlobStore(t), format: 'pdf' }),
+            err => err instanceof BookError && err.status === 422 && /web page/.test(err.message));
+    });
+
+    test('emoji and accented Latin letters are fine', async t => {
+        const pdf = await renderMemoryBook(dashboard('Café au lait ❤️ – à bientôt'), { blobs: tempBlobStore(t), format: 'pdf' });
+        assert.ok(pdf.subarray(0, 5).equals(Buffer.from('%PDF-')));
+    });
+
+    test('wrapRuns breaks lines across styles', () => {
+        const lines = wrapRuns([{ text: 'one two ', font: 'regular' }, { text: 'three four', font: 'bold' }], 60, 12);
+        assert.deepEqual(lines.map(line => line.map(run => run.text).join('')), ['one two', 'three four']);
+        assert.equal(lines[1][0].font, 'bold');
+        assert.equal(lines[1][0].x, 0);
+    });
+});
@@ -0,0 +1,20 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { createRecoveryCodes, findRecoveryCode } = require('../../lib/recovery-codes');
+
+test('recovery codes: a fresh set of 8, stored only as hashes', async () => {
+    const { codes, hashes } = await createRecoveryCodes();
+    assert.equal(codes.length, 8);
+    assert.equal(new Set(codes).size, 8);
+    for (const code of codes) assert.match(code, /^[A-HJ-NP-Z2-9]{4}-[A-HJ-NP-Z2-9]{4}-[A-HJ-NP-Z2-9]{4}$/);
+    assert.equal(hashes.length, 8);
+    for (const hash of hashes) assert.ok(!codes.some(code => hash.includes(code.replace(/-/g, ''))));
+
+    // Each code finds its own hash, however it's typed back in
+    assert.equal(await findRecoveryCode(hashes, codes[3]), hashes[3]);
+    assert.equal(await findRecoveryCode(hashes, ` ${codes[5].toLowerCase().replace(/-/g, ' ')} `), hashes[5]);
+
+    assert.equal(await findRecoveryCode(hashes, 'AAAA-BBBB-CCCC'), null);
+    assert.equal(await findRecoveryCode(hashes, '---'), null);
+    assert.equal(await findRecoveryCode(undefined, codes[0]), null);
+});
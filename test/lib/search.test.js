@@ -0,0 +1,162 @@
+// The search index: words split by Intl.Segmenter (so Burmese works), prefix
+// matching, type and date filters, snippets with highlights, and keeping up with
+// every change to a space.
+const { describe, test } = require('node:test');
+const assert = require('node:assert/strict');
+const { SearchIndex } = require('../../lib/search');
+const { createSpace, createNote, createReply } = require('../../lib/spaces');
+
+function spaceWith({ notes = [], dates = [], images = [] }) {
+    const space = createSpace();
+    space.notes = notes.map(([text, createdAt = 0]) => ({ ...createNote({ text, authorId: 'AAAAAA' }), createdAt }));
+    space.dates = dates.map(([date, label], i) => ({ id: `date${i}`, date, label }));
+    space.images = images.map(([caption, takenAt = null], i) => ({ id: `img${i}`, hash: 'a'.repeat(64), caption, takenAt, tags: [] }));
+    return space;
+}
+
+function indexed(space) {
+    const index = new SearchIndex();
+    index.update('S', space);
+    return index;
+}
+
+const highlighted = ({ snippet, highlights }) => highlights.map(([start, end]) => snippet.slice(start, end));
+
+describe('words', () => {
+    test('Burmese is split into words, and a word prefix finds the rest', () => {
+        const space = spaceWith({ notes: [['ကမ်းခြေမှာ လမ်းလျှောက်ခဲ့တယ်'], ['ချစ်တယ်']] });
+        const index = indexed(space);
+
+        const { total, results: [result] } = index.search('S', 'ကမ်း');
+        assert.equal(total, 1);
+        assert.equal(result.id, space.notes[0].id);
+        assert.deepEqual(highlighted(result), ['ကမ်းခြေ']);
+
+        assert.equal(index.search('S', 'ချစ်').results[0].id, space.notes[1].id);
+        assert.equal(index.search('S', 'ခြေ').total, 0, 'only the start of a word matches');
+    });
+
+    test('case and Latin accents are ignored', () => {
+        const { results: [result] } = indexed(spaceWith({ notes: [['Coffee at the CAFÉ by the beach']] })).search('S', 'cafe BEAC');
+        assert.deepEqual(highlighted(result), ['CAFÉ', 'beach']);
+    });
+
+    test('every word of the query has to match', () => {
+        const index = indexed(spaceWith({ notes: [['beach day'], ['beach sunset']] }));
+        assert.equal(index.search('S', 'beach').total, 2);
+        assert.equal(index.search('S', 'beach sun').total, 1);
+        assert.equal(index.search('S', 'beach rain').total, 0);
+        assert.equal(index.search('S', '!!! ...').total, 0);
+    });
+
+    test('a whole word ranks above a longer word it starts', () => {
+        const space = spaceWith({ notes: [['beaches everywhere', 2], ['the beach', 1]] });
+        const { results } = indexed(space).search('S', 'beach');
+        assert.deepEqual(results.map(result => result.id), [space.notes[1].id, space.notes[0].id]);
+    });
+
+    test('tags and replies are searched too', () => {
+        const space = spaceWith({ notes: [['Holiday']] });
+        space.notes[0].tags = ['beach'];
+        space.notes[0].replies = [createReply({ text: 'Best sunset ever', authorId: 'BBBBBB' })];
+        const index = indexed(space);
+        assert.equal(index.search('S', 'beach').results[0].field, 'tags');
+        assert.equal(index.search('S', 'sunset').results[0].field, 'reply');
+    });
+});
+
+describe('filters', () => {
+    const space = spaceWith({
+        notes: [['Picnic in the park', Date.UTC(2024, 5, 1)]],
+        dates: [['2024-07-01', 'Picnic anniversary']],
+        images: [['Picnic blanket', Date.UTC(2023, 0, 1)], ['Picnic without a date']]
+    });
+    const index = indexed(space);
+    const found = options => index.search('S', 'picnic', options).results.map(result => `${result.collection}:${result.id}`).sort();
+
+    test('by type', () => {
+        assert.deepEqual(found({ collections: ['dates'] }), ['dates:date0']);
+        assert.equal(found({ collections: ['notes', 'images'] }).length, 3);
+    });
+
+    test('by date, leaving out what has none', () => {
+        assert.deepEqual(found({ from: Date.UTC(2024, 0, 1) }), ['dates:date0', `notes:${space.notes[0].id}`]);
+        assert.deepEqual(found({ to: Date.UTC(2023, 11, 31) }), ['images:img0']);
+        assert.deepEqual(found({ from: Date.UTC(2024, 5, 1), to: Date.UTC(2024, 5, 1) }), [`notes:${space.notes[0].id}`]);
+        assert.equal(found().length, 4);
+    });
+
+    test('limit caps the results, not the total', () => {
+        const { total, results } = index.search('S', 'picnic', { limit: 2 });
+        assert.equal(total, 4);
+        assert.equal(results.length, 2);
+    });
+});
+
+describe('snippets', () => {
+    test('short text comes whole, with the hits marked', () => {
+        const { snippet, highlights } = indexed(spaceWith({ notes: [['Sun, sea & sunshine']] })).search('S', 'sun').results[0];
+        assert.equal(snippet, 'Sun, sea & sunshine');
+        assert.deepEqual(highlights, [[0, 3], [11, 19]]);
+    });
+
+    test('long text is cut around the first hit, on word edges, and the offsets follow', () => {
+        const text = `${'filler words here '.repeat(10)}the lighthouse at dusk ${'and more words after it '.repeat(10)}`;
+        const result = indexed(spaceWith({ notes: [[text]] })).search('S', 'lighthouse').results[0];
+        assert.ok(result.snippet.startsWith('…') && result.snippet.endsWith('…'));
+        assert.ok(result.snippet.length <= 160 + 2);
+        assert.deepEqual(highlighted(result), ['lighthouse']);
+        const [start] = result.highlights[0];
+        assert.ok(start >= 40 - 'filler '.length && start <= 40 + 1, `hit at ${start}`);
+    });
+
+    test('a Burmese snippet is never cut inside a word', () => {
+        const text = 'ချစ်တယ် '.repeat(40) + 'ကမ်းခြေ ' + 'ချစ်တယ် '.repeat(40);
+        const result = indexed(spaceWith({ notes: [[text]] })).search('S', 'ကမ်း').results[0];
+        const body = result.snippet.replace(/^…|…$/g, '');
+        assert.ok(text.includes(body));
+        assert.ok(/^(ချစ်တယ် )*ကမ်းခြေ( ချစ်တယ်)*$/.test(body.trim()), body);
+        assert.deepEqual(highlighted(result), ['ကမ်းခြေ']);
+    });
+});
+
+describe('keeping up with changes', () => {
+    test('added, edited and deleted items', () => {
+        const space = spaceWith({ notes: [['first light']] });
+        const index = indexed(space);
+        assert.equal(index.search('S', 'moon').total, 0);
+
+        // Added after a search: words new to the index are found by prefix too
+        space.notes.push(createNote({ text: 'moonlight walk', authorId: 'AAAAAA' }));
+        index.update('S', space);
+        assert.equal(index.search('S', 'moo').results[0].id, space.notes[1].id);
+
+        space.notes[0].text = 'last light';
+        index.update('S', space);
+        assert.equal(index.search('S', 'first').total, 0);
+        assert.equal(index.search('S', 'last').total, 1);
+        assert.equal(index.search('S', 'light').total, 1, '"moonlight" doesn\'t start with it');
+
+        space.notes.splice(1, 1);
+        index.update('S', space);
+        assert.equal(index.search('S', 'moo').total, 0);
+        assert.equal(index.search('S', 'walk').total, 0);
+    });
+
+    test('a changed date or tag is picked up', () => {
+        const space = spaceWith({ images: [['Sunrise', Date.UTC(2020, 0, 1)]] });
+        const index = indexed(space);
+        space.images[0].takenAt = Date.UTC(2024, 0, 1);
+        space.images[0].tags = ['mountains'];
+        index.update('S', space);
+        assert.equal(index.search('S', 'sunrise', { from: Date.UTC(2023, 0, 1) }).total, 1);
+        assert.equal(index.search('S', 'mountain').total, 1);
+    });
+
+    test('a dropped space has nothing left to find', () => {
+        const index = indexed(spaceWith({ notes: [['hello']] }));
+        index.drop('S');
+        assert.equal(index.has('S'), false);
+        assert.deepEqual(index.search('S', 'hello'), { total: 0, results: [] });
+    });
+});
@@ -0,0 +1,67 @@
+// Refresh token rotation: each refresh token works once, the one just rotated out
+// is forgiven for a minute (two tabs refreshing at once), and after that - or
+// any older token at all - counts as a replay.
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const sessions = require('../../lib/sessions');
+
+const secretOf = token => sessions.parseRefreshToken(token).secret;
+
+test('rotating replaces the refresh token and pushes the expiry out', () => {
+    const { session, refreshToken } = sessions.createSession('AAAAAA', '', 1000);
+    assert.equal(sessions.checkRefreshSecret(session, secretOf(refreshToken), 1000), 'current');
+
+    const rotated = sessions.rotateSession(session, 5000);
+    assert.notEqual(rotated, refreshToken);
+    assert.equal(sessions.parseRefreshToken(rotated).sessionId, session.id);
+    assert.equal(sessions.checkRefreshSecret(session, secretOf(rotated), 5000), 'current');
+    assert.equal(session.lastUsedAt, 5000);
+    assert.ok(session.expiresAt > 5000 + 29 * 24 * 60 * 60 * 1000);
+    assert.ok(!JSON.stringify(session).includes(secretOf(rotated)), 'the secret itself is never kept');
+});
+
+test('the token just rotated out is forgiven for a minute, then counts as reused', () => {
+    const { session, refreshToken } = sessions.createSession('AAAAAA', '', 0);
+    sessions.rotateSession(session, 10000);
+    assert.equal(sessions.checkRefreshSecret(session, secretOf(refreshToken), 10000 + 59 * 1000), 'grace');
+    assert.equal(sessions.checkRefreshSecret(session, secretOf(refreshToken), 10000 + 60 * 1000), 'reused');
+});
+
+test('any older token counts as reused straight away', () => {
+    const { session, refreshToken: first } = sessions.createSession('AAAAAA', '', 0);
+    const second = sessions.rotateSession(session, 1000);
+    sessions.rotateSession(session, 2000);
+    sessions.rotateSession(session, 3000);
+    assert.equal(sessions.checkRefreshSecret(session, secretOf(first), 3000), 'reused');
+    assert.equal(sessions.checkRefreshSecret(session, secretOf(second), 3000), 'reused');
+});
+
+test('only the last 20 old tokens are remembered', () => {
+    const { session, refreshToken: first } = sessions.createSession('AAAAAA', '', 0);
+    for (let i = 1; i <= 25; i++) sessions.rotateSession(session, i);
+    assert.equal(session.retiredHashes.length, 20);
+    assert.equal(sessions.checkRefreshSecret(session, secretOf(first), 25), null);
+});
+
+test('sessions saved before old tokens were remembered still work', () => {
+    const { session, refreshToken } = sessions.createSession('AAAAAA', '', 0);
+    delete session.retiredHashes;
+    assert.equal(sessions.checkRefreshSecret(session, 'not-the-secret', 0), null);
+    const rotated = sessions.rotateSession(session, 1000);
+    sessions.rotateSession(session, 2000);
+    assert.equal(sessions.checkRefreshSecret(session, secretOf(refreshToken), 2000), 'reused');
+    assert.equal(sessions.checkRefreshSecret(session, secretOf(rotated), 2000), 'grace');
+});
+
+test('a token for another session is not this one', () => {
+    const { session } = sessions.createSession('AAAAAA', '', 0);
+    const { refreshToken: other } = sessions.createSession('AAAAAA', '', 0);
+    assert.equal(sessions.checkRefreshSecret(session, secretOf(other), 0), null);
+});
+
+test('parsing refresh tokens', () => {
+    assert.deepEqual(sessions.parseRefreshToken('abc.def'), { sessionId: 'abc', secret: 'def' });
+    for (const bad of [undefined, 42, '', 'abc', 'abc.', '.def', 'a.b.c']) {
+        assert.equal(sessions.parseRefreshToken(bad), null, String(bad));
+    }
+});
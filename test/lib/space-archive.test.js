@@ -0,0 +1,183 @@
+// Archives round-trip a space; letters go along, but a sealed one leaves its body behind.
+// An archive that would unpack to too much is turned away before any media is stored,
+// and media that isn't really an image never gets in, whatever the manifest says.
+const { describe, test } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const { PassThrough } = require('stream');
+const { PNG } = require('pngjs');
+const { ZipWriter } = require('../../lib/zip');
+const { writeSpaceArchive, readSpaceArchive, restoreIntoSpace, ArchiveError } = require('../../lib/space-archive');
+const { BlobStore } = require('../../lib/blob-store');
+const { createSpace } = require('../../lib/spaces');
+const { createLetter } = require('../../lib/letters');
+const { tempBlobStore } = require('../helpers');
+
+const DAY = 24 * 60 * 60 * 1000;
+
+function spaceWithLetters() {
+    const space = createSpace();
+    space.letters.push(
+        createLetter({ title: 'Later', body: 'not yet', authorId: 'AAAAAA', unlockAt: Date.now() + 30 * DAY }),
+        createLetter({ title: 'Opened', body: 'hello again', authorId: 'AAAAAA', unlockAt: Date.now() - DAY })
+    );
+    return space;
+}
+
+async function collect(write) {
+    const stream = new PassThrough();
+    const chunks = [];
+    stream.on('data', chunk => chunks.push(chunk));
+    await write(stream);
+    return Buffer.concat(chunks);
+}
+
+function exportSpace(space, blobs) {
+    return collect(stream => writeSpaceArchive(stream, { spaceId: 'SPACE_AAAAAA', space, user: { id: 'AAAAAA', username: 'mya' }, blobs }));
+}
+
+// A hand-made archive: `files` maps a media hash to its bytes
+function craftArchive(images, files) {
+    return collect(async stream => {
+        const zip = new ZipWriter(stream);
+        const media = {};
+        for (const [hash, data] of Object.entries(files)) {
+            media[hash] = { path: `media/${hash}.jpg`, contentType: 'image/jpeg', size: data.length };
+            await zip.addFile(media[hash].path, data);
+        }
+        await zip.addFile('manifest.json', Buffer.from(JSON.stringify({ format: 'keepmemories-space', version: 1, images, media })));
+        await zip.finish();
+    });
+}
+
+// A distinct little PNG for each `seed`
+function png(seed, width = 2, height = 1) {
+    const image = new PNG({ width, height });
+    image.data.fill(seed % 256);
+    return PNG.sync.write(image);
+}
+
+describe('letters in archives', () => {
+    test('opened letters are exported whole, sealed ones without their body', async t => {
+        const blobs = tempBlobStore(t);
+        const archive = await exportSpace(spaceWithLetters(), blobs);
+        assert.ok(!archive.includes('not yet'), "a sealed letter's words are in the archive");
+
+        const { letters } = await readSpaceArchive(archive, blobs);
+        assert.deepEqual(letters.map(letter => [letter.title, letter.body]), [['Later', null], ['Opened', 'hello again']]);
+    });
+
+    test("replacing a space with its own archive keeps its sealed letters' words", async t => {
+        const blobs = tempBlobStore(t);
+        const space = spaceWithLetters();
+        const imported = await readSpaceArchive(await exportSpace(space, blobs), blobs);
+
+        restoreIntoSpace(space, imported, 'replace');
+        assert.deepEqual(space.letters.map(letter => letter.body).sort(), ['hello again', 'not yet']);
+    });
+
+    test('a sealed letter can\'t be brought into a space that never had it', async t => {
+        const blobs = tempBlobStore(t);
+        const imported = await readSpaceArchive(await exportSpace(spaceWithLetters(), blobs), blobs);
+
+        const other = createSpace();
+        const added = restoreIntoSpace(other, imported, 'merge');
+        assert.equal(added.letters, 1);
+        assert.deepEqual(other.letters.map(letter => letter.body), ['hello again']);
+    });
+
+    test('merging a whole space brings its letters along', () => {
+        const shared = createSpace();
+        const previous = spaceWithLetters();
+        restoreIntoSpace(shared, previous, 'merge');
+        assert.deepEqual(shared.letters, previous.letters);
+    });
+});
+
+describe('archive limits', () => {
+    // A space with `count` small photos
+    async function archiveWithPhotos(t, count) {
+        const blobs = tempBlobStore(t);
+        const space = createSpace();
+        for (let i = 0; i < count; i++) {
+            const { hash } = await blobs.put(png(i));
+            space.images.push({ id: `img${i}`, hash, contentType: 'image/png', addedAt: i });
+        }
+        return exportSpace(space, blobs);
+    }
+
+    test('too many files', async t => {
+        const archive = await archiveWithPhotos(t, 1);
+        archive.writeUInt16LE(0xFFFF, archive.lastIndexOf('PK\x05\x06') + 10); // Entry count in the end record
+        const blobs = tempBlobStore(t);
+        await assert.rejects(readSpaceArchive(archive, blobs), err => err instanceof ArchiveError && /too many files/.test(err.message));
+        assert.equal(fs.existsSync(blobs.dir), false, 'media was stored');
+    });
+
+    test('media that would unpack to too much', async t => {
+        const archive = await archiveWithPhotos(t, 8);
+        // Every media file now claims 60 MB: under the per-file limit, far over the total
+        for (let at = archive.indexOf('PK\x01\x02'); at !== -1; at = archive.indexOf('PK\x01\x02', at + 4)) {
+            if (archive.toString('utf8', at + 46, at + 52) === 'media/') archive.writeUInt32LE(60 * 1024 * 1024, at + 24);
+        }
+        const blobs = tempBlobStore(t);
+        await assert.rejects(readSpaceArchive(archive, blobs), err => err instanceof ArchiveError && /too much data/.test(err.message));
+        assert.equal(fs.existsSync(blobs.dir), false, 'media was stored');
+    });
+
+    test('a normal archive comes through', async t => {
+        const blobs = tempBlobStore(t);
+        const { images } = await readSpaceArchive(await archiveWithPhotos(t, 3), blobs);
+        assert.equal(images.length, 3);
+        assert.ok(images.every(image => BlobStore.isValidHash(image.hash) && blobs.has(image.hash)));
+    });
+});
+
+describe('archive media', () => {
+    test('type and size come from the file, not the manifest', async t => {
+        const data = png(1, 3, 2);
+        const hash = BlobStore.hash(data);
+        const archive = await craftArchive([{
+            id: 'a', hash, contentType: 'text/html', width: 1, height: 1, size: 5,
+            thumb: { hash, contentType: 'text/html', width: 9, height: 9, onload: 'x' }
+        }], { [hash]: data });
+
+        const { images: [image] } = await readSpaceArchive(archive, tempBlobStore(t));
+        assert.deepEqual([image.contentType, image.width, image.height, image.size], ['image/png', 3, 2, data.length]);
+        assert.deepEqual(image.thumb, { hash, contentType: 'image/png', width: 3, height: 2 });
+        assert.equal(image.display, null);
+    });
+
+    test('a file that is not an image is left out, with its photo', async t => {
+        const page = Buffer.from('<html><script>alert(1)</script></html>');
+        const data = png(2);
+        const [pageHash, hash] = [BlobStore.hash(page), BlobStore.hash(data)];
+        const archive = await craftArchive([
+            { id: 'page', hash: pageHash, contentType: 'text/html' },
+            { id: 'photo', hash, contentType: 'image/png', display: { hash: pageHash, contentType: 'text/html' } }
+        ], { [pageHash]: page, [hash]: data });
+
+        const blobs = tempBlobStore(t);
+        const { images } = await readSpaceArchive(archive, blobs);
+        assert.deepEqual(images.map(image => [image.id, image.display]), [['photo', null]]);
+        assert.equal(blobs.has(pageHash), false, 'the page was stored');
+    });
+
+    test('an image over the pixel limit is left out', async t => {
+        const data = png(3);
+        data.writeUInt32BE(100000, 16); // IHDR width: 100000 x 1000 pixels
+        data.writeUInt32BE(1000, 20);
+        const hash = BlobStore.hash(data);
+        const blobs = tempBlobStore(t);
+        const { images } = await readSpaceArchive(await craftArchive([{ id: 'bomb', hash }], { [hash]: data }), blobs);
+        assert.deepEqual(images, []);
+        assert.equal(blobs.has(hash), false);
+    });
+
+    test("a hash alone can't bring in a file the server already has", async t => {
+        const blobs = tempBlobStore(t);
+        const { hash } = await blobs.put(png(4)); // Someone else's photo
+        const { images } = await readSpaceArchive(await craftArchive([{ id: 'stolen', hash, contentType: 'image/png' }], {}), blobs);
+        assert.deepEqual(images, []);
+    });
+});
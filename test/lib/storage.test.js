@@ -0,0 +1,65 @@
+// Storage transactions: records read through `tx` are copies, so a transaction
+// that throws part way leaves the stored data exactly as it was.
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const path = require('path');
+const { createStorage } = require('../../lib/storage');
+const { tempDir } = require('../helpers');
+
+async function withStorage(t, fn) {
+    const storage = createStorage({ file: path.join(tempDir(t), 'database.json') });
+    await storage.init();
+    try {
+        await storage.transaction(tx => tx.putUser({ id: 'AAAAAA', username: 'mya', partnerId: null, roles: [] }));
+        await fn(storage);
+    } finally {
+        await storage.close();
+    }
+}
+
+test('a transaction that throws changes nothing it read through tx', t => withStorage(t, async storage => {
+    await assert.rejects(storage.transaction(tx => {
+        const user = tx.getUser('AAAAAA');
+        user.partnerId = 'BBBBBB';
+        user.roles.push('admin');
+        tx.putUser(user);
+        throw new Error('half way');
+    }), /half way/);
+
+    assert.deepEqual(storage.getUser('AAAAAA'), { id: 'AAAAAA', username: 'mya', partnerId: null, roles: [] });
+}));
+
+test('tx getters hand out one copy per record, and putting it persists the change', t => withStorage(t, async storage => {
+    await storage.transaction(tx => {
+        const user = tx.getUser('AAAAAA');
+        assert.notEqual(user, storage.getUser('AAAAAA'));
+        assert.equal(tx.getUser('AAAAAA'), user, 'the same copy every time');
+
+        user.partnerId = 'BBBBBB';
+        assert.equal(storage.getUser('AAAAAA').partnerId, null, 'not visible before the commit');
+        tx.putUser(user);
+        assert.equal(tx.getUser('AAAAAA').partnerId, 'BBBBBB');
+        assert.equal(tx.getUser('ZZZZZZ'), null);
+    });
+
+    assert.equal(storage.getUser('AAAAAA').partnerId, 'BBBBBB');
+}));
+
+test('a record read before an await keeps writes made meanwhile when it is saved', t => withStorage(t, async storage => {
+    const user = storage.getUser('AAAAAA');
+    await storage.transaction(tx => {
+        const copy = tx.getUser('AAAAAA');
+        copy.partnerId = 'BBBBBB';
+        tx.putUser(copy);
+    });
+
+    assert.equal(storage.getUser('AAAAAA'), user, 'still the same object');
+    user.username = 'mya2';
+    await storage.putUser(user);
+    assert.deepEqual(storage.getUser('AAAAAA'), { id: 'AAAAAA', username: 'mya2', partnerId: 'BBBBBB', roles: [] });
+}));
+
+test('a put drops fields the new value no longer has', t => withStorage(t, async storage => {
+    await storage.putUser({ id: 'AAAAAA', username: 'mya' });
+    assert.deepEqual(storage.getUser('AAAAAA'), { id: 'AAAAAA', username: 'mya' });
+}));
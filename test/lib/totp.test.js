@@ -0,0 +1,105 @@
+const { describe, test } = require('node:test');
+const assert = require('node:assert/strict');
+const totp = require('../../lib/totp');
+
+// RFC 6238 appendix B: the seed is the ASCII digits, repeated to the hash's key size
+const SEEDS = {
+    sha1: Buffer.from('12345678901234567890'),
+    sha256: Buffer.from('12345678901234567890123456789012'),
+    sha512: Buffer.from('1234567890123456789012345678901234567890123456789012345678901234')
+};
+const RFC6238_VECTORS = [
+    // [unix seconds, SHA-1, SHA-256, SHA-512]
+    [59, '94287082', '46119246', '90693936'],
+    [1111111109, '07081804', '68084774', '25091201'],
+    [1111111111, '14050471', '67062674', '99943326'],
+    [1234567890, '89005924', '91819424', '93441116'],
+    [2000000000, '69279037', '90698825', '38618901'],
+    [20000000000, '65353130', '77737706', '47863826']
+];
+
+// RFC 4226 appendix D: HOTP for counters 0-9 with the SHA-1 seed
+const RFC4226_VECTORS = ['755224', '287082', '359152', '969429', '338314', '254676', '287922', '162583', '399871', '520489'];
+
+describe('RFC 6238 test vectors', () => {
+    for (const [seconds, ...codes] of RFC6238_VECTORS) {
+        ['sha1', 'sha256', 'sha512'].forEach((algorithm, i) => {
+            test(`${algorithm} at ${seconds}`, () => {
+                assert.equal(totp.totp(SEEDS[algorithm], seconds * 1000, { digits: 8, algorithm }), codes[i]);
+            });
+        });
+    }
+});
+
+test('RFC 4226 HOTP test vectors', () => {
+    RFC4226_VECTORS.forEach((code, counter) => assert.equal(totp.hotp(SEEDS.sha1, counter), code));
+});
+
+describe('base32', () => {
+    // RFC 4648 section 10, without padding
+    const VECTORS = [['', ''], ['f', 'MY'], ['fo', 'MZXQ'], ['foo', 'MZXW6'], ['foob', 'MZXW6YQ'], ['fooba', 'MZXW6YTB'], ['foobar', 'MZXW6YTBOI']];
+
+    test('encodes and decodes the RFC 4648 vectors', () => {
+        for (const [text, encoded] of VECTORS) {
+            assert.equal(totp.base32Encode(Buffer.from(text)), encoded);
+            assert.equal(totp.base32Decode(encoded).toString(), text);
+        }
+    });
+
+    test('decoding forgives case, spaces, dashes and padding', () => {
+        assert.equal(totp.base32Decode('mzxw 6ytb-oi======').toString(), 'foobar');
+    });
+
+    test('decoding rejects characters outside the alphabet', () => {
+        assert.throws(() => totp.base32Decode('MZXW1'), /Invalid base32 character "1"/);
+    });
+
+    test('generated secrets are 20 random bytes', () => {
+        const secret = totp.generateSecret();
+        assert.equal(totp.base32Decode(secret).length, 20);
+        assert.notEqual(secret, totp.generateSecret());
+    });
+});
+
+describe('verifyTotp', () => {
+    const secret = SEEDS.sha1;
+    const time = 1111111111 * 1000;
+    const step = Math.floor(time / 1000 / 30);
+    const codeAt = offset => totp.totp(secret, time + offset * 30 * 1000);
+
+    test('accepts the current step and one either side, and says which matched', () => {
+        assert.equal(totp.verifyTotp(secret, codeAt(0), { time }), step);
+        assert.equal(totp.verifyTotp(secret, codeAt(-1), { time }), step - 1);
+        assert.equal(totp.verifyTotp(secret, codeAt(1), { time }), step + 1);
+    });
+
+    test('rejects codes further out, wrong codes and junk', () => {
+        assert.equal(totp.verifyTotp(secret, codeAt(2), { time }), null);
+        assert.equal(totp.verifyTotp(secret, codeAt(-2), { time }), null);
+        assert.equal(totp.verifyTotp(secret, String((Number(codeAt(0)) + 1) % 1e6).padStart(6, '0'), { time }), null);
+        assert.equal(totp.verifyTotp(secret, '12345', { time }), null);
+        assert.equal(totp.verifyTotp(secret, 'abcdef', { time }), null);
+    });
+
+    test('ignores spaces people type', () => {
+        const code = codeAt(0);
+        assert.equal(totp.verifyTotp(secret, `${code.slice(0, 3)} ${code.slice(3)}`, { time }), step);
+    });
+
+    test('a code is good only once when afterStep is passed', () => {
+        const used = totp.verifyTotp(secret, codeAt(0), { time });
+        assert.equal(totp.verifyTotp(secret, codeAt(0), { time, afterStep: used }), null);
+        assert.equal(totp.verifyTotp(secret, codeAt(-1), { time, afterStep: used }), null, 'older codes are spent too');
+        assert.equal(totp.verifyTotp(secret, codeAt(1), { time, afterStep: used }), step + 1);
+    });
+});
+
+test('otpauth URL carries what authenticator apps need', () => {
+    const url = new URL(totp.otpauthUrl({ secret: 'MZXW6YTBOI', account: 'mya', issuer: 'KeepMemories' }));
+    assert.equal(url.protocol, 'otpauth:');
+    assert.equal(url.host, 'totp');
+    assert.equal(decodeURIComponent(url.pathname), '/KeepMemories:mya');
+    assert.deepEqual(Object.fromEntries(url.searchParams), {
+        secret: 'MZXW6YTBOI', issuer: 'KeepMemories', algorithm: 'SHA1', digits: '6', period: '30'
+    });
+});
@@ -0,0 +1,69 @@
+// Reading one file out of a multipart upload as it streams in: the whole file,
+// a file over the size limit, and a client that goes away halfway.
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const http = require('http');
+const { receiveUpload, UploadError } = require('../../lib/uploads');
+
+// A server that hands each request to receiveUpload; `next()` resolves with
+// { result }, the promise it returned for the next request
+async function uploadServer(t, options) {
+    let settle;
+    const server = http.createServer((req, res) => {
+        const result = receiveUpload(req, options);
+        settle({ result });
+        result.then(() => res.end(), err => res.writeHead(err.status || 500).end());
+    });
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    t.after(() => {
+        server.closeAllConnections();
+        return new Promise(resolve => server.close(resolve));
+    });
+    const next = () => new Promise(resolve => { settle = resolve; });
+    return { port: server.address().port, next };
+}
+
+const boundary = 'keepmemories-test';
+const part = (field, content) => Buffer.concat([
+    Buffer.from(`--${boundary}\r\nContent-Disposition: form-data; name="${field}"; filename="upload"\r\n\r\n`),
+    content,
+    Buffer.from(`\r\n--${boundary}--\r\n`)
+]);
+
+function send(port, body, { length = body.length, end = true } = {}) {
+    const req = http.request({
+        port, host: '127.0.0.1', method: 'POST',
+        headers: { 'Content-Type': `multipart/form-data; boundary=${boundary}`, 'Content-Length': length }
+    });
+    req.on('error', () => { /* the tests that cut requests short expect this */ });
+    req.on('response', res => res.resume());
+    if (end) req.end(body);
+    else req.write(body);
+    return req;
+}
+
+test('the file in the named field comes back whole', async t => {
+    const { port, next } = await uploadServer(t, { field: 'photo', maxFileSize: 1024 });
+    const received = next();
+    send(port, part('photo', Buffer.from('hello')));
+    const upload = await (await received).result;
+    assert.equal(upload.buffer.toString(), 'hello');
+    assert.equal(upload.filename, 'upload');
+});
+
+test('a file over the limit is a 413', async t => {
+    const { port, next } = await uploadServer(t, { field: 'photo', maxFileSize: 4 });
+    const received = next();
+    send(port, part('photo', Buffer.from('too long')));
+    await assert.rejects((await received).result, err => err instanceof UploadError && err.status === 413);
+});
+
+test('a client that goes away halfway rejects the upload instead of leaving it waiting', { timeout: 5000 }, async t => {
+    const { port, next } = await uploadServer(t, { field: 'photo', maxFileSize: 1024 });
+    const received = next();
+    const body = part('photo', Buffer.alloc(500, 1));
+    const req = send(port, body.subarray(0, 100), { length: body.length, end: false });
+    const { result } = await received;
+    req.destroy();
+    await assert.rejects(result, err => err instanceof UploadError && /interrupted/.test(err.message));
+});
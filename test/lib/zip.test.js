@@ -0,0 +1,55 @@
+// readZip() limits what an archive may unpack to before inflating anything.
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { PassThrough } = require('stream');
+const { ZipWriter, readZip } = require('../../lib/zip');
+
+async function zipOf(files, options) {
+    const stream = new PassThrough();
+    const chunks = [];
+    stream.on('data', chunk => chunks.push(chunk));
+    const zip = new ZipWriter(stream);
+    for (const [name, data] of Object.entries(files)) await zip.addFile(name, data, options);
+    await zip.finish();
+    return Buffer.concat(chunks);
+}
+
+// Offsets of every central directory record
+function centralRecords(zip) {
+    const offsets = [];
+    for (let at = zip.indexOf('PK\x01\x02'); at !== -1; at = zip.indexOf('PK\x01\x02', at + 4)) offsets.push(at);
+    return offsets;
+}
+
+const files = count => Object.fromEntries(Array.from({ length: count }, (_, i) => [`file${i}.txt`, Buffer.alloc(1000, i)]));
+
+test('reads back what ZipWriter wrote', async () => {
+    const entries = readZip(await zipOf({ 'a.txt': Buffer.from('hello'), 'b.txt': Buffer.from('there') }, { compress: true }));
+    assert.equal(entries.get('a.txt')().toString(), 'hello');
+    assert.equal(entries.get('b.txt')().toString(), 'there');
+});
+
+test('too many files', async () => {
+    const zip = await zipOf(files(11));
+    assert.throws(() => readZip(zip, { maxEntries: 10 }), /too many files/);
+    assert.equal(readZip(zip, { maxEntries: 11 }).size, 11);
+});
+
+test('too much data in total', async () => {
+    const zip = await zipOf(files(3), { compress: true });
+    assert.throws(() => readZip(zip, { maxTotalSize: 2500 }), /too much data/);
+    assert.equal(readZip(zip, { maxTotalSize: 3000 }).size, 3);
+});
+
+test('one file too large', async () => {
+    const zip = await zipOf(files(1));
+    assert.throws(() => readZip(zip, { maxEntrySize: 999 }), /too large/);
+});
+
+test('an entry that inflates past its declared size is corrupt', async () => {
+    const zip = await zipOf({ 'bomb.bin': Buffer.alloc(1024 * 1024) }, { compress: true });
+    const [record] = centralRecords(zip);
+    zip.writeUInt32LE(10, record + 24);
+    const read = readZip(zip).get('bomb.bin');
+    assert.throws(read, /corrupt/);
+});
@@ -0,0 +1,24 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const bcrypt = require('bcryptjs');
+const migration = require('../../lib/migrations/001-hash-passwords');
+const { loadFixture } = require('../helpers');
+
+test('001 hashes plain text passwords and drops them', async () => {
+    const db = loadFixture('legacy-database');
+    await migration.up(db);
+
+    for (const [id, password] of [['AAAAAA', 'sunflower'], ['BBBBBB', 'hunter2'], ['CCCCCC', 'moon']]) {
+        const user = db.users[id];
+        assert.equal(user.password, undefined);
+        assert.ok(await bcrypt.compare(password, user.passwordHash), `${user.username} can still log in`);
+    }
+});
+
+test('001 leaves existing hashes alone', async () => {
+    const passwordHash = await bcrypt.hash('already', 4);
+    const db = { users: { A: { id: 'A', username: 'a', passwordHash, password: 'stale' } }, spaces: {} };
+    await migration.up(db);
+
+    assert.deepEqual(db.users.A, { id: 'A', username: 'a', passwordHash });
+});
@@ -0,0 +1,31 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const migration = require('../../lib/migrations/002-complete-spaces');
+const { INITIAL_SUNFLOWER } = require('../../lib/spaces');
+const { loadFixture, migrateUpTo } = require('../helpers');
+
+test('002 fills in missing space fields and keeps the rest', async () => {
+    const db = await migrateUpTo(loadFixture('legacy-database'), migration.version);
+    await migration.up(db);
+
+    const shared = db.spaces.SPACE_AAAAAA;
+    assert.deepEqual(shared.sunflower, INITIAL_SUNFLOWER);
+    assert.equal(shared.pet.level, 5);
+    assert.deepEqual(shared.notes, ['Good morning ❤️', 'ချစ်တယ်']);
+});
+
+test('002 creates the spaces users point at and their personal spaces', async () => {
+    const db = await migrateUpTo(loadFixture('legacy-database'), migration.version);
+    await migration.up(db);
+
+    assert.deepEqual(Object.keys(db.spaces).sort(), ['SPACE_AAAAAA', 'SPACE_BBBBBB', 'SPACE_CCCCCC']);
+    assert.deepEqual(db.spaces.SPACE_CCCCCC.notes, []);
+});
+
+test('002 repairs null fields', async () => {
+    const db = { users: {}, spaces: { S: { notes: null, images: [], dates: [], pet: null } } };
+    await migration.up(db);
+
+    assert.deepEqual(db.spaces.S.notes, []);
+    assert.equal(db.spaces.S.pet.name, 'Lovebug');
+});
@@ -0,0 +1,44 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { BlobStore } = require('../../lib/blob-store');
+const migration = require('../../lib/migrations/003-extract-images');
+const { loadFixture, migrateUpTo, tempBlobStore } = require('../helpers');
+
+test('003 moves data URL photos into the blob store', async t => {
+    const blobs = tempBlobStore(t);
+    const db = await migrateUpTo(loadFixture('legacy-database'), migration.version);
+    const dataUrl = db.spaces.SPACE_AAAAAA.images[0];
+    await migration.up(db, { blobs });
+
+    const [stored, linked] = db.spaces.SPACE_AAAAAA.images;
+    assert.equal(stored.contentType, 'image/png');
+    assert.ok(blobs.has(stored.hash));
+    const bytes = await blobs.read(stored.hash);
+    assert.equal(stored.size, bytes.length);
+    assert.equal(`data:image/png;base64,${bytes.toString('base64')}`, dataUrl);
+    assert.ok(Number.isFinite(stored.addedAt));
+
+    assert.equal(linked.url, 'https://example.com/beach.jpg');
+    assert.equal(linked.hash, undefined);
+});
+
+test('003 goes by the bytes, not the type the data URL claims', async t => {
+    const blobs = tempBlobStore(t);
+    const png = loadFixture('legacy-database').spaces.SPACE_AAAAAA.images[0].split(',')[1];
+    const page = Buffer.from('<script>alert(1)</script>');
+    const db = { users: {}, spaces: { S: { images: [`data:text/html;base64,${page.toString('base64')}`, `data:text/html;base64,${png}`] } } };
+    await migration.up(db, { blobs });
+
+    const images = db.spaces.S.images;
+    assert.equal(images.length, 1, 'the page was kept as a photo');
+    assert.equal(images[0].contentType, 'image/png');
+    assert.equal(blobs.has(BlobStore.hash(page)), false, 'the page was stored');
+});
+
+test('003 leaves photos that are already metadata alone', async t => {
+    const image = { hash: 'a'.repeat(64), contentType: 'image/jpeg', size: 3, addedAt: 1 };
+    const db = { users: {}, spaces: { S: { images: [image] } } };
+    await migration.up(db, { blobs: tempBlobStore(t) });
+
+    assert.deepEqual(db.spaces.S.images, [image]);
+});
@@ -0,0 +1,35 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const migration = require('../../lib/migrations/004-item-ids');
+const { loadFixture, migrateUpTo, tempBlobStore } = require('../helpers');
+
+test('004 turns string notes into objects with ids', async t => {
+    const db = await migrateUpTo(loadFixture('legacy-database'), migration.version, { blobs: tempBlobStore(t) });
+    await migration.up(db);
+
+    const { notes } = db.spaces.SPACE_AAAAAA;
+    assert.deepEqual(notes.map(note => note.text), ['Good morning ❤️', 'ချစ်တယ်']);
+    for (const note of notes) assert.match(note.id, /^[A-Z0-9]{12}$/);
+    assert.notEqual(notes[0].id, notes[1].id);
+});
+
+test('004 gives dates and photos ids and keeps existing ones', async () => {
+    const db = {
+        users: {},
+        spaces: {
+            S: {
+                notes: [{ id: 'KEPT', text: 'hi' }],
+                dates: [{ date: '2024-01-01', label: 'New year' }],
+                images: [{ hash: 'abc', id: 'PHOTO' }, { url: 'https://example.com/x.jpg' }]
+            }
+        }
+    };
+    await migration.up(db);
+
+    const space = db.spaces.S;
+    assert.deepEqual(space.notes, [{ id: 'KEPT', text: 'hi' }]);
+    assert.match(space.dates[0].id, /^[A-Z0-9]{12}$/);
+    assert.equal(space.dates[0].label, 'New year');
+    assert.equal(space.images[0].id, 'PHOTO');
+    assert.match(space.images[1].id, /^[A-Z0-9]{12}$/);
+});
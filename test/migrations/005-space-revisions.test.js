@@ -0,0 +1,12 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const migration = require('../../lib/migrations/005-space-revisions');
+
+test('005 starts revision counters at 0 and keeps existing ones', () => {
+    const db = { users: {}, spaces: { A: {}, B: { revision: 7 }, C: { revision: 'x' } } };
+    migration.up(db);
+
+    assert.equal(db.spaces.A.revision, 0);
+    assert.equal(db.spaces.B.revision, 7);
+    assert.equal(db.spaces.C.revision, 0);
+});
@@ -0,0 +1,21 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const migration = require('../../lib/migrations/006-user-roles');
+const { loadFixture } = require('../helpers');
+
+test('006 gives every account an empty role list, whatever isAdmin said', () => {
+    const db = loadFixture('legacy-database');
+    migration.up(db);
+
+    for (const user of Object.values(db.users)) {
+        assert.deepEqual(user.roles, [], user.username);
+        assert.equal('isAdmin' in user, false);
+    }
+});
+
+test('006 keeps roles that were already assigned', () => {
+    const db = { users: { A: { id: 'A', username: 'a', roles: ['admin'], isAdmin: false } }, spaces: {} };
+    migration.up(db);
+
+    assert.deepEqual(db.users.A, { id: 'A', username: 'a', roles: ['admin'] });
+});
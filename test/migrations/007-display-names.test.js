@@ -0,0 +1,11 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const migration = require('../../lib/migrations/007-display-names');
+
+test('007 starts display names out as the sign-up name', () => {
+    const db = { users: { A: { username: 'mya' }, B: { username: 'kyaw', displayName: 'Kyaw Kyaw' } }, spaces: {} };
+    migration.up(db);
+
+    assert.equal(db.users.A.displayName, 'mya');
+    assert.equal(db.users.B.displayName, 'Kyaw Kyaw');
+});
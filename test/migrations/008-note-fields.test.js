@@ -0,0 +1,34 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const migration = require('../../lib/migrations/008-note-fields');
+
+test('008 completes notes without guessing who wrote them', () => {
+    const db = {
+        users: {},
+        spaces: {
+            S: {
+                notes: [
+                    'still a string',
+                    { id: 'OLD', text: 'hi' },
+                    { id: 'NEW', text: 'x', authorId: 'A', createdAt: 5, pinned: true, color: 'pink', mood: '😊' },
+                    { id: 'ODD', text: 'y', pinned: 'yes', color: 'chartreuse' }
+                ]
+            }
+        }
+    };
+    migration.up(db);
+
+    const [string, old, fresh, odd] = db.spaces.S.notes;
+    assert.equal(string.text, 'still a string');
+    assert.match(string.id, /^[A-Z0-9]{12}$/);
+    assert.deepEqual(old, {
+        id: 'OLD', text: 'hi', authorId: null, createdAt: null, editedAt: null, pinned: false, color: null, tags: []
+    });
+    assert.equal(fresh.authorId, 'A');
+    assert.equal(fresh.createdAt, 5);
+    assert.equal(fresh.pinned, true);
+    assert.equal(fresh.color, 'pink');
+    assert.equal(fresh.mood, '😊', 'unknown fields are kept');
+    assert.equal(odd.pinned, false);
+    assert.equal(odd.color, null);
+});
@@ -0,0 +1,12 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const migration = require('../../lib/migrations/009-space-trash');
+
+test('009 gives spaces an empty trash and keeps existing ones', () => {
+    const entry = { id: 'X', collection: 'notes', item: { id: 'X' }, deletedAt: 1, deletedBy: 'A' };
+    const db = { users: {}, spaces: { A: {}, B: { trash: [entry] } } };
+    migration.up(db);
+
+    assert.deepEqual(db.spaces.A.trash, []);
+    assert.deepEqual(db.spaces.B.trash, [entry]);
+});
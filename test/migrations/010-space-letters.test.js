@@ -0,0 +1,12 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const migration = require('../../lib/migrations/010-space-letters');
+
+test('010 gives spaces an empty letter list and keeps existing letters', () => {
+    const letter = { id: 'L', title: 'Later', body: 'hi', authorId: 'A', createdAt: 1, unlockAt: 2, unlockEvent: null };
+    const db = { users: {}, spaces: { A: {}, B: { letters: [letter] } } };
+    migration.up(db);
+
+    assert.deepEqual(db.spaces.A.letters, []);
+    assert.deepEqual(db.spaces.B.letters, [letter]);
+});
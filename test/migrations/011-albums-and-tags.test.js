@@ -0,0 +1,31 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const migration = require('../../lib/migrations/011-albums-and-tags');
+
+test('011 adds albums, tags and album lists - in the trash too', () => {
+    const db = {
+        users: {},
+        spaces: {
+            S: {
+                notes: [{ id: 'N', text: 'hi' }, { id: 'T', text: 'tagged', tags: ['beach'] }],
+                images: [{ id: 'I', hash: 'abc' }],
+                trash: [
+                    { id: 'TN', collection: 'notes', item: { id: 'TN', text: 'gone' } },
+                    { id: 'TI', collection: 'images', item: { id: 'TI', hash: 'def' } },
+                    { id: 'TD', collection: 'dates', item: { id: 'TD', date: '2024-01-01', label: 'x' } }
+                ]
+            },
+            K: { notes: [], images: [], trash: [], albums: [{ id: 'A', name: 'Kept' }] }
+        }
+    };
+    migration.up(db);
+
+    const space = db.spaces.S;
+    assert.deepEqual(space.albums, []);
+    assert.deepEqual(space.notes.map(note => note.tags), [[], ['beach']]);
+    assert.deepEqual(space.images[0], { id: 'I', hash: 'abc', tags: [], albumIds: [] });
+    assert.deepEqual(space.trash[0].item.tags, []);
+    assert.deepEqual(space.trash[1].item, { id: 'TI', hash: 'def', tags: [], albumIds: [] });
+    assert.equal(space.trash[2].item.tags, undefined, 'dates have no tags');
+    assert.deepEqual(db.spaces.K.albums, [{ id: 'A', name: 'Kept' }]);
+});
@@ -0,0 +1,45 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const jpeg = require('jpeg-js');
+const migration = require('../../lib/migrations/012-photo-metadata');
+const { readFixtureFile, tempBlobStore } = require('../helpers');
+
+// test/fixtures/exif.jpg says DateTimeOriginal "2021:08:15 09:00:00", OffsetTimeOriginal "+07:00"
+const EXIF_TAKEN_AT = Date.UTC(2021, 7, 15, 2, 0, 0);
+
+test('012 reads when stored photos were taken and falls back to when they were added', async t => {
+    const blobs = tempBlobStore(t);
+    const withExif = await blobs.put(readFixtureFile('exif.jpg'));
+    const withoutExif = await blobs.put(jpeg.encode({ width: 1, height: 1, data: Buffer.alloc(4, 255) }, 80).data);
+
+    const db = {
+        users: {},
+        spaces: {
+            S: {
+                images: [
+                    { id: 'E', hash: withExif.hash, contentType: 'image/jpeg', addedAt: 1700000000000, uploaderId: 'A' },
+                    { id: 'P', hash: withoutExif.hash, contentType: 'image/jpeg', addedAt: 1700000000001 },
+                    { id: 'M', hash: 'f'.repeat(64), contentType: 'image/jpeg', addedAt: 1700000000002 },
+                    { id: 'U', url: 'https://example.com/x.jpg', addedAt: 1700000000003 },
+                    { id: 'K', hash: withExif.hash, contentType: 'image/jpeg', addedAt: 1, takenAt: 2, caption: 'Kept' }
+                ],
+                trash: [{ id: 'T', collection: 'images', item: { id: 'T', hash: withExif.hash, contentType: 'image/jpeg', addedAt: 3 } }]
+            }
+        }
+    };
+    await migration.up(db, { blobs });
+
+    const byId = Object.fromEntries(db.spaces.S.images.map(image => [image.id, image]));
+    assert.equal(byId.E.takenAt, EXIF_TAKEN_AT);
+    assert.equal(byId.E.uploaderId, 'A');
+    assert.equal(byId.P.takenAt, 1700000000001, 'no EXIF date');
+    assert.equal(byId.M.takenAt, 1700000000002, 'original missing from the blob store');
+    assert.equal(byId.U.takenAt, 1700000000003, 'external link');
+    assert.equal(byId.K.takenAt, 2);
+    assert.equal(byId.K.caption, 'Kept');
+    for (const id of ['E', 'P', 'M', 'U']) assert.equal(byId[id].caption, '');
+    for (const id of ['P', 'M', 'U']) assert.equal(byId[id].uploaderId, null);
+
+    assert.equal(db.spaces.S.trash[0].item.takenAt, EXIF_TAKEN_AT);
+    assert.equal(db.spaces.S.trash[0].item.caption, '');
+});
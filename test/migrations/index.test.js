@@ -0,0 +1,82 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const { MIGRATIONS, LATEST_VERSION, migrate, migrateStorage } = require('../../lib/migrations');
+const { createStorage } = require('../../lib/storage');
+const { BlobStore } = require('../../lib/blob-store');
+const { loadFixture, tempDir, tempBlobStore } = require('../helpers');
+
+test('migrations are numbered 1, 2, 3... with no gaps', () => {
+    assert.deepEqual(MIGRATIONS.map(migration => migration.version), MIGRATIONS.map((migration, i) => i + 1));
+    assert.equal(LATEST_VERSION, MIGRATIONS.length);
+    for (const migration of MIGRATIONS) {
+        assert.equal(typeof migration.name, 'string');
+        assert.equal(typeof migration.up, 'function');
+    }
+});
+
+test('migrate only runs what the database has not had yet', async () => {
+    const ran = [];
+    const migrations = [1, 2, 3].map(version => ({ version, name: `m${version}`, up: () => ran.push(version) }));
+    const applied = await migrate({}, 1, {}, migrations);
+
+    assert.deepEqual(ran, [2, 3]);
+    assert.deepEqual(applied.map(migration => migration.name), ['m2', 'm3']);
+});
+
+test('migrate refuses a database newer than the server', async () => {
+    await assert.rejects(migrate({}, LATEST_VERSION + 1), /newer than this server understands/);
+});
+
+test('the whole series brings the legacy fixture up to the current shape', async t => {
+    const db = loadFixture('legacy-database');
+    await migrate(db, 0, { blobs: tempBlobStore(t) });
+
+    for (const user of Object.values(db.users)) {
+        assert.ok(user.passwordHash && !user.password);
+        assert.deepEqual(user.roles, []);
+        assert.equal(user.displayName, user.username);
+    }
+    for (const space of Object.values(db.spaces)) {
+        for (const key of ['notes', 'images', 'dates', 'albums', 'letters', 'trash']) assert.ok(Array.isArray(space[key]), key);
+        assert.equal(space.revision, 0);
+        assert.ok(space.pet && space.sunflower);
+    }
+
+    const shared = db.spaces.SPACE_AAAAAA;
+    assert.deepEqual(shared.notes.map(note => [note.text, note.authorId, note.pinned]), [
+        ['Good morning ❤️', null, false],
+        ['ချစ်တယ်', null, false]
+    ]);
+    assert.equal(new Set(shared.notes.map(note => note.id)).size, 2);
+    assert.ok(shared.dates[0].id);
+    const [stored, linked] = shared.images;
+    assert.equal(stored.takenAt, stored.addedAt, 'the PNG fixture has no EXIF date');
+    assert.equal(linked.url, 'https://example.com/beach.jpg');
+    assert.deepEqual([stored.caption, stored.tags, stored.albumIds], ['', [], []]);
+});
+
+test('migrateStorage commits once, records the version and is a no-op the second time', async t => {
+    const dir = tempDir(t);
+    const file = path.join(dir, 'database.json');
+    fs.writeFileSync(file, JSON.stringify(loadFixture('legacy-database')));
+    const blobs = new BlobStore(path.join(dir, 'blobs'));
+
+    let storage = createStorage({ file });
+    await storage.init();
+    const applied = await migrateStorage(storage, { blobs });
+    assert.equal(applied.length, LATEST_VERSION);
+    assert.equal(storage.getMeta('schemaVersion'), LATEST_VERSION);
+    await storage.close();
+
+    storage = createStorage({ file });
+    await storage.init();
+    try {
+        assert.equal(storage.getMeta('schemaVersion'), LATEST_VERSION);
+        assert.ok(storage.getSpace('SPACE_CCCCCC'), 'spaces created by a migration were saved');
+        assert.deepEqual(await migrateStorage(storage, { blobs }), []);
+    } finally {
+        await storage.close();
+    }
+});
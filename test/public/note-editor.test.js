@@ -0,0 +1,89 @@
+// home.js re-renders the notes whenever the partner changes something. A note
+// being edited inline has to come through that with its editor - and the
+// words typed so far - intact.
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const { JSDOM, VirtualConsole } = require('jsdom');
+
+const PUBLIC = path.join(__dirname, '..', '..', 'public');
+
+const note = (id, text, createdAt) => ({ id, text, authorId: 'AAAAAA', createdAt, editedAt: null, pinned: false, color: null, tags: [] });
+
+// home.html with home.js loaded against a faked server and /space channel
+async function loadHome(t) {
+    const html = fs.readFileSync(path.join(PUBLIC, 'home.html'), 'utf8');
+    const { window } = new JSDOM(html, { url: 'https://keepmemories.example/home.html', runScripts: 'outside-only', virtualConsole: new VirtualConsole() });
+    t.after(() => window.close());
+    await new Promise(resolve => window.document.addEventListener('DOMContentLoaded', resolve));
+    window.localStorage.setItem('currentUserId', 'AAAAAA');
+    window.localStorage.setItem('authToken', 'token');
+
+    const data = {
+        notes: [note('N1', 'first', 2), note('N2', 'second', 1)],
+        images: [], dates: [], albums: [], letters: [], trash: [],
+        pet: { name: 'Lovebug', level: 3, exp: 0 }, sunflower: { name: 'Sunny', level: 1, exp: 0 }, revision: 1
+    };
+    window.authFetch = async url => ({
+        status: 200,
+        ok: true,
+        json: async () => (url.includes('/data/')
+            ? { success: true, data: structuredClone(data), spaceId: 'SPACE_AAAAAA', displayName: 'Mya', gender: 'Female' }
+            : { success: true, notifications: [] })
+    });
+    const handlers = {};
+    window.io = {};
+    window.authSocket = () => ({ on: (event, handler) => { handlers[event] = handler; }, io: { on() {} } });
+    for (const script of ['avatar.js', 'rich-text.js', 'home.js']) window.eval(fs.readFileSync(path.join(PUBLIC, script), 'utf8'));
+
+    await window.loadDashboardData();
+    window.connectSpaceChannel();
+    let revision = 1;
+    const partnerChange = change => handlers['space:changed']({ revision: ++revision, change });
+    return { window, document: window.document, partnerChange };
+}
+
+function startEditing(document, noteId) {
+    const item = document.querySelector(`.note-item[data-item-id="${noteId}"]`);
+    [...item.querySelectorAll('.note-action')].find(action => action.title === 'Edit').click();
+    const textarea = item.querySelector('textarea.note-edit');
+    textarea.value = 'half-written thought';
+    textarea.setSelectionRange(4, 4);
+    return textarea;
+}
+
+test("a partner's change elsewhere keeps the open editor and its text", async t => {
+    const { document, partnerChange } = await loadHome(t);
+    const textarea = startEditing(document, 'N1');
+
+    partnerChange({ collection: 'notes', action: 'update', item: note('N2', 'second, edited', 1) });
+    partnerChange({ collection: 'notes', action: 'create', item: note('N3', 'brand new', 3) });
+
+    assert.ok(textarea.isConnected, 'the editor was thrown away');
+    assert.equal(textarea.value, 'half-written thought');
+    assert.equal(document.activeElement, textarea);
+    assert.equal(textarea.selectionStart, 4);
+    const texts = [...document.querySelectorAll('.note-item .note-text')].map(el => el.textContent);
+    assert.deepEqual(texts, ['brand new', 'second, edited']);
+});
+
+test('so does a change to the note being edited', async t => {
+    const { document, partnerChange } = await loadHome(t);
+    const textarea = startEditing(document, 'N1');
+    partnerChange({ collection: 'notes', action: 'update', item: { ...note('N1', 'first', 2), reactions: { '❤️': ['BBBBBB'] } } });
+    assert.ok(textarea.isConnected);
+    assert.equal(textarea.value, 'half-written thought');
+});
+
+test('the editor goes when its note is deleted, and Cancel still closes it', async t => {
+    const { document, partnerChange } = await loadHome(t);
+    startEditing(document, 'N1');
+    partnerChange({ collection: 'notes', action: 'delete', id: 'N1' });
+    assert.equal(document.querySelector('#notesList textarea'), null);
+
+    const textarea = startEditing(document, 'N2');
+    textarea.closest('.note-item').querySelector('.note-cancel').click();
+    assert.equal(document.querySelector('#notesList textarea'), null);
+    assert.equal(document.querySelector('.note-item[data-item-id="N2"] .note-text').textContent, 'second');
+});
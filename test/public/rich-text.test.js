@@ -0,0 +1,181 @@
+// XSS corpus for public/rich-text.js. Whatever goes in - Markdown someone typed, or
+// raw HTML handed straight to sanitizeHtml() - what comes out may only hold the
+// allow-listed tags, no attributes but a safe href, and no script-capable URL.
+const { describe, test } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const { JSDOM } = require('jsdom');
+
+const dom = new JSDOM('<!DOCTYPE html><body></body>', { url: 'https://keepmemories.example/home.html', runScripts: 'outside-only' });
+const { window } = dom;
+window.eval(fs.readFileSync(path.join(__dirname, '..', '..', 'public', 'rich-text.js'), 'utf8'));
+
+const ALLOWED_TAGS = new Set(['P', 'BR', 'STRONG', 'EM', 'DEL', 'CODE', 'UL', 'OL', 'LI', 'A']);
+const LINK_ATTRIBUTES = new Set(['href', 'target', 'rel']);
+
+function render(text, options) {
+    const el = window.document.createElement('div');
+    window.renderRichText(el, text, options);
+    return el;
+}
+
+function sanitize(html) {
+    const el = window.document.createElement('div');
+    el.appendChild(window.sanitizeHtml(html));
+    return el;
+}
+
+function assertSafe(el, input) {
+    for (const node of el.querySelectorAll('*')) {
+        assert.ok(ALLOWED_TAGS.has(node.tagName), `<${node.tagName}> survived ${JSON.stringify(input)}`);
+        for (const { name, value } of node.attributes) {
+            assert.ok(node.tagName === 'A' && LINK_ATTRIBUTES.has(name), `${name}="${value}" survived ${JSON.stringify(input)}`);
+        }
+        if (node.tagName === 'A') {
+            const { protocol } = new window.URL(node.getAttribute('href'), window.location.href);
+            assert.ok(['http:', 'https:', 'mailto:'].includes(protocol), `href with ${protocol} survived ${JSON.stringify(input)}`);
+            assert.equal(node.getAttribute('rel'), 'noopener noreferrer nofollow');
+        }
+    }
+}
+
+// Payloads typed into a note: all of it must come out as text or a safe link
+const MARKDOWN_PAYLOADS = [
+    '<img src=x onerror=alert(1)>',
+    '<IMG SRC=x OnErRoR=alert(1)>',
+    '<svg><script>alert(1)</script></svg>',
+    '<svg onload=alert(1)>',
+    '<math><mtext><table><mglyph><style><img src=x onerror=alert(1)>',
+    '<math href="javascript:alert(1)">click</math>',
+    '[x](javascript:alert(1))',
+    '[x](JaVaScRiPt:alert(1))',
+    '[x](&#106;avascript:alert(1))',
+    '[x](&#x6A;avascript&#x3A;alert(1))',
+    '[x](java&#x09;script:alert(1))',
+    '[x](data:text/html;base64,PHNjcmlwdD5hbGVydCgxKTwvc2NyaXB0Pg==)',
+    '[x](DATA:text/html,<script>alert(1)</script>)',
+    '[x](vbscript:msgbox(1))',
+    '[**x**](javascript:alert(1))',
+    '[a "onmouseover=alert(1) x="](https://example.com)',
+    '[x](https://example.com/"onmouseover="alert(1))',
+    'https://example.com/"><script>alert(1)</script>',
+    'javascript:alert(1)',
+    '**<b onclick=alert(1)>bold</b>**',
+    '`<script>alert(1)</script>`',
+    '- <img src=x onerror=alert(1)>\n- [x](javascript:alert(1))',
+    '<p style="background:url(javascript:alert(1))">hi</p>',
+    '<a href="javascript:alert(1)">x</a>',
+    '<strong>unclosed <em>tags',
+    '<script>alert(1)',
+    '\u0000<script>alert(1)</script>'
+];
+
+// Raw HTML that could reach sanitizeHtml() by some other path
+const HTML_PAYLOADS = [
+    '<img src=x onerror=alert(1)>',
+    '<svg><script>alert(1)</script></svg>',
+    '<svg><a href="javascript:alert(1)"><text>x</text></a></svg>',
+    '<math><mi xlink:href="javascript:alert(1)">x</mi></math>',
+    '<math><mtext><table><mglyph><style><img src=x onerror=alert(1)>',
+    '<form><math><mtext></form><form><mglyph><style></math><img src onerror=alert(1)>',
+    '<a href="javascript:alert(1)">x</a>',
+    '<a href="JaVaScRiPt:alert(1)">x</a>',
+    '<a href="&#106;&#97;&#118;&#97;&#115;&#99;&#114;&#105;&#112;&#116;&#58;alert(1)">x</a>',
+    '<a href="&#x6A;avascript&colon;alert(1)">x</a>',
+    '<a href="java&#x09;script:alert(1)">x</a>',
+    '<a href="java\nscript:alert(1)">x</a>',
+    '<a href="  javascript:alert(1)">x</a>',
+    '<a href="data:text/html,<script>alert(1)</script>">x</a>',
+    '<a href="DaTa:text/html;base64,PHNjcmlwdD5hbGVydCgxKTwvc2NyaXB0Pg==">x</a>',
+    '<a href="vbscript:msgbox(1)">x</a>',
+    '<a href="https://example.com" onclick="alert(1)" style="color:red" target="_top">ok</a>',
+    '<p style="background:url(javascript:alert(1))" onmouseover="alert(1)">hi</p>',
+    '<strong onmouseover=alert(1)><em onfocus=alert(1) tabindex=0>x</em></strong>',
+    '<div><div><span><img src=x onerror=alert(1)>text</span></div></div>',
+    '<strong><em><script>alert(1)</script>x</em></strong>',
+    '<ul><li><a href="javascript:alert(1)"><strong>deep</strong></a></li></ul>',
+    '<strong>bold <em>both',
+    '<a href="https://example.com">open',
+    '<img src=x onerror=alert(1)',
+    '<script>alert(1)',
+    '<iframe srcdoc="<script>alert(1)</script>"></iframe>',
+    '<template><img src=x onerror=alert(1)></template>',
+    '<noscript><p title="</noscript><img src=x onerror=alert(1)>"></noscript>',
+    '<!--<img src=x onerror=alert(1)>-->',
+    '<style>@import "javascript:alert(1)";</style>',
+    '<form><button formaction="javascript:alert(1)">x</button></form>',
+    '<object data="javascript:alert(1)"></object><embed src="javascript:alert(1)">',
+    '<textarea><img src=x onerror=alert(1)></textarea>',
+    '<title><img src=x onerror=alert(1)></title>',
+    '<p/onclick=alert(1)>x',
+    '<a href=https://example.com/ onmouseover=alert(1)//>x</a>'
+];
+
+describe('renderRichText with hostile Markdown', () => {
+    for (const payload of MARKDOWN_PAYLOADS) {
+        test(JSON.stringify(payload), () => {
+            assertSafe(render(payload), payload);
+            assertSafe(render(payload, { inline: true }), payload);
+        });
+    }
+
+    test('typed HTML is shown as text, not parsed', () => {
+        const el = render('<img src=x onerror=alert(1)>');
+        assert.equal(el.querySelector('img'), null);
+        assert.equal(el.textContent, '<img src=x onerror=alert(1)>');
+    });
+
+    test('a javascript: link keeps its words and loses the link', () => {
+        const el = render('[click me](javascript:void0)');
+        assert.equal(el.querySelector('a'), null);
+        assert.equal(el.textContent, 'click me');
+    });
+
+    test('quotes in a link cannot break out of the href', () => {
+        const el = render('[x](https://example.com/"onmouseover="alert(1))');
+        const link = el.querySelector('a');
+        assert.deepEqual([...link.attributes].map(attribute => attribute.name).sort(), ['href', 'rel', 'target']);
+        assert.ok(link.getAttribute('href').includes('"onmouseover="'));
+    });
+});
+
+describe('sanitizeHtml with hostile HTML', () => {
+    for (const payload of HTML_PAYLOADS) {
+        test(JSON.stringify(payload), () => assertSafe(sanitize(payload), payload));
+    }
+
+    test('script, svg and math are dropped with everything inside them', () => {
+        const el = sanitize('a<svg><text>b</text></svg><math><mi>c</mi></math><script>d</script>e');
+        assert.equal(el.textContent, 'ae');
+    });
+
+    test('unknown tags are unwrapped to their text', () => {
+        assert.equal(sanitize('<div><span>hello</span> <b>there</b></div>').innerHTML, 'hello there');
+    });
+
+    test('safe links keep their href and open in a new tab', () => {
+        const link = sanitize('<a href="https://example.com/x" onclick="alert(1)">x</a>').querySelector('a');
+        assert.equal(link.getAttribute('href'), 'https://example.com/x');
+        assert.equal(link.getAttribute('target'), '_blank');
+        assert.equal(link.hasAttribute('onclick'), false);
+    });
+});
+
+describe('the Markdown subset still works', () => {
+    test('emphasis, code and emoji', () => {
+        assert.equal(render('**b** _i_ ~~s~~ `c` :heart:', { inline: true }).innerHTML,
+            '<strong>b</strong> <em>i</em> <del>s</del> <code>c</code> ❤️');
+    });
+
+    test('lists and paragraphs', () => {
+        assert.equal(render('one\ntwo\n\n- a\n- b\n\n1. c').innerHTML,
+            '<p>one<br>two</p><ul><li>a</li><li>b</li></ul><ol><li>c</li></ol>');
+    });
+
+    test('links', () => {
+        const el = render('[site](https://example.com) and https://example.org/page. and [mail](mailto:us@example.com)');
+        assert.deepEqual([...el.querySelectorAll('a')].map(a => a.getAttribute('href')),
+            ['https://example.com', 'https://example.org/page', 'mailto:us@example.com']);
+    });
+});
@@ -0,0 +1,81 @@
+// pet.js and sunflower.js queue changes and save them one request at a time; live
+// updates from the partner wait while anything is queued. A save the server turns
+// down must not leave the queue stuck - the page drops it and reloads.
+const { describe, test } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const { JSDOM, VirtualConsole } = require('jsdom');
+
+const PUBLIC = path.join(__dirname, '..', '..', 'public');
+
+// The page with its script loaded but not started (DOMContentLoaded has been and gone),
+// the server and the /space channel faked
+async function loadPage(t, page, script, item, saveStatus) {
+    const html = fs.readFileSync(path.join(PUBLIC, page), 'utf8');
+    const dom = new JSDOM(html, { url: 'https://keepmemories.example/' + page, runScripts: 'outside-only', virtualConsole: new VirtualConsole() });
+    const { window } = dom;
+    t.after(() => window.close());
+    await new Promise(resolve => window.document.addEventListener('DOMContentLoaded', resolve));
+    window.localStorage.setItem('currentUserId', 'AAAAAA');
+
+    const server = { item: { name: 'Sunny', level: 3, exp: 10, mood: 'Happy', lastFed: 0, lastWatered: 0, lastFertilized: 0 }, revision: 1, requests: [] };
+    const respond = (status, body) => ({ status, ok: status < 400, json: async () => body });
+    window.authFetch = async (url, options = {}) => {
+        const method = options.method || 'GET';
+        server.requests.push(method);
+        if (method === 'GET') return respond(200, { success: true, data: { [item]: structuredClone(server.item) }, revision: server.revision });
+        if (saveStatus() !== 200) return respond(saveStatus(), { error: 'Nope' });
+        server.item = JSON.parse(options.body).payload;
+        return respond(200, { success: true, revision: ++server.revision });
+    };
+    const handlers = {};
+    window.io = {};
+    window.authSocket = () => ({ on: (event, handler) => { handlers[event] = handler; }, io: { on() {} } });
+    window.eval(fs.readFileSync(path.join(PUBLIC, script), 'utf8'));
+    return { window, server, handlers };
+}
+
+const settle = () => new Promise(resolve => setTimeout(resolve, 20));
+
+for (const { page, script, item, change, load } of [
+    { page: 'pet.html', script: 'pet.js', item: 'pet', change: 'changePet', load: 'loadPetData' },
+    { page: 'sunflower.html', script: 'sunflower.js', item: 'sunflower', change: 'changeSunflower', load: 'loadSunflowerData' }
+]) {
+    describe(script, () => {
+        test('a rejected save reloads and lets live updates through again', async t => {
+            let saveStatus = 400;
+            const { window, server, handlers } = await loadPage(t, page, script, item, () => saveStatus);
+            await window[load]();
+            window.connectSpaceChannel();
+
+            window[change](thing => { thing.exp += 50; });
+            await settle();
+            assert.deepEqual(server.requests, ['GET', 'POST', 'GET'], 'reloads after the failed save');
+            assert.equal(window.document.getElementById('xpText').textContent, '10 / 300 XP', 'shows what the server has');
+
+            // The partner's change now shows straight away
+            server.revision = 2;
+            handlers['space:changed']({ revision: 2, change: { collection: item, value: { ...server.item, exp: 70 } } });
+            assert.equal(window.document.getElementById('xpText').textContent, '70 / 300 XP');
+
+            // And saving works again once the server does
+            saveStatus = 200;
+            window[change](thing => { thing.exp += 5; });
+            await settle();
+            assert.equal(server.item.exp, 75);
+        });
+
+        test('so does one that never arrives', async t => {
+            const { window, server, handlers } = await loadPage(t, page, script, item, () => 200);
+            await window[load]();
+            window.connectSpaceChannel();
+            window.authFetch = async () => { throw new TypeError('Failed to fetch'); };
+
+            window[change](thing => { thing.exp += 50; });
+            await settle();
+            handlers['space:changed']({ revision: 2, change: { collection: item, value: { ...server.item, exp: 70 } } });
+            assert.equal(window.document.getElementById('xpText').textContent, '70 / 300 XP');
+        });
+    });
+}
@@ -0,0 +1,101 @@
+// Photo albums: names are unique per space, the cover has to be one of the
+// album's own photos, and deleting an album unfiles its photos - trashed ones too.
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { PNG } = require('pngjs');
+const { startServer, register } = require('../helpers');
+
+let server;
+before(async () => { server = await startServer(); });
+after(() => server.stop());
+
+function png(shade) {
+    const image = new PNG({ width: 4, height: 4 });
+    image.data.fill(shade);
+    return PNG.sync.write(image);
+}
+
+async function uploadPhoto(user, buffer) {
+    const form = new FormData();
+    form.append('photo', new Blob([buffer]), 'photo.png');
+    const response = await fetch(`${server.url}/api/spaces/SPACE_${user.userId}/images`, {
+        method: 'POST', headers: { Authorization: `Bearer ${user.token}` }, body: form
+    });
+    const body = await response.json();
+    assert.equal(response.status, 200, body.error);
+    return body.image;
+}
+
+const space = user => `/api/spaces/SPACE_${user.userId}`;
+const dataOf = async user => (await server.request('GET', `/api/data/${user.userId}`, { token: user.token })).body.data;
+const createAlbum = (user, name) => server.request('POST', `${space(user)}/albums`, { token: user.token, body: { name } });
+const fileUnder = (user, photo, albumIds) => server.request('PATCH', `${space(user)}/images/${photo.id}`, { token: user.token, body: { albumIds } });
+
+test('creating an album', async () => {
+    const user = await register(server);
+    const { status, body } = await createAlbum(user, '  First trip ');
+    assert.equal(status, 200);
+    assert.equal(body.album.name, 'First trip');
+    assert.equal(body.album.coverImageId, null);
+    assert.equal(body.album.authorId, user.userId);
+    assert.deepEqual((await dataOf(user)).albums, [body.album]);
+
+    assert.equal((await createAlbum(user, 'first TRIP')).status, 400, 'names are unique, whatever the case');
+    assert.equal((await createAlbum(user, '')).status, 400);
+    assert.equal((await createAlbum(user, 'x'.repeat(61))).status, 400);
+});
+
+test('renaming an album', async () => {
+    const user = await register(server);
+    const { body: { album } } = await createAlbum(user, 'Beach');
+    await createAlbum(user, 'Mountains');
+    const rename = (name, extra = {}) => server.request('PATCH', `${space(user)}/albums/${album.id}`, { token: user.token, body: { name, ...extra } });
+
+    assert.equal((await rename('mountains')).status, 400, 'taken by the other album');
+    assert.equal((await rename('BEACH')).status, 200, 'its own name in another case is fine');
+    const { status, body } = await rename('Seaside');
+    assert.equal(status, 200);
+    assert.equal(body.album.name, 'Seaside');
+    assert.equal((await rename('Again', { baseRevision: body.revision - 1 })).status, 409);
+    assert.equal((await server.request('PATCH', `${space(user)}/albums/nope`, { token: user.token, body: { name: 'x' } })).status, 404);
+});
+
+test('the cover has to be a photo in the album, from the same space', async () => {
+    const [user, other] = [await register(server, 'user'), await register(server, 'other')];
+    const { body: { album } } = await createAlbum(user, 'Cover test');
+    const [inside, outside] = [await uploadPhoto(user, png(80)), await uploadPhoto(user, png(90))];
+    const elsewhere = await uploadPhoto(other, png(100));
+    await fileUnder(user, inside, [album.id]);
+    const setCover = coverImageId => server.request('PATCH', `${space(user)}/albums/${album.id}`, { token: user.token, body: { coverImageId } });
+
+    assert.equal((await setCover(outside.id)).status, 400, 'not in the album');
+    assert.equal((await setCover(elsewhere.id)).status, 400, "another space's photo");
+    assert.equal((await setCover('nope')).status, 400);
+    assert.equal((await setCover(inside.id)).body.album.coverImageId, inside.id);
+    assert.equal((await setCover(null)).body.album.coverImageId, null);
+});
+
+test("photos can only be filed under their own space's albums", async () => {
+    const [user, other] = [await register(server, 'user'), await register(server, 'other')];
+    const { body: { album: foreign } } = await createAlbum(other, 'Theirs');
+    const photo = await uploadPhoto(user, png(110));
+    assert.equal((await fileUnder(user, photo, [foreign.id])).status, 400);
+});
+
+test('deleting an album unfiles its photos, in the trash too, and keeps them', async () => {
+    const user = await register(server);
+    const [{ body: { album: gone } }, { body: { album: kept } }] = [await createAlbum(user, 'Gone'), await createAlbum(user, 'Kept')];
+    const [live, trashed] = [await uploadPhoto(user, png(120)), await uploadPhoto(user, png(130))];
+    await fileUnder(user, live, [gone.id, kept.id]);
+    await fileUnder(user, trashed, [gone.id]);
+    await server.request('DELETE', `${space(user)}/images/${trashed.id}`, { token: user.token });
+
+    const { status } = await server.request('DELETE', `${space(user)}/albums/${gone.id}`, { token: user.token });
+    assert.equal(status, 200);
+
+    const data = await dataOf(user);
+    assert.deepEqual(data.albums.map(album => album.id), [kept.id]);
+    assert.deepEqual(data.images.map(image => [image.id, image.albumIds]), [[live.id, [kept.id]]]);
+    assert.deepEqual(data.trash.map(entry => [entry.item.id, entry.item.albumIds]), [[trashed.id, []]]);
+    assert.equal((await server.request('DELETE', `${space(user)}/albums/${gone.id}`, { token: user.token })).status, 404);
+});
@@ -0,0 +1,140 @@
+// Reactions and replies on notes and photos, and the notifications they send:
+// each partner counts once per emoji, replies have a length limit and can only be
+// taken back by whoever wrote them, and only the partner gets notified.
+const { describe, test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startServer, register } = require('../helpers');
+
+let server;
+before(async () => { server = await startServer(); });
+after(() => server.stop());
+
+// Two linked accounts sharing a's space, with a note from a in it
+async function couple() {
+    const [a, b] = [await register(server, 'a'), await register(server, 'b')];
+    await server.request('POST', '/api/invite', { token: a.token, body: { targetId: b.userId } });
+    await server.request('POST', '/api/invite/respond', { token: b.token, body: { accept: true } });
+    const { body: { note } } = await server.request('POST', `/api/spaces/SPACE_${a.userId}/notes`, { token: a.token, body: { text: 'Dinner tonight?' } });
+    return { a, b, item: `/api/spaces/SPACE_${a.userId}/notes/${note.id}`, note };
+}
+
+const react = (user, item, emoji, method = 'PUT') => server.request(method, `${item}/reactions/${encodeURIComponent(emoji)}`, { token: user.token });
+const reply = (user, item, text) => server.request('POST', `${item}/replies`, { token: user.token, body: { text } });
+const unread = async user => (await server.request('GET', `/api/notifications/${user.userId}`, { token: user.token })).body.notifications;
+
+describe('reactions', () => {
+    test('each partner counts once per emoji', async () => {
+        const { a, b, item } = await couple();
+        await react(b, item, '❤️');
+        const { status, body } = await react(b, item, '❤️');
+        assert.equal(status, 200);
+        assert.deepEqual(body.item.reactions, { '❤️': [b.userId] });
+
+        const both = await react(a, item, '❤️');
+        assert.deepEqual(both.body.item.reactions, { '❤️': [b.userId, a.userId] });
+        assert.equal((await unread(a)).length, 1, 'the repeat sent a second notification');
+    });
+
+    test('taking one back only takes your own', async () => {
+        const { a, b, item } = await couple();
+        await react(a, item, '😂');
+        await react(b, item, '😂');
+        assert.deepEqual((await react(b, item, '😂', 'DELETE')).body.item.reactions, { '😂': [a.userId] });
+        assert.deepEqual((await react(a, item, '😂', 'DELETE')).body.item.reactions, {});
+        assert.equal((await react(a, item, '😂', 'DELETE')).status, 200, 'nothing to take back is fine');
+    });
+
+    test('only emoji, and only on notes and photos', async () => {
+        const { a, item, note } = await couple();
+        assert.equal((await react(a, item, 'lol')).status, 400);
+        assert.equal((await react(a, item, '<b>')).status, 400);
+        const onDates = await server.request('PUT', `/api/spaces/SPACE_${a.userId}/dates/${note.id}/reactions/${encodeURIComponent('❤️')}`, { token: a.token });
+        assert.equal(onDates.status, 404);
+        assert.equal((await react(a, `/api/spaces/SPACE_${a.userId}/notes/nope`, '❤️')).status, 404);
+    });
+
+    test("can't be left on another couple's things", async () => {
+        const { item } = await couple();
+        const stranger = await register(server, 'stranger');
+        assert.equal((await react(stranger, item, '❤️')).status, 403);
+    });
+});
+
+describe('replies', () => {
+    test('record who wrote them and when', async () => {
+        const { b, item } = await couple();
+        const before = Date.now();
+        const { status, body } = await reply(b, item, '  Yes please!  ');
+        assert.equal(status, 200);
+        assert.equal(body.reply.text, 'Yes please!');
+        assert.equal(body.reply.authorId, b.userId);
+        assert.ok(body.reply.createdAt >= before);
+        assert.deepEqual(body.item.replies, [body.reply]);
+    });
+
+    test('have to say something, in at most 1000 characters', async () => {
+        const { a, item } = await couple();
+        assert.equal((await reply(a, item, '   ')).status, 400);
+        assert.equal((await reply(a, item, 42)).status, 400);
+        assert.equal((await reply(a, item, 'x'.repeat(1001))).status, 400);
+        assert.equal((await reply(a, item, 'x'.repeat(1000))).status, 200);
+    });
+
+    test('can only be deleted by whoever wrote them', async () => {
+        const { a, b, item } = await couple();
+        const { body: { reply: mine } } = await reply(b, item, 'mine');
+        assert.equal((await server.request('DELETE', `${item}/replies/${mine.id}`, { token: a.token })).status, 403);
+        const { status, body } = await server.request('DELETE', `${item}/replies/${mine.id}`, { token: b.token });
+        assert.equal(status, 200);
+        assert.deepEqual(body.item.replies, []);
+        assert.equal((await server.request('DELETE', `${item}/replies/${mine.id}`, { token: b.token })).status, 404);
+    });
+});
+
+describe('notifications', () => {
+    test('go to the partner, never to whoever acted', async () => {
+        const { a, b, item, note } = await couple();
+        await reply(b, item, 'On my way');
+        await react(b, item, '🥰');
+
+        const notifications = await unread(a);
+        assert.deepEqual(notifications.map(notification => [notification.type, notification.text]), [['reaction', '🥰'], ['reply', 'On my way']]);
+        for (const notification of notifications) {
+            assert.equal(notification.fromId, b.userId);
+            assert.equal(notification.collection, 'notes');
+            assert.equal(notification.itemId, note.id);
+        }
+        assert.deepEqual(await unread(b), []);
+    });
+
+    test('nobody is notified in a space of your own', async () => {
+        const user = await register(server);
+        const { body: { note } } = await server.request('POST', `/api/spaces/SPACE_${user.userId}/notes`, { token: user.token, body: { text: 'solo' } });
+        await reply(user, `/api/spaces/SPACE_${user.userId}/notes/${note.id}`, 'talking to myself');
+        assert.deepEqual(await unread(user), []);
+    });
+
+    test('a long reply is cut short in the notification', async () => {
+        const { a, b, item } = await couple();
+        await reply(b, item, 'y'.repeat(500));
+        assert.equal((await unread(a))[0].text.length, 140);
+    });
+
+    test('marking them read clears the unread list, for the caller only', async () => {
+        const { a, b, item } = await couple();
+        await reply(b, item, 'one');
+        await reply(a, item, 'two');
+
+        assert.equal((await server.request('POST', '/api/notifications/read', { token: a.token })).status, 200);
+        assert.deepEqual(await unread(a), []);
+        assert.equal((await unread(b)).length, 1);
+        assert.equal((await server.request('POST', '/api/notifications/read', { token: a.token })).status, 200, 'again is fine');
+        assert.equal((await server.request('POST', '/api/notifications/read')).status, 401);
+    });
+
+    test("can't be read from someone else's account", async () => {
+        const { a } = await couple();
+        const stranger = await register(server, 'stranger');
+        assert.equal((await server.request('GET', `/api/notifications/${a.userId}`, { token: stranger.token })).status, 403);
+    });
+});
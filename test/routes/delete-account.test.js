@@ -0,0 +1,26 @@
+// DELETE /api/user: when the account that owned the shared space goes, the partner
+// keeps it - merged with everything they had in their own space before linking up.
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startServer, register } = require('../helpers');
+
+let server;
+before(async () => { server = await startServer(); });
+after(() => server.stop());
+
+test("the partner's letters from before they linked up survive", async () => {
+    const [a, b] = [await register(server, 'a'), await register(server, 'b')];
+    const unlockDate = new Date(Date.now() + 30 * 24 * 60 * 60 * 1000).toISOString().slice(0, 10);
+    const { status } = await server.request('POST', `/api/spaces/SPACE_${b.userId}/letters`, {
+        token: b.token, body: { title: 'For us', body: 'written before we met', unlockDate }
+    });
+    assert.equal(status, 200);
+
+    await server.request('POST', '/api/invite', { token: a.token, body: { targetId: b.userId } });
+    await server.request('POST', '/api/invite/respond', { token: b.token, body: { accept: true } });
+    assert.equal((await server.request('DELETE', '/api/user', { token: a.token, body: { password: 'correct horse' } })).status, 200);
+
+    const { body } = await server.request('GET', `/api/data/${b.userId}`, { token: b.token });
+    assert.equal(body.spaceId, `SPACE_${b.userId}`);
+    assert.deepEqual(body.data.letters.map(letter => letter.title), ['For us']);
+});
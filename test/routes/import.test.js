@@ -0,0 +1,61 @@
+// POST /api/spaces/:spaceId/import: 'replace' also deletes the files of the photos
+// it threw out, unless something else still uses them.
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const { PNG } = require('pngjs');
+const { startServer, register } = require('../helpers');
+
+let server;
+before(async () => { server = await startServer(); });
+after(() => server.stop());
+
+function png(shade) {
+    const image = new PNG({ width: 4, height: 4 });
+    image.data.fill(shade);
+    return PNG.sync.write(image);
+}
+
+async function post(route, token, field, buffer, fields = {}) {
+    const form = new FormData();
+    form.append(field, new Blob([buffer]), 'upload');
+    for (const [name, value] of Object.entries(fields)) form.append(name, value);
+    const response = await fetch(server.url + route, { method: 'POST', headers: { Authorization: `Bearer ${token}` }, body: form });
+    return { status: response.status, body: await response.json() };
+}
+
+const uploadPhoto = async (user, buffer) => (await post(`/api/spaces/SPACE_${user.userId}/images`, user.token, 'photo', buffer)).body.image;
+
+async function exportSpace(user) {
+    const response = await fetch(`${server.url}/api/spaces/SPACE_${user.userId}/export`, { headers: { Authorization: `Bearer ${user.token}` } });
+    assert.equal(response.status, 200);
+    return Buffer.from(await response.arrayBuffer());
+}
+
+const blobExists = hash => fs.existsSync(path.join(server.dataDir, 'blobs', hash.slice(0, 2), hash));
+
+test("replacing a space deletes the old photos' files", async () => {
+    const [alice, bob, carol] = [await register(server, 'alice'), await register(server, 'bob'), await register(server, 'carol')];
+    const old = await uploadPhoto(alice, png(10));
+    const shared = await uploadPhoto(alice, png(20));
+    await uploadPhoto(carol, png(20)); // Same file in another space
+    await uploadPhoto(bob, png(30));
+
+    const { status, body } = await post(`/api/spaces/SPACE_${alice.userId}/import`, alice.token, 'archive', await exportSpace(bob), { mode: 'replace' });
+    assert.equal(status, 200);
+    assert.equal(body.added.images, 1);
+
+    assert.equal(blobExists(old.hash), false, 'the replaced photo is still on disk');
+    assert.equal(blobExists(shared.hash), true, "carol's copy of the photo was deleted");
+});
+
+test('merging keeps every photo', async () => {
+    const [alice, bob] = [await register(server, 'alice'), await register(server, 'bob')];
+    const mine = await uploadPhoto(alice, png(40));
+    await uploadPhoto(bob, png(50));
+
+    const { status } = await post(`/api/spaces/SPACE_${alice.userId}/import`, alice.token, 'archive', await exportSpace(bob));
+    assert.equal(status, 200);
+    assert.equal(blobExists(mine.hash), true);
+});
@@ -0,0 +1,207 @@
+// Notes, dates and photos are added, edited and deleted one item at a time, by id:
+// partners adding things at once never lose each other's, and an edit based on
+// an old revision of the space is turned down with a 409 and the current state.
+const { describe, test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { PNG } = require('pngjs');
+const { startServer, register } = require('../helpers');
+
+let server;
+before(async () => { server = await startServer(); });
+after(() => server.stop());
+
+// Two accounts linked through the invite flow, sharing a's space
+async function couple() {
+    const [a, b] = [await register(server, 'a'), await register(server, 'b')];
+    await server.request('POST', '/api/invite', { token: a.token, body: { targetId: b.userId } });
+    await server.request('POST', '/api/invite/respond', { token: b.token, body: { accept: true } });
+    return [a, b, `/api/spaces/SPACE_${a.userId}`];
+}
+
+const dataOf = async user => (await server.request('GET', `/api/data/${user.userId}`, { token: user.token })).body.data;
+
+// A request with an If-Match header, which server.request() doesn't send
+async function withIfMatch(method, route, token, ifMatch, body) {
+    const response = await fetch(server.url + route, {
+        method,
+        headers: { Authorization: `Bearer ${token}`, 'Content-Type': 'application/json', 'If-Match': ifMatch },
+        body: JSON.stringify(body)
+    });
+    return { status: response.status, body: await response.json() };
+}
+
+describe('notes', () => {
+    test('are created with an id, their author and the new revision', async () => {
+        const [a, , space] = await couple();
+        const { revision } = await dataOf(a);
+        const { status, body } = await server.request('POST', `${space}/notes`, {
+            token: a.token, body: { text: '  Dinner?  ', pinned: true, color: 'pink', tags: ['food'] }
+        });
+        assert.equal(status, 200);
+        assert.ok(body.note.id);
+        assert.equal(body.note.text, 'Dinner?');
+        assert.equal(body.note.authorId, a.userId);
+        assert.equal(body.note.pinned, true);
+        assert.equal(body.note.color, 'pink');
+        assert.deepEqual(body.note.tags, ['food']);
+        assert.equal(body.revision, revision + 1);
+        assert.deepEqual((await dataOf(a)).notes, [body.note]);
+    });
+
+    test('have to be valid', async () => {
+        const [a, , space] = await couple();
+        const create = body => server.request('POST', `${space}/notes`, { token: a.token, body });
+        assert.equal((await create({ text: '   ' })).status, 400);
+        assert.equal((await create({ text: 'x'.repeat(2001) })).status, 400);
+        assert.equal((await create({ text: 'hi', pinned: 'yes' })).status, 400);
+        assert.equal((await create({ text: 'hi', color: 'plaid' })).status, 400);
+        assert.equal((await create({ text: 'hi', tags: 'not a list' })).status, 400);
+        assert.deepEqual((await dataOf(a)).notes, []);
+    });
+
+    test('added by both partners at once are all kept', async () => {
+        const [a, b, space] = await couple();
+        const added = await Promise.all([
+            ...[1, 2, 3].map(i => server.request('POST', `${space}/notes`, { token: a.token, body: { text: `from a ${i}` } })),
+            ...[1, 2, 3].map(i => server.request('POST', `${space}/notes`, { token: b.token, body: { text: `from b ${i}` } }))
+        ]);
+        assert.ok(added.every(({ status }) => status === 200));
+        const texts = (await dataOf(b)).notes.map(note => note.text).sort();
+        assert.deepEqual(texts, ['from a 1', 'from a 2', 'from a 3', 'from b 1', 'from b 2', 'from b 3']);
+    });
+
+    test('only the author can change the words; either partner can pin, colour and tag', async () => {
+        const [a, b, space] = await couple();
+        const { body: { note } } = await server.request('POST', `${space}/notes`, { token: a.token, body: { text: 'mine' } });
+        const edit = (user, body) => server.request('PATCH', `${space}/notes/${note.id}`, { token: user.token, body });
+
+        assert.equal((await edit(b, { text: 'yours now' })).status, 403);
+        const styled = await edit(b, { pinned: true, color: 'blue', tags: ['us'] });
+        assert.equal(styled.status, 200);
+        assert.equal(styled.body.note.text, 'mine');
+        assert.equal(styled.body.note.editedAt, null, 'styling is not an edit');
+
+        const edited = await edit(a, { text: 'still mine' });
+        assert.equal(edited.status, 200);
+        assert.equal(edited.body.note.text, 'still mine');
+        assert.ok(edited.body.note.editedAt);
+        assert.equal(edited.body.note.pinned, true);
+        assert.equal((await edit(a, {})).status, 400, 'nothing to change');
+        assert.equal((await server.request('PATCH', `${space}/notes/nope`, { token: a.token, body: { pinned: true } })).status, 404);
+    });
+
+    test('deleting moves the note to the trash', async () => {
+        const [a, b, space] = await couple();
+        const { body: { note } } = await server.request('POST', `${space}/notes`, { token: a.token, body: { text: 'bye' } });
+        const { status, body } = await server.request('DELETE', `${space}/notes/${note.id}`, { token: b.token });
+        assert.equal(status, 200);
+        assert.equal(body.trashed.id, note.id);
+        const data = await dataOf(a);
+        assert.deepEqual(data.notes, []);
+        assert.equal(data.revision, body.revision);
+        assert.equal((await server.request('DELETE', `${space}/notes/${note.id}`, { token: b.token })).status, 404);
+    });
+});
+
+describe('an edit based on an old revision', () => {
+    test('is a 409 with the current state, through baseRevision', async () => {
+        const [a, b, space] = await couple();
+        const { body: { note, revision } } = await server.request('POST', `${space}/notes`, { token: a.token, body: { text: 'plan' } });
+        await server.request('POST', `${space}/notes`, { token: b.token, body: { text: 'meanwhile' } });
+
+        const { status, body } = await server.request('PATCH', `${space}/notes/${note.id}`, {
+            token: a.token, body: { text: 'new plan', baseRevision: revision }
+        });
+        assert.equal(status, 409);
+        assert.equal(body.revision, revision + 1);
+        assert.deepEqual(body.data.notes.map(item => item.text), ['meanwhile', 'plan']);
+        assert.equal((await dataOf(a)).notes[1].text, 'plan', 'the edit was applied anyway');
+
+        const retried = await server.request('PATCH', `${space}/notes/${note.id}`, {
+            token: a.token, body: { text: 'new plan', baseRevision: body.revision }
+        });
+        assert.equal(retried.status, 200);
+    });
+
+    test('is a 409 through If-Match too, and "*" always matches', async () => {
+        const [a, , space] = await couple();
+        const { body: { date, revision } } = await server.request('POST', `${space}/dates`, { token: a.token, body: { date: '2024-02-14', label: 'First date' } });
+        const route = `${space}/dates/${date.id}`;
+
+        assert.equal((await withIfMatch('PATCH', route, a.token, `"${revision - 1}"`, { label: 'Stale' })).status, 409);
+        const current = await withIfMatch('PATCH', route, a.token, `W/"${revision}"`, { label: 'Current' });
+        assert.equal(current.status, 200);
+        assert.equal(current.body.date.label, 'Current');
+        assert.equal((await withIfMatch('PATCH', route, a.token, '*', { label: 'Anything' })).status, 200);
+    });
+
+    test('does not stop adding or deleting', async () => {
+        const [a, , space] = await couple();
+        const { body: { note } } = await server.request('POST', `${space}/notes`, { token: a.token, body: { text: 'old' } });
+        assert.equal((await server.request('POST', `${space}/notes`, { token: a.token, body: { text: 'new', baseRevision: 0 } })).status, 200);
+        assert.equal((await server.request('DELETE', `${space}/notes/${note.id}`, { token: a.token, body: { baseRevision: 0 } })).status, 200);
+    });
+});
+
+describe('dates', () => {
+    test('are kept in date order, and an edit can change either field', async () => {
+        const [a, , space] = await couple();
+        const add = async (date, label) => (await server.request('POST', `${space}/dates`, { token: a.token, body: { date, label } })).body.date;
+        const later = await add('2025-06-01', 'Trip');
+        await add('2024-01-01', 'Met');
+        assert.deepEqual((await dataOf(a)).dates.map(item => item.label), ['Met', 'Trip']);
+
+        const moved = await server.request('PATCH', `${space}/dates/${later.id}`, { token: a.token, body: { date: '2023-05-05' } });
+        assert.equal(moved.status, 200);
+        assert.equal(moved.body.date.label, 'Trip', 'the label was kept');
+        assert.deepEqual((await dataOf(a)).dates.map(item => item.label), ['Trip', 'Met']);
+    });
+
+    test('have to be valid', async () => {
+        const [a, , space] = await couple();
+        const add = body => server.request('POST', `${space}/dates`, { token: a.token, body });
+        assert.equal((await add({ date: '2024-13-45', label: 'x' })).status, 400);
+        assert.equal((await add({ date: 'tomorrow', label: 'x' })).status, 400);
+        assert.equal((await add({ date: '2024-01-01', label: ' ' })).status, 400);
+        assert.equal((await add({ date: '2024-01-01', label: 'x'.repeat(101) })).status, 400);
+        assert.deepEqual((await dataOf(a)).dates, []);
+    });
+});
+
+describe('photos', () => {
+    test('are captioned, tagged and filed by id', async () => {
+        const [a, b, space] = await couple();
+        const image = new PNG({ width: 4, height: 4 });
+        image.data.fill(200);
+        const form = new FormData();
+        form.append('photo', new Blob([PNG.sync.write(image)]), 'photo.png');
+        form.append('caption', 'Sunset');
+        const response = await fetch(`${server.url}${space}/images`, { method: 'POST', headers: { Authorization: `Bearer ${a.token}` }, body: form });
+        const { image: photo } = await response.json();
+        assert.equal(response.status, 200);
+        assert.equal(photo.caption, 'Sunset');
+        assert.equal(photo.uploaderId, a.userId);
+
+        const edit = body => server.request('PATCH', `${space}/images/${photo.id}`, { token: b.token, body });
+        const { status, body } = await edit({ caption: 'Sunset at the lake', tags: ['lake'] });
+        assert.equal(status, 200);
+        assert.equal(body.image.caption, 'Sunset at the lake');
+        assert.deepEqual(body.image.tags, ['lake']);
+        assert.equal((await edit({ caption: 'x'.repeat(201) })).status, 400);
+        assert.equal((await edit({})).status, 400);
+        assert.equal((await edit({ caption: 'Stale', baseRevision: body.revision - 1 })).status, 409);
+        assert.deepEqual((await dataOf(a)).images, [body.image]);
+    });
+});
+
+test("another couple's space is off limits", async () => {
+    const [a, , space] = await couple();
+    const stranger = await register(server, 'stranger');
+    const { body: { note } } = await server.request('POST', `${space}/notes`, { token: a.token, body: { text: 'ours' } });
+
+    assert.equal((await server.request('POST', `${space}/notes`, { token: stranger.token, body: { text: 'hi' } })).status, 403);
+    assert.equal((await server.request('PATCH', `${space}/notes/${note.id}`, { token: stranger.token, body: { pinned: true } })).status, 403);
+    assert.equal((await server.request('DELETE', `${space}/notes/${note.id}`, { token: stranger.token })).status, 403);
+    assert.equal((await server.request('POST', `${space}/notes`, { body: { text: 'hi' } })).status, 401);
+    assert.deepEqual((await dataOf(a)).notes, [note]);
+});
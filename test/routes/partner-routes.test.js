@@ -0,0 +1,153 @@
+// Invite, notification, disconnect and save-data routes: every one needs a token,
+// and the acting user always comes from that token - never from the URL or body.
+const { describe, test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startServer, register } = require('../helpers');
+
+let server;
+before(async () => { server = await startServer(); });
+after(() => server.stop());
+
+const userOf = async account => (await server.request('GET', `/api/data/${account.userId}`, { token: account.token })).body;
+
+// Two accounts linked through the invite flow
+async function couple() {
+    const [a, b] = [await register(server, 'a'), await register(server, 'b')];
+    await server.request('POST', '/api/invite', { token: a.token, body: { targetId: b.userId } });
+    await server.request('POST', '/api/invite/respond', { token: b.token, body: { accept: true } });
+    return [a, b];
+}
+
+describe('POST /api/invite', () => {
+    test('needs a token', async () => {
+        const victim = await register(server, 'victim');
+        const { status } = await server.request('POST', '/api/invite', { body: { userId: 'ANYONE', targetId: victim.userId } });
+        assert.equal(status, 401);
+    });
+
+    test('sends the invite from the token owner, whatever the body says', async () => {
+        const [mallory, alice, bob] = [await register(server, 'mallory'), await register(server, 'alice'), await register(server, 'bob')];
+        const { status } = await server.request('POST', '/api/invite', {
+            token: mallory.token, body: { userId: alice.userId, targetId: bob.userId }
+        });
+        assert.equal(status, 200);
+
+        const { body } = await server.request('GET', `/api/notifications/${bob.userId}`, { token: bob.token });
+        assert.equal(body.pendingInvite.fromId, mallory.userId);
+    });
+});
+
+describe('GET /api/notifications/:userId', () => {
+    test('needs a token', async () => {
+        const user = await register(server);
+        assert.equal((await server.request('GET', `/api/notifications/${user.userId}`)).status, 401);
+    });
+
+    test("won't show someone else's notifications", async () => {
+        const [mallory, alice] = [await register(server, 'mallory'), await register(server, 'alice')];
+        const { status, body } = await server.request('GET', `/api/notifications/${alice.userId}`, { token: mallory.token });
+        assert.equal(status, 403);
+        assert.equal(body.pendingInvite, undefined);
+    });
+
+    test('shows your own', async () => {
+        const user = await register(server);
+        const { status, body } = await server.request('GET', `/api/notifications/${user.userId}`, { token: user.token });
+        assert.equal(status, 200);
+        assert.equal(body.pendingInvite, null);
+    });
+});
+
+describe('POST /api/invite/respond', () => {
+    test('needs a token', async () => {
+        assert.equal((await server.request('POST', '/api/invite/respond', { body: { userId: 'ANYONE', accept: true } })).status, 401);
+    });
+
+    test("can't accept someone else's invite", async () => {
+        const [mallory, alice, bob] = [await register(server, 'mallory'), await register(server, 'alice'), await register(server, 'bob')];
+        await server.request('POST', '/api/invite', { token: alice.token, body: { targetId: bob.userId } });
+
+        const { status } = await server.request('POST', '/api/invite/respond', {
+            token: mallory.token, body: { userId: bob.userId, accept: true }
+        });
+        assert.equal(status, 400, "mallory has no invite to answer");
+
+        const bobNow = await userOf(bob);
+        assert.equal(bobNow.partnerId, null);
+        const { body } = await server.request('GET', `/api/notifications/${bob.userId}`, { token: bob.token });
+        assert.equal(body.pendingInvite.fromId, alice.userId, "bob's invite is still waiting");
+    });
+
+    test('links the token owner into the sender\'s space', async () => {
+        const [a, b] = await couple();
+        const [aNow, bNow] = [await userOf(a), await userOf(b)];
+        assert.equal(bNow.partnerId, a.userId);
+        assert.equal(aNow.partnerId, b.userId);
+        assert.equal(bNow.spaceId, aNow.spaceId);
+    });
+});
+
+describe('POST /api/disconnect', () => {
+    test('needs a token', async () => {
+        assert.equal((await server.request('POST', '/api/disconnect', { body: { userId: 'ANYONE' } })).status, 401);
+    });
+
+    test("can't break up someone else's couple", async () => {
+        const mallory = await register(server, 'mallory');
+        const [a, b] = await couple();
+
+        const { status } = await server.request('POST', '/api/disconnect', { token: mallory.token, body: { userId: a.userId } });
+        assert.equal(status, 400, "mallory has no partner to leave");
+        assert.equal((await userOf(a)).partnerId, b.userId);
+        assert.equal((await userOf(b)).partnerId, a.userId);
+    });
+
+    test('disconnects the token owner and their partner', async () => {
+        const [a, b] = await couple();
+        assert.equal((await server.request('POST', '/api/disconnect', { token: b.token })).status, 200);
+
+        const [aNow, bNow] = [await userOf(a), await userOf(b)];
+        assert.equal(aNow.partnerId, null);
+        assert.equal(bNow.partnerId, null);
+        assert.equal(bNow.spaceId, `SPACE_${b.userId}`);
+    });
+
+    test('survives a password change that was hashing while it ran', async () => {
+        const [a, b] = await couple();
+        const passwordChange = server.request('POST', '/api/user/password', {
+            token: a.token, body: { currentPassword: 'correct horse', newPassword: 'battery staple' }
+        });
+        await new Promise(resolve => setTimeout(resolve, 20)); // bcrypt takes far longer than this
+        assert.equal((await server.request('POST', '/api/disconnect', { token: b.token })).status, 200);
+        assert.equal((await passwordChange).status, 200);
+
+        const aNow = await userOf(a);
+        assert.equal(aNow.partnerId, null);
+        assert.equal(aNow.spaceId, `SPACE_${a.userId}`);
+    });
+});
+
+describe('POST /api/data/:userId', () => {
+    const pet = { name: 'Mochi', level: 4, exp: 10, mood: 'Happy', lastFed: 0 };
+
+    test('needs a token', async () => {
+        const user = await register(server);
+        assert.equal((await server.request('POST', `/api/data/${user.userId}`, { body: { type: 'pet', payload: pet } })).status, 401);
+    });
+
+    test("won't write into someone else's space", async () => {
+        const [mallory, alice] = [await register(server, 'mallory'), await register(server, 'alice')];
+        const { status } = await server.request('POST', `/api/data/${alice.userId}`, {
+            token: mallory.token, body: { type: 'pet', payload: pet }
+        });
+        assert.equal(status, 403);
+        assert.equal((await userOf(alice)).data.pet.name, 'Lovebug');
+    });
+
+    test('saves into your own space', async () => {
+        const user = await register(server);
+        const { status } = await server.request('POST', `/api/data/${user.userId}`, { token: user.token, body: { type: 'pet', payload: pet } });
+        assert.equal(status, 200);
+        assert.equal((await userOf(user)).data.pet.name, 'Mochi');
+    });
+});
@@ -0,0 +1,123 @@
+// Profiles: the login handle is unique ignoring case and can be changed, the
+// display name is what everyone else sees, and an uploaded avatar replaces the
+// default picture - its old file goes when it's replaced or removed.
+const { describe, test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const { PNG } = require('pngjs');
+const { startServer, register } = require('../helpers');
+
+let server;
+before(async () => { server = await startServer(); });
+after(() => server.stop());
+
+const profileOf = async user => (await server.request('GET', `/api/data/${user.userId}`, { token: user.token })).body;
+const updateProfile = (user, body) => server.request('PATCH', '/api/user/profile', { token: user.token, body });
+const login = username => server.request('POST', '/api/login', { body: { username, password: 'correct horse' } });
+const blobExists = hash => fs.existsSync(path.join(server.dataDir, 'blobs', hash.slice(0, 2), hash));
+
+async function uploadAvatar(user, buffer) {
+    const form = new FormData();
+    form.append('photo', new Blob([buffer]), 'avatar.png');
+    const response = await fetch(`${server.url}/api/user/avatar`, { method: 'POST', headers: { Authorization: `Bearer ${user.token}` }, body: form });
+    return { status: response.status, body: await response.json() };
+}
+
+function png(shade) {
+    const image = new PNG({ width: 8, height: 8 });
+    image.data.fill(shade);
+    return PNG.sync.write(image);
+}
+
+describe('login handles', () => {
+    test('are unique ignoring case, when registering too', async () => {
+        const user = await register(server);
+        const { status } = await server.request('POST', '/api/register', { body: { username: user.username.toUpperCase(), password: 'correct horse' } });
+        assert.equal(status, 400);
+        const other = await register(server, 'other');
+        assert.equal((await updateProfile(other, { username: user.username.toUpperCase() })).status, 400);
+        assert.equal((await profileOf(other)).username, other.username);
+    });
+
+    test('have to be 3-30 letters, numbers, dots, dashes or underscores', async () => {
+        const user = await register(server);
+        for (const username of ['ab', 'x'.repeat(31), 'has space', 'semi;colon', '']) {
+            assert.equal((await updateProfile(user, { username })).status, 400, username);
+        }
+        assert.equal((await updateProfile(user, { username: `မြ.${user.userId}_-` })).status, 200, 'letters from any script');
+    });
+
+    test('can be changed, and the new one logs in whatever its case', async () => {
+        const user = await register(server);
+        const handle = `Renamed${user.userId}`;
+        const { status, body } = await updateProfile(user, { username: handle });
+        assert.equal(status, 200);
+        assert.equal(body.username, handle);
+        assert.equal(body.displayName, user.displayName, 'the display name stays');
+
+        assert.equal((await login(handle.toLowerCase())).body.userId, user.userId);
+        assert.equal((await login(user.username)).status, 401, 'the old handle still logs in');
+        assert.equal((await updateProfile(user, { username: handle.toUpperCase() })).status, 200, 'a change of case of your own handle is fine');
+    });
+});
+
+describe('display names', () => {
+    test('are trimmed and shown to the partner', async () => {
+        const [a, b] = [await register(server, 'a'), await register(server, 'b')];
+        await server.request('POST', '/api/invite', { token: a.token, body: { targetId: b.userId } });
+        await server.request('POST', '/api/invite/respond', { token: b.token, body: { accept: true } });
+
+        const { status, body } = await updateProfile(a, { displayName: '  မြ 🌸  ' });
+        assert.equal(status, 200);
+        assert.equal(body.displayName, 'မြ 🌸');
+        assert.equal(body.username, a.username, 'the handle stays');
+        assert.equal((await profileOf(b)).partnerName, 'မြ 🌸');
+    });
+
+    test("can't be empty, too long or read backwards", async () => {
+        const user = await register(server);
+        for (const displayName of ['   ', 'x'.repeat(41), 'evil\u202Egnp.exe', 'tab\there', 42]) {
+            assert.equal((await updateProfile(user, { displayName })).status, 400, JSON.stringify(displayName));
+        }
+        assert.equal((await updateProfile(user, { displayName: '🌸'.repeat(40) })).status, 200, '40 emoji are 40 characters');
+        assert.equal((await profileOf(user)).displayName, '🌸'.repeat(40));
+    });
+});
+
+describe('avatars', () => {
+    test('replace the default picture and are served as JPEG', async () => {
+        const user = await register(server);
+        assert.equal((await profileOf(user)).avatar, null);
+        const { status, body } = await uploadAvatar(user, png(40));
+        assert.equal(status, 200);
+        assert.equal((await profileOf(user)).avatar, body.avatar);
+
+        const stranger = await register(server, 'stranger');
+        const served = await fetch(`${server.url}/api/avatars/${body.avatar}`, { headers: { Authorization: `Bearer ${stranger.token}` } });
+        assert.equal(served.status, 200);
+        assert.equal(served.headers.get('content-type'), 'image/jpeg');
+        assert.deepEqual([...Buffer.from(await served.arrayBuffer()).subarray(0, 2)], [0xff, 0xd8]);
+    });
+
+    test('have to be pictures', async () => {
+        const user = await register(server);
+        assert.equal((await uploadAvatar(user, Buffer.from('<svg onload="alert(1)"/>'))).status, 415);
+        assert.equal((await profileOf(user)).avatar, null);
+    });
+
+    test("leave no file behind when they're replaced or removed", async () => {
+        const user = await register(server);
+        const { body: { avatar: first } } = await uploadAvatar(user, png(50));
+        const { body: { avatar: second } } = await uploadAvatar(user, png(60));
+        assert.notEqual(first, second);
+        assert.equal(blobExists(first), false);
+
+        assert.equal((await server.request('DELETE', '/api/user/avatar', { token: user.token })).status, 200);
+        assert.equal((await profileOf(user)).avatar, null);
+        assert.equal(blobExists(second), false);
+        const gone = await fetch(`${server.url}/api/avatars/${second}`, { headers: { Authorization: `Bearer ${user.token}` } });
+        assert.equal(gone.status, 404);
+        await gone.arrayBuffer();
+    });
+});
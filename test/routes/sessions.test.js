@@ -0,0 +1,64 @@
+// Refreshing a login: each refresh hands out a new refresh token, a second tab
+// presenting the one just rotated out only gets an access token, and a token
+// from further back logs the whole session out - every token it ever issued.
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startServer, register } = require('../helpers');
+
+let server;
+before(async () => { server = await startServer(); });
+after(() => server.stop());
+
+const refresh = refreshToken => server.request('POST', '/api/auth/refresh', { body: { refreshToken } });
+const listSessions = token => server.request('GET', '/api/auth/sessions', { token });
+
+test('a refresh rotates the refresh token', async () => {
+    const user = await register(server);
+    const { status, body } = await refresh(user.refreshToken);
+    assert.equal(status, 200);
+    assert.ok(body.token);
+    assert.ok(body.refreshToken);
+    assert.notEqual(body.refreshToken, user.refreshToken);
+    assert.equal((await listSessions(body.token)).status, 200);
+
+    const next = await refresh(body.refreshToken);
+    assert.equal(next.status, 200);
+    assert.notEqual(next.body.refreshToken, body.refreshToken);
+});
+
+test('the token just rotated out only buys an access token', async () => {
+    const user = await register(server);
+    const { body: winner } = await refresh(user.refreshToken);
+
+    const { status, body } = await refresh(user.refreshToken);
+    assert.equal(status, 200);
+    assert.ok(body.token);
+    assert.equal(body.refreshToken, undefined);
+    assert.equal((await refresh(winner.refreshToken)).status, 200, 'the session is still fine');
+});
+
+test('replaying an older refresh token revokes the session it belongs to', async () => {
+    const user = await register(server);
+    const other = await server.request('POST', '/api/login', { body: { username: user.username, password: 'correct horse' } });
+    const { body: second } = await refresh(user.refreshToken);
+    const { body: third } = await refresh(second.refreshToken);
+
+    assert.equal((await refresh(user.refreshToken)).status, 401);
+    assert.equal((await refresh(third.refreshToken)).status, 401, 'the latest refresh token still works');
+    assert.equal((await refresh(second.refreshToken)).status, 401);
+    assert.equal((await listSessions(third.token)).status, 401, 'the latest access token still works');
+    assert.equal((await listSessions(user.token)).status, 401);
+
+    // Other devices are left alone
+    const { status, body } = await listSessions(other.body.token);
+    assert.equal(status, 200);
+    assert.equal(body.sessions.length, 1);
+});
+
+test('garbage and unknown tokens are refused without revoking anything', async () => {
+    const user = await register(server);
+    for (const bad of [undefined, 'nope', `${user.refreshToken.split('.')[0]}.wrong`, 'unknown.session']) {
+        assert.equal((await refresh(bad)).status, 401);
+    }
+    assert.equal((await refresh(user.refreshToken)).status, 200);
+});
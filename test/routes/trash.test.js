@@ -0,0 +1,127 @@
+// The trash: deleting moves an item there, restoring puts it back as it was, and
+// deleting it from there for good also deletes photo files nothing else uses.
+// Sealed letters stay sealed while they sit in the trash.
+const { describe, test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const { PNG } = require('pngjs');
+const { startServer, register } = require('../helpers');
+
+let server;
+before(async () => { server = await startServer(); });
+after(() => server.stop());
+
+function png(shade) {
+    const image = new PNG({ width: 4, height: 4 });
+    image.data.fill(shade);
+    return PNG.sync.write(image);
+}
+
+async function uploadPhoto(user, buffer) {
+    const form = new FormData();
+    form.append('photo', new Blob([buffer]), 'photo.png');
+    const response = await fetch(`${server.url}/api/spaces/SPACE_${user.userId}/images`, {
+        method: 'POST', headers: { Authorization: `Bearer ${user.token}` }, body: form
+    });
+    const body = await response.json();
+    assert.equal(response.status, 200, body.error);
+    return body.image;
+}
+
+const space = user => `/api/spaces/SPACE_${user.userId}`;
+const dataOf = async user => (await server.request('GET', `/api/data/${user.userId}`, { token: user.token })).body.data;
+const blobExists = hash => fs.existsSync(path.join(server.dataDir, 'blobs', hash.slice(0, 2), hash));
+
+describe('moving to the trash and back', () => {
+    test('a restored note comes back unchanged, and leaves the trash', async () => {
+        const user = await register(server);
+        const { body: { note } } = await server.request('POST', `${space(user)}/notes`, { token: user.token, body: { text: 'Keep me', tags: ['us'] } });
+
+        const { status, body } = await server.request('DELETE', `${space(user)}/notes/${note.id}`, { token: user.token });
+        assert.equal(status, 200);
+        assert.equal(body.trashed.deletedBy, user.userId);
+        let data = await dataOf(user);
+        assert.deepEqual(data.notes, []);
+        assert.deepEqual(data.trash.map(entry => [entry.collection, entry.id]), [['notes', note.id]]);
+
+        const restored = await server.request('POST', `${space(user)}/trash/${note.id}/restore`, { token: user.token });
+        assert.equal(restored.status, 200);
+        assert.equal(restored.body.collection, 'notes');
+        data = await dataOf(user);
+        assert.deepEqual(data.notes, [note]);
+        assert.deepEqual(data.trash, []);
+    });
+
+    test('a restored date goes back in date order', async () => {
+        const user = await register(server);
+        const add = async (date, label) => (await server.request('POST', `${space(user)}/dates`, { token: user.token, body: { date, label } })).body;
+        await add('2020-01-01', 'first');
+        const { date: middle } = await add('2021-01-01', 'middle');
+        await add('2022-01-01', 'last');
+
+        await server.request('DELETE', `${space(user)}/dates/${middle.id}`, { token: user.token });
+        await server.request('POST', `${space(user)}/trash/${middle.id}/restore`, { token: user.token });
+        assert.deepEqual((await dataOf(user)).dates.map(item => item.label), ['first', 'middle', 'last']);
+    });
+
+    test('restoring something that is not in the trash is a 404', async () => {
+        const user = await register(server);
+        assert.equal((await server.request('POST', `${space(user)}/trash/nope/restore`, { token: user.token })).status, 404);
+        assert.equal((await server.request('DELETE', `${space(user)}/trash/nope`, { token: user.token })).status, 404);
+    });
+
+    test("nobody else can restore from a space's trash", async () => {
+        const [owner, stranger] = [await register(server, 'owner'), await register(server, 'stranger')];
+        const { body: { note } } = await server.request('POST', `${space(owner)}/notes`, { token: owner.token, body: { text: 'mine' } });
+        await server.request('DELETE', `${space(owner)}/notes/${note.id}`, { token: owner.token });
+
+        const { status } = await server.request('POST', `${space(owner)}/trash/${note.id}/restore`, { token: stranger.token });
+        assert.equal(status, 403);
+        assert.equal((await dataOf(owner)).trash.length, 1);
+    });
+});
+
+describe('deleting for good', () => {
+    test("a trashed photo's files stay until then, and only the ones nothing else uses go", async () => {
+        const [alice, carol] = [await register(server, 'alice'), await register(server, 'carol')];
+        const own = await uploadPhoto(alice, png(60));
+        const shared = await uploadPhoto(alice, png(70));
+        await uploadPhoto(carol, png(70)); // The same file in another space
+
+        for (const photo of [own, shared]) {
+            await server.request('DELETE', `${space(alice)}/images/${photo.id}`, { token: alice.token });
+        }
+        assert.ok(blobExists(own.hash), 'the file went with the move to the trash');
+        const view = await fetch(`${server.url}${space(alice)}/images/${own.hash}`, { headers: { Authorization: `Bearer ${alice.token}` } });
+        assert.equal(view.status, 200, 'a trashed photo can still be looked at');
+        await view.arrayBuffer();
+
+        for (const photo of [own, shared]) {
+            assert.equal((await server.request('DELETE', `${space(alice)}/trash/${photo.id}`, { token: alice.token })).status, 200);
+        }
+        assert.equal(blobExists(own.hash), false, 'the unused file is still on disk');
+        assert.equal(blobExists(shared.hash), true, "carol's copy was deleted");
+        assert.deepEqual((await dataOf(alice)).trash, []);
+    });
+});
+
+describe('sealed letters in the trash', () => {
+    test('keep their body to themselves', async () => {
+        const user = await register(server);
+        const { body: { letter } } = await server.request('POST', `${space(user)}/letters`, {
+            token: user.token, body: { title: 'Someday', body: 'a secret', unlockDate: '2999-01-01' }
+        });
+
+        const trashed = await server.request('DELETE', `${space(user)}/letters/${letter.id}`, { token: user.token });
+        assert.equal(trashed.body.trashed.item.body, null);
+        const [entry] = (await dataOf(user)).trash;
+        assert.equal(entry.item.body, null);
+        assert.equal(entry.item.sealed, true);
+
+        const restored = await server.request('POST', `${space(user)}/trash/${letter.id}/restore`, { token: user.token });
+        assert.equal(restored.body.item.body, null);
+        const opened = await server.request('GET', `${space(user)}/letters/${letter.id}`, { token: user.token });
+        assert.equal(opened.status, 403, 'restoring unsealed it');
+    });
+});
@@ -0,0 +1,62 @@
+// Two-factor login, backup codes and recovery codes over HTTP: every code works
+// once, and a used one is turned away the second time.
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const totp = require('../../lib/totp');
+const { startServer, register } = require('../helpers');
+
+let server;
+before(async () => { server = await startServer(); });
+after(() => server.stop());
+
+const PASSWORD = 'correct horse'; // What register() signs up with
+
+test('TOTP and backup codes work once each', async () => {
+    const user = await register(server, 'totp');
+    const setup = await server.request('POST', '/api/user/2fa/setup', { token: user.token, body: { password: PASSWORD } });
+    assert.equal(setup.status, 200);
+    const secret = totp.base32Decode(setup.body.secret);
+
+    const enabledAt = Date.now();
+    const enableCode = totp.totp(secret, enabledAt);
+    const enable = await server.request('POST', '/api/user/2fa/enable', { token: user.token, body: { code: enableCode } });
+    assert.equal(enable.status, 200);
+    const { backupCodes } = enable.body;
+    assert.equal(backupCodes.length, 8);
+
+    const login = await server.request('POST', '/api/login', { body: { username: user.username, password: PASSWORD } });
+    assert.equal(login.body.twoFactorRequired, true);
+    assert.equal(login.body.token, undefined, 'no session before the second step');
+    const { challenge } = login.body;
+
+    // The code used to enable it is spent; the next step's code isn't
+    const spent = await server.request('POST', '/api/login/2fa', { body: { challenge, code: enableCode } });
+    assert.equal(spent.status, 401);
+    const next = totp.totp(secret, enabledAt + 30 * 1000);
+    const second = await server.request('POST', '/api/login/2fa', { body: { challenge, code: next } });
+    assert.equal(second.status, 200);
+    assert.ok(second.body.token);
+    assert.equal((await server.request('POST', '/api/login/2fa', { body: { challenge, code: next } })).status, 401, 'replayed code');
+
+    const backup = await server.request('POST', '/api/login/2fa', { body: { challenge, code: backupCodes[0] } });
+    assert.equal(backup.status, 200);
+    assert.equal(backup.body.backupCodesLeft, 7);
+    assert.equal((await server.request('POST', '/api/login/2fa', { body: { challenge, code: backupCodes[0] } })).status, 401, 'reused backup code');
+    assert.equal((await server.request('POST', '/api/login/2fa', { body: { challenge, code: 'AAAA-BBBB-CCCC' } })).status, 401);
+});
+
+test('a recovery code resets the password once', async () => {
+    const user = await register(server, 'recover');
+    const [code] = user.recoveryCodes;
+
+    const first = await server.request('POST', '/api/recover', { body: { username: user.username, code, newPassword: 'new one' } });
+    assert.equal(first.status, 200);
+    assert.equal(first.body.recoveryCodesLeft, 7);
+    assert.equal((await server.request('GET', `/api/data/${user.userId}`, { token: user.token })).status, 401, 'old sessions are signed out');
+
+    const again = await server.request('POST', '/api/recover', { body: { username: user.username, code, newPassword: 'sneaky' } });
+    assert.equal(again.status, 401);
+
+    const login = await server.request('POST', '/api/login', { body: { username: user.username, password: 'new one' } });
+    assert.equal(login.status, 200);
+});
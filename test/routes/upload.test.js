@@ -0,0 +1,107 @@
+// Uploads that outlive their space: when the space is deleted, or the uploader
+// leaves it, while the file is still coming in, the upload is refused and the
+// files it stored are deleted again.
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+const fs = require('fs');
+const http = require('http');
+const path = require('path');
+const { PNG } = require('pngjs');
+const { startServer, register } = require('../helpers');
+
+let server;
+before(async () => { server = await startServer(); });
+after(() => server.stop());
+
+function png(shade) {
+    const image = new PNG({ width: 4, height: 4 });
+    image.data.fill(shade);
+    return PNG.sync.write(image);
+}
+
+// Send the headers and the first few bytes of a one-file upload, then wait;
+// `finish()` sends the rest and resolves with the response
+async function startUpload(user, route, field, buffer) {
+    const boundary = 'keepmemories-test';
+    const head = Buffer.from(`--${boundary}\r\nContent-Disposition: form-data; name="${field}"; filename="upload"\r\n\r\n`);
+    const tail = Buffer.from(`\r\n--${boundary}--\r\n`);
+    const req = http.request(server.url + route, {
+        method: 'POST',
+        headers: {
+            Authorization: `Bearer ${user.token}`,
+            'Content-Type': `multipart/form-data; boundary=${boundary}`,
+            'Content-Length': head.length + buffer.length + tail.length
+        }
+    });
+    const response = new Promise((resolve, reject) => {
+        req.on('error', reject);
+        req.on('response', res => {
+            let text = '';
+            res.on('data', chunk => { text += chunk; });
+            res.on('end', () => resolve({ status: res.statusCode, body: JSON.parse(text) }));
+        });
+    });
+    req.write(Buffer.concat([head, buffer.subarray(0, 10)]));
+    await new Promise(resolve => setTimeout(resolve, 100)); // Let the server get past the auth checks
+    return () => {
+        req.end(Buffer.concat([buffer.subarray(10), tail]));
+        return response;
+    };
+}
+
+const blobExists = hash => fs.existsSync(path.join(server.dataDir, 'blobs', hash.slice(0, 2), hash));
+const hashOf = buffer => crypto.createHash('sha256').update(buffer).digest('hex');
+
+test('a photo for a space that was deleted meanwhile is a 404, and its file goes', async () => {
+    const user = await register(server);
+    const photo = png(10);
+    const finish = await startUpload(user, `/api/spaces/SPACE_${user.userId}/images`, 'photo', photo);
+
+    const deleted = await server.request('DELETE', '/api/user', { token: user.token, body: { password: 'correct horse' } });
+    assert.equal(deleted.status, 200);
+
+    const { status, body } = await finish();
+    assert.equal(status, 404, body.error);
+    assert.equal(blobExists(hashOf(photo)), false);
+});
+
+test('a photo for a space the uploader left meanwhile is a 409, and the space is left alone', async () => {
+    const [a, b] = [await register(server, 'a'), await register(server, 'b')];
+    await server.request('POST', '/api/invite', { token: a.token, body: { targetId: b.userId } });
+    await server.request('POST', '/api/invite/respond', { token: b.token, body: { accept: true } });
+    const photo = png(20);
+    const finish = await startUpload(b, `/api/spaces/SPACE_${a.userId}/images`, 'photo', photo);
+
+    assert.equal((await server.request('POST', '/api/disconnect', { token: a.token })).status, 200);
+
+    const { status, body } = await finish();
+    assert.equal(status, 409, body.error);
+    assert.equal(blobExists(hashOf(photo)), false);
+    const { body: { data } } = await server.request('GET', `/api/data/${a.userId}`, { token: a.token });
+    assert.deepEqual(data.images, []);
+});
+
+test('an import into a space that was deleted meanwhile is a 404, and its photos go', async () => {
+    const [user, friend] = [await register(server, 'user'), await register(server, 'friend')];
+    // An archive with a photo in it that nothing on the server uses any more
+    const photo = png(30);
+    const form = new FormData();
+    form.append('photo', new Blob([photo]), 'photo.png');
+    const uploaded = await fetch(`${server.url}/api/spaces/SPACE_${friend.userId}/images`, {
+        method: 'POST', headers: { Authorization: `Bearer ${friend.token}` }, body: form
+    });
+    const { image } = await uploaded.json();
+    const exported = await fetch(`${server.url}/api/spaces/SPACE_${friend.userId}/export`, { headers: { Authorization: `Bearer ${friend.token}` } });
+    const archive = Buffer.from(await exported.arrayBuffer());
+    await server.request('DELETE', `/api/spaces/SPACE_${friend.userId}/images/${image.id}`, { token: friend.token });
+    await server.request('DELETE', `/api/spaces/SPACE_${friend.userId}/trash/${image.id}`, { token: friend.token });
+    assert.equal(blobExists(image.hash), false);
+
+    const finish = await startUpload(user, `/api/spaces/SPACE_${user.userId}/import`, 'archive', archive);
+    await server.request('DELETE', '/api/user', { token: user.token, body: { password: 'correct horse' } });
+
+    const { status, body } = await finish();
+    assert.equal(status, 404, body.error);
+    assert.equal(blobExists(image.hash), false);
+});